@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A bank account, credit card or cash wallet that transactions belong to.
+// The balance is computed from the opening balance and its transactions.
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['bank', 'credit_card', 'cash', 'wallet', 'savings'],
+    default: 'bank'
+  },
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/,
+    default: 'USD'
+  },
+  // Hidden from pickers but kept so old transactions still show where they came from
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
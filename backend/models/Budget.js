@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  period: {
+    type: String,
+    enum: ['monthly'],
+    default: 'monthly'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One limit per category per user
+budgetSchema.index({ user: 1, category: 1 }, { unique: true });
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+module.exports = Budget;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// User-defined transaction category. Transactions, budgets and recurring rules
+// store the lowercase `key`, so renaming a category cascades to them.
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  // One level of nesting, e.g. Food › Groceries
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  icon: {
+    type: String,
+    default: 'Category'
+  },
+  color: {
+    type: String,
+    default: '#9e9e9e'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.pre('validate', function(next) {
+  if (this.name) {
+    this.key = this.name.trim().toLowerCase();
+  }
+  next();
+});
+
+categorySchema.index({ user: 1, type: 1, key: 1 }, { unique: true });
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
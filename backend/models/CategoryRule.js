@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A single test against a transaction field, e.g. description contains "swiggy"
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['description', 'merchant', 'amount'],
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: ['contains', 'equals', 'startsWith', 'gt', 'gte', 'lt', 'lte'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+// User-defined auto-categorization rule. Applies to transactions of `type`
+// when every condition matches; lower priority numbers are checked first.
+const categoryRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  conditions: {
+    type: [conditionSchema],
+    validate: [conditions => conditions.length > 0, 'At least one condition is required']
+  },
+  category: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categoryRuleSchema.index({ user: 1, priority: 1 });
+
+const CategoryRule = mongoose.model('CategoryRule', categoryRuleSchema);
+
+module.exports = CategoryRule;
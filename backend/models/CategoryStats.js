@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Per-user word counts for one category, used by the local categorizer.
+// One document per (user, type, category) so training can use atomic $inc.
+const categoryStatsSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Number of transactions learned for this category
+  documents: {
+    type: Number,
+    default: 0
+  },
+  // Feature -> number of those transactions containing it
+  features: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categoryStatsSchema.index({ user: 1, type: 1, category: 1 }, { unique: true });
+
+const CategoryStats = mongoose.model('CategoryStats', categoryStatsSchema);
+
+module.exports = CategoryStats;
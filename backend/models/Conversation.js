@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Transactions the assistant looked up while answering
+  citations: [{
+    _id: false,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    description: String,
+    amount: Number,
+    currency: String,
+    date: Date,
+    category: String,
+    type: { type: String }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// AI chat history, one document per conversation
+const conversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'New conversation'
+  },
+  messages: [messageSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Sidebar lists the most recently active conversations first
+conversationSchema.index({ user: 1, updatedAt: -1 });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// 1 unit of `from` is worth `rate` units of `to` on `date`. Rates are per user
+// and either entered by hand or loaded from a CSV/JSON file.
+const exchangeRateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/
+  },
+  to: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exchangeRateSchema.index({ user: 1, from: 1, to: 1, date: 1 }, { unique: true });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
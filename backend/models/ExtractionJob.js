@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Reading a receipt or a PDF statement in the background. The upload is kept in
+// storage under `fileKey` until the job is done, so a failed job can be retried
+// and any backend instance can pick the job up.
+const extractionJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['receipt', 'pdf-transactions'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'done', 'failed'],
+    default: 'queued'
+  },
+  // What a running job is doing: OCR on images, parsing PDFs, then AI extraction
+  stage: {
+    type: String,
+    enum: ['queued', 'ocr', 'parsing', 'extracting', 'done'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number, // 0-100
+    default: 0
+  },
+  fileKey: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  // Receipt jobs read the stored receipt, which the saved transaction links to
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Refreshed while the job runs, so jobs of a crashed instance can be requeued
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 7 * 24 * 60 * 60 // jobs and their results are only kept for a week
+  }
+});
+
+extractionJobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ExtractionJob', extractionJobSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Saved CSV column mapping so repeat imports from the same bank need no setup
+const importMappingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bank: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mapping: {
+    date: { type: String, default: null },
+    description: { type: String, default: null },
+    amount: { type: String, default: null },
+    debit: { type: String, default: null },
+    credit: { type: String, default: null },
+    type: { type: String, default: null },
+    category: { type: String, default: null },
+    dateFormat: { type: String, default: 'YYYY-MM-DD' },
+    // '.' or ','; null reads it from the amounts
+    decimalSeparator: { type: String, default: null }
+  },
+  delimiter: {
+    type: String,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importMappingSchema.index({ user: 1, bank: 1 }, { unique: true });
+
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+
+module.exports = ImportMapping;
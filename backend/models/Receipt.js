@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// An uploaded receipt file. The file and its thumbnail live in storage under
+// `key` and `thumbnailKey`. A receipt is uploaded before its transaction is
+// saved, so `transaction` stays empty until the transaction links it.
+const receiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: null // PDFs have no thumbnail
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+receiptSchema.index({ user: 1, transaction: 1 });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
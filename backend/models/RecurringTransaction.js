@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const recurringTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  category: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  merchant: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  nextRunDate: {
+    type: Date,
+    required: true
+  },
+  lastRunDate: {
+    type: Date,
+    default: null
+  },
+  skipNext: {
+    type: Boolean,
+    default: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index used by the scheduler to find due rules
+recurringTransactionSchema.index({ active: 1, nextRunDate: 1 });
+recurringTransactionSchema.index({ user: 1, createdAt: -1 });
+
+const RecurringTransaction = mongoose.model('RecurringTransaction', recurringTransactionSchema);
+
+module.exports = RecurringTransaction;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A receipt from a batch upload waiting for the user to confirm, edit or
+// discard what was read from it. `data` holds the extracted transaction, with
+// any edits, once the receipt's job is done; it is kept here rather than read
+// from the job so it outlives the job's expiry.
+const reviewItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Files uploaded together share a batch id
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
+    required: true
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExtractionJob',
+    default: null
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'saved', 'discarded'],
+    default: 'pending'
+  },
+  // Confirmed by the user and saved with the next "save approved"
+  approved: {
+    type: Boolean,
+    default: false
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+    expires: 30 * 24 * 60 * 60 // saved and discarded items are kept for a month
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewItemSchema.index({ user: 1, status: 1, createdAt: 1 });
+reviewItemSchema.index({ receipt: 1 });
+
+module.exports = mongoose.model('ReviewItem', reviewItemSchema);
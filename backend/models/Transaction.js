@@ -6,9 +6,10 @@ const transactionSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Transfers move money from `account` to `toAccount` and are neither income nor expense
   type: {
     type: String,
-    enum: ['income', 'expense'],
+    enum: ['income', 'expense', 'transfer'],
     required: true
   },
   amount: {
@@ -16,6 +17,23 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Currency the amount was paid in. Older records have none and are in the base currency.
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  // The amount in the user's base currency at the rate on the transaction date.
+  // Null when no rate is known yet; totals then count the original amount.
+  baseAmount: {
+    type: Number,
+    default: null
+  },
+  exchangeRate: {
+    type: Number,
+    default: null
+  },
   category: {
     type: String,
     required: true,
@@ -32,18 +50,76 @@ const transactionSchema = new mongoose.Schema({
     default: Date.now
   },
   receipt: {
-    type: String, // URL or path to the receipt image/PDF
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
     default: null
   },
+  // Receipt lines; `amount` is the line total
   items: [{
     description: String,
-    amount: Number
+    quantity: Number,
+    unitPrice: Number,
+    amount: Number,
+    category: String
+  }],
+  // What the receipt printed between the items and the total
+  breakdown: {
+    subtotal: { type: Number, default: null },
+    tax: { type: Number, default: null },
+    discount: { type: Number, default: null },
+    tip: { type: Number, default: null }
+  },
+  // A transaction split across categories. The lines add up to `amount` and
+  // category reports count each line; `category` holds the largest line's.
+  splits: [{
+    _id: false,
+    category: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: ''
+    }
   }],
   merchant: {
     type: String,
     trim: true,
     default: null
   },
+  // Free-form labels like "goa trip 2026" or "reimbursable", stored lowercase
+  tags: {
+    type: [String],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  recurring: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTransaction',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -54,6 +130,14 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ user: 1, date: -1 });
 transactionSchema.index({ user: 1, type: 1 });
 transactionSchema.index({ user: 1, category: 1 });
+transactionSchema.index({ user: 1, 'splits.category': 1 });
+transactionSchema.index({ user: 1, account: 1 });
+transactionSchema.index({ user: 1, tags: 1 });
+// Guarantees a recurring rule materializes each occurrence only once
+transactionSchema.index(
+  { recurring: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurring: { $type: 'objectId' } } }
+);
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
@@ -20,6 +20,25 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Totals, charts and the AI assistant report amounts in this currency
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code like USD'],
+    default: 'USD'
+  },
+  // Receipts are read with these OCR languages, e.g. ['eng', 'hin']
+  ocrLanguages: {
+    type: [String],
+    default: ['eng']
+  },
+  // Amounts and dates on receipts are read this way unless the text clearly differs
+  locale: {
+    type: String,
+    trim: true,
+    default: 'en-US'
+  },
   createdAt: {
     type: Date,
     default: Date.now
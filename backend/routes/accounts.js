@@ -0,0 +1,117 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { ACCOUNT_TYPES, getAccountBalances } = require('../services/accounts');
+
+const router = express.Router();
+
+// Validate and normalize the editable fields of an account
+const parseAccountInput = (body, partial = false) => {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Name is required' };
+    data.name = name;
+  }
+  if (body.type !== undefined) {
+    if (!ACCOUNT_TYPES.includes(body.type)) return { error: 'Invalid account type' };
+    data.type = body.type;
+  }
+  if (body.openingBalance !== undefined) {
+    const openingBalance = parseFloat(body.openingBalance);
+    if (isNaN(openingBalance)) return { error: 'Invalid opening balance' };
+    data.openingBalance = openingBalance;
+  }
+  if (body.currency !== undefined) {
+    const currency = String(body.currency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return { error: 'Currency must be a 3-letter code like USD' };
+    data.currency = currency;
+  }
+  if (body.archived !== undefined) data.archived = !!body.archived;
+
+  return { data };
+};
+
+// Get all accounts with their current balances
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await getAccountBalances(req.user._id, req.user.baseCurrency));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching accounts', error: error.message });
+  }
+});
+
+// Create an account
+router.post('/', auth, async (req, res) => {
+  try {
+    const { data, error } = parseAccountInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Accounts default to the user's base currency
+    const account = new Account({ currency: req.user.baseCurrency, ...data, user: req.user._id });
+    await account.save();
+
+    res.status(201).json(account);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An account with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error creating account', error: error.message });
+  }
+});
+
+// Update an account
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { data, error } = parseAccountInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      data,
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    res.json(account);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An account with this name already exists' });
+    }
+    res.status(500).json({ message: 'Error updating account', error: error.message });
+  }
+});
+
+// Delete an account. Accounts with transactions can only be archived.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const used = await Transaction.exists({
+      user: req.user._id,
+      $or: [{ account: account._id }, { toAccount: account._id }]
+    });
+    if (used) {
+      return res.status(409).json({ message: 'This account has transactions. Archive it instead.' });
+    }
+
+    await account.deleteOne();
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting account', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,80 +1,88 @@
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
 const Transaction = require('../models/Transaction');
+const Conversation = require('../models/Conversation');
+const ai = require('../services/ai');
+const { chatTools, createToolExecutor } = require('../services/chatTools');
+const { getCategories } = require('../services/categories');
+const { formatMoney } = require('../services/currency');
 
 const router = express.Router();
 
-// Initialize Generative AI with your API key
-let genAI = null;
-console.log('GEMINI_API_KEY exists:', !!process.env.GEMINI_API_KEY);
-console.log('GEMINI_API_KEY length:', process.env.GEMINI_API_KEY ? process.env.GEMINI_API_KEY.length : 0);
+// Earlier turns sent to the model with each question
+const MAX_HISTORY_MESSAGES = 20;
+const MAX_TITLE_LENGTH = 60;
 
-if (process.env.GEMINI_API_KEY && 
-    process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here' && 
-    process.env.GEMINI_API_KEY.length > 10) {
-  try {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    console.log('Gemini AI initialized successfully');
-  } catch (error) {
-    console.error('Error initializing Gemini AI:', error);
-    genAI = null;
-  }
-} else {
-  console.log('Gemini AI not initialized - invalid or missing API key');
-}
-
-// Helper function to get user's financial summary
-async function getFinancialSummary(userId) {
-  const transactions = await Transaction.find({ user: userId }).sort({ date: -1 }).limit(100);
+// Helper function to get user's financial summary, in their base currency
+async function getFinancialSummary(user) {
+  const transactions = await Transaction.find({ user: user._id }).sort({ date: -1 }).limit(100);
   
   const summary = transactions.reduce((acc, transaction) => {
+    // Transfers between the user's own accounts are neither income nor spending
+    if (transaction.type === 'transfer') return acc;
+    const amount = transaction.baseAmount ?? transaction.amount;
     if (transaction.type === 'income') {
-      acc.totalIncome += transaction.amount;
+      acc.totalIncome += amount;
     } else {
-      acc.totalExpenses += transaction.amount;
-      acc.categories[transaction.category] = (acc.categories[transaction.category] || 0) + transaction.amount;
+      acc.totalExpenses += amount;
+      // Split transactions count towards each of their lines' categories
+      const lines = transaction.splits.length > 0
+        ? transaction.splits.map(split => ({ category: split.category, amount: split.amount * (transaction.exchangeRate ?? 1) }))
+        : [{ category: transaction.category, amount }];
+      lines.forEach(line => {
+        acc.categories[line.category] = (acc.categories[line.category] || 0) + line.amount;
+      });
     }
     return acc;
-  }, { totalIncome: 0, totalExpenses: 0, categories: {} });
+  }, { totalIncome: 0, totalExpenses: 0, categories: {}, baseCurrency: user.baseCurrency });
 
   summary.balance = summary.totalIncome - summary.totalExpenses;
   return summary;
 }
 
-// Chat endpoint
-router.post('/chat', auth, async (req, res) => {
-  try {
-    const { message } = req.body;
-    const summary = await getFinancialSummary(req.user._id);
-
-    console.log('Chat request received:', message);
-    console.log('Gemini AI available:', !!genAI);
-    console.log('Financial summary:', summary);
+// Rule-based reply used when no text generation provider is available
+function buildOfflineResponse(summary) {
+  const money = (amount) => formatMoney(amount, summary.baseCurrency);
+  const topCategories = Object.entries(summary.categories)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 3)
+    .map(([category, amount]) => `${category} (${money(amount)})`);
+  const savingsRate = summary.totalIncome > 0 ? (summary.balance / summary.totalIncome) * 100 : 0;
 
-    // If no API key is configured, return error
-    if (!genAI) {
-      console.log('Gemini AI not available - API key not configured');
-      return res.status(500).json({ 
-        message: 'AI service not available. Please configure Gemini API key.' 
-      });
-    }
+  return [
+    'The AI assistant is not available right now, so here is a quick snapshot of your recent finances:',
+    `- Income: ${money(summary.totalIncome)}`,
+    `- Expenses: ${money(summary.totalExpenses)}`,
+    `- Balance: ${money(summary.balance)} (savings rate ${savingsRate.toFixed(1)}%)`,
+    topCategories.length > 0 ? `- Top spending: ${topCategories.join(', ')}` : '- No expenses recorded yet',
+    summary.balance < 0
+      ? 'You are spending more than you earn. Start with your top spending category when looking for cuts.'
+      : 'You are spending less than you earn. Consider moving part of the surplus into savings.'
+  ].join('\n');
+}
 
-    console.log('Using Gemini AI for response');
+// Build a context-aware prompt including the earlier turns of the conversation
+function buildChatPrompt(summary, history, message) {
+  const money = (amount) => formatMoney(amount, summary.baseCurrency);
+  const conversation = history.length > 0
+    ? `\nCONVERSATION SO FAR:\n${history
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+      .join('\n')}\n`
+    : '';
 
-    // Create a context-aware prompt
-    const prompt = `You are a helpful AI assistant. You can help with general questions and provide financial advice when relevant.
+  return `You are a helpful AI assistant. You can help with general questions and provide financial advice when relevant.
 
-USER'S FINANCIAL PROFILE (for financial questions only):
-- Total Income: $${summary.totalIncome.toFixed(2)}
-- Total Expenses: $${summary.totalExpenses.toFixed(2)}
-- Current Balance: $${summary.balance.toFixed(2)}
+USER'S FINANCIAL PROFILE (for financial questions only, all amounts in ${summary.baseCurrency}):
+- Total Income: ${money(summary.totalIncome)}
+- Total Expenses: ${money(summary.totalExpenses)}
+- Current Balance: ${money(summary.balance)}
 - Expense Breakdown: ${Object.entries(summary.categories)
   .sort(([,a], [,b]) => b - a)
-  .map(([category, amount]) => `${category}: $${amount.toFixed(2)}`)
+  .map(([category, amount]) => `${category}: ${money(amount)}`)
   .join(', ')}
 - Savings Rate: ${summary.totalIncome > 0 ? ((summary.balance / summary.totalIncome) * 100).toFixed(1) : 0}%
-- Monthly Surplus/Deficit: $${summary.balance.toFixed(2)}
+- Monthly Surplus/Deficit: ${money(summary.balance)}
 
 INSTRUCTIONS:
 1. If the user asks a general question (not financial), answer it directly and helpfully
@@ -82,28 +90,96 @@ INSTRUCTIONS:
 3. Be conversational, helpful, and accurate
 4. For financial questions, provide specific, actionable recommendations
 5. For general questions, be informative and engaging
-
+6. Use the conversation so far to understand follow-up questions
+7. The profile above only covers recent totals. For questions about specific periods, categories, tags, merchants or purchases, use the available tools to query the user's transactions instead of guessing. Never invent transactions or amounts
+8. Report amounts in ${summary.baseCurrency} unless the user asks otherwise. Tool totals are already converted; individual transactions may be in another currency
+9. Today's date is ${new Date().toISOString().split('T')[0]}
+${conversation}
 USER QUESTION: ${message}
 
 Please provide a helpful response:`;
+}
 
-    // Get response from Gemini
-    try {
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      console.log('Gemini model created, generating content...');
-      
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      
-      console.log('Gemini response received successfully');
-      res.json({ response: response.text() });
-    } catch (geminiError) {
-      console.error('Gemini API Error:', geminiError);
-      res.status(500).json({ 
-        message: 'AI service temporarily unavailable. Please try again later.',
-        error: geminiError.message 
-      });
+// Titles come from the first question until the user renames the conversation
+function titleFromMessage(message) {
+  const title = message.replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 3)}...` : title;
+}
+
+// Find the user's conversation, or start a new one titled after the first question.
+// Null when the conversation is not the user's or the id is malformed.
+async function loadConversation(userId, conversationId, message) {
+  if (conversationId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+    return Conversation.findOne({ _id: conversationId, user: userId });
+  }
+  return new Conversation({ user: userId, title: titleFromMessage(message) });
+}
+
+async function saveTurn(conversation, message, response, citations) {
+  conversation.messages.push(
+    { role: 'user', content: message },
+    { role: 'assistant', content: response, citations }
+  );
+  conversation.updatedAt = new Date();
+  await conversation.save();
+}
+
+// Chat endpoint
+router.post('/chat', auth, async (req, res) => {
+  try {
+    const { message, conversationId } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ message: 'Message is required' });
+    }
+
+    const conversation = await loadConversation(req.user._id, conversationId, message);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const summary = await getFinancialSummary(req.user);
+    const history = conversation.messages.slice(-MAX_HISTORY_MESSAGES);
+
+    console.log('Chat request received:', message);
+    console.log('AI provider:', ai.getProvider().name);
+    console.log('Financial summary:', summary);
+
+    const tools = createToolExecutor(req.user._id, await getCategories(req.user._id), req.user.baseCurrency);
+    let response = '';
+    let offline = false;
+
+    // The offline provider can extract receipts but cannot chat
+    if (!ai.canGenerateText()) {
+      response = buildOfflineResponse(summary);
+      offline = true;
+    } else {
+      try {
+        const prompt = buildChatPrompt(summary, history, message.trim());
+        for await (const text of ai.streamChat(prompt, { tools: chatTools, executeTool: tools.execute })) {
+          response += text;
+        }
+        if (!response) {
+          throw new Error('Empty response');
+        }
+      } catch (aiError) {
+        console.error('AI provider error:', aiError);
+        response = buildOfflineResponse(summary);
+        offline = true;
+      }
     }
+
+    const citations = offline ? [] : tools.getCitations();
+    await saveTurn(conversation, message.trim(), response, citations);
+
+    res.json({
+      response,
+      citations,
+      offline,
+      conversationId: conversation._id,
+      title: conversation.title
+    });
   } catch (error) {
     console.error('AI Chat Error:', error);
     res.status(500).json({ 
@@ -113,4 +189,175 @@ Please provide a helpful response:`;
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Streaming chat endpoint (Server-Sent Events).
+// Events: start {conversationId, title}, token {text}, done {conversationId, title, citations, offline, cancelled}, error {message}.
+// Closing the connection aborts the upstream model call.
+router.post('/chat/stream', auth, async (req, res) => {
+  const { message, conversationId } = req.body;
+
+  if (!message || !message.trim()) {
+    return res.status(400).json({ message: 'Message is required' });
+  }
+
+  let conversation;
+  let categories;
+  try {
+    conversation = await loadConversation(req.user._id, conversationId, message);
+    categories = await getCategories(req.user._id);
+  } catch (error) {
+    return res.status(500).json({ message: 'Error processing your request', error: error.message });
+  }
+  if (!conversation) {
+    return res.status(404).json({ message: 'Conversation not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Chat stream closed by client, aborting');
+      controller.abort();
+    }
+  });
+
+  const tools = createToolExecutor(req.user._id, categories, req.user.baseCurrency);
+  let response = '';
+  let offline = false;
+
+  try {
+    const summary = await getFinancialSummary(req.user);
+    const history = conversation.messages.slice(-MAX_HISTORY_MESSAGES);
+
+    // Save the question first so a stopped answer still belongs to a known conversation
+    conversation.messages.push({ role: 'user', content: message.trim() });
+    conversation.updatedAt = new Date();
+    await conversation.save();
+    sendEvent('start', { conversationId: conversation._id, title: conversation.title });
+
+    if (!ai.canGenerateText()) {
+      response = buildOfflineResponse(summary);
+      offline = true;
+      sendEvent('token', { text: response });
+    } else {
+      try {
+        const prompt = buildChatPrompt(summary, history, message.trim());
+        const stream = ai.streamChat(prompt, { tools: chatTools, executeTool: tools.execute, signal: controller.signal });
+        for await (const text of stream) {
+          if (controller.signal.aborted) break;
+          response += text;
+          sendEvent('token', { text });
+        }
+        if (!response && !controller.signal.aborted) {
+          throw new Error('Empty response');
+        }
+      } catch (aiError) {
+        if (!controller.signal.aborted) {
+          console.error('AI provider error:', aiError);
+          // Only fall back when nothing was streamed yet, otherwise keep the partial answer
+          if (!response) {
+            response = buildOfflineResponse(summary);
+            offline = true;
+            sendEvent('token', { text: response });
+          }
+        }
+      }
+    }
+
+    // Keep whatever was generated, even if the user stopped the answer early
+    const citations = offline ? [] : tools.getCitations();
+    if (response) {
+      conversation.messages.push({ role: 'assistant', content: response, citations });
+      conversation.updatedAt = new Date();
+      await conversation.save();
+    }
+
+    sendEvent('done', {
+      conversationId: conversation._id,
+      title: conversation.title,
+      citations,
+      offline,
+      cancelled: controller.signal.aborted
+    });
+    res.end();
+  } catch (error) {
+    console.error('AI Chat Stream Error:', error);
+    sendEvent('error', { message: 'Error processing your request' });
+    res.end();
+  }
+});
+
+// List conversations, most recent first
+router.get('/conversations', auth, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ user: req.user._id })
+      .select('title createdAt updatedAt')
+      .sort({ updatedAt: -1 });
+    res.json(conversations);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching conversations', error: error.message });
+  }
+});
+
+// Get a conversation with all of its messages
+router.get('/conversations/:id', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, user: req.user._id });
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching conversation', error: error.message });
+  }
+});
+
+// Rename a conversation
+router.put('/conversations/:id', auth, async (req, res) => {
+  try {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) {
+      return res.status(400).json({ message: 'Title is required' });
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { title: title.slice(0, MAX_TITLE_LENGTH) },
+      { new: true }
+    ).select('title createdAt updatedAt');
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    res.status(500).json({ message: 'Error renaming conversation', error: error.message });
+  }
+});
+
+// Delete a conversation
+router.delete('/conversations/:id', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting conversation', error: error.message });
+  }
+});
+
+module.exports = router;
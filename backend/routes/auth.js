@@ -67,7 +67,10 @@ router.post('/register', validateRegisterInput, async (req, res) => {
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        baseCurrency: user.baseCurrency,
+        locale: user.locale,
+        ocrLanguages: user.ocrLanguages
       }
     });
   } catch (error) {
@@ -120,7 +123,10 @@ router.post('/login', validateLoginInput, async (req, res) => {
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        baseCurrency: user.baseCurrency,
+        locale: user.locale,
+        ocrLanguages: user.ocrLanguages
       }
     });
   } catch (error) {
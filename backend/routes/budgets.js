@@ -0,0 +1,186 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const Budget = require('../models/Budget');
+const Transaction = require('../models/Transaction');
+const { getCategories, findCategory, expandCategory } = require('../services/categories');
+const { categoryLineStages } = require('../services/splits');
+
+const router = express.Router();
+
+// Resolve the start/end of the budget period (calendar month)
+const getPeriodRange = (month) => {
+  let year;
+  let monthIndex;
+
+  if (month && /^\d{4}-\d{2}$/.test(month)) {
+    [year, monthIndex] = month.split('-').map(Number);
+    monthIndex -= 1;
+  } else {
+    const now = new Date();
+    year = now.getFullYear();
+    monthIndex = now.getMonth();
+  }
+
+  const start = new Date(year, monthIndex, 1);
+  const end = new Date(year, monthIndex + 1, 1);
+  return { start, end };
+};
+
+// Get all budgets
+router.get('/', auth, async (req, res) => {
+  try {
+    const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1 });
+    res.json(budgets);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching budgets', error: error.message });
+  }
+});
+
+// Get spent, remaining and percent used for each budget in the current period
+router.get('/status', auth, async (req, res) => {
+  try {
+    const { start, end } = getPeriodRange(req.query.month);
+    const budgets = await Budget.find({ user: req.user._id }).sort({ category: 1 });
+
+    const spending = await Transaction.aggregate([
+      {
+        $match: {
+          user: req.user._id,
+          type: 'expense',
+          date: { $gte: start, $lt: end }
+        }
+      },
+      // Split transactions count towards the budget of each of their lines
+      ...categoryLineStages(),
+      {
+        $group: {
+          _id: '$line.category',
+          // Limits are in the base currency
+          spent: { $sum: '$line.amount' }
+        }
+      }
+    ]);
+
+    const spentByCategory = spending.reduce((acc, row) => {
+      acc[row._id] = row.spent;
+      return acc;
+    }, {});
+    const categories = await getCategories(req.user._id);
+
+    const status = budgets.map(budget => {
+      // A parent category's budget covers its subcategories too
+      const spent = expandCategory(categories, budget.category, 'expense')
+        .reduce((sum, key) => sum + (spentByCategory[key] || 0), 0);
+      return {
+        _id: budget._id,
+        category: budget.category,
+        limit: budget.amount,
+        spent,
+        remaining: budget.amount - spent,
+        percentUsed: budget.amount > 0 ? Math.round((spent / budget.amount) * 1000) / 10 : 0,
+        overspent: spent > budget.amount
+      };
+    });
+
+    res.json({
+      periodStart: start,
+      periodEnd: end,
+      baseCurrency: req.user.baseCurrency,
+      budgets: status
+    });
+  } catch (error) {
+    console.error('Budget status error:', error);
+    res.status(500).json({ message: 'Error fetching budget status', error: error.message });
+  }
+});
+
+// Add new budget
+router.post('/', auth, async (req, res) => {
+  try {
+    const { category, amount } = req.body;
+
+    if (!category || typeof category !== 'string') {
+      return res.status(400).json({ message: 'Category is required' });
+    }
+    if (!findCategory(await getCategories(req.user._id), category, 'expense')) {
+      return res.status(400).json({ message: 'Unknown category' });
+    }
+    if (isNaN(parseFloat(amount)) || parseFloat(amount) < 0) {
+      return res.status(400).json({ message: 'Invalid amount' });
+    }
+
+    const existing = await Budget.findOne({ user: req.user._id, category: category.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({ message: 'A budget for this category already exists' });
+    }
+
+    const budget = new Budget({
+      user: req.user._id,
+      category,
+      amount: parseFloat(amount)
+    });
+
+    await budget.save();
+    res.status(201).json(budget);
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({ message: 'Error creating budget', error: error.message });
+  }
+});
+
+// Update budget
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const update = {};
+    if (req.body.category) {
+      if (!findCategory(await getCategories(req.user._id), req.body.category, 'expense')) {
+        return res.status(400).json({ message: 'Unknown category' });
+      }
+      update.category = req.body.category.toLowerCase();
+    }
+    if (req.body.amount !== undefined) {
+      const amount = parseFloat(req.body.amount);
+      if (isNaN(amount) || amount < 0) {
+        return res.status(400).json({ message: 'Invalid amount' });
+      }
+      update.amount = amount;
+    }
+
+    const budget = await Budget.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    res.json(budget);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A budget for this category already exists' });
+    }
+    res.status(500).json({ message: 'Error updating budget', error: error.message });
+  }
+});
+
+// Delete budget
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!budget) {
+      return res.status(404).json({ message: 'Budget not found' });
+    }
+
+    res.json({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting budget', error: error.message });
+  }
+});
+
+module.exports = router;
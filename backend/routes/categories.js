@@ -0,0 +1,216 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const {
+  FALLBACK_KEY,
+  getCategories,
+  moveCategoryReferences
+} = require('../services/categories');
+const categorizer = require('../services/categorizer');
+
+const router = express.Router();
+
+// Check a requested parent: same type, top level, not the category itself,
+// and only for categories that have no children of their own
+const validateParent = (categories, { id, type, parent }) => {
+  if (!parent) return null;
+
+  const parentCategory = categories.find(category => String(category._id) === String(parent));
+  if (!parentCategory || parentCategory.type !== type) {
+    return 'Parent category not found';
+  }
+  if (id && String(parentCategory._id) === String(id)) {
+    return 'A category cannot be its own parent';
+  }
+  if (parentCategory.parent) {
+    return 'Subcategories cannot have subcategories of their own';
+  }
+  if (id && categories.some(category => String(category.parent) === String(id))) {
+    return 'A category with subcategories cannot be moved under another category';
+  }
+  return null;
+};
+
+// Get all categories with how many transactions use each, directly or in a split line
+router.get('/', auth, async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      getCategories(req.user._id),
+      Transaction.aggregate([
+        { $match: { user: req.user._id } },
+        { $project: { type: 1, keys: { $setUnion: [['$category'], { $ifNull: ['$splits.category', []] }] } } },
+        { $unwind: '$keys' },
+        { $group: { _id: { type: '$type', category: '$keys' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json(categories.map(category => ({
+      ...category,
+      transactionCount: (counts.find(row =>
+        row._id.type === category.type && row._id.category === category.key
+      ) || { count: 0 }).count
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching categories', error: error.message });
+  }
+});
+
+// Create a category
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, type, parent, icon, color } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    if (!['income', 'expense'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be income or expense' });
+    }
+    if (name.includes('›')) {
+      return res.status(400).json({ message: 'Name cannot contain "›"' });
+    }
+
+    const categories = await getCategories(req.user._id);
+    const parentError = validateParent(categories, { type, parent });
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+    if (categories.some(category => category.type === type && category.key === name.trim().toLowerCase())) {
+      return res.status(409).json({ message: 'A category with this name already exists' });
+    }
+
+    const category = new Category({
+      user: req.user._id,
+      name: name.trim(),
+      type,
+      parent: parent || null,
+      ...(icon && { icon }),
+      ...(color && { color })
+    });
+    await category.save();
+
+    res.status(201).json(category);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating category', error: error.message });
+  }
+});
+
+// Update a category. Renaming updates every transaction, budget and recurring rule using it.
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user._id });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { name, parent, icon, color } = req.body;
+    const categories = await getCategories(req.user._id);
+    const oldKey = category.key;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Name is required' });
+      }
+      if (name.includes('›')) {
+        return res.status(400).json({ message: 'Name cannot contain "›"' });
+      }
+      const newKey = name.trim().toLowerCase();
+      if (newKey !== oldKey) {
+        if (oldKey === FALLBACK_KEY) {
+          return res.status(400).json({ message: 'The Other category cannot be renamed' });
+        }
+        if (categories.some(other => other.type === category.type && other.key === newKey)) {
+          return res.status(409).json({ message: 'A category with this name already exists. Merge the categories instead.' });
+        }
+      }
+      category.name = name.trim();
+    }
+
+    if (parent !== undefined) {
+      const parentError = validateParent(categories, { id: category._id, type: category.type, parent });
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+      category.parent = parent || null;
+    }
+    if (icon) category.icon = icon;
+    if (color) category.color = color;
+
+    await category.save();
+
+    const { transactions } = await moveCategoryReferences(req.user._id, category.type, oldKey, category.key);
+    if (oldKey !== category.key) categorizer.scheduleRebuild(req.user._id);
+
+    res.json({ category, updatedTransactions: transactions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating category', error: error.message });
+  }
+});
+
+// Merge a category into another one of the same type, moving its transactions and subcategories
+router.post('/:id/merge', auth, async (req, res) => {
+  try {
+    const { targetId } = req.body;
+
+    const [source, target] = await Promise.all([
+      Category.findOne({ _id: req.params.id, user: req.user._id }),
+      Category.findOne({ _id: targetId, user: req.user._id })
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (String(source._id) === String(target._id)) {
+      return res.status(400).json({ message: 'Cannot merge a category into itself' });
+    }
+    if (source.type !== target.type) {
+      return res.status(400).json({ message: 'Only categories of the same type can be merged' });
+    }
+    if (source.key === FALLBACK_KEY) {
+      return res.status(400).json({ message: 'The Other category cannot be merged away' });
+    }
+
+    const { transactions } = await moveCategoryReferences(req.user._id, source.type, source.key, target.key);
+
+    // Subcategories of the source move under the target (or its parent, to keep one level)
+    if (target.parent && String(target.parent) === String(source._id)) {
+      target.parent = null;
+      await target.save();
+    }
+    await Category.updateMany(
+      { user: req.user._id, parent: source._id, _id: { $ne: target._id } },
+      { parent: target.parent || target._id }
+    );
+    await source.deleteOne();
+    categorizer.scheduleRebuild(req.user._id);
+
+    res.json({ message: 'Categories merged successfully', target, updatedTransactions: transactions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error merging categories', error: error.message });
+  }
+});
+
+// Delete a category. Its transactions move to Other and its subcategories become top level.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const category = await Category.findOne({ _id: req.params.id, user: req.user._id });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (category.key === FALLBACK_KEY) {
+      return res.status(400).json({ message: 'The Other category cannot be deleted' });
+    }
+
+    const { transactions } = await moveCategoryReferences(req.user._id, category.type, category.key, FALLBACK_KEY);
+    await Category.updateMany({ user: req.user._id, parent: category._id }, { parent: null });
+    await category.deleteOne();
+    categorizer.scheduleRebuild(req.user._id);
+
+    res.json({ message: 'Category deleted successfully', updatedTransactions: transactions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting category', error: error.message });
+  }
+});
+
+module.exports = router;
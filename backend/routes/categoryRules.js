@@ -0,0 +1,154 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const CategoryRule = require('../models/CategoryRule');
+const { getCategories, findCategory } = require('../services/categories');
+const { FIELD_OPERATORS, applyRulesToHistory } = require('../services/categoryRules');
+const categorizer = require('../services/categorizer');
+
+const router = express.Router();
+
+// Validate and normalize the editable fields of a rule
+const parseRuleInput = (body, categories, existing = null) => {
+  const data = {};
+
+  if (!existing || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Name is required' };
+    data.name = name;
+  }
+  if (!existing || body.type !== undefined) {
+    if (!['income', 'expense'].includes(body.type)) return { error: 'Invalid type' };
+    data.type = body.type;
+  }
+  if (!existing || body.conditions !== undefined) {
+    if (!Array.isArray(body.conditions) || body.conditions.length === 0) {
+      return { error: 'At least one condition is required' };
+    }
+    const conditions = [];
+    for (const condition of body.conditions) {
+      const operators = FIELD_OPERATORS[condition?.field];
+      if (!operators) return { error: 'Invalid condition field' };
+      if (!operators.includes(condition.operator)) return { error: `Invalid operator for ${condition.field}` };
+      const value = String(condition.value ?? '').trim();
+      if (!value) return { error: 'Condition value is required' };
+      if (condition.field === 'amount' && isNaN(parseFloat(value))) {
+        return { error: 'Amount conditions need a number' };
+      }
+      conditions.push({ field: condition.field, operator: condition.operator, value });
+    }
+    data.conditions = conditions;
+  }
+  // The category has to exist for the rule's (possibly new) type
+  if (!existing || body.category !== undefined || body.type !== undefined) {
+    const type = data.type || existing.type;
+    const category = findCategory(categories, body.category !== undefined ? body.category : existing.category, type);
+    if (!category) return { error: 'Unknown category' };
+    data.category = category.key;
+  }
+  if (body.active !== undefined) data.active = !!body.active;
+
+  return { data };
+};
+
+// Get all rules in priority order
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ user: req.user._id }).sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching rules', error: error.message });
+  }
+});
+
+// Create a rule. New rules are tried after the existing ones.
+router.post('/', auth, async (req, res) => {
+  try {
+    const { data, error } = parseRuleInput(req.body, await getCategories(req.user._id));
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const last = await CategoryRule.findOne({ user: req.user._id }).sort({ priority: -1 });
+    const rule = new CategoryRule({
+      ...data,
+      user: req.user._id,
+      priority: last ? last.priority + 1 : 0
+    });
+    await rule.save();
+
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating rule', error: error.message });
+  }
+});
+
+// Re-apply the active rules to all existing transactions
+router.post('/apply', auth, async (req, res) => {
+  try {
+    const { matched, updated } = await applyRulesToHistory(req.user._id);
+    console.log(`Re-applied category rules: ${matched} matched, ${updated} updated`);
+    if (updated > 0) categorizer.scheduleRebuild(req.user._id);
+    res.json({ message: 'Rules applied successfully', matched, updated });
+  } catch (error) {
+    res.status(500).json({ message: 'Error applying rules', error: error.message });
+  }
+});
+
+// Set the order rules are tried in: { ids: [first, second, ...] }
+router.put('/reorder', auth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids)) {
+      return res.status(400).json({ message: 'ids must be an array' });
+    }
+
+    await CategoryRule.bulkWrite(ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, user: req.user._id },
+        update: { priority: index }
+      }
+    })));
+
+    const rules = await CategoryRule.find({ user: req.user._id }).sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ message: 'Error reordering rules', error: error.message });
+  }
+});
+
+// Update a rule
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const rule = await CategoryRule.findOne({ _id: req.params.id, user: req.user._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    const { data, error } = parseRuleInput(req.body, await getCategories(req.user._id), rule);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    rule.set(data);
+    await rule.save();
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating rule', error: error.message });
+  }
+});
+
+// Delete a rule
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await CategoryRule.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting rule', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const {
+  normalizeCurrency,
+  parseRateInput,
+  parseRatesFile,
+  recalculateBaseAmounts,
+  countUnconverted
+} = require('../services/currency');
+
+const router = express.Router();
+
+// Rate files are small, so they are parsed from memory
+const rateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and JSON rate files are allowed'), false);
+    }
+  }
+});
+
+// Get the base currency, stored rates and the currencies transactions use
+router.get('/', auth, async (req, res) => {
+  try {
+    const { baseCurrency } = req.user;
+    const [rates, used, unconvertedCount] = await Promise.all([
+      ExchangeRate.find({ user: req.user._id }).sort({ date: -1, from: 1 }).lean(),
+      Transaction.distinct('currency', { user: req.user._id }),
+      countUnconverted(req.user._id, baseCurrency)
+    ]);
+
+    res.json({
+      baseCurrency,
+      rates,
+      currencies: [...new Set([baseCurrency, ...used.filter(Boolean)])].sort(),
+      unconvertedCount
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching currencies', error: error.message });
+  }
+});
+
+// Change the base currency and convert every transaction to it
+router.put('/base', auth, async (req, res) => {
+  try {
+    const baseCurrency = normalizeCurrency(req.body.baseCurrency);
+    if (!baseCurrency) {
+      return res.status(400).json({ message: 'Currency must be a 3-letter code like USD' });
+    }
+
+    // Records without a currency were in the old base currency, so pin it first
+    await Transaction.updateMany(
+      { user: req.user._id, currency: null },
+      { currency: req.user.baseCurrency }
+    );
+    req.user.baseCurrency = baseCurrency;
+    await req.user.save();
+    const result = await recalculateBaseAmounts(req.user._id, baseCurrency);
+
+    res.json({ baseCurrency, ...result });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating base currency', error: error.message });
+  }
+});
+
+// Add or replace the rate for a currency pair on a date
+router.post('/rates', auth, async (req, res) => {
+  try {
+    const { data, error } = parseRateInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { user: req.user._id, from: data.from, to: data.to, date: data.date },
+      { rate: data.rate, source: 'manual' },
+      { new: true, upsert: true, runValidators: true }
+    );
+    const result = await recalculateBaseAmounts(req.user._id, req.user.baseCurrency);
+
+    res.status(201).json({ rate, ...result });
+  } catch (error) {
+    res.status(500).json({ message: 'Error saving exchange rate', error: error.message });
+  }
+});
+
+// Load rates from a CSV or JSON file. Rows that fail validation are reported and skipped.
+router.post('/rates/import', auth, rateUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { rates, errors } = parseRatesFile(req.file.buffer.toString('utf8'), req.file.originalname);
+    if (rates.length === 0) {
+      return res.status(400).json({ message: 'No valid rates found in the file', errors });
+    }
+
+    await ExchangeRate.bulkWrite(rates.map(({ from, to, date, rate }) => ({
+      updateOne: {
+        filter: { user: req.user._id, from, to, date },
+        update: { rate, source: 'import' },
+        upsert: true
+      }
+    })));
+    const result = await recalculateBaseAmounts(req.user._id, req.user.baseCurrency);
+
+    res.json({ imported: rates.length, errors, ...result });
+  } catch (error) {
+    res.status(500).json({ message: 'Error importing exchange rates', error: error.message });
+  }
+});
+
+// Delete a rate
+router.delete('/rates/:id', auth, async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!rate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    const result = await recalculateBaseAmounts(req.user._id, req.user.baseCurrency);
+    res.json({ message: 'Exchange rate deleted successfully', ...result });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting exchange rate', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const path = require('path');
+const { getStorage, verifySignedParams } = require('../services/storage');
+
+const router = express.Router();
+
+// Serve a stored file through a signed link. There is no auth header here: the
+// signature in the query proves the link was handed out to the file's owner.
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    if (!verifySignedParams(key, req.query)) {
+      return res.status(403).json({ message: 'This link is invalid or has expired' });
+    }
+
+    const stream = await getStorage().get(key);
+    if (!stream) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.type(path.extname(key));
+    if (req.query.disposition === 'attachment') {
+      res.attachment(req.query.filename || path.basename(key));
+    } else {
+      res.set('Content-Disposition', 'inline');
+    }
+    res.set('Cache-Control', 'private, max-age=300');
+    stream.on('error', (error) => {
+      console.error('Error streaming file:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Error reading file' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching file', error: error.message });
+  }
+});
+
+module.exports = router;
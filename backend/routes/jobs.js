@@ -0,0 +1,117 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const ExtractionJob = require('../models/ExtractionJob');
+const { getStorage } = require('../services/storage');
+const { toJobJSON, retryJob } = require('../services/jobQueue');
+
+const router = express.Router();
+
+// How often the progress stream checks a job, and sends a keep-alive comment
+const EVENTS_POLL_MS = 1000;
+const KEEP_ALIVE_MS = 15000;
+
+const isFinished = (job) => job.status === 'done' || job.status === 'failed';
+
+// Get a job's status, and its result once done
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const job = await ExtractionJob.findOne({ _id: req.params.id, user: req.user._id });
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    res.json(toJobJSON(job));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching job', error: error.message });
+  }
+});
+
+// Stream a job's progress as server-sent events. Every change sends the job as
+// JSON; the stream ends once the job is done or has failed.
+router.get('/:id/events', auth, async (req, res) => {
+  try {
+    const job = await ExtractionJob.findOne({ _id: req.params.id, user: req.user._id });
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // stop proxies from holding events back
+    });
+    res.flushHeaders();
+
+    let last = '';
+    let lastSent = Date.now();
+    const send = (current) => {
+      const data = JSON.stringify(toJobJSON(current));
+      if (data !== last) {
+        res.write(`data: ${data}\n\n`);
+        last = data;
+        lastSent = Date.now();
+      }
+    };
+
+    send(job);
+    if (isFinished(job)) {
+      return res.end();
+    }
+
+    // Jobs may run on another instance, so changes are read back from the database
+    const poll = setInterval(async () => {
+      try {
+        const current = await ExtractionJob.findById(job._id);
+        if (!current) {
+          clearInterval(poll);
+          return res.end();
+        }
+        send(current);
+        if (isFinished(current)) {
+          clearInterval(poll);
+          return res.end();
+        }
+        if (Date.now() - lastSent >= KEEP_ALIVE_MS) {
+          res.write(': keep-alive\n\n');
+          lastSent = Date.now();
+        }
+      } catch (error) {
+        console.error('Job events error:', error.message);
+      }
+    }, EVENTS_POLL_MS);
+
+    req.on('close', () => clearInterval(poll));
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error streaming job progress', error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Run a failed job again with the same upload
+router.post('/:id/retry', auth, async (req, res) => {
+  try {
+    const job = await ExtractionJob.findOne({ _id: req.params.id, user: req.user._id });
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({ message: 'Only failed jobs can be retried' });
+    }
+    if (!await getStorage().exists(job.fileKey)) {
+      return res.status(410).json({ message: 'The uploaded file is no longer available. Please upload it again.' });
+    }
+
+    const retried = await retryJob(job);
+    if (!retried) {
+      return res.status(409).json({ message: 'Only failed jobs can be retried' });
+    }
+    res.json(toJobJSON(retried));
+  } catch (error) {
+    res.status(500).json({ message: 'Error retrying job', error: error.message });
+  }
+});
+
+module.exports = router;
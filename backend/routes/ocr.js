@@ -0,0 +1,62 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { listLanguages } = require('../services/ocr');
+const { normalizeLocale } = require('../services/locale');
+
+const router = express.Router();
+
+// Every extra language makes reading a receipt slower
+const MAX_OCR_LANGUAGES = 3;
+
+const toSettingsJSON = (user) => ({
+  locale: user.locale,
+  ocrLanguages: user.ocrLanguages,
+  availableLanguages: listLanguages()
+});
+
+// Get the user's OCR languages and locale, and the languages installed on the server
+router.get('/settings', auth, (req, res) => {
+  try {
+    res.json(toSettingsJSON(req.user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching OCR settings', error: error.message });
+  }
+});
+
+// Change the OCR languages and/or locale used to read the user's receipts
+router.put('/settings', auth, async (req, res) => {
+  try {
+    const { locale, ocrLanguages } = req.body;
+
+    if (locale !== undefined) {
+      const normalized = normalizeLocale(locale);
+      if (!normalized) {
+        return res.status(400).json({ message: 'Locale must be a language tag like en-US or de-DE' });
+      }
+      req.user.locale = normalized;
+    }
+
+    if (ocrLanguages !== undefined) {
+      const languages = [...new Set(Array.isArray(ocrLanguages) ? ocrLanguages.map(String) : [])];
+      if (languages.length === 0) {
+        return res.status(400).json({ message: 'Choose at least one OCR language' });
+      }
+      if (languages.length > MAX_OCR_LANGUAGES) {
+        return res.status(400).json({ message: `Choose at most ${MAX_OCR_LANGUAGES} OCR languages` });
+      }
+      const available = listLanguages();
+      const missing = languages.filter(language => !available.includes(language));
+      if (missing.length > 0) {
+        return res.status(400).json({ message: `OCR language data is not installed for: ${missing.join(', ')}` });
+      }
+      req.user.ocrLanguages = languages;
+    }
+
+    await req.user.save();
+    res.json(toSettingsJSON(req.user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating OCR settings', error: error.message });
+  }
+});
+
+module.exports = router;
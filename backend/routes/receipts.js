@@ -0,0 +1,165 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const path = require('path');
+const auth = require('../middleware/auth');
+const Receipt = require('../models/Receipt');
+const Transaction = require('../models/Transaction');
+const { getStorage } = require('../services/storage');
+const {
+  saveReceipt,
+  deleteReceipt,
+  replaceTransactionReceipt,
+  getReceiptUrls,
+  toReceiptJSON
+} = require('../services/receipts');
+
+const router = express.Router();
+
+// Receipts go straight to storage, so they are kept in memory until then
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    if (extname && mimetype) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG, and PDF files are allowed'));
+    }
+  }
+});
+
+// Where the browser reaches this server, for signed links to local files
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Pipe a stored file to the response
+const sendFile = async (res, key, headers) => {
+  const stream = await getStorage().get(key);
+  if (!stream) {
+    return res.status(404).json({ message: 'Receipt file not found' });
+  }
+  res.set({ ...headers, 'Cache-Control': 'private, max-age=86400' });
+  stream.on('error', (error) => {
+    console.error('Error streaming receipt:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error reading receipt file' });
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+};
+
+// Attach a receipt to an existing transaction, replacing any it already has
+router.post('/', auth, upload.single('receipt'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.body.transactionId)) {
+      return res.status(400).json({ message: 'A valid transactionId is required' });
+    }
+
+    const transaction = await Transaction.findOne({ _id: req.body.transactionId, user: req.user._id });
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    const receipt = await saveReceipt(req.user._id, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
+    await replaceTransactionReceipt(transaction, receipt);
+    res.status(201).json(toReceiptJSON(receipt));
+  } catch (error) {
+    res.status(500).json({ message: 'Error saving receipt', error: error.message });
+  }
+});
+
+// Get a receipt's details
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+    res.json(toReceiptJSON(receipt));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching receipt', error: error.message });
+  }
+});
+
+// Get short-lived signed links to the receipt file and its thumbnail, for use in
+// <img> tags and downloads. ?download=1 makes the file link download the file.
+router.get('/:id/url', auth, async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+    const urls = await getReceiptUrls(receipt, {
+      download: !!req.query.download,
+      baseUrl: requestBaseUrl(req)
+    });
+    res.json({ ...toReceiptJSON(receipt), ...urls });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating receipt link', error: error.message });
+  }
+});
+
+// Download the receipt file. It is shown inline unless ?download=1 is passed.
+router.get('/:id/file', auth, async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    if (req.query.download) {
+      res.attachment(receipt.originalName || path.basename(receipt.key));
+    } else {
+      res.set('Content-Disposition', 'inline');
+    }
+    await sendFile(res, receipt.key, { 'Content-Type': receipt.mimeType });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching receipt', error: error.message });
+  }
+});
+
+// Get the receipt's thumbnail. PDFs have none.
+router.get('/:id/thumbnail', auth, async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!receipt || !receipt.thumbnailKey) {
+      return res.status(404).json({ message: 'Thumbnail not found' });
+    }
+    await sendFile(res, receipt.thumbnailKey, { 'Content-Type': 'image/jpeg' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching thumbnail', error: error.message });
+  }
+});
+
+// Delete a receipt and detach it from its transaction
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ _id: req.params.id, user: req.user._id });
+    if (!receipt) {
+      return res.status(404).json({ message: 'Receipt not found' });
+    }
+
+    await deleteReceipt(receipt);
+    if (receipt.transaction) {
+      await Transaction.updateOne({ _id: receipt.transaction, user: req.user._id }, { receipt: null });
+    }
+    res.json({ message: 'Receipt deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting receipt', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Transaction = require('../models/Transaction');
+const { getNextOccurrence, getUpcomingOccurrences, processRule } = require('../services/recurringScheduler');
+const { getCategories, resolveCategory } = require('../services/categories');
+
+const router = express.Router();
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Attach the next few occurrences to a rule for the management screen
+const withUpcoming = (rule) => ({
+  ...rule.toObject(),
+  upcoming: getUpcomingOccurrences(rule, 3)
+});
+
+// Validate and normalize the editable fields of a rule
+const parseRuleInput = (body, partial = false) => {
+  const data = {};
+
+  if (!partial || body.type !== undefined) {
+    if (!['income', 'expense'].includes(body.type)) return { error: 'Invalid type' };
+    data.type = body.type;
+  }
+  if (!partial || body.amount !== undefined) {
+    const amount = parseFloat(body.amount);
+    if (isNaN(amount) || amount <= 0) return { error: 'Invalid amount' };
+    data.amount = amount;
+  }
+  if (!partial || body.description !== undefined) {
+    const description = body.description?.trim();
+    if (!description) return { error: 'Missing description' };
+    data.description = description;
+  }
+  if (!partial || body.frequency !== undefined) {
+    if (!FREQUENCIES.includes(body.frequency)) return { error: 'Invalid frequency' };
+    data.frequency = body.frequency;
+  }
+  if (!partial || body.startDate !== undefined) {
+    const startDate = body.startDate ? new Date(body.startDate) : new Date();
+    if (isNaN(startDate.getTime())) return { error: 'Invalid start date' };
+    data.startDate = startDate;
+  }
+  if (body.endDate !== undefined) {
+    const endDate = body.endDate ? new Date(body.endDate) : null;
+    if (endDate && isNaN(endDate.getTime())) return { error: 'Invalid end date' };
+    data.endDate = endDate;
+  }
+  if (body.category !== undefined || !partial) {
+    data.category = body.category ? body.category.toLowerCase() : 'other';
+  }
+  if (body.interval !== undefined) {
+    const interval = parseInt(body.interval);
+    if (isNaN(interval) || interval < 1) return { error: 'Invalid interval' };
+    data.interval = interval;
+  }
+  if (body.merchant !== undefined) data.merchant = body.merchant || null;
+  if (body.skipNext !== undefined) data.skipNext = !!body.skipNext;
+  if (body.active !== undefined) data.active = !!body.active;
+
+  return { data };
+};
+
+// Get all recurring rules with their upcoming occurrences
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await RecurringTransaction.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(rules.map(withUpcoming));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching recurring transactions', error: error.message });
+  }
+});
+
+// Get single rule with the transactions it has created
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const rule = await RecurringTransaction.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    const transactions = await Transaction.find({ recurring: rule._id, user: req.user._id })
+      .sort({ date: -1 })
+      .limit(50);
+
+    res.json({ ...withUpcoming(rule), transactions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching recurring transaction', error: error.message });
+  }
+});
+
+// Add new recurring rule
+router.post('/', auth, async (req, res) => {
+  try {
+    const { data, error } = parseRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    data.category = resolveCategory(await getCategories(req.user._id), data.category, data.type);
+
+    const rule = new RecurringTransaction({
+      ...data,
+      user: req.user._id,
+      nextRunDate: data.startDate
+    });
+    await rule.save();
+
+    // Materialize anything already due (e.g. a start date in the past)
+    await processRule(rule);
+
+    res.status(201).json(withUpcoming(rule));
+  } catch (error) {
+    console.error('Error creating recurring transaction:', error);
+    res.status(500).json({ message: 'Error creating recurring transaction', error: error.message });
+  }
+});
+
+// Update recurring rule
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { data, error } = parseRuleInput(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rule = await RecurringTransaction.findOne({ _id: req.params.id, user: req.user._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    // Keep the category valid for the rule's (possibly new) type
+    if (data.category !== undefined || data.type !== undefined) {
+      data.category = resolveCategory(
+        await getCategories(req.user._id),
+        data.category !== undefined ? data.category : rule.category,
+        data.type || rule.type
+      );
+    }
+
+    const scheduleChanged = ['frequency', 'interval', 'startDate'].some(field =>
+      data[field] !== undefined && String(data[field]) !== String(rule[field])
+    );
+
+    rule.set(data);
+
+    // A new schedule restarts from the later of the start date and the last run
+    if (scheduleChanged) {
+      rule.nextRunDate = rule.lastRunDate && rule.lastRunDate >= rule.startDate
+        ? getNextOccurrence(rule, rule.lastRunDate)
+        : rule.startDate;
+    }
+    if (data.active && (!rule.endDate || rule.nextRunDate <= rule.endDate)) {
+      rule.active = true;
+    }
+
+    await rule.save();
+    if (rule.active) {
+      await processRule(rule);
+    }
+
+    res.json(withUpcoming(rule));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating recurring transaction', error: error.message });
+  }
+});
+
+// Toggle skipping the next occurrence
+router.post('/:id/skip-next', auth, async (req, res) => {
+  try {
+    const rule = await RecurringTransaction.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    rule.skipNext = req.body.skipNext !== undefined ? !!req.body.skipNext : !rule.skipNext;
+    await rule.save();
+
+    res.json(withUpcoming(rule));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating recurring transaction', error: error.message });
+  }
+});
+
+// Delete recurring rule (transactions already created are kept)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await RecurringTransaction.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Recurring transaction not found' });
+    }
+
+    res.json({ message: 'Recurring transaction deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting recurring transaction', error: error.message });
+  }
+});
+
+module.exports = router;
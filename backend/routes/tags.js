@@ -0,0 +1,102 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Transaction = require('../models/Transaction');
+const { MAX_TAGS, normalizeTags, getTagCounts, getTagReport } = require('../services/tags');
+
+const router = express.Router();
+
+// Most transactions one bulk tagging request can change
+const MAX_BULK_TRANSACTIONS = 1000;
+
+// Get the tags in use with how many transactions carry each
+router.get('/', auth, async (req, res) => {
+  try {
+    const tags = await getTagCounts(req.user._id);
+    res.json(tags.map(row => ({ tag: row._id, count: row.count, lastUsed: row.lastUsed })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tags', error: error.message });
+  }
+});
+
+// Get income and spending per tag for an optional date range
+router.get('/report', auth, async (req, res) => {
+  try {
+    const match = { user: req.user._id };
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+    if ((startDate && !isNaN(startDate)) || (endDate && !isNaN(endDate))) {
+      match.date = {};
+      if (startDate && !isNaN(startDate)) match.date.$gte = startDate;
+      if (endDate && !isNaN(endDate)) match.date.$lte = endDate;
+    }
+
+    const rows = await getTagReport(match);
+    res.json({
+      baseCurrency: req.user.baseCurrency,
+      tags: rows.map(row => ({
+        tag: row._id,
+        income: row.income,
+        expense: row.expense,
+        net: row.income - row.expense,
+        count: row.count,
+        firstDate: row.firstDate,
+        lastDate: row.lastDate
+      }))
+    });
+  } catch (error) {
+    console.error('Tag report error:', error);
+    res.status(500).json({ message: 'Error fetching tag report', error: error.message });
+  }
+});
+
+// Add and/or remove tags on many transactions at once
+router.post('/assign', auth, async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body.transactionIds)
+      ? req.body.transactionIds.filter(id => mongoose.Types.ObjectId.isValid(id))
+      : [];
+    const add = normalizeTags(req.body.add);
+    const remove = normalizeTags(req.body.remove).filter(tag => !add.includes(tag));
+
+    if (ids.length === 0) {
+      return res.status(400).json({ message: 'No transactions selected' });
+    }
+    if (ids.length > MAX_BULK_TRANSACTIONS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_TRANSACTIONS} transactions can be tagged at once` });
+    }
+    if (add.length === 0 && remove.length === 0) {
+      return res.status(400).json({ message: 'No tags to add or remove' });
+    }
+
+    const filter = { _id: { $in: ids }, user: req.user._id };
+    let modified = 0;
+    // Adding and removing touch the same array, so they are separate updates
+    if (add.length > 0) {
+      // New tags go after the existing ones, up to MAX_TAGS on each transaction.
+      // $literal keeps a tag starting with $ from being read as a field.
+      const tags = { $ifNull: ['$tags', []] };
+      const result = await Transaction.updateMany(filter, [{
+        $set: {
+          tags: {
+            $slice: [
+              { $concatArrays: [tags, { $filter: { input: { $literal: add }, cond: { $not: [{ $in: ['$$this', tags] }] } } }] },
+              MAX_TAGS
+            ]
+          }
+        }
+      }]);
+      modified += result.modifiedCount;
+    }
+    if (remove.length > 0) {
+      const result = await Transaction.updateMany(filter, { $pull: { tags: { $in: remove } } });
+      modified += result.modifiedCount;
+    }
+
+    res.json({ message: 'Tags updated successfully', added: add, removed: remove, modified });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating tags', error: error.message });
+  }
+});
+
+module.exports = router;
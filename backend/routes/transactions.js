@@ -1,30 +1,50 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-const Tesseract = require('tesseract.js');
-const pdfParse = require('pdf-parse');
 const auth = require('../middleware/auth');
 const Transaction = require('../models/Transaction');
+const Receipt = require('../models/Receipt');
+const ReviewItem = require('../models/ReviewItem');
+const ImportMapping = require('../models/ImportMapping');
+const statementParser = require('../services/statementParser');
+const { exporters } = require('../services/exporters');
+const duplicateDetector = require('../services/duplicateDetector');
+const { getCategories, resolveCategory, findCategory, expandCategory, FALLBACK_KEY } = require('../services/categories');
+const { getActiveRules, findMatchingRule, applyRules } = require('../services/categoryRules');
+const categorizer = require('../services/categorizer');
+const { TRANSFER_CATEGORY, validateTransactionAccounts, getAccountCurrency } = require('../services/accounts');
+const { normalizeCurrency, getConverter, applyExchangeRate } = require('../services/currency');
+const { categoryMatch, categoryLineStages, baseAmountStages, parseSplits, primaryCategory } = require('../services/splits');
+const { normalizeTags } = require('../services/tags');
+const { normalizeItems, normalizeBreakdown } = require('../services/receiptTotals');
+const { saveReceipt, attachReceipt, deleteReceipt, deleteTransactionReceipt } = require('../services/receipts');
+const { getStorage, userKey } = require('../services/storage');
+const { enqueueJob, toJobJSON } = require('../services/jobQueue');
+const { localeFormat } = require('../services/locale');
+const { MAX_BATCH_FILES, MAX_ZIP_SIZE, batchUploadStorage, unpackReceiptFiles, toReviewItemJSON, applyReviewEdits, toTransactionInput } = require('../services/reviewQueue');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = 'uploads';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir);
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + path.extname(file.originalname));
+// Run a multer middleware, replying with why an upload was refused rather
+// than letting the error through as a server error
+const acceptUpload = (middleware, { tooLarge, tooMany } = {}) => (req, res, next) => middleware(req, res, (error) => {
+  if (!error) return next();
+  // multer stops reading at the error; the rest of the body is discarded so
+  // the client is not left waiting to send it
+  req.resume();
+  if (error.code === 'LIMIT_FILE_SIZE' && tooLarge) {
+    return res.status(413).json({ message: tooLarge });
   }
+  if ((error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') && tooMany) {
+    return res.status(400).json({ message: tooMany });
+  }
+  res.status(400).json({ message: error.message });
 });
 
+// Uploads are read in memory; receipts worth keeping go to file storage
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|pdf/;
@@ -38,25 +58,196 @@ const upload = multer({
   }
 });
 
+const acceptReceipt = acceptUpload(upload.single('receipt'), { tooLarge: 'Receipts can be at most 5MB' });
+
+// Batch receipt uploads take many images and PDFs, or zip archives of them.
+// Receipts are limited to 5MB, zips to 50MB and the whole upload to 100MB.
+const batchUpload = multer({
+  storage: batchUploadStorage,
+  limits: { fileSize: MAX_ZIP_SIZE, files: MAX_BATCH_FILES },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|pdf|zip/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG, PDF and ZIP files are allowed'));
+    }
+  }
+});
+
+const acceptReceipts = acceptUpload(batchUpload.array('receipts', MAX_BATCH_FILES), {
+  tooLarge: 'Receipts can be at most 5MB and zip files 50MB, up to 100MB in one upload',
+  tooMany: `Upload at most ${MAX_BATCH_FILES} files at once, or put them in a zip`
+});
+
+// PDF statements covering a year can be large, so their limit is configurable
+const PDF_MAX_SIZE_MB = parseInt(process.env.PDF_MAX_SIZE_MB) || 20;
+
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PDF_MAX_SIZE_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed'));
+    }
+  }
+});
+
+const acceptPdf = acceptUpload(pdfUpload.single('pdf'), { tooLarge: `PDF files can be at most ${PDF_MAX_SIZE_MB}MB` });
+
+// Statement imports are parsed in memory, so nothing is written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /csv|ofx|qfx|txt/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, OFX and QFX files are allowed'));
+    }
+  }
+});
+
+// Category keys picked by the category filter, including subcategories, or null for all
+const getCategoryFilter = async (userId, { category, type }) => {
+  if (!category || category === 'all') return null;
+  const categories = await getCategories(userId);
+  return expandCategory(categories, category.toLowerCase(), type && type !== 'all' ? type : undefined);
+};
+
+// Build a Mongo filter from the shared list/summary/analytics query parameters.
+// A category filter also matches its subcategories and split transactions with a line in it.
+const buildFilterQuery = async (userId, params) => {
+  const startDate = params.startDate ? new Date(params.startDate) : null;
+  const endDate = params.endDate ? new Date(params.endDate) : null;
+  const { type, search, account } = params;
+  // Transactions carrying every one of the given tags
+  const tags = params.tags ? normalizeTags(params.tags) : [];
+
+  const query = { user: userId };
+
+  if ((startDate && !isNaN(startDate)) || (endDate && !isNaN(endDate))) {
+    query.date = {};
+    if (startDate && !isNaN(startDate)) query.date.$gte = startDate;
+    if (endDate && !isNaN(endDate)) query.date.$lte = endDate;
+  }
+  if (type && type !== 'all') query.type = type;
+  // An account filter includes transfers into the account
+  if (account && account !== 'all' && mongoose.Types.ObjectId.isValid(account)) {
+    const accountId = new mongoose.Types.ObjectId(account);
+    query.$or = [{ account: accountId }, { toAccount: accountId }];
+  }
+  const categoryKeys = await getCategoryFilter(userId, params);
+  if (categoryKeys) {
+    query.$and = [categoryMatch(categoryKeys)];
+  }
+  if (tags.length > 0) query.tags = { $all: tags };
+  if (search && search.trim()) {
+    const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.description = { $regex: escaped, $options: 'i' };
+  }
+
+  return query;
+};
+
+// Validate and clean transactions from bulk-create and statement imports.
+// The user's categorization rules win over the category in the file or from the AI.
+// Rows without a readable date are saved as today unless `requireDate` is set.
+const validateTransactions = (transactions, userId, categories, rules = [], { requireDate = false } = {}) => {
+  const validTransactions = [];
+  const validIndexes = [];
+  const invalidTransactions = [];
+
+  transactions.forEach((transaction, index) => {
+    try {
+      // Ensure amount is a valid number
+      const amount = parseFloat(transaction.amount);
+      if (isNaN(amount) || amount <= 0) {
+        invalidTransactions.push({ index, reason: 'Invalid amount' });
+        return;
+      }
+
+      // Ensure description exists and is not empty
+      const description = transaction.description?.trim();
+      if (!description || description.length === 0) {
+        invalidTransactions.push({ index, reason: 'Missing description' });
+        return;
+      }
+
+      // Imported rows keep the date they were read with, so one that could not
+      // be read is reported rather than saved as today
+      if (requireDate && (!transaction.date || isNaN(new Date(transaction.date).getTime()))) {
+        invalidTransactions.push({ index, reason: 'Invalid date' });
+        return;
+      }
+
+      // Validate date
+      let date;
+      try {
+        date = transaction.date ? new Date(transaction.date) : new Date();
+        if (isNaN(date.getTime())) {
+          date = new Date();
+        }
+      } catch (dateError) {
+        date = new Date();
+      }
+
+      // Validate type
+      const type = ['income', 'expense'].includes(transaction.type) ? transaction.type : 'expense';
+
+      // Match the category against the user's categories for this type
+      const rule = findMatchingRule(rules, { ...transaction, type });
+      let category = rule ? rule.category : resolveCategory(categories, transaction.category, type);
+
+      const { splits, error: splitError } = parseSplits(transaction.splits, { amount, type, categories });
+      if (splitError) {
+        invalidTransactions.push({ index, reason: splitError });
+        return;
+      }
+      if (splits.length > 0) category = primaryCategory(splits);
+
+      validTransactions.push({
+        user: userId,
+        amount: amount,
+        description: description,
+        date: date.toISOString(),
+        type: type,
+        category: category,
+        merchant: transaction.merchant || null,
+        currency: normalizeCurrency(transaction.currency),
+        items: normalizeItems(transaction.items),
+        breakdown: normalizeBreakdown(transaction.breakdown),
+        splits,
+        tags: normalizeTags(transaction.tags),
+        notes: typeof transaction.notes === 'string' ? transaction.notes : ''
+      });
+      validIndexes.push(index);
+    } catch (error) {
+      invalidTransactions.push({ index, reason: 'Invalid transaction data' });
+    }
+  });
+
+  return { validTransactions, validIndexes, invalidTransactions };
+};
+
+// Keep the learned categorizer in step with saved transactions. Failures only
+// affect suggestions, so they are logged rather than failing the request.
+const updateCategorizer = (userId, { added = [], removed = [] }) => {
+  categorizer.unlearn(userId, removed)
+    .then(() => categorizer.learn(userId, added))
+    .catch(error => console.error('Categorizer update failed:', error.message));
+};
+
 // Get all transactions with pagination and filtering
 router.get('/', auth, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
-    const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
-    const type = req.query.type;
-    const category = req.query.category;
 
-    const query = { user: req.user._id };
-
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = startDate;
-      if (endDate) query.date.$lte = endDate;
-    }
-    if (type) query.type = type;
-    if (category) query.category = category;
+    const query = await buildFilterQuery(req.user._id, req.query);
 
     const total = await Transaction.countDocuments(query);
     const transactions = await Transaction.find(query)
@@ -75,27 +266,202 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get income, expense and balance totals for the filtered transactions
+router.get('/summary', auth, async (req, res) => {
+  try {
+    const [query, categoryKeys] = await Promise.all([
+      buildFilterQuery(req.user._id, req.query),
+      getCategoryFilter(req.user._id, req.query)
+    ]);
+
+    // With a category filter, split transactions count only their lines in it
+    const totals = await Transaction.aggregate([
+      { $match: query },
+      ...baseAmountStages(categoryKeys),
+      {
+        $group: {
+          _id: '$type',
+          total: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    // Totals are in the base currency
+    const { baseCurrency } = req.user;
+    const summary = { totalIncome: 0, totalExpenses: 0, balance: 0, count: 0, baseCurrency };
+    totals.forEach(row => {
+      if (row._id === 'income') summary.totalIncome = row.total;
+      if (row._id === 'expense') summary.totalExpenses = row.total;
+      summary.count += row.count;
+    });
+    summary.balance = summary.totalIncome - summary.totalExpenses;
+    // Foreign-currency transactions with no rate are counted at their original amount
+    summary.unconvertedCount = await Transaction.countDocuments({
+      ...query,
+      currency: { $nin: [null, baseCurrency] },
+      baseAmount: null
+    });
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Summary error:', error);
+    res.status(500).json({ message: 'Error fetching summary', error: error.message });
+  }
+});
+
+// Get category breakdown and per-month income/expense series for the filtered transactions.
+// The breakdown counts each line of a split transaction under its own category.
+router.get('/analytics', auth, async (req, res) => {
+  try {
+    const [query, categoryKeys] = await Promise.all([
+      buildFilterQuery(req.user._id, req.query),
+      getCategoryFilter(req.user._id, req.query)
+    ]);
+    // Category breakdown defaults to expenses unless a type filter is given
+    const categoryType = req.query.type && req.query.type !== 'all' ? req.query.type : 'expense';
+
+    const [categories, monthly] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { ...query, type: categoryType } },
+        ...categoryLineStages(categoryKeys),
+        {
+          $group: {
+            _id: '$line.category',
+            total: { $sum: '$line.amount' },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { total: -1 } }
+      ]),
+      Transaction.aggregate([
+        { $match: query },
+        ...baseAmountStages(categoryKeys),
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m', date: '$date' } },
+            income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] } },
+            expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    res.json({
+      categoryType,
+      baseCurrency: req.user.baseCurrency,
+      categories: categories.map(row => ({ category: row._id, total: row.total, count: row.count })),
+      monthly: monthly.map(row => ({ month: row._id, income: row.income, expense: row.expense }))
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ message: 'Error fetching analytics', error: error.message });
+  }
+});
+
+// Suggest categories for a transaction being entered, from the user's own history
+router.post('/suggest-category', auth, async (req, res) => {
+  try {
+    const { description, merchant, amount, type } = req.body;
+    const suggestions = await categorizer.suggest(req.user._id, { description, merchant, amount, type });
+    res.json({ suggestions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error suggesting category', error: error.message });
+  }
+});
+
 // Add new transaction
 router.post('/', auth, async (req, res) => {
   try {
     console.log('Creating transaction with data:', req.body);
     
-    // Convert items array from strings to objects if needed
-    let items = req.body.items || [];
-    if (Array.isArray(items) && items.length > 0 && typeof items[0] === 'string') {
-      items = items.map(item => ({ description: item, amount: 0 }));
+    // Accounts must be the user's own, and transfers need both ends
+    const isTransfer = req.body.type === 'transfer';
+    const accounts = {
+      account: req.body.account || null,
+      toAccount: isTransfer ? req.body.toAccount || null : null
+    };
+    const accountError = await validateTransactionAccounts(req.user._id, { type: req.body.type, ...accounts });
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
     }
-    
+
+    let category = TRANSFER_CATEGORY;
+    let splits = [];
+    if (!isTransfer) {
+      // Category must be one of the user's categories for this type
+      const categories = await getCategories(req.user._id);
+      if (req.body.category && !findCategory(categories, req.body.category, req.body.type)) {
+        return res.status(400).json({ message: 'Unknown category' });
+      }
+      category = resolveCategory(categories, req.body.category, req.body.type);
+
+      // Categorization rules fill in the category when none was picked
+      if (category === FALLBACK_KEY) {
+        const rule = findMatchingRule(await getActiveRules(req.user._id), req.body);
+        if (rule) category = rule.category;
+      }
+
+      const parsed = parseSplits(req.body.splits, {
+        amount: parseFloat(req.body.amount),
+        type: req.body.type,
+        categories
+      });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      splits = parsed.splits;
+      if (splits.length > 0) category = primaryCategory(splits);
+    }
+
+    // Amounts are in the given currency, else the account's, else the user's base currency
+    if (req.body.currency && !normalizeCurrency(req.body.currency)) {
+      return res.status(400).json({ message: 'Currency must be a 3-letter code like USD' });
+    }
+    const currency = normalizeCurrency(req.body.currency)
+      || await getAccountCurrency(req.user._id, accounts.account)
+      || req.user.baseCurrency;
+
+    // A receipt uploaded with the form is linked once the transaction is saved
+    let receiptId = null;
+    if (req.body.receipt) {
+      const receipt = mongoose.Types.ObjectId.isValid(req.body.receipt)
+        && await Receipt.findOne({ _id: req.body.receipt, user: req.user._id, transaction: null });
+      if (!receipt) {
+        return res.status(400).json({ message: 'Receipt not found or already attached to a transaction' });
+      }
+      receiptId = receipt._id;
+    }
+
     const transaction = new Transaction({
       ...req.body,
+      ...accounts,
       user: req.user._id,
       date: req.body.date || new Date(), // Use current date if not provided
-      category: req.body.category ? req.body.category.toLowerCase() : 'other', // Ensure category is lowercase
-      items: items // Use the converted items array
+      category,
+      splits,
+      tags: normalizeTags(req.body.tags),
+      currency,
+      receipt: receiptId,
+      // Plain item names are kept without a price rather than as zero
+      items: normalizeItems(req.body.items),
+      breakdown: normalizeBreakdown(req.body.breakdown)
     });
+    applyExchangeRate(transaction, await getConverter(req.user._id, req.user.baseCurrency));
+
+    // Refuse likely duplicates unless the client confirms them
+    if (!req.body.allowDuplicate) {
+      const duplicateOf = await duplicateDetector.findDuplicate(req.user._id, transaction);
+      if (duplicateOf) {
+        return res.status(409).json({ message: 'This looks like a duplicate of an existing transaction', duplicateOf });
+      }
+    }
 
     console.log('Transaction object before save:', transaction);
     await transaction.save();
+    if (receiptId) await attachReceipt(req.user._id, receiptId, transaction._id);
+    updateCategorizer(req.user._id, { added: [transaction] });
     res.status(201).json(transaction);
   } catch (error) {
     console.error('Error creating transaction:', error);
@@ -103,6 +469,283 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// Export filtered transactions as CSV, Excel-compatible CSV, JSON or OFX
+router.get('/export', auth, async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    const exporter = exporters[format];
+
+    if (!exporter) {
+      return res.status(400).json({ message: 'Invalid export format. Use csv, excel, json or ofx' });
+    }
+
+    const query = await buildFilterQuery(req.user._id, req.query);
+    const startDate = query.date?.$gte || new Date(0);
+    const endDate = query.date?.$lte || new Date();
+    const filename = `transactions-${new Date().toISOString().split('T')[0]}.${exporter.extension}`;
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(exporter.header({ startDate, endDate, baseCurrency: req.user.baseCurrency }));
+
+    // Stream documents from a cursor so large exports are never held in memory
+    const cursor = Transaction.find(query).sort({ date: -1 }).lean().cursor();
+    let index = 0;
+    for await (const transaction of cursor) {
+      if (!res.write(exporter.row(transaction, index++))) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    }
+
+    res.end(exporter.footer());
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Error exporting transactions', error: error.message });
+  }
+});
+
+// Get saved CSV column mappings
+router.get('/import/mappings', auth, async (req, res) => {
+  try {
+    const mappings = await ImportMapping.find({ user: req.user._id }).sort({ bank: 1 });
+    res.json(mappings);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching import mappings', error: error.message });
+  }
+});
+
+// Delete a saved CSV column mapping
+router.delete('/import/mappings/:id', auth, async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!mapping) {
+      return res.status(404).json({ message: 'Import mapping not found' });
+    }
+
+    res.json({ message: 'Import mapping deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting import mapping', error: error.message });
+  }
+});
+
+// Parse a CSV, OFX or QFX statement into transactions for preview (no AI involved)
+router.post('/import', auth, statementUpload.single('statement'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No statement file uploaded' });
+    }
+
+    const text = req.file.buffer.toString('utf8');
+    const format = statementParser.detectFormat(req.file.originalname, text);
+    const bank = req.body.bank ? req.body.bank.trim() : '';
+    let parsed;
+    let mapping = null;
+
+    if (format === 'ofx' || format === 'qfx') {
+      parsed = statementParser.parseOfx(text);
+    } else {
+      const savedMapping = bank
+        ? await ImportMapping.findOne({ user: req.user._id, bank })
+        : null;
+      const delimiter = req.body.delimiter || savedMapping?.delimiter || statementParser.detectDelimiter(text);
+      const rows = statementParser.parseCsv(text, delimiter);
+
+      if (rows.length < 2) {
+        return res.status(400).json({ message: 'The CSV file has no transaction rows' });
+      }
+
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (parseError) {
+          return res.status(400).json({ message: 'Invalid column mapping' });
+        }
+      } else if (savedMapping) {
+        mapping = savedMapping.mapping.toObject();
+      }
+
+      // Ask the client to map columns before any rows are parsed
+      if (!mapping) {
+        return res.json({
+          format,
+          needsMapping: true,
+          headers: rows[0],
+          sampleRows: rows.slice(1, 6),
+          suggestedMapping: statementParser.suggestMapping(rows[0]),
+          dateFormats: statementParser.DATE_FORMATS
+        });
+      }
+
+      if (!mapping.date || !mapping.description || !(mapping.amount || mapping.debit || mapping.credit)) {
+        return res.status(400).json({ message: 'Mapping must include date, description and an amount or debit/credit column' });
+      }
+
+      if (req.body.saveMapping === 'true' && bank) {
+        await ImportMapping.findOneAndUpdate(
+          { user: req.user._id, bank },
+          { mapping, delimiter, updatedAt: new Date() },
+          { upsert: true, new: true }
+        );
+      }
+
+      parsed = statementParser.applyCsvMapping(rows, mapping, {
+        defaultDecimalSeparator: localeFormat(req.user.locale).decimalSeparator
+      });
+    }
+
+    // Run the same checks as bulk-create so the preview only offers rows that will save
+    const [categories, rules] = await Promise.all([getCategories(req.user._id), getActiveRules(req.user._id)]);
+    const { validTransactions, validIndexes, invalidTransactions } = validateTransactions(parsed, req.user._id, categories, rules, { requireDate: true });
+    // Show the category each row will be saved under
+    const transactions = validIndexes.map((index, i) => applyRules(rules, {
+      ...parsed[index],
+      category: validTransactions[i].category
+    }));
+
+    // Flag rows that are probably already in the account (e.g. an overlapping statement)
+    const duplicates = await duplicateDetector.findDuplicates(req.user._id, transactions);
+    transactions.forEach((transaction, index) => {
+      transaction.duplicateOf = duplicates[index];
+    });
+
+    console.log(`Imported ${transactions.length} transactions from ${format.toUpperCase()} (${invalidTransactions.length} skipped)`);
+
+    res.json({
+      format,
+      bank,
+      mapping,
+      transactions,
+      invalidTransactions
+    });
+  } catch (error) {
+    console.error('Statement import error:', error);
+    res.status(500).json({ message: 'Error importing statement', error: error.message });
+  }
+});
+
+// Receipts from batch uploads waiting for review, oldest first, with the
+// progress of those still being read
+router.get('/review', auth, async (req, res) => {
+  try {
+    const items = await ReviewItem.find({ user: req.user._id, status: 'pending' })
+      .sort({ createdAt: 1 })
+      .populate('job', 'status stage progress error');
+    res.json(items.map(item => toReviewItemJSON(item)));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching review queue', error: error.message });
+  }
+});
+
+// Save every approved receipt in the review queue as a transaction
+router.post('/review/save', auth, async (req, res) => {
+  try {
+    const items = await ReviewItem.find({ user: req.user._id, status: 'pending', approved: true, data: { $ne: null } })
+      .sort({ createdAt: 1 });
+    if (items.length === 0) {
+      return res.status(400).json({ message: 'No approved receipts to save' });
+    }
+
+    // The category picked in the review queue is kept; rules only fill it in
+    // when none was picked, as when adding a single transaction
+    const [categories, rules] = await Promise.all([getCategories(req.user._id), getActiveRules(req.user._id)]);
+    const { validTransactions, validIndexes, invalidTransactions } = validateTransactions(
+      items.map(item => toTransactionInput(item.data)),
+      req.user._id,
+      categories
+    );
+    validTransactions.forEach(transaction => {
+      if (transaction.category !== FALLBACK_KEY) return;
+      const rule = findMatchingRule(rules, transaction);
+      if (rule) transaction.category = rule.category;
+    });
+    const invalidItems = invalidTransactions.map(({ index, reason }) => ({ _id: items[index]._id, reason }));
+
+    if (validTransactions.length === 0) {
+      return res.status(400).json({ message: 'No valid transactions to save', invalidItems });
+    }
+
+    // The queue shows likely duplicates, so approving one confirms it
+    const converter = await getConverter(req.user._id, req.user.baseCurrency);
+    validTransactions.forEach((transaction, i) => {
+      transaction.currency = transaction.currency || req.user.baseCurrency;
+      transaction.receipt = items[validIndexes[i]].receipt;
+      applyExchangeRate(transaction, converter);
+    });
+
+    const savedTransactions = await Transaction.insertMany(validTransactions);
+
+    // Link each receipt to its transaction and take it out of the queue
+    for (let i = 0; i < savedTransactions.length; i++) {
+      const item = items[validIndexes[i]];
+      await attachReceipt(req.user._id, item.receipt, savedTransactions[i]._id);
+      item.status = 'saved';
+      item.transaction = savedTransactions[i]._id;
+      item.reviewedAt = new Date();
+      await item.save();
+    }
+    updateCategorizer(req.user._id, { added: savedTransactions });
+
+    res.json({
+      message: 'Transactions saved successfully',
+      savedCount: savedTransactions.length,
+      invalidCount: invalidItems.length,
+      transactions: savedTransactions,
+      invalidItems
+    });
+  } catch (error) {
+    console.error('Review save error:', error);
+    res.status(500).json({ message: 'Error saving reviewed receipts', error: error.message });
+  }
+});
+
+// Edit what was read from a receipt in the review queue, and/or approve it
+router.put('/review/:id', auth, async (req, res) => {
+  try {
+    const item = await ReviewItem.findOne({ _id: req.params.id, user: req.user._id, status: 'pending' })
+      .populate('job', 'status stage progress error');
+    if (!item) {
+      return res.status(404).json({ message: 'Review item not found' });
+    }
+
+    const { data, approved } = req.body;
+    if ((data !== undefined || approved) && !item.data) {
+      return res.status(409).json({ message: 'This receipt has not been read yet' });
+    }
+    if (data !== undefined) item.data = applyReviewEdits(item.data, data);
+    if (approved !== undefined) item.approved = !!approved;
+
+    await item.save();
+    res.json(toReviewItemJSON(item));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating review item', error: error.message });
+  }
+});
+
+// Discard a receipt from the review queue along with its stored file
+router.delete('/review/:id', auth, async (req, res) => {
+  try {
+    const item = await ReviewItem.findOne({ _id: req.params.id, user: req.user._id, status: 'pending' });
+    if (!item) {
+      return res.status(404).json({ message: 'Review item not found' });
+    }
+
+    const receipt = await Receipt.findOne({ _id: item.receipt, user: req.user._id, transaction: null });
+    if (receipt) await deleteReceipt(receipt);
+
+    item.status = 'discarded';
+    item.approved = false;
+    item.reviewedAt = new Date();
+    await item.save();
+    res.json({ message: 'Receipt discarded' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error discarding receipt', error: error.message });
+  }
+});
+
 // Get single transaction by ID
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -122,110 +765,90 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Upload and process receipt
-router.post('/upload-receipt', auth, upload.single('receipt'), async (req, res) => {
+router.post('/upload-receipt', auth, acceptReceipt, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    let extractedText = '';
-    const filePath = req.file.path;
+    // Keep the file so the transaction can link it, then read it in the background
+    const receipt = await saveReceipt(req.user._id, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
+    const job = await enqueueJob({
+      user: req.user._id,
+      kind: 'receipt',
+      fileKey: receipt.key,
+      receipt: receipt._id,
+      originalName: receipt.originalName,
+      mimeType: receipt.mimeType
+    });
 
-    // Process based on file type
-    if (req.file.mimetype === 'application/pdf') {
-      const dataBuffer = fs.readFileSync(filePath);
-      const data = await pdfParse(dataBuffer);
-      extractedText = data.text;
-    } else {
-      const { data: { text } } = await Tesseract.recognize(filePath);
-      extractedText = text;
-    }
-
-    // Use Gemini AI to extract structured data from receipt
-    let extractedData = {
-      amount: null,
-      date: null,
-      merchant: null,
-      category: null,
-      description: null,
-      items: []
-    };
+    res.status(202).json(toJobJSON(job));
+  } catch (error) {
+    res.status(500).json({ message: 'Error processing receipt', error: error.message });
+  }
+});
 
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ message: 'Gemini API key not configured. Please configure the API key to use receipt upload.' });
+// Upload many receipts at once, or zip archives of them. Each receipt is read
+// by its own job and then waits in the review queue.
+router.post('/upload-receipts', auth, acceptReceipts, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
     }
 
-      try {
-        const { GoogleGenerativeAI } = require('@google/generative-ai');
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-        const prompt = `
-      You are a receipt data extraction expert. Extract the following information from this receipt text in JSON format:
-        {
-          "amount": "total amount (number only, no currency symbol)",
-          "date": "date in YYYY-MM-DD format",
-          "merchant": "store/merchant name",
-          "category": "one of: Food, Transportation, Housing, Utilities, Entertainment, Healthcare, Shopping, Education, Other",
-          "description": "brief description of the purchase",
-          "items": ["list of items purchased"]
-        }
-
-        Receipt text:
-        ${extractedText}
-
-        Return only the JSON object, no additional text.
-        `;
+    const { files, skipped } = unpackReceiptFiles(req.files);
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No receipts found in the upload', skipped });
+    }
 
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        // Try to parse the JSON response
-        try {
-        // Handle markdown-formatted JSON responses
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-          jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        } else if (jsonText.startsWith('```')) {
-          jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-        }
-        
-        const aiExtracted = JSON.parse(jsonText);
-          extractedData = {
-            amount: aiExtracted.amount ? parseFloat(aiExtracted.amount) : null,
-            date: aiExtracted.date ? new Date(aiExtracted.date) : new Date(),
-            merchant: aiExtracted.merchant || null,
-          category: aiExtracted.category ? aiExtracted.category.toLowerCase() : 'other',
-            description: aiExtracted.description || 'Receipt purchase',
-            items: aiExtracted.items || []
-          };
-        } catch (parseError) {
-          console.log('Failed to parse AI response:', text);
-        return res.status(500).json({ message: 'Failed to parse AI response. Please try again.' });
+    const batch = new mongoose.Types.ObjectId();
+    const items = [];
+    for (const file of files) {
+      // One unreadable file does not stop the rest of the batch
+      try {
+        const receipt = await saveReceipt(req.user._id, {
+          buffer: file.buffer,
+          originalName: file.originalName,
+          mimeType: file.mimeType
+        });
+        const item = await ReviewItem.create({
+          user: req.user._id,
+          batch,
+          receipt: receipt._id,
+          originalName: receipt.originalName
+        });
+        const job = await enqueueJob({
+          user: req.user._id,
+          kind: 'receipt',
+          fileKey: receipt.key,
+          receipt: receipt._id,
+          originalName: receipt.originalName,
+          mimeType: receipt.mimeType
+        });
+        item.job = job._id;
+        await item.save();
+        items.push(toReviewItemJSON(item, job));
+      } catch (error) {
+        console.error(`Batch upload of ${file.originalName} failed:`, error.message);
+        skipped.push({ name: file.originalName, reason: 'Could not be stored' });
       }
-    } catch (aiError) {
-      console.log('AI extraction failed:', aiError.message);
-      return res.status(500).json({ message: 'AI extraction failed. Please try again.' });
     }
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
-
-    // Use current date for new transactions instead of extracted date
-    extractedData.date = new Date().toISOString();
-    
-    res.json(extractedData);
-  } catch (error) {
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    if (items.length === 0) {
+      return res.status(500).json({ message: 'Error processing receipts', skipped });
     }
-    res.status(500).json({ message: 'Error processing receipt', error: error.message });
+    res.status(202).json({ batch, items, skipped });
+  } catch (error) {
+    res.status(500).json({ message: 'Error processing receipts', error: error.message });
   }
 });
 
-// Upload and process PDF transaction history
-router.post('/upload-pdf-transactions', auth, upload.single('pdf'), async (req, res) => {
+// Upload a PDF transaction history to be read in the background
+router.post('/upload-pdf-transactions', auth, acceptPdf, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No PDF file uploaded' });
@@ -235,134 +858,19 @@ router.post('/upload-pdf-transactions', auth, upload.single('pdf'), async (req,
       return res.status(400).json({ message: 'Please upload a valid PDF file' });
     }
 
-    const filePath = req.file.path;
-    const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    const extractedText = data.text;
-
-    console.log('Extracted PDF text:', extractedText.substring(0, 500)); // Log first 500 chars
-
-    let transactions = [];
-
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ message: 'Gemini API key not configured. Please configure the API key to use PDF upload.' });
-    }
-
-      try {
-        const { GoogleGenerativeAI } = require('@google/generative-ai');
-        const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-        const prompt = `
-        You are a financial data extraction expert. Analyze this PDF text and extract ALL unique financial transactions.
-
-        IMPORTANT: Be FLEXIBLE and handle ANY format:
-        - Tables, lists, paragraphs, scattered data
-        - Any currency symbols ($, ₹, €, £, etc.)
-        - Any date formats (convert to YYYY-MM-DD)
-        - Any amount formats (numbers, decimals, etc.)
-        - Any description formats (titles, details, etc.)
-
-        Extraction Rules:
-        1. Find UNIQUE transactions only (no duplicates)
-        2. If information is missing, use defaults:
-           - Missing date → use current date
-           - Missing description → use "Transaction"
-           - Missing amount → skip (don't create transaction)
-           - Missing type → guess based on context
-           - Missing category → use "Other"
-        3. Handle ANY structure - don't expect specific formats
-        4. Look for patterns but don't require them
-        5. Be creative in finding financial data
-
-        For each UNIQUE transaction found, create:
-        {
-          "date": "YYYY-MM-DD (current date if not found)",
-          "description": "any text describing the transaction (or 'Transaction' if unclear)",
-          "amount": "number only (skip if no amount found)",
-          "type": "income or expense (guess based on context)",
-          "category": "Food, Transportation, Housing, Utilities, Entertainment, Healthcare, Shopping, Education, Other"
-        }
-
-        Guidelines:
-        - If you see the same transaction multiple times, include it ONCE only
-        - If amount is unclear or missing, skip that transaction
-        - If description is unclear, use "Transaction" + amount
-        - If type is unclear, default to "expense"
-        - If category is unclear, use "Other"
-        - Don't create transactions without amounts
-        - Don't duplicate transactions
-
-        PDF text to analyze:
-        ${extractedText}
-
-        Return ONLY a JSON array of UNIQUE transactions. If no valid transactions found, return empty array.
-        Focus on quality over quantity - better to extract fewer accurate transactions than many duplicates.
-        `;
-
-        console.log('Sending prompt to Gemini AI...');
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        console.log('Gemini AI response:', text.substring(0, 500)); // Log first 500 chars
-        
-        try {
-        // Handle markdown-formatted JSON responses
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-          jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-        } else if (jsonText.startsWith('```')) {
-          jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-        }
-        
-        const aiExtracted = JSON.parse(jsonText);
-          if (Array.isArray(aiExtracted)) {
-            // Deduplicate transactions based on amount and description
-            const uniqueTransactions = [];
-            const seen = new Set();
-            
-            aiExtracted.forEach((transaction, index) => {
-              if (transaction.amount) {
-                const key = `${transaction.amount}-${transaction.description}`;
-                if (!seen.has(key)) {
-                  seen.add(key);
-                  uniqueTransactions.push({
-                    ...transaction,
-                    amount: transaction.amount ? parseFloat(transaction.amount) : 0,
-                    date: transaction.date ? new Date(transaction.date).toISOString() : new Date().toISOString(),
-                    type: transaction.type || 'expense',
-                  category: transaction.category ? transaction.category.toLowerCase() : 'other',
-                    tempId: `ai-${index}`
-                  });
-                }
-              }
-            });
-            
-            transactions = uniqueTransactions;
-            console.log(`Successfully extracted ${transactions.length} unique transactions (removed ${aiExtracted.length - transactions.length} duplicates)`);
-          } else {
-            console.log('AI response is not an array:', typeof aiExtracted);
-          return res.status(500).json({ message: 'AI response format is invalid. Please try again.' });
-          }
-        } catch (parseError) {
-          console.log('Failed to parse AI response:', text);
-          console.log('Parse error:', parseError.message);
-        return res.status(500).json({ message: 'Failed to parse AI response. Please try again.' });
-        }
-      } catch (aiError) {
-        console.log('AI extraction failed:', aiError.message);
-      return res.status(500).json({ message: 'AI extraction failed. Please try again.' });
-    }
-
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+    // Staged in storage for the worker, and removed once it has been read
+    const fileKey = userKey(req.user._id, 'uploads', `${new mongoose.Types.ObjectId()}.pdf`);
+    await getStorage().put(fileKey, req.file.buffer, { contentType: req.file.mimetype });
+    const job = await enqueueJob({
+      user: req.user._id,
+      kind: 'pdf-transactions',
+      fileKey,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
 
-    res.json({ transactions });
+    res.status(202).json(toJobJSON(job));
   } catch (error) {
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
     res.status(500).json({ message: 'Error processing PDF', error: error.message });
   }
 });
@@ -370,88 +878,64 @@ router.post('/upload-pdf-transactions', auth, upload.single('pdf'), async (req,
 // Bulk create transactions
 router.post('/bulk-create', auth, async (req, res) => {
   try {
-    const { transactions } = req.body;
+    const { transactions, account } = req.body;
     
     if (!Array.isArray(transactions) || transactions.length === 0) {
       return res.status(400).json({ message: 'No transactions provided' });
     }
 
-    // Validate and clean each transaction
-    const validTransactions = [];
-    const invalidTransactions = [];
-
-    transactions.forEach((transaction, index) => {
-      try {
-        // Ensure amount is a valid number
-        const amount = parseFloat(transaction.amount);
-        if (isNaN(amount) || amount <= 0) {
-          invalidTransactions.push({ index, reason: 'Invalid amount' });
-          return;
-        }
-
-        // Ensure description exists and is not empty
-        const description = transaction.description?.trim();
-        if (!description || description.length === 0) {
-          invalidTransactions.push({ index, reason: 'Missing description' });
-          return;
-        }
-
-        // Validate date
-        let date;
-        try {
-          date = transaction.date ? new Date(transaction.date) : new Date();
-          if (isNaN(date.getTime())) {
-            date = new Date();
-          }
-        } catch (dateError) {
-          date = new Date();
-        }
-
-        // Validate type
-        const type = ['income', 'expense'].includes(transaction.type) ? transaction.type : 'expense';
-
-        // Validate category
-        const validCategories = ['Food', 'Transportation', 'Housing', 'Utilities', 'Entertainment', 'Healthcare', 'Shopping', 'Education', 'Other'];
-        const category = validCategories.includes(transaction.category) ? transaction.category : 'Other';
+    const accountError = await validateTransactionAccounts(req.user._id, { account });
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
+    }
 
-        // Validate items array
-        let items = transaction.items || [];
-        if (Array.isArray(items) && items.length > 0 && typeof items[0] === 'string') {
-          items = items.map(item => ({ description: item, amount: 0 }));
-        }
+    const [categories, rules] = await Promise.all([getCategories(req.user._id), getActiveRules(req.user._id)]);
+    const { validTransactions, validIndexes, invalidTransactions } = validateTransactions(transactions, req.user._id, categories, rules);
 
-        validTransactions.push({
-          user: req.user._id,
-          amount: amount,
-          description: description,
-          date: date.toISOString(),
-          type: type,
-          category: category.toLowerCase(),
-          merchant: transaction.merchant || null,
-          items: items
-        });
-      } catch (error) {
-        invalidTransactions.push({ index, reason: 'Invalid transaction data' });
+    // Skip likely duplicates of existing records unless the client confirmed them
+    const duplicates = await duplicateDetector.findDuplicates(req.user._id, validTransactions);
+    const duplicateTransactions = [];
+    const transactionsToSave = validTransactions.filter((transaction, i) => {
+      const index = validIndexes[i];
+      if (duplicates[i] && !transactions[index].allowDuplicate) {
+        duplicateTransactions.push({ index, duplicateOf: duplicates[i] });
+        return false;
       }
+      return true;
     });
 
-    if (validTransactions.length === 0) {
+    if (transactionsToSave.length === 0) {
       return res.status(400).json({ 
-        message: 'No valid transactions to save',
-        invalidTransactions 
+        message: duplicateTransactions.length > 0 ? 'All transactions are duplicates of existing records' : 'No valid transactions to save',
+        invalidTransactions,
+        duplicateTransactions
       });
     }
 
-    console.log(`Saving ${validTransactions.length} valid transactions, ${invalidTransactions.length} invalid transactions skipped`);
+    console.log(`Saving ${transactionsToSave.length} valid transactions, ${invalidTransactions.length} invalid and ${duplicateTransactions.length} duplicate transactions skipped`);
 
-    const savedTransactions = await Transaction.insertMany(validTransactions);
+    // Imports can be assigned to one account, whose currency is the default
+    const [converter, accountCurrency] = await Promise.all([
+      getConverter(req.user._id, req.user.baseCurrency),
+      getAccountCurrency(req.user._id, account)
+    ]);
+    transactionsToSave.forEach(transaction => {
+      if (account) transaction.account = account;
+      transaction.currency = transaction.currency || accountCurrency || req.user.baseCurrency;
+      applyExchangeRate(transaction, converter);
+    });
+
+    const savedTransactions = await Transaction.insertMany(transactionsToSave);
+    updateCategorizer(req.user._id, { added: savedTransactions });
 
     res.json({ 
       message: 'Transactions saved successfully',
       savedCount: savedTransactions.length,
       invalidCount: invalidTransactions.length,
+      duplicateCount: duplicateTransactions.length,
       transactions: savedTransactions,
-      invalidTransactions
+      invalidTransactions,
+      duplicateTransactions
     });
   } catch (error) {
     console.error('Bulk create error:', error);
@@ -462,6 +946,73 @@ router.post('/bulk-create', auth, async (req, res) => {
 // Update transaction
 router.put('/:id', auth, async (req, res) => {
   try {
+    const previous = await Transaction.findOne({ _id: req.params.id, user: req.user._id }).lean();
+    if (!previous) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+
+    // Check accounts against the transaction as it will be after the update
+    const type = req.body.type || previous.type;
+    if (req.body.account !== undefined) req.body.account = req.body.account || null;
+    req.body.toAccount = type === 'transfer'
+      ? (req.body.toAccount !== undefined ? req.body.toAccount || null : previous.toAccount)
+      : null;
+    const accountError = await validateTransactionAccounts(req.user._id, {
+      type,
+      account: req.body.account !== undefined ? req.body.account : previous.account,
+      toAccount: req.body.toAccount
+    });
+    if (accountError) {
+      return res.status(400).json({ message: accountError });
+    }
+
+    const hasSplits = req.body.splits !== undefined ? req.body.splits?.length > 0 : previous.splits?.length > 0;
+    if (type === 'transfer') {
+      req.body.category = TRANSFER_CATEGORY;
+      req.body.splits = [];
+    } else if (req.body.category !== undefined || previous.type === 'transfer' || hasSplits) {
+      const categories = await getCategories(req.user._id);
+      if (!hasSplits) {
+        if (!findCategory(categories, req.body.category, type)) {
+          return res.status(400).json({ message: req.body.category ? 'Unknown category' : 'Category is required' });
+        }
+        req.body.category = req.body.category.toLowerCase();
+      } else {
+        // Split lines must still add up after the amount or type changes, and
+        // the transaction takes its category from them
+        const { splits, error: splitError } = parseSplits(
+          req.body.splits !== undefined ? req.body.splits : previous.splits,
+          { amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : previous.amount, type, categories }
+        );
+        if (splitError) {
+          return res.status(400).json({ message: splitError });
+        }
+        req.body.splits = splits;
+        req.body.category = primaryCategory(splits);
+      }
+    }
+
+    if (req.body.tags !== undefined) req.body.tags = normalizeTags(req.body.tags);
+    if (req.body.items !== undefined) req.body.items = normalizeItems(req.body.items);
+    if (req.body.breakdown !== undefined) req.body.breakdown = normalizeBreakdown(req.body.breakdown);
+    // Receipts are replaced and removed through /api/receipts
+    delete req.body.receipt;
+
+    // Convert again when the amount, currency or date changes
+    if (req.body.amount !== undefined || req.body.currency !== undefined || req.body.date !== undefined) {
+      if (req.body.currency && !normalizeCurrency(req.body.currency)) {
+        return res.status(400).json({ message: 'Currency must be a 3-letter code like USD' });
+      }
+      const converted = applyExchangeRate({
+        amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : previous.amount,
+        currency: req.body.currency !== undefined ? req.body.currency : previous.currency,
+        date: req.body.date !== undefined ? req.body.date : previous.date
+      }, await getConverter(req.user._id, req.user.baseCurrency));
+      req.body.currency = converted.currency;
+      req.body.exchangeRate = converted.exchangeRate;
+      req.body.baseAmount = converted.baseAmount;
+    }
+
     const transaction = await Transaction.findOneAndUpdate(
       { _id: req.params.id, user: req.user._id },
       req.body,
@@ -472,6 +1023,8 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
+    // Corrections are the most useful training signal
+    updateCategorizer(req.user._id, { added: [transaction], removed: [previous] });
     res.json(transaction);
   } catch (error) {
     res.status(500).json({ message: 'Error updating transaction', error: error.message });
@@ -490,6 +1043,8 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Transaction not found' });
     }
 
+    await deleteTransactionReceipt(transaction);
+    updateCategorizer(req.user._id, { removed: [transaction] });
     res.json({ message: 'Transaction deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting transaction', error: error.message });
@@ -0,0 +1,44 @@
+// Download Tesseract language data into the OCR language folder, so receipts
+// are read without any network access at runtime. The languages the app offers
+// are already installed as dependencies; this is for any others.
+//
+//   npm run ocr:languages -- tam kor
+//
+// Codes are Tesseract's (eng, hin, deu, fra, spa, chi_sim, ...). Files already
+// in the folder are kept.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { LANG_PATH, DEFAULT_LANGUAGES } = require('../services/ocr');
+
+// The LSTM-only models, which is what the OCR service runs
+const SOURCE_URL = process.env.OCR_LANG_SOURCE_URL || 'https://cdn.jsdelivr.net/npm/@tesseract.js-data';
+
+const download = async (language) => {
+  const target = path.join(LANG_PATH, `${language}.traineddata.gz`);
+  if (fs.existsSync(target)) {
+    console.log(`${language}: already installed`);
+    return;
+  }
+
+  const url = `${SOURCE_URL}/${language}/4.0.0_best_int/${language}.traineddata.gz`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download ${language} from ${url} (${response.status})`);
+  }
+  fs.writeFileSync(target, Buffer.from(await response.arrayBuffer()));
+  console.log(`${language}: saved to ${target}`);
+};
+
+const main = async () => {
+  const languages = process.argv.slice(2);
+  fs.mkdirSync(LANG_PATH, { recursive: true });
+  for (const language of languages.length > 0 ? languages : DEFAULT_LANGUAGES) {
+    await download(language);
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -9,6 +9,20 @@ const morgan = require('morgan');
 const authRoutes = require('./routes/auth');
 const transactionRoutes = require('./routes/transactions');
 const aiRoutes = require('./routes/ai');
+const budgetRoutes = require('./routes/budgets');
+const recurringRoutes = require('./routes/recurring');
+const categoryRoutes = require('./routes/categories');
+const categoryRuleRoutes = require('./routes/categoryRules');
+const accountRoutes = require('./routes/accounts');
+const currencyRoutes = require('./routes/currencies');
+const tagRoutes = require('./routes/tags');
+const receiptRoutes = require('./routes/receipts');
+const fileRoutes = require('./routes/files');
+const jobRoutes = require('./routes/jobs');
+const ocrRoutes = require('./routes/ocr');
+const { startScheduler } = require('./services/recurringScheduler');
+const { startCleanup } = require('./services/storageCleanup');
+const { startWorker } = require('./services/jobQueue');
 
 // Debug environment variables
 console.log('Environment variables after dotenv.config():');
@@ -19,6 +33,10 @@ console.log('MONGODB_URI exists:', !!process.env.MONGODB_URI);
 
 const app = express();
 
+// Behind the hosting proxy, so req.protocol is the https the browser used
+// and signed receipt links do not come out as http
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({
   origin: true, // Allow all origins
@@ -56,13 +74,29 @@ const connectDB = async () => {
   }
 };
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start materializing recurring transactions,
+// reading uploads and clearing out orphaned ones
+connectDB().then(() => {
+  startScheduler();
+  startWorker();
+  startCleanup();
+});
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/category-rules', categoryRuleRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/ocr', ocrRoutes);
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
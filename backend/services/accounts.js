@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { BASE_AMOUNT, getConverter } = require('./currency');
+
+// Category stored on transfers so they never mix with income/expense categories
+const TRANSFER_CATEGORY = 'transfer';
+
+const ACCOUNT_TYPES = ['bank', 'credit_card', 'cash', 'wallet', 'savings'];
+
+// Balances of every account in its own currency: opening balance + income - expenses
+// - transfers out + transfers in. Amounts in another currency are converted through
+// the base currency at today's rate. Transactions without an account are totalled
+// separately as `unassigned`, and `total` is in the base currency.
+const getAccountBalances = async (userId, baseCurrency) => {
+  const [accounts, totals, transfersIn, converter] = await Promise.all([
+    Account.find({ user: userId }).sort({ archived: 1, createdAt: 1 }).lean(),
+    Transaction.aggregate([
+      { $match: { user: userId } },
+      {
+        $group: {
+          // Transactions saved before accounts existed have no account field,
+          // which $group would leave out of the key instead of grouping as null
+          _id: { account: { $ifNull: ['$account', null] }, type: '$type', currency: '$currency' },
+          total: { $sum: '$amount' },
+          baseTotal: { $sum: BASE_AMOUNT },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Transaction.aggregate([
+      { $match: { user: userId, type: 'transfer' } },
+      {
+        $group: {
+          _id: { account: { $ifNull: ['$toAccount', null] }, currency: '$currency' },
+          total: { $sum: '$amount' },
+          baseTotal: { $sum: BASE_AMOUNT },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    getConverter(userId, baseCurrency)
+  ]);
+
+  const currencyOf = {};
+  accounts.forEach(account => { currencyOf[String(account._id)] = account.currency; });
+
+  // Amount of a group in the account's currency (the base currency when unassigned)
+  const inAccountCurrency = (accountId, { _id, total, baseTotal }) => {
+    const accountCurrency = currencyOf[String(accountId)] || baseCurrency;
+    if ((_id.currency || baseCurrency) === accountCurrency) return total;
+    const rate = converter.rateToBase(accountCurrency);
+    return rate ? baseTotal / rate : baseTotal;
+  };
+
+  const flows = {};
+  const flowFor = (accountId) => {
+    const key = String(accountId);
+    if (!flows[key]) flows[key] = { net: 0, count: 0 };
+    return flows[key];
+  };
+
+  totals.forEach(group => {
+    const flow = flowFor(group._id.account);
+    const amount = inAccountCurrency(group._id.account, group);
+    flow.net += group._id.type === 'income' ? amount : -amount;
+    flow.count += group.count;
+  });
+  transfersIn.forEach(group => {
+    const flow = flowFor(group._id.account);
+    flow.net += inAccountCurrency(group._id.account, group);
+    flow.count += group.count;
+  });
+
+  const withBalances = accounts.map(account => {
+    const flow = flows[String(account._id)] || { net: 0, count: 0 };
+    return {
+      ...account,
+      balance: account.openingBalance + flow.net,
+      transactionCount: flow.count
+    };
+  });
+  const unassigned = (flows.null || { net: 0 }).net;
+
+  return {
+    accounts: withBalances,
+    unassigned,
+    baseCurrency,
+    total: withBalances.reduce((sum, account) =>
+      sum + account.balance * (converter.rateToBase(account.currency) || 1), 0) + unassigned
+  };
+};
+
+// Check that the accounts on a transaction belong to the user and that
+// transfers name two different accounts. Returns an error message or null.
+const validateTransactionAccounts = async (userId, { type, account, toAccount }) => {
+  const ids = [account, toAccount].filter(Boolean);
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Account not found';
+  }
+
+  if (type === 'transfer') {
+    if (!account || !toAccount) return 'Transfers need a from and to account';
+    if (String(account) === String(toAccount)) return 'Cannot transfer to the same account';
+  }
+
+  if (ids.length > 0) {
+    const count = await Account.countDocuments({ user: userId, _id: { $in: ids } });
+    if (count !== new Set(ids.map(String)).size) return 'Account not found';
+  }
+  return null;
+};
+
+// New transactions on an account default to the account's currency
+const getAccountCurrency = async (userId, accountId) => {
+  if (!accountId) return null;
+  const account = await Account.findOne({ _id: accountId, user: userId }).select('currency').lean();
+  return account ? account.currency : null;
+};
+
+module.exports = {
+  TRANSFER_CATEGORY,
+  ACCOUNT_TYPES,
+  getAccountBalances,
+  validateTransactionAccounts,
+  getAccountCurrency
+};
@@ -0,0 +1,57 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createLlmProvider, MAX_TOOL_STEPS } = require('./llmProvider');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL }) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const generateText = async (prompt) => {
+    const result = await genAI.getGenerativeModel({ model }).generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  };
+
+  // Aborting the signal cancels the upstream request
+  const streamText = async function* (prompt, { signal } = {}) {
+    const result = await genAI.getGenerativeModel({ model }).generateContentStream(prompt, { signal });
+    for await (const chunk of result.stream) {
+      yield chunk.text();
+    }
+  };
+
+  // Streams the answer while running any function calls the model makes in between
+  const streamChat = async function* (prompt, { tools = [], executeTool, signal } = {}) {
+    const chat = genAI.getGenerativeModel({
+      model,
+      ...(tools.length > 0 && { tools: [{ functionDeclarations: tools }] })
+    }).startChat();
+
+    let request = prompt;
+    for (let step = 0; step < MAX_TOOL_STEPS; step++) {
+      const result = await chat.sendMessageStream(request, { signal });
+      const calls = [];
+
+      for await (const chunk of result.stream) {
+        const parts = chunk.candidates?.[0]?.content?.parts || [];
+        for (const part of parts) {
+          if (part.text) yield part.text;
+          if (part.functionCall) calls.push(part.functionCall);
+        }
+      }
+
+      if (calls.length === 0) return;
+
+      request = await Promise.all(calls.map(async (call) => ({
+        functionResponse: {
+          name: call.name,
+          response: await executeTool(call.name, call.args || {})
+        }
+      })));
+    }
+  };
+
+  return createLlmProvider('gemini', { generateText, streamText, streamChat });
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,330 @@
+const { parseDate } = require('../statementParser');
+const { detectCurrency } = require('../currency');
+const { DATE_FORMATS, parseLocaleAmount } = require('../locale');
+
+// Deterministic extractor that works on raw Tesseract / pdf-parse text.
+// Used when no model is configured or the model call fails.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CATEGORY_KEYWORDS = {
+  food: ['restaurant', 'cafe', 'coffee', 'pizza', 'burger', 'bakery', 'swiggy', 'zomato', 'grocery', 'supermarket', 'kitchen', 'dine', 'food', 'starbucks', 'mcdonald', 'kfc', 'domino'],
+  transportation: ['uber', 'ola', 'lyft', 'taxi', 'cab', 'fuel', 'petrol', 'diesel', 'metro', 'parking', 'toll', 'railway', 'irctc', 'airline', 'flight'],
+  housing: ['rent', 'maintenance', 'society', 'landlord', 'furniture'],
+  utilities: ['electricity', 'water bill', 'internet', 'broadband', 'recharge', 'airtel', 'jio', 'mobile bill', 'gas bill'],
+  entertainment: ['cinema', 'movie', 'netflix', 'spotify', 'pvr', 'theatre', 'theater', 'bookmyshow', 'game', 'concert'],
+  healthcare: ['pharmacy', 'medical', 'hospital', 'clinic', 'chemist', 'doctor', 'apollo', 'diagnostic'],
+  shopping: ['amazon', 'flipkart', 'myntra', 'mall', 'store', 'fashion', 'apparel', 'electronics', 'retail'],
+  education: ['school', 'college', 'university', 'tuition', 'course', 'udemy', 'coursera', 'books', 'stationery']
+};
+
+// Products seen on receipt lines, checked before the merchant keywords above when
+// guessing an item's category
+const ITEM_CATEGORY_KEYWORDS = {
+  food: ['milk', 'bread', 'egg', 'rice', 'fruit', 'vegetable', 'veg', 'cheese', 'butter', 'chicken', 'meat', 'fish', 'juice', 'snack', 'tea', 'sugar', 'flour', 'atta', 'dal', 'yogurt', 'curd', 'biscuit', 'chocolate', 'cereal', 'banana', 'apple', 'tomato', 'onion', 'potato', 'water'],
+  healthcare: ['tablet', 'paracetamol', 'medicine', 'vitamin', 'syrup', 'bandage', 'ointment', 'capsule', 'antiseptic'],
+  shopping: ['shampoo', 'soap', 'detergent', 'toothpaste', 'toothbrush', 'tissue', 'cleaner', 'battery', 'bulb', 'towel', 'lotion', 'razor', 'diaper', 'foil']
+};
+
+const TOTAL_PATTERNS = [
+  /grand\s*total/i,
+  /total\s*(amount|due|payable)|amount\s*(due|payable)|balance\s*due|net\s*(amount|total|payable)/i,
+  /(^|[^a-z])total\b/i,
+  // German, Dutch, French, Spanish and Hindi receipts
+  /summe|gesamt|zu\s*zahlen|totaal|montant|importe|कुल/i
+];
+
+const NON_ITEM_PATTERN = /total|tax|gst|vat|cgst|sgst|cash|change|card|balance|discount|coupon|savings|\btip\b|gratuity|service\s*charge|tender|round|paid|due|summe|gesamt|mwst|rückgeld|कुल/i;
+const NON_MERCHANT_PATTERN = /receipt|invoice|tax|gst|bill\s*no|date|time|tel|phone|mobile|www\.|http|@|welcome|order|cashier|table/i;
+// Lines between the items and the total
+const SUBTOTAL_PATTERN = /sub\s*-?\s*total|zwischensumme/i;
+const TAX_PATTERN = /\b(tax|vat|gst|cgst|sgst|igst|cess|mwst|ust|tva|iva)\b/i;
+// Tax registration numbers and "incl. VAT" totals mention tax without being one
+const NOT_TAX_PATTERN = /incl|gstin|invoice|reg|\bno\b|number|\bid\b/i;
+const DISCOUNT_PATTERN = /discount|coupon|promo|savings|you\s*saved|rabatt/i;
+const TIP_PATTERN = /\btip\b|gratuity|service\s*charge|trinkgeld/i;
+
+const isTaxLine = (line) => TAX_PATTERN.test(line) && !NOT_TAX_PATTERN.test(line);
+const isBreakdownLine = (line) => SUBTOTAL_PATTERN.test(line) || isTaxLine(line) || DISCOUNT_PATTERN.test(line) || TIP_PATTERN.test(line);
+
+// Confidence (0-1) in what the rules found, by how it was found
+const CONFIDENCE = {
+  labelledTotal: 0.8,
+  largestAmount: 0.4,
+  labelledDate: 0.8,
+  unlabelledDate: 0.6,
+  merchant: 0.5,
+  breakdown: 0.7,
+  item: 0.6,
+  itemWithQuantity: 0.8
+};
+
+const INCOME_PATTERN = /\bcr\b|credit|deposit|salary|refund|interest|received|cashback/i;
+
+// How numbers and dates are read when the caller does not pass a locale format
+const DEFAULT_FORMAT = { decimalSeparator: '.', dateOrder: 'DMY' };
+
+// Amount patterns for a decimal separator. With a decimal point, thousands are
+// grouped with commas (including Indian 1,23,456); with a decimal comma, with
+// dots or apostrophes.
+const amountPatterns = ({ decimalSeparator }) => {
+  const [group, decimal] = decimalSeparator === ','
+    ? ["[.']\\d{3}", ',']
+    : [',\\d{2,3}', '\\.'];
+  const number = `\\(?-?(?:\\d{1,3}(?:${group})+|\\d+)`;
+  const suffix = '\\)?(?:\\s*(?:cr|dr)\\b)?';
+  return {
+    amount: new RegExp(`${number}(?:${decimal}\\d{1,2})?${suffix}`, 'gi'),
+    decimalAmount: new RegExp(`${number}${decimal}\\d{2}${suffix}`, 'gi'),
+    // An item line ends in its price
+    price: new RegExp(`\\d+${decimal}\\d{2}\\s*$`)
+  };
+};
+
+// Numeric dates follow the locale's order unless that is impossible, e.g. 31/01 in a US locale
+const numericDateFormat = (first, second, dateOrder) => {
+  if (dateOrder === 'MDY') return parseInt(first) > 12 ? DATE_FORMATS.DMY : DATE_FORMATS.MDY;
+  return parseInt(second) > 12 ? DATE_FORMATS.MDY : DATE_FORMATS.DMY;
+};
+
+const DATE_PATTERNS = [
+  // 2024-01-31, 2024/01/31
+  { regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/, toDate: (m) => parseDate(`${m[1]}-${m[2]}-${m[3]}`, 'YYYY-MM-DD') },
+  // 31/01/2024, 01-31-24
+  {
+    regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/,
+    toDate: (m, { dateOrder }) => parseDate(`${m[1]}/${m[2]}/${m[3]}`, numericDateFormat(m[1], m[2], dateOrder))
+  },
+  // 31 Jan 2024, 31-Jan-24
+  {
+    regex: /\b(\d{1,2})[\s-]*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[\s,-]*(\d{2,4})\b/i,
+    toDate: (m) => parseDate(`${m[3]}-${MONTHS.indexOf(m[2].toLowerCase()) + 1}-${m[1]}`, 'YYYY-MM-DD')
+  },
+  // Jan 31, 2024
+  {
+    regex: /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2}),?\s+(\d{4})\b/i,
+    toDate: (m) => parseDate(`${m[3]}-${MONTHS.indexOf(m[1].toLowerCase()) + 1}-${m[2]}`, 'YYYY-MM-DD')
+  }
+];
+
+const toLines = (text) => String(text || '')
+  .split(/\r?\n/)
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+const findAmounts = (line, regex, format) => (line.match(regex) || [])
+  .map(text => parseLocaleAmount(text, format))
+  .filter(amount => !isNaN(amount));
+
+// Returns { date, match } for the first date found in a line
+const findDate = (line, format = DEFAULT_FORMAT) => {
+  for (const { regex, toDate } of DATE_PATTERNS) {
+    const match = line.match(regex);
+    if (match) {
+      const date = toDate(match, format);
+      if (date) return { date, match: match[0] };
+    }
+  }
+  return null;
+};
+
+// Keywords match at word starts so "cola" does not read as "ola"
+const CATEGORY_MATCHERS = Object.entries(CATEGORY_KEYWORDS)
+  .map(([category, keywords]) => [category, new RegExp(`\\b(${keywords.join('|')})`, 'i')]);
+
+const ITEM_MATCHERS = Object.entries(ITEM_CATEGORY_KEYWORDS)
+  .map(([category, keywords]) => [category, new RegExp(`\\b(${keywords.join('|')})`, 'i')]);
+
+const guessCategory = (text, matchers = CATEGORY_MATCHERS) => {
+  const found = matchers.find(([, matcher]) => matcher.test(String(text || '')));
+  return found ? found[0] : 'other';
+};
+
+const guessItemCategory = (text) => {
+  const category = guessCategory(text, ITEM_MATCHERS);
+  return category !== 'other' ? category : guessCategory(text);
+};
+
+// Prefer the strongest "total" label, reading from the bottom of the receipt.
+// Returns { amount, labelled }.
+const findTotal = (lines, format) => {
+  const patterns = amountPatterns(format);
+  for (const pattern of TOTAL_PATTERNS) {
+    for (let i = lines.length - 1; i >= 0; i--) {
+      // "Subtotal", "Total tax" and "Total savings" are not the total
+      if (!pattern.test(lines[i]) || isBreakdownLine(lines[i])) continue;
+      const amounts = findAmounts(lines[i], patterns.amount, format).filter(amount => amount > 0);
+      if (amounts.length > 0) return { amount: amounts[amounts.length - 1], labelled: true };
+      // Label and value are often split across lines by OCR
+      const next = lines[i + 1] ? findAmounts(lines[i + 1], patterns.amount, format).filter(amount => amount > 0) : [];
+      if (next.length > 0) return { amount: next[next.length - 1], labelled: true };
+    }
+  }
+
+  // No label: the largest decimal amount is usually the total
+  const amounts = lines.flatMap(line => findAmounts(line, patterns.decimalAmount, format)).filter(amount => amount > 0);
+  return { amount: amounts.length > 0 ? Math.max(...amounts) : null, labelled: false };
+};
+
+// Returns { date, labelled }
+const findReceiptDate = (lines, format) => {
+  const labelled = lines.filter(line => /date|dt\b/i.test(line));
+  for (const line of [...labelled, ...lines]) {
+    const found = findDate(line, format);
+    if (found) return { date: found.date, labelled: labelled.includes(line) };
+  }
+  return { date: null, labelled: false };
+};
+
+// Subtotal, tax, discount and tip, each the price at the end of its line.
+// Several tax lines (CGST and SGST) are added up unless one is the tax total.
+const findBreakdown = (lines, format) => {
+  const patterns = amountPatterns(format);
+  const lineAmount = (line) => findAmounts(line, patterns.decimalAmount, format).map(Math.abs).filter(amount => amount > 0).pop();
+  const sumOf = (matching) => {
+    const amounts = matching.map(lineAmount).filter(Boolean);
+    return amounts.length > 0 ? Math.round(amounts.reduce((sum, amount) => sum + amount, 0) * 100) / 100 : null;
+  };
+
+  const subtotalLine = lines.filter(line => SUBTOTAL_PATTERN.test(line) && lineAmount(line)).pop();
+  const taxLines = lines.filter(line => isTaxLine(line) && !SUBTOTAL_PATTERN.test(line));
+  const taxTotalLine = taxLines.find(line => /total/i.test(line) && lineAmount(line));
+
+  return {
+    subtotal: subtotalLine ? lineAmount(subtotalLine) : null,
+    tax: taxTotalLine ? lineAmount(taxTotalLine) : sumOf(taxLines),
+    discount: sumOf(lines.filter(line => DISCOUNT_PATTERN.test(line))),
+    tip: sumOf(lines.filter(line => TIP_PATTERN.test(line)))
+  };
+};
+
+// The merchant name is normally one of the first lines that is mostly letters
+const findMerchant = (lines) => lines.slice(0, 6).find(line => {
+  const letters = (line.match(/\p{L}/gu) || []).length;
+  return letters >= 3 && letters / line.length > 0.5 && !NON_MERCHANT_PATTERN.test(line);
+}) || null;
+
+// A quantity written as "2 x", "2 @", "x2" or a leading count like "2 Coffee"
+const QUANTITY_PATTERNS = [
+  /(?:^|\s)(\d{1,3})\s*[x@*](?=\s|$)/i,
+  /(?:^|\s)[x@*]\s*(\d{1,3})(?=\s|$)/i,
+  /^(\d{1,3})\s+(?=\p{L})/u
+];
+
+// Item lines end in their line total, optionally after a quantity and unit
+// price ("Milk 2 x 1.50 3.00"); the category is guessed from the item name
+const findItems = (lines, merchant, format) => {
+  const patterns = amountPatterns(format);
+  return lines
+    .filter(line => line !== merchant && !NON_ITEM_PATTERN.test(line) && !findDate(line, format))
+    .filter(line => /\p{L}{3,}/u.test(line) && patterns.price.test(line))
+    .map(line => {
+      const prices = findAmounts(line, patterns.decimalAmount, format);
+      const amount = prices.pop();
+      let text = line.replace(patterns.decimalAmount, ' ').replace(/\s+/g, ' ').trim();
+
+      let quantity = null;
+      const pattern = QUANTITY_PATTERNS.find(candidate => candidate.test(text));
+      if (pattern) {
+        quantity = parseInt(text.match(pattern)[1]);
+        text = text.replace(pattern, ' ').trim();
+      }
+      // With a quantity, an earlier price on the line is the unit price
+      const unitPrice = quantity && prices.length > 0 ? prices[prices.length - 1] : null;
+
+      return {
+        description: text,
+        quantity,
+        unitPrice,
+        amount: amount > 0 ? amount : null,
+        category: guessItemCategory(text),
+        confidence: quantity && unitPrice ? CONFIDENCE.itemWithQuantity : CONFIDENCE.item
+      };
+    })
+    .filter(item => item.description)
+    .slice(0, 50);
+};
+
+// `locale` is a format from services/locale, e.g. { decimalSeparator: ',', dateOrder: 'DMY' }
+const extractReceipt = async (text, { locale = DEFAULT_FORMAT } = {}) => {
+  const lines = toLines(text);
+  const merchant = findMerchant(lines);
+  const total = findTotal(lines, locale);
+  const found = findReceiptDate(lines, locale);
+  const breakdown = findBreakdown(lines, locale);
+  const breakdownConfidence = (value) => (value === null ? null : CONFIDENCE.breakdown);
+
+  return {
+    amount: total.amount,
+    date: found.date,
+    merchant,
+    currency: detectCurrency(text),
+    category: guessCategory(text),
+    description: merchant ? `Purchase at ${merchant}` : 'Receipt purchase',
+    items: findItems(lines, merchant, locale),
+    ...breakdown,
+    confidence: {
+      amount: total.labelled ? CONFIDENCE.labelledTotal : CONFIDENCE.largestAmount,
+      date: found.labelled ? CONFIDENCE.labelledDate : CONFIDENCE.unlabelledDate,
+      merchant: CONFIDENCE.merchant,
+      subtotal: breakdownConfidence(breakdown.subtotal),
+      tax: breakdownConfidence(breakdown.tax),
+      discount: breakdownConfidence(breakdown.discount),
+      tip: breakdownConfidence(breakdown.tip)
+    }
+  };
+};
+
+// Statement lines look like "<date> <description> <amount> [<balance>]".
+// A currency shown on the line wins over one seen anywhere in the document.
+const extractTransactions = async (text, { locale = DEFAULT_FORMAT } = {}) => {
+  const documentCurrency = detectCurrency(text);
+  const patterns = amountPatterns(locale);
+
+  return toLines(text)
+    .map(line => {
+      const found = findDate(line, locale);
+      if (!found) return null;
+
+      const rest = line.replace(found.match, ' ');
+      const amountTexts = rest.match(patterns.decimalAmount) || [];
+      if (amountTexts.length === 0) return null;
+
+      // With two or more amounts the last one is usually the running balance
+      const amountText = amountTexts.length >= 2 ? amountTexts[amountTexts.length - 2] : amountTexts[0];
+      const amount = parseLocaleAmount(amountText, locale);
+      if (isNaN(amount) || amount === 0) return null;
+
+      const description = amountTexts
+        .reduce((remaining, value) => remaining.replace(value, ' '), rest)
+        .replace(/[₹€£¥$]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim() || 'Transaction';
+      const type = amount > 0 && (INCOME_PATTERN.test(amountText) || INCOME_PATTERN.test(description))
+        ? 'income'
+        : 'expense';
+
+      return {
+        date: found.date,
+        description,
+        amount: Math.abs(amount),
+        currency: detectCurrency(line) || documentCurrency,
+        type,
+        category: type === 'income' ? 'other' : guessCategory(description)
+      };
+    })
+    .filter(Boolean);
+};
+
+const createHeuristicProvider = () => ({
+  name: 'heuristic',
+  // No free-form text generation; callers check for this before chatting
+  generateText: null,
+  extractReceipt,
+  extractTransactions
+});
+
+module.exports = {
+  createHeuristicProvider,
+  guessCategory
+};
@@ -0,0 +1,226 @@
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createHeuristicProvider, guessCategory } = require('./heuristicProvider');
+const { createMockProvider } = require('./mockProvider');
+const { resolveCategory, categoryNames, FALLBACK_KEY } = require('../categories');
+const { normalizeCurrency } = require('../currency');
+const { parseAmount } = require('../statementParser');
+const { parseLocaleDate } = require('../locale');
+const { normalizeItem, normalizeBreakdown, normalizeConfidence, toConfidence } = require('../receiptTotals');
+const { proposeSplits } = require('../splits');
+
+// Single entry point for everything AI: chat text generation and
+// receipt / statement extraction.
+//
+// AI_PROVIDER selects the provider: gemini | openai | ollama | heuristic | mock.
+// Without it, Gemini is used when GEMINI_API_KEY is set, otherwise the offline
+// heuristic extractor. Failed extractions fall back to the heuristic extractor
+// unless AI_FALLBACK=false.
+
+const hasGeminiKey = () => !!process.env.GEMINI_API_KEY &&
+  process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here' &&
+  process.env.GEMINI_API_KEY.length > 10;
+
+const createProvider = (name) => {
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || undefined
+      });
+    case 'openai':
+      return createOpenAIProvider({
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || undefined
+      });
+    case 'ollama':
+      return createOpenAIProvider({
+        name: 'ollama',
+        baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+        model: process.env.OLLAMA_MODEL || 'llama3.1',
+        timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || undefined
+      });
+    case 'mock':
+      return createMockProvider();
+    case 'heuristic':
+      return createHeuristicProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${name}`);
+  }
+};
+
+const heuristic = createHeuristicProvider();
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    const name = (process.env.AI_PROVIDER || (hasGeminiKey() ? 'gemini' : 'heuristic')).toLowerCase();
+    try {
+      provider = createProvider(name);
+    } catch (error) {
+      console.error(`Error initializing AI provider "${name}":`, error.message);
+      provider = heuristic;
+    }
+    console.log('AI provider:', provider.name);
+  }
+  return provider;
+};
+
+// Swap the provider at runtime, e.g. a mock provider in tests
+const setProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+const fallbackEnabled = () => process.env.AI_FALLBACK !== 'false';
+
+// Models are asked for YYYY-MM-DD but sometimes copy the date as printed,
+// e.g. 19/10/2026, which is then read in the receipt's locale
+const toDate = (value, locale) => {
+  if (!value) return null;
+  if (locale && typeof value === 'string' && !/^\d{4}-/.test(value)) return parseLocaleDate(value, locale);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Amounts should come back as numbers, but a string like "1.234,56" is read
+// rather than cut short by parseFloat
+const toAmount = (value) => (typeof value === 'number' ? value : parseAmount(value));
+
+// Without the user's categories, keep whatever category the provider returned
+const normalizeCategory = (categories, value, type) => {
+  if (categories) return resolveCategory(categories, value, type);
+  return value ? String(value).toLowerCase() : 'other';
+};
+
+// Items may come back as plain names or as { description, quantity, unitPrice,
+// amount, category, confidence }. Items without a recognised category take the receipt's.
+const normalizeItems = (items, categories, receiptCategory) => (Array.isArray(items) ? items : [])
+  .map(item => (typeof item === 'string' ? { description: item } : item))
+  .filter(item => item && item.description)
+  .map(item => {
+    const category = item.category ? normalizeCategory(categories, item.category, 'expense') : FALLBACK_KEY;
+    return {
+      ...normalizeItem({
+        description: item.description,
+        quantity: toAmount(item.quantity),
+        unitPrice: toAmount(item.unitPrice),
+        amount: toAmount(item.amount)
+      }),
+      category: category !== FALLBACK_KEY ? category : receiptCategory,
+      confidence: toConfidence(item.confidence)
+    };
+  });
+
+const normalizeReceipt = (raw, categories, locale) => {
+  const amount = toAmount(raw.amount);
+  const category = normalizeCategory(categories, raw.category, 'expense');
+  const items = normalizeItems(raw.items, categories, category);
+  return {
+    amount: isNaN(amount) ? null : amount,
+    currency: normalizeCurrency(raw.currency),
+    date: toDate(raw.date, locale),
+    merchant: raw.merchant || null,
+    category,
+    description: raw.description || 'Receipt purchase',
+    items,
+    ...normalizeBreakdown({
+      subtotal: toAmount(raw.subtotal),
+      tax: toAmount(raw.tax),
+      discount: toAmount(raw.discount),
+      tip: toAmount(raw.tip)
+    }),
+    // The extractor's own confidence in each field, refined once OCR is taken into account
+    confidence: normalizeConfidence(raw.confidence),
+    // Receipts covering several categories are offered as a split
+    splits: isNaN(amount) ? [] : proposeSplits(items, amount)
+  };
+};
+
+const normalizeTransactions = (raw, categories, locale) => raw
+  .filter(transaction => transaction && transaction.amount)
+  .map(transaction => {
+    const type = transaction.type === 'income' ? 'income' : 'expense';
+    return {
+      ...transaction,
+      amount: toAmount(transaction.amount) || 0,
+      currency: normalizeCurrency(transaction.currency),
+      date: (toDate(transaction.date, locale) || new Date()).toISOString(),
+      type,
+      category: normalizeCategory(categories, transaction.category, type),
+      description: transaction.description || 'Transaction'
+    };
+  });
+
+// Run an extraction on the active provider, retrying with the heuristic extractor on failure
+const runExtraction = async (method, text, options) => {
+  const active = getProvider();
+  try {
+    return { result: await active[method](text, options), provider: active.name };
+  } catch (error) {
+    if (active === heuristic || !fallbackEnabled()) throw error;
+    console.log(`${active.name} ${method} failed, using heuristic extractor:`, error.message);
+    return { result: await heuristic[method](text, options), provider: heuristic.name };
+  }
+};
+
+// Returns { receipt, provider }. Pass the user's categories to prompt with and resolve against them,
+// and the document's locale format (see services/locale) to read its amounts and dates.
+const extractReceipt = async (text, { categories, locale } = {}) => {
+  const options = categories ? { categoryNames: categoryNames(categories, 'expense'), locale } : { locale };
+  const { result, provider: name } = await runExtraction('extractReceipt', text, options);
+  return { receipt: normalizeReceipt(result, categories, locale), provider: name };
+};
+
+// Returns { transactions, provider }. `part` ({ index, count }) tells the model
+// the text is one chunk of a longer statement.
+const extractTransactions = async (text, { categories, locale, part } = {}) => {
+  const options = categories ? { categoryNames: categoryNames(categories), locale, part } : { locale, part };
+  const { result, provider: name } = await runExtraction('extractTransactions', text, options);
+  return { transactions: normalizeTransactions(result, categories, locale), provider: name };
+};
+
+const canGenerateText = () => typeof getProvider().generateText === 'function';
+
+const generateText = async (prompt) => {
+  const active = getProvider();
+  if (typeof active.generateText !== 'function') {
+    throw new Error(`AI provider "${active.name}" does not support text generation`);
+  }
+  return active.generateText(prompt);
+};
+
+// Yields text chunks as they arrive. Providers without streaming send the whole reply as one chunk.
+const streamText = async function* (prompt, { signal } = {}) {
+  const active = getProvider();
+  if (typeof active.streamText === 'function') {
+    yield* active.streamText(prompt, { signal });
+  } else {
+    yield await generateText(prompt);
+  }
+};
+
+// Chat with tool access. Providers without tool support just stream the reply.
+const streamChat = async function* (prompt, { tools = [], executeTool, signal } = {}) {
+  const active = getProvider();
+  if (typeof active.streamChat === 'function') {
+    yield* active.streamChat(prompt, { tools, executeTool, signal });
+  } else {
+    yield* streamText(prompt, { signal });
+  }
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  createProvider,
+  createMockProvider,
+  extractReceipt,
+  extractTransactions,
+  canGenerateText,
+  generateText,
+  streamText,
+  streamChat,
+  guessCategory
+};
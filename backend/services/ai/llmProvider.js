@@ -0,0 +1,37 @@
+const { buildReceiptPrompt, buildTransactionsPrompt, parseJsonResponse } = require('./prompts');
+
+// Upper bound on model -> tool -> model round trips in one chat answer
+const MAX_TOOL_STEPS = 5;
+
+// Wrap text generation functions into the full provider interface.
+// Extraction is done by prompting the model and parsing its JSON reply.
+// - generateText(prompt) resolves to the full reply
+// - streamText(prompt, { signal }) returns an async iterable of text chunks
+// - streamChat(prompt, { tools, executeTool, signal }) streams like streamText,
+//   calling executeTool(name, args) whenever the model asks for a tool
+const createLlmProvider = (name, { generateText, streamText = null, streamChat = null }) => ({
+  name,
+  generateText,
+  streamText,
+  streamChat,
+
+  extractReceipt: async (text, { categoryNames, locale } = {}) => {
+    const response = await generateText(buildReceiptPrompt(text, categoryNames, locale));
+    const extracted = parseJsonResponse(response);
+    if (!extracted || Array.isArray(extracted) || typeof extracted !== 'object') {
+      throw new Error('AI response format is invalid');
+    }
+    return extracted;
+  },
+
+  extractTransactions: async (text, { categoryNames, locale, part } = {}) => {
+    const response = await generateText(buildTransactionsPrompt(text, categoryNames, locale, part));
+    const extracted = parseJsonResponse(response);
+    if (!Array.isArray(extracted)) {
+      throw new Error('AI response format is invalid');
+    }
+    return extracted;
+  }
+});
+
+module.exports = { createLlmProvider, MAX_TOOL_STEPS };
@@ -0,0 +1,60 @@
+// Canned provider for tests and demos. Every call is recorded in `calls`.
+const createMockProvider = ({
+  text = 'This is a mock AI response.',
+  receipt = {
+    amount: 42.5,
+    date: '2024-01-15',
+    merchant: 'Mock Store',
+    category: 'shopping',
+    description: 'Mock purchase',
+    items: ['Mock item']
+  },
+  transactions = [
+    { date: '2024-01-15', description: 'Mock salary', amount: 1000, type: 'income', category: 'other' },
+    { date: '2024-01-16', description: 'Mock groceries', amount: 25.75, type: 'expense', category: 'food' }
+  ],
+  // Tool calls made before answering in streamChat, e.g. [{ name: 'search_transactions', args: {} }]
+  toolCalls = []
+} = {}) => {
+  const calls = [];
+
+  return {
+    name: 'mock',
+    calls,
+    generateText: async (prompt) => {
+      calls.push({ method: 'generateText', input: prompt });
+      return typeof text === 'function' ? text(prompt) : text;
+    },
+    // Streams the canned text word by word and stops when aborted
+    streamText: async function* (prompt, { signal } = {}) {
+      calls.push({ method: 'streamText', input: prompt });
+      const response = typeof text === 'function' ? text(prompt) : text;
+      for (const word of response.split(/(?<=\s)/)) {
+        if (signal && signal.aborted) return;
+        yield word;
+      }
+    },
+    streamChat: async function* (prompt, { executeTool, signal } = {}) {
+      calls.push({ method: 'streamChat', input: prompt });
+      for (const toolCall of toolCalls) {
+        const result = await executeTool(toolCall.name, toolCall.args || {});
+        calls.push({ method: 'tool', input: toolCall, result });
+      }
+      const response = typeof text === 'function' ? text(prompt) : text;
+      for (const word of response.split(/(?<=\s)/)) {
+        if (signal && signal.aborted) return;
+        yield word;
+      }
+    },
+    extractReceipt: async (input) => {
+      calls.push({ method: 'extractReceipt', input });
+      return { ...receipt };
+    },
+    extractTransactions: async (input) => {
+      calls.push({ method: 'extractTransactions', input });
+      return transactions.map(transaction => ({ ...transaction }));
+    }
+  };
+};
+
+module.exports = { createMockProvider };
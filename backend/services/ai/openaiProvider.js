@@ -0,0 +1,112 @@
+const { createLlmProvider, MAX_TOOL_STEPS } = require('./llmProvider');
+
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// Works with any server exposing the OpenAI chat completions API
+// (OpenAI itself, Ollama at http://localhost:11434/v1, LM Studio, vLLM, ...)
+const createOpenAIProvider = ({ name = 'openai', baseUrl, apiKey, model, timeoutMs = DEFAULT_TIMEOUT_MS }) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const request = async (messages, { stream = false, signal, tools = [] } = {}) => {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        temperature: 0.2,
+        stream,
+        ...(tools.length > 0 && {
+          tools: tools.map(tool => ({ type: 'function', function: tool }))
+        })
+      }),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`${name} request failed with status ${response.status}: ${body.slice(0, 200)}`);
+    }
+    return response;
+  };
+
+  // The streaming API sends server-sent events: "data: {json}" lines ending with "data: [DONE]"
+  const readDeltas = async function* (response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data) continue;
+        if (data === '[DONE]') return;
+
+        const delta = JSON.parse(data).choices?.[0]?.delta;
+        if (delta) yield delta;
+      }
+    }
+  };
+
+  const generateText = async (prompt) => {
+    const response = await request([{ role: 'user', content: prompt }]);
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error(`${name} returned an empty response`);
+    }
+    return content;
+  };
+
+  const streamChat = async function* (prompt, { tools = [], executeTool, signal } = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+
+    for (let step = 0; step < MAX_TOOL_STEPS; step++) {
+      const response = await request(messages, { stream: true, signal, tools });
+      const toolCalls = [];
+      let content = '';
+
+      for await (const delta of readDeltas(response)) {
+        if (delta.content) {
+          content += delta.content;
+          yield delta.content;
+        }
+        // Tool calls arrive in fragments keyed by index
+        (delta.tool_calls || []).forEach((fragment) => {
+          const call = toolCalls[fragment.index] ||
+            (toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.function.name += fragment.function.name;
+          if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        });
+      }
+
+      if (toolCalls.length === 0) return;
+
+      messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+      for (const call of toolCalls) {
+        let args = {};
+        try {
+          args = JSON.parse(call.function.arguments || '{}');
+        } catch (error) {
+          console.log(`${name} sent invalid tool arguments:`, call.function.arguments);
+        }
+        const result = await executeTool(call.function.name, args);
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+      }
+    }
+  };
+
+  const streamText = (prompt, { signal } = {}) => streamChat(prompt, { signal });
+
+  return createLlmProvider(name, { generateText, streamText, streamChat });
+};
+
+module.exports = { createOpenAIProvider };
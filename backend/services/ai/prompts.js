@@ -0,0 +1,132 @@
+// Prompts shared by the LLM-backed providers
+
+// Used when the caller does not pass the user's own categories
+const DEFAULT_CATEGORY_NAMES = ['Food', 'Transportation', 'Housing', 'Utilities', 'Entertainment', 'Healthcare', 'Shopping', 'Education', 'Other'];
+
+const DATE_ORDER_NAMES = { DMY: 'day/month/year', MDY: 'month/day/year', YMD: 'year/month/day' };
+
+// How the document writes numbers and dates (a format from services/locale),
+// so "1.234,56" is not read as 1.234 or 03/04 as the wrong month
+const describeLocale = (locale) => {
+  if (!locale) return '';
+  const separators = locale.decimalSeparator === ','
+    ? '"," as the decimal separator and "." between thousands, e.g. 1.234,56'
+    : '"." as the decimal separator and "," between thousands, e.g. 1,234.56';
+  return `
+This document is formatted for the ${locale.locale} locale: amounts use ${separators}, and numeric dates are written ${DATE_ORDER_NAMES[locale.dateOrder]}.
+Return amounts as plain numbers with "." as the decimal point and dates as YYYY-MM-DD.
+`;
+};
+
+const buildReceiptPrompt = (text, categoryNames = DEFAULT_CATEGORY_NAMES, locale = null) => `
+You are a receipt data extraction expert. Extract the following information from this receipt text in JSON format:
+{
+  "amount": "total amount (number only, no currency symbol)",
+  "currency": "ISO 4217 code of the currency shown, e.g. USD, EUR, GBP or INR (null if not shown)",
+  "date": "date in YYYY-MM-DD format",
+  "merchant": "store/merchant name",
+  "category": "one of: ${categoryNames.join(', ')}",
+  "description": "brief description of the purchase",
+  "items": [{
+    "description": "item name",
+    "quantity": "number of units (1 if not shown)",
+    "unitPrice": "price of one unit (number only, null if not shown)",
+    "amount": "line total (number only)",
+    "category": "one of the categories above",
+    "confidence": "0 to 1, how sure you are of this line"
+  }],
+  "subtotal": "total before tax and discounts (number only, null if not shown)",
+  "tax": "total tax such as GST, VAT or sales tax, adding up all tax lines (number only, null if not shown)",
+  "discount": "total discounts and coupons as a positive number (null if none)",
+  "tip": "tip, gratuity or service charge (number only, null if none)",
+  "confidence": { "amount": 0-1, "date": 0-1, "merchant": 0-1, "subtotal": 0-1, "tax": 0-1, "discount": 0-1, "tip": 0-1 }
+}
+Use null rather than guessing for anything not printed on the receipt. Confidence is low when the text
+around a value is garbled or the value had to be inferred.
+${describeLocale(locale)}
+Receipt text:
+${text}
+
+Return only the JSON object, no additional text.
+`;
+
+// Long statements are sent a few pages at a time ({ index, count } from
+// services/pdfStatements); each part starts with the last lines of the one before
+const describePart = (part) => {
+  if (!part || part.count <= 1) return '';
+  return `
+This text is part ${part.index + 1} of ${part.count} of a longer statement. Extract every transaction in this part, including any in its first few lines, which repeat the end of the previous part. Do not skip rows because the statement continues elsewhere.
+`;
+};
+
+const buildTransactionsPrompt = (text, categoryNames = DEFAULT_CATEGORY_NAMES, locale = null, part = null) => `
+You are a financial data extraction expert. Analyze this PDF text and extract ALL unique financial transactions.
+
+IMPORTANT: Be FLEXIBLE and handle ANY format:
+- Tables, lists, paragraphs, scattered data
+- Any currency symbols ($, ₹, €, £, etc.)
+- Any date formats (convert to YYYY-MM-DD)
+- Any amount formats (numbers, decimals, etc.)
+- Any description formats (titles, details, etc.)
+
+Extraction Rules:
+1. Find UNIQUE transactions only (no duplicates)
+2. If information is missing, use defaults:
+   - Missing date → use current date
+   - Missing description → use "Transaction"
+   - Missing amount → skip (don't create transaction)
+   - Missing type → guess based on context
+   - Missing category → use "Other"
+3. Handle ANY structure - don't expect specific formats
+4. Look for patterns but don't require them
+5. Be creative in finding financial data
+
+For each UNIQUE transaction found, create:
+{
+  "date": "YYYY-MM-DD (current date if not found)",
+  "description": "any text describing the transaction (or 'Transaction' if unclear)",
+  "amount": "number only (skip if no amount found)",
+  "currency": "ISO 4217 code of the currency shown, e.g. USD, EUR, GBP or INR (null if not shown)",
+  "type": "income or expense (guess based on context)",
+  "category": "one of: ${categoryNames.join(', ')}"
+}
+
+Guidelines:
+- If you see the same transaction multiple times, include it ONCE only
+- If amount is unclear or missing, skip that transaction
+- If description is unclear, use "Transaction" + amount
+- If type is unclear, default to "expense"
+- If category is unclear, use "Other"
+- Don't create transactions without amounts
+- Don't duplicate transactions
+${describeLocale(locale)}${describePart(part)}
+PDF text to analyze:
+${text}
+
+Return ONLY a JSON array of UNIQUE transactions. If no valid transactions found, return empty array.
+Focus on quality over quantity - better to extract fewer accurate transactions than many duplicates.
+`;
+
+// Models often wrap JSON in markdown fences or add a sentence around it
+const parseJsonResponse = (text) => {
+  let jsonText = String(text || '').trim();
+  if (jsonText.startsWith('```json')) {
+    jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+  } else if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+  }
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (error) {
+    const match = jsonText.match(/(\[[\s\S]*\]|\{[\s\S]*\})/);
+    if (!match) throw error;
+    return JSON.parse(match[1]);
+  }
+};
+
+module.exports = {
+  buildReceiptPrompt,
+  buildTransactionsPrompt,
+  parseJsonResponse
+};
@@ -0,0 +1,136 @@
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const CategoryRule = require('../models/CategoryRule');
+
+// Catch-all category every user keeps for each type
+const FALLBACK_KEY = 'other';
+
+// Created for each user the first time their categories are read
+const DEFAULT_CATEGORIES = {
+  expense: [
+    { name: 'Food', icon: 'Restaurant', color: '#4caf50' },
+    { name: 'Transportation', icon: 'DirectionsCar', color: '#03a9f4' },
+    { name: 'Housing', icon: 'Home', color: '#ff9800' },
+    { name: 'Utilities', icon: 'Bolt', color: '#9c27b0' },
+    { name: 'Entertainment', icon: 'Movie', color: '#3f51b5' },
+    { name: 'Healthcare', icon: 'LocalHospital', color: '#f44336' },
+    { name: 'Shopping', icon: 'ShoppingBag', color: '#e91e63' },
+    { name: 'Education', icon: 'School', color: '#009688' },
+    { name: 'Other', icon: 'Category', color: '#9e9e9e' }
+  ],
+  income: [
+    { name: 'Salary', icon: 'Work', color: '#4caf50' },
+    { name: 'Freelance', icon: 'Laptop', color: '#00bcd4' },
+    { name: 'Gift', icon: 'CardGiftcard', color: '#e91e63' },
+    { name: 'Investment', icon: 'TrendingUp', color: '#3f51b5' },
+    { name: 'Business', icon: 'Business', color: '#ff9800' },
+    { name: 'Bonus', icon: 'Star', color: '#ffc107' },
+    { name: 'Commission', icon: 'Payments', color: '#8bc34a' },
+    { name: 'Other', icon: 'Category', color: '#9e9e9e' }
+  ]
+};
+
+const ensureDefaultCategories = async (userId) => {
+  const count = await Category.countDocuments({ user: userId });
+  if (count > 0) return;
+
+  const defaults = Object.entries(DEFAULT_CATEGORIES).flatMap(([type, categories]) =>
+    categories.map(category => ({ ...category, type, key: category.name.toLowerCase(), user: userId }))
+  );
+
+  try {
+    await Category.insertMany(defaults, { ordered: false });
+  } catch (error) {
+    // Another request seeded them at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// All of a user's categories, seeding the defaults on first use
+const getCategories = async (userId) => {
+  await ensureDefaultCategories(userId);
+  return Category.find({ user: userId }).sort({ type: 1, name: 1 }).lean();
+};
+
+// Map a free-text category (from a form, an import or the AI) to one of the user's keys.
+// Accepts the name, the key or "Parent › Child"; anything else becomes "other".
+const resolveCategory = (categories, value, type) => {
+  const text = String(value || '').split('›').pop().trim().toLowerCase();
+  const match = categories.find(category =>
+    category.key === text && (!type || category.type === type)
+  );
+  return match ? match.key : FALLBACK_KEY;
+};
+
+const findCategory = (categories, value, type) => {
+  const key = String(value || '').trim().toLowerCase();
+  return categories.find(category => category.key === key && (!type || category.type === type)) || null;
+};
+
+// A category plus its children, for filters and budgets that include subcategories
+const expandCategory = (categories, key, type) => {
+  const parents = categories.filter(category => category.key === key && (!type || category.type === type));
+  const parentIds = parents.map(category => String(category._id));
+  const children = categories.filter(category => category.parent && parentIds.includes(String(category.parent)));
+  return [...new Set([key, ...children.map(category => category.key)])];
+};
+
+// "Food › Groceries" style names used in AI prompts
+const categoryLabel = (categories, category) => {
+  const parent = category.parent && categories.find(other => String(other._id) === String(category.parent));
+  return parent ? `${parent.name} › ${category.name}` : category.name;
+};
+
+const categoryNames = (categories, type) => categories
+  .filter(category => !type || category.type === type)
+  .map(category => categoryLabel(categories, category));
+
+// Point everything that used one category key at another (rename, merge or delete)
+const moveCategoryReferences = async (userId, type, fromKey, toKey) => {
+  if (fromKey === toKey) return { transactions: 0 };
+
+  const result = await Transaction.updateMany(
+    { user: userId, type, category: fromKey },
+    { category: toKey }
+  );
+  await Transaction.updateMany(
+    { user: userId, type, 'splits.category': fromKey },
+    { $set: { 'splits.$[split].category': toKey } },
+    { arrayFilters: [{ 'split.category': fromKey }] }
+  );
+  await RecurringTransaction.updateMany(
+    { user: userId, type, category: fromKey },
+    { category: toKey }
+  );
+  await CategoryRule.updateMany(
+    { user: userId, type, category: fromKey },
+    { category: toKey }
+  );
+
+  // Budgets are expense-only; keep the target's limit when both have one
+  if (type === 'expense') {
+    const targetBudget = await Budget.findOne({ user: userId, category: toKey });
+    if (targetBudget) {
+      await Budget.deleteOne({ user: userId, category: fromKey });
+    } else {
+      await Budget.updateOne({ user: userId, category: fromKey }, { category: toKey });
+    }
+  }
+
+  return { transactions: result.modifiedCount };
+};
+
+module.exports = {
+  FALLBACK_KEY,
+  DEFAULT_CATEGORIES,
+  ensureDefaultCategories,
+  getCategories,
+  resolveCategory,
+  findCategory,
+  expandCategory,
+  categoryLabel,
+  categoryNames,
+  moveCategoryReferences
+};
@@ -0,0 +1,175 @@
+const CategoryStats = require('../models/CategoryStats');
+const Transaction = require('../models/Transaction');
+
+// Learned categorizer: a per-user naive Bayes model over description and merchant
+// words plus an amount bucket. Counts live in CategoryStats and are updated as
+// transactions are created, edited and deleted, so it needs no network access.
+
+// Below this confidence a suggestion is shown but does not replace the AI's guess
+const MIN_CONFIDENCE = 0.6;
+
+// Need at least this many learned transactions of a type before suggesting
+const MIN_DOCUMENTS = 3;
+
+// Rough amount ranges so "small coffee" and "monthly rent" sized amounts separate
+const AMOUNT_BUCKETS = [10, 50, 100, 500, 1000, 5000, 20000];
+
+// Words common to bank descriptions that say nothing about the category
+const STOP_WORDS = new Set([
+  'the', 'and', 'of', 'to', 'for', 'in', 'on', 'at', 'by', 'with', 'from',
+  'payment', 'purchase', 'pos', 'card', 'debit', 'credit', 'txn', 'ref', 'transaction'
+]);
+
+// "Other" is the catch-all; learning it would only teach the model to give up
+const IGNORED_CATEGORIES = new Set(['other']);
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token.length > 1 && !/^\d+$/.test(token) && !STOP_WORDS.has(token));
+
+// Features of one transaction. Keys avoid "." and "$" so they can be Map keys.
+const extractFeatures = (transaction) => {
+  const features = new Set();
+  tokenize(transaction.description).forEach(token => features.add(`w_${token}`));
+  tokenize(transaction.merchant).forEach(token => features.add(`m_${token}`));
+
+  const amount = Math.abs(parseFloat(transaction.amount));
+  if (!isNaN(amount)) {
+    const bucket = AMOUNT_BUCKETS.findIndex(limit => amount < limit);
+    features.add(`a_${bucket === -1 ? AMOUNT_BUCKETS.length : bucket}`);
+  }
+  return [...features];
+};
+
+const isLearnable = (transaction) =>
+  transaction && transaction.category && !IGNORED_CATEGORIES.has(transaction.category) &&
+  ['income', 'expense'].includes(transaction.type);
+
+// Add (weight 1) or remove (weight -1) transactions from the user's counts
+const learn = async (userId, transactions, weight = 1) => {
+  const increments = new Map();
+
+  transactions.filter(isLearnable).forEach(transaction => {
+    const key = `${transaction.type}|${transaction.category}`;
+    if (!increments.has(key)) {
+      increments.set(key, { type: transaction.type, category: transaction.category, inc: { documents: 0 } });
+    }
+    const entry = increments.get(key);
+    entry.inc.documents += weight;
+    extractFeatures(transaction).forEach(feature => {
+      const path = `features.${feature}`;
+      entry.inc[path] = (entry.inc[path] || 0) + weight;
+    });
+  });
+
+  if (increments.size === 0) return;
+
+  await CategoryStats.bulkWrite([...increments.values()].map(({ type, category, inc }) => ({
+    updateOne: {
+      filter: { user: userId, type, category },
+      update: { $inc: inc, $set: { updatedAt: new Date() } },
+      upsert: true
+    }
+  })));
+};
+
+const unlearn = (userId, transactions) => learn(userId, transactions, -1);
+
+// Retrain from scratch, e.g. after categories were renamed, merged or re-categorized in bulk
+const rebuild = async (userId) => {
+  await CategoryStats.deleteMany({ user: userId });
+
+  let batch = [];
+  const cursor = Transaction.find({ user: userId })
+    .select('type amount description merchant category')
+    .lean()
+    .cursor();
+
+  for await (const transaction of cursor) {
+    batch.push(transaction);
+    if (batch.length >= 500) {
+      await learn(userId, batch);
+      batch = [];
+    }
+  }
+  await learn(userId, batch);
+};
+
+// Run a rebuild in the background; failures only affect suggestions
+const scheduleRebuild = (userId) => {
+  rebuild(userId).catch(error => console.error('Categorizer rebuild failed:', error.message));
+};
+
+// Load the user's counts for a type, training from history the first time
+const loadModel = async (userId, type) => {
+  let stats = await CategoryStats.find({ user: userId, type, documents: { $gt: 0 } }).lean();
+  if (stats.length === 0 && await CategoryStats.countDocuments({ user: userId }) === 0) {
+    await rebuild(userId);
+    stats = await CategoryStats.find({ user: userId, type, documents: { $gt: 0 } }).lean();
+  }
+
+  const vocabulary = new Set();
+  const categories = stats.map(stat => {
+    const features = new Map(Object.entries(stat.features || {}).filter(([, count]) => count > 0));
+    features.forEach((count, feature) => vocabulary.add(feature));
+    const total = [...features.values()].reduce((sum, count) => sum + count, 0);
+    return { category: stat.category, documents: stat.documents, features, total };
+  });
+  const documents = categories.reduce((sum, category) => sum + category.documents, 0);
+
+  return { categories, documents, vocabularySize: vocabulary.size };
+};
+
+// Rank categories for one transaction: [{ category, confidence }], best first
+const classify = (model, transaction, limit = 3) => {
+  if (model.documents < MIN_DOCUMENTS || model.categories.length === 0) return [];
+
+  const features = extractFeatures(transaction);
+  const scores = model.categories.map(category => {
+    let score = Math.log(category.documents / model.documents);
+    features.forEach(feature => {
+      const count = category.features.get(feature) || 0;
+      score += Math.log((count + 1) / (category.total + model.vocabularySize));
+    });
+    return { category: category.category, score };
+  });
+
+  // Softmax of the log scores gives a confidence between 0 and 1
+  const best = Math.max(...scores.map(score => score.score));
+  const weights = scores.map(score => Math.exp(score.score - best));
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+
+  return scores
+    .map((score, index) => ({ category: score.category, confidence: Math.round((weights[index] / sum) * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+};
+
+// Suggestions for several transactions of possibly different types
+const suggestMany = async (userId, transactions, limit = 3) => {
+  const models = {};
+  const results = [];
+  for (const transaction of transactions) {
+    const type = transaction.type === 'income' ? 'income' : 'expense';
+    if (!models[type]) models[type] = await loadModel(userId, type);
+    results.push(classify(models[type], transaction, limit));
+  }
+  return results;
+};
+
+const suggest = async (userId, transaction, limit = 3) => {
+  const [suggestions] = await suggestMany(userId, [transaction], limit);
+  return suggestions;
+};
+
+module.exports = {
+  MIN_CONFIDENCE,
+  extractFeatures,
+  learn,
+  unlearn,
+  rebuild,
+  scheduleRebuild,
+  suggest,
+  suggestMany
+};
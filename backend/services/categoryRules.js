@@ -0,0 +1,111 @@
+const CategoryRule = require('../models/CategoryRule');
+const Transaction = require('../models/Transaction');
+
+// Operators allowed for each condition field
+const FIELD_OPERATORS = {
+  description: ['contains', 'equals', 'startsWith'],
+  merchant: ['contains', 'equals', 'startsWith'],
+  amount: ['equals', 'gt', 'gte', 'lt', 'lte']
+};
+
+// Active rules for a user in the order they are tried
+const getActiveRules = (userId) => CategoryRule.find({ user: userId, active: true })
+  .sort({ priority: 1, createdAt: 1 })
+  .lean();
+
+const matchesCondition = (condition, transaction) => {
+  if (condition.field === 'amount') {
+    const amount = Math.abs(parseFloat(transaction.amount));
+    const value = parseFloat(condition.value);
+    if (isNaN(amount) || isNaN(value)) return false;
+
+    switch (condition.operator) {
+      case 'equals': return Math.abs(amount - value) < 0.005;
+      case 'gt': return amount > value;
+      case 'gte': return amount >= value;
+      case 'lt': return amount < value;
+      case 'lte': return amount <= value;
+      default: return false;
+    }
+  }
+
+  // Text comparisons ignore case and surrounding whitespace
+  const text = String(transaction[condition.field] || '').trim().toLowerCase();
+  const value = condition.value.trim().toLowerCase();
+  if (!text) return false;
+
+  switch (condition.operator) {
+    case 'contains': return text.includes(value);
+    case 'equals': return text === value;
+    case 'startsWith': return text.startsWith(value);
+    default: return false;
+  }
+};
+
+// First rule whose type and conditions all match, or null.
+// Transactions without a type (receipts) are treated as expenses.
+const findMatchingRule = (rules, transaction) => {
+  const type = transaction.type || 'expense';
+  return rules.find(rule =>
+    rule.type === type && rule.conditions.every(condition => matchesCondition(condition, transaction))
+  ) || null;
+};
+
+// Return the transaction with the category from the first matching rule.
+// `categoryRule` names the rule so previews can show why a category was picked.
+const applyRules = (rules, transaction) => {
+  const rule = findMatchingRule(rules, transaction);
+  if (!rule) return transaction;
+  return { ...transaction, category: rule.category, categoryRule: rule.name };
+};
+
+// Re-run the active rules over every existing transaction, updating the ones that change.
+// A split transaction's category is its largest split line's, so those are left alone.
+const applyRulesToHistory = async (userId) => {
+  const rules = await getActiveRules(userId);
+  if (rules.length === 0) return { matched: 0, updated: 0 };
+
+  let matched = 0;
+  let updates = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (updates.length === 0) return;
+    const result = await Transaction.bulkWrite(updates);
+    updated += result.modifiedCount;
+    updates = [];
+  };
+
+  const cursor = Transaction.find({ user: userId })
+    .select('type amount description merchant category splits')
+    .lean()
+    .cursor();
+
+  for await (const transaction of cursor) {
+    if (transaction.splits && transaction.splits.length > 0) continue;
+    const rule = findMatchingRule(rules, transaction);
+    if (!rule) continue;
+    matched++;
+    if (rule.category !== transaction.category) {
+      updates.push({
+        updateOne: {
+          filter: { _id: transaction._id },
+          update: { category: rule.category }
+        }
+      });
+      if (updates.length >= 500) await flush();
+    }
+  }
+  await flush();
+
+  return { matched, updated };
+};
+
+module.exports = {
+  FIELD_OPERATORS,
+  getActiveRules,
+  matchesCondition,
+  findMatchingRule,
+  applyRules,
+  applyRulesToHistory
+};
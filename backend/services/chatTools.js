@@ -0,0 +1,255 @@
+const Transaction = require('../models/Transaction');
+const { expandCategory } = require('./categories');
+const { categoryMatch, categoryLineStages, baseAmountStages } = require('./splits');
+
+// Read-only transaction queries the AI assistant can call while answering.
+// Every query is scoped to the signed-in user; the model only picks the filters.
+// Totals are in the user's base currency; listed transactions keep their own.
+
+const MAX_RESULTS = 25;
+const MAX_MONTHS = 12;
+const MAX_CITATIONS = 10;
+
+const chatTools = [
+  {
+    name: 'search_transactions',
+    description: 'Find the user\'s transactions by date range, category, tag, type or text. Use sortBy "amount" to find the largest purchases.',
+    parameters: {
+      type: 'object',
+      properties: {
+        startDate: { type: 'string', description: 'Start date, YYYY-MM-DD (inclusive)' },
+        endDate: { type: 'string', description: 'End date, YYYY-MM-DD (inclusive)' },
+        category: { type: 'string', description: 'Category name, e.g. Food or Transportation' },
+        tag: { type: 'string', description: 'Tag the user gave the transactions, e.g. "goa trip 2026" or "reimbursable"' },
+        type: { type: 'string', enum: ['income', 'expense'] },
+        search: { type: 'string', description: 'Text to look for in the description, merchant or notes' },
+        sortBy: { type: 'string', enum: ['date', 'amount'], description: 'Newest first or largest first (default date)' },
+        limit: { type: 'integer', description: `Maximum transactions to return (1-${MAX_RESULTS}, default 10)` }
+      }
+    }
+  },
+  {
+    name: 'spending_by_group',
+    description: 'Total amounts grouped by category, merchant or tag for a date range, largest first. Use groupBy "merchant" for top merchants and "tag" for trips or projects.',
+    parameters: {
+      type: 'object',
+      properties: {
+        startDate: { type: 'string', description: 'Start date, YYYY-MM-DD (inclusive)' },
+        endDate: { type: 'string', description: 'End date, YYYY-MM-DD (inclusive)' },
+        type: { type: 'string', enum: ['income', 'expense'], description: 'Defaults to expense' },
+        groupBy: { type: 'string', enum: ['category', 'merchant', 'tag'], description: 'Defaults to category' },
+        limit: { type: 'integer', description: `Maximum groups to return (1-${MAX_RESULTS}, default 10)` }
+      }
+    }
+  },
+  {
+    name: 'compare_months',
+    description: 'Income and expense totals per month for the last few months, with the month-over-month change in spending.',
+    parameters: {
+      type: 'object',
+      properties: {
+        months: { type: 'integer', description: `Number of months to compare (2-${MAX_MONTHS}, default 3)` },
+        endMonth: { type: 'string', description: 'Last month to include, YYYY-MM (default current month)' },
+        category: { type: 'string', description: 'Only count this category' }
+      }
+    }
+  }
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDay = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+const clampLimit = (value, fallback = 10) => Math.min(Math.max(parseInt(value) || fallback, 1), MAX_RESULTS);
+
+// Accept the name or "Parent › Child", and include subcategories of a parent
+const categoryKeys = (categories, category, type) => {
+  if (!category) return null;
+  const key = String(category).split('›').pop().trim().toLowerCase();
+  return expandCategory(categories, key, type);
+};
+
+const buildMatch = (userId, categories, args) => {
+  const match = { user: userId };
+
+  const startDate = parseDay(args.startDate);
+  const endDate = parseDay(args.endDate, true);
+  if (startDate || endDate) {
+    match.date = {};
+    if (startDate) match.date.$gte = startDate;
+    if (endDate) match.date.$lte = endDate;
+  }
+  if (args.type === 'income' || args.type === 'expense') {
+    match.type = args.type;
+  }
+  const keys = categoryKeys(categories, args.category, match.type);
+  if (keys) {
+    match.$and = [categoryMatch(keys)];
+  }
+  if (args.tag) {
+    match.tags = String(args.tag).trim().toLowerCase();
+  }
+  if (args.search) {
+    const pattern = new RegExp(escapeRegex(String(args.search).trim()), 'i');
+    match.$or = [{ description: pattern }, { merchant: pattern }, { notes: pattern }];
+  }
+  return match;
+};
+
+const toCitation = (transaction) => ({
+  transaction: transaction._id,
+  description: transaction.description,
+  amount: transaction.amount,
+  currency: transaction.currency,
+  date: transaction.date,
+  category: transaction.category,
+  type: transaction.type
+});
+
+// Create an executor for one chat request. Transactions returned by searches are
+// collected so the answer can cite them.
+const createToolExecutor = (userId, categories = [], baseCurrency = 'USD') => {
+  const citations = new Map();
+
+  const handlers = {
+    search_transactions: async (args) => {
+      const match = buildMatch(userId, categories, args);
+      const sort = args.sortBy === 'amount' ? { amount: -1, date: -1 } : { date: -1 };
+
+      const [transactions, totals] = await Promise.all([
+        Transaction.find(match).sort(sort).limit(clampLimit(args.limit)).lean(),
+        Transaction.aggregate([
+          { $match: match },
+          ...baseAmountStages(categoryKeys(categories, args.category, match.type)),
+          { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$amount' } } }
+        ])
+      ]);
+
+      transactions.forEach(transaction => {
+        if (citations.size < MAX_CITATIONS) {
+          citations.set(String(transaction._id), toCitation(transaction));
+        }
+      });
+
+      return {
+        matchingCount: totals[0] ? totals[0].count : 0,
+        matchingTotal: totals[0] ? totals[0].total : 0,
+        currency: baseCurrency,
+        transactions: transactions.map(transaction => ({
+          id: String(transaction._id),
+          date: transaction.date.toISOString().split('T')[0],
+          description: transaction.description,
+          merchant: transaction.merchant,
+          category: transaction.category,
+          ...(transaction.splits?.length > 0 && {
+            splits: transaction.splits.map(split => ({ category: split.category, amount: split.amount }))
+          }),
+          ...(transaction.tags?.length > 0 && { tags: transaction.tags }),
+          ...(transaction.notes && { notes: transaction.notes }),
+          type: transaction.type,
+          amount: transaction.amount,
+          currency: transaction.currency || baseCurrency,
+          ...(transaction.currency && transaction.currency !== baseCurrency && { baseAmount: transaction.baseAmount })
+        }))
+      };
+    },
+
+    spending_by_group: async (args) => {
+      const match = buildMatch(userId, categories, { ...args, type: args.type || 'expense' });
+      const keys = categoryKeys(categories, args.category, match.type);
+      // Split transactions count towards each of their lines' categories, and
+      // tagged ones towards each of their tags
+      const groupings = {
+        merchant: [baseAmountStages(keys), { $ifNull: ['$merchant', '$description'] }, '$amount'],
+        tag: [[...baseAmountStages(keys), { $unwind: '$tags' }], '$tags', '$amount'],
+        category: [categoryLineStages(keys), '$line.category', '$line.amount']
+      };
+      const groupBy = groupings[args.groupBy] ? args.groupBy : 'category';
+      const [stages, groupKey, amount] = groupings[groupBy];
+
+      const groups = await Transaction.aggregate([
+        { $match: match },
+        ...stages,
+        { $group: { _id: groupKey, total: { $sum: amount }, count: { $sum: 1 } } },
+        { $sort: { total: -1 } },
+        { $limit: clampLimit(args.limit) }
+      ]);
+
+      return {
+        groupBy,
+        currency: baseCurrency,
+        groups: groups.map(group => ({ name: group._id, total: group.total, count: group.count }))
+      };
+    },
+
+    compare_months: async (args) => {
+      const months = Math.min(Math.max(parseInt(args.months) || 3, 2), MAX_MONTHS);
+      const [year, month] = /^\d{4}-\d{2}$/.test(args.endMonth || '')
+        ? args.endMonth.split('-').map(Number)
+        : [new Date().getFullYear(), new Date().getMonth() + 1];
+      const start = new Date(year, month - months, 1);
+      const end = new Date(year, month, 0, 23, 59, 59, 999);
+
+      const match = buildMatch(userId, categories, { category: args.category });
+      match.date = { $gte: start, $lte: end };
+
+      const rows = await Transaction.aggregate([
+        { $match: match },
+        ...baseAmountStages(categoryKeys(categories, args.category)),
+        {
+          $group: {
+            _id: { month: { $dateToString: { format: '%Y-%m', date: '$date' } }, type: '$type' },
+            total: { $sum: '$amount' }
+          }
+        }
+      ]);
+
+      const result = [];
+      for (let i = 0; i < months; i++) {
+        const date = new Date(start.getFullYear(), start.getMonth() + i, 1);
+        const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        const totalFor = (type) => (rows.find(row => row._id.month === key && row._id.type === type) || { total: 0 }).total;
+        result.push({ month: key, income: totalFor('income'), expense: totalFor('expense') });
+      }
+
+      const [previous, latest] = result.slice(-2);
+      return {
+        category: args.category || 'all',
+        currency: baseCurrency,
+        months: result,
+        expenseChangePercent: previous.expense > 0
+          ? Math.round(((latest.expense - previous.expense) / previous.expense) * 1000) / 10
+          : null
+      };
+    }
+  };
+
+  const execute = async (name, args = {}) => {
+    const handler = handlers[name];
+    if (!handler) {
+      return { error: `Unknown tool: ${name}` };
+    }
+    try {
+      return await handler(args || {});
+    } catch (error) {
+      console.error(`Chat tool ${name} failed:`, error.message);
+      return { error: 'Query failed' };
+    }
+  };
+
+  return {
+    execute,
+    getCitations: () => [...citations.values()]
+  };
+};
+
+module.exports = {
+  chatTools,
+  createToolExecutor
+};
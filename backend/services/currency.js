@@ -0,0 +1,211 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Transaction = require('../models/Transaction');
+const { parseCsv, parseDate } = require('./statementParser');
+
+const CURRENCY_REGEX = /^[A-Z]{3}$/;
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', INR: '₹', JPY: '¥' };
+
+// Codes and symbols recognised in receipt and statement text. Codes are checked
+// first because "$" is shared by several currencies.
+const CURRENCY_CODE_PATTERN = /\b(USD|EUR|GBP|INR|JPY|AUD|CAD|SGD|AED|CHF|CNY|NZD|HKD)\b/;
+const SYMBOL_PATTERNS = [
+  [/₹|\bRs\.?\s*\d/i, 'INR'],
+  [/€/, 'EUR'],
+  [/£/, 'GBP'],
+  [/¥/, 'JPY'],
+  [/\$/, 'USD']
+];
+
+// Totals use the converted amount and fall back to the original for records
+// that have no rate (including ones saved before currencies existed)
+const BASE_AMOUNT = { $ifNull: ['$baseAmount', '$amount'] };
+
+const normalizeCurrency = (value) => {
+  if (!value) return null;
+  const code = String(value).trim().toUpperCase();
+  return CURRENCY_REGEX.test(code) ? code : null;
+};
+
+const detectCurrency = (text) => {
+  if (!text) return null;
+  const code = String(text).match(CURRENCY_CODE_PATTERN);
+  if (code) return code[1];
+  const symbol = SYMBOL_PATTERNS.find(([pattern]) => pattern.test(text));
+  return symbol ? symbol[1] : null;
+};
+
+// "$12.50" for currencies with a well-known symbol, "SGD 12.50" otherwise
+const formatMoney = (amount, currency = 'USD') => {
+  const symbol = CURRENCY_SYMBOLS[currency];
+  return symbol ? `${symbol}${amount.toFixed(2)}` : `${currency} ${amount.toFixed(2)}`;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Validate and normalize one rate, from the API or a row of an imported file
+const parseRateInput = (body) => {
+  const from = normalizeCurrency(body.from);
+  const to = normalizeCurrency(body.to);
+  if (!from || !to) return { error: 'Currencies must be 3-letter codes like USD' };
+  if (from === to) return { error: 'From and to currencies must differ' };
+
+  const rate = parseFloat(body.rate);
+  if (isNaN(rate) || rate <= 0) return { error: 'Rate must be a positive number' };
+
+  const date = body.date instanceof Date ? body.date : parseDate(body.date);
+  if (!date || isNaN(date.getTime())) return { error: 'Invalid date' };
+  // Rates apply from the start of their day
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+  return { data: { from, to, rate, date: day } };
+};
+
+// Read rates from a JSON array (or { rates: [...] }) or a CSV file with
+// date, from, to and rate columns. Returns { rates, errors } with 1-based row numbers.
+const parseRatesFile = (text, filename = '') => {
+  let rows;
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { rates: [], errors: [{ row: 0, reason: 'Invalid JSON' }] };
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed.rates;
+    if (!Array.isArray(rows)) {
+      return { rates: [], errors: [{ row: 0, reason: 'Expected an array of rates' }] };
+    }
+  } else {
+    const [header = [], ...lines] = parseCsv(text);
+    const columns = header.map(name => name.toLowerCase());
+    const missing = ['date', 'from', 'to', 'rate'].filter(name => !columns.includes(name));
+    if (missing.length > 0) {
+      return { rates: [], errors: [{ row: 1, reason: `Missing columns: ${missing.join(', ')}` }] };
+    }
+    rows = lines.map(line => Object.fromEntries(columns.map((name, i) => [name, line[i]])));
+  }
+
+  const rates = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const { data, error } = parseRateInput(row || {});
+    if (error) {
+      errors.push({ row: index + 1, reason: error });
+    } else {
+      rates.push(data);
+    }
+  });
+  return { rates, errors };
+};
+
+// In-memory lookup over a user's rates. The rate for a date is the latest one
+// on or before it, or the earliest one when the date predates every rate.
+// Inverse pairs are used when only base → currency rates were loaded.
+const createConverter = (rates, baseCurrency) => {
+  const series = new Map();
+  const addPoint = (from, to, date, rate) => {
+    const key = `${from}>${to}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push({ time: new Date(date).getTime(), rate });
+  };
+  rates.forEach(({ from, to, date, rate }) => {
+    addPoint(from, to, date, rate);
+    addPoint(to, from, date, 1 / rate);
+  });
+  series.forEach(points => points.sort((a, b) => a.time - b.time));
+
+  const rateOn = (from, to, date = new Date()) => {
+    if (from === to) return 1;
+    const points = series.get(`${from}>${to}`);
+    if (!points) return null;
+    const time = new Date(date).getTime();
+    let match = points[0];
+    for (const point of points) {
+      if (point.time > time) break;
+      match = point;
+    }
+    return match.rate;
+  };
+
+  return {
+    baseCurrency,
+    rateOn,
+    rateToBase: (currency, date) => rateOn(currency || baseCurrency, baseCurrency, date)
+  };
+};
+
+const getConverter = async (userId, baseCurrency) => {
+  const rates = await ExchangeRate.find({ user: userId }).select('from to rate date').lean();
+  return createConverter(rates, baseCurrency);
+};
+
+// Fill in currency, exchangeRate and baseAmount on a transaction about to be saved
+const applyExchangeRate = (transaction, converter) => {
+  const currency = normalizeCurrency(transaction.currency) || converter.baseCurrency;
+  const rate = converter.rateToBase(currency, transaction.date || new Date());
+  transaction.currency = currency;
+  transaction.exchangeRate = rate;
+  transaction.baseAmount = rate === null ? null : roundAmount(transaction.amount * rate);
+  return transaction;
+};
+
+// Recompute baseAmount on all of a user's transactions, after rates change or
+// the base currency is switched
+const recalculateBaseAmounts = async (userId, baseCurrency) => {
+  const converter = await getConverter(userId, baseCurrency);
+  let updates = [];
+  let updated = 0;
+  let unconverted = 0;
+
+  const flush = async () => {
+    if (updates.length === 0) return;
+    const result = await Transaction.bulkWrite(updates);
+    updated += result.modifiedCount;
+    updates = [];
+  };
+
+  const cursor = Transaction.find({ user: userId })
+    .select('amount currency date baseAmount exchangeRate')
+    .lean()
+    .cursor();
+
+  for await (const transaction of cursor) {
+    const rate = converter.rateToBase(transaction.currency, transaction.date);
+    const baseAmount = rate === null ? null : roundAmount(transaction.amount * rate);
+    if (rate === null) unconverted++;
+    if (baseAmount !== transaction.baseAmount || rate !== transaction.exchangeRate) {
+      updates.push({
+        updateOne: {
+          filter: { _id: transaction._id },
+          update: { baseAmount, exchangeRate: rate }
+        }
+      });
+      if (updates.length >= 500) await flush();
+    }
+  }
+  await flush();
+
+  return { updated, unconverted };
+};
+
+// Transactions in another currency that no rate covers yet
+const countUnconverted = (userId, baseCurrency) => Transaction.countDocuments({
+  user: userId,
+  currency: { $nin: [null, baseCurrency] },
+  baseAmount: null
+});
+
+module.exports = {
+  BASE_AMOUNT,
+  normalizeCurrency,
+  detectCurrency,
+  formatMoney,
+  parseRateInput,
+  parseRatesFile,
+  createConverter,
+  getConverter,
+  applyExchangeRate,
+  recalculateBaseAmounts,
+  countUnconverted
+};
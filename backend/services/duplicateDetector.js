@@ -0,0 +1,134 @@
+const Transaction = require('../models/Transaction');
+
+const DEFAULT_WINDOW_DAYS = 3;
+const SIMILARITY_THRESHOLD = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that statements and receipts add around the merchant name
+const NOISE_WORDS = new Set([
+  'pos', 'upi', 'imps', 'neft', 'rtgs', 'ach', 'txn', 'ref', 'purchase', 'payment',
+  'debit', 'credit', 'card', 'visa', 'mastercard', 'the', 'and', 'at', 'to', 'from',
+  'pvt', 'ltd', 'inc', 'llc', 'co', 'india', 'online', 'receipt', 'transaction'
+]);
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 1 && !NOISE_WORDS.has(word));
+
+// Character bigrams catch merchant spellings like "SWIGGY*ORDER" vs "Swiggy"
+const bigrams = (words) => {
+  const joined = words.join('');
+  const result = new Set();
+  for (let i = 0; i < joined.length - 1; i++) {
+    result.add(joined.slice(i, i + 2));
+  }
+  return result;
+};
+
+// Similarity between 0 and 1 using the best of token overlap and bigram Dice
+const textSimilarity = (a, b) => {
+  const wordsA = normalizeText(a);
+  const wordsB = normalizeText(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const setA = new Set(wordsA);
+  const setB = new Set(wordsB);
+  const sharedWords = [...setA].filter(word => setB.has(word)).length;
+  const tokenScore = sharedWords / Math.min(setA.size, setB.size);
+
+  const bigramsA = bigrams(wordsA);
+  const bigramsB = bigrams(wordsB);
+  const sharedBigrams = [...bigramsA].filter(pair => bigramsB.has(pair)).length;
+  const diceScore = bigramsA.size + bigramsB.size > 0
+    ? (2 * sharedBigrams) / (bigramsA.size + bigramsB.size)
+    : 0;
+
+  return Math.max(tokenScore, diceScore);
+};
+
+const labelOf = (transaction) => [transaction.merchant, transaction.description].filter(Boolean).join(' ');
+
+// Stable key used to collapse exact repeats within a single upload
+const fingerprint = (transaction) => {
+  const amount = parseFloat(transaction.amount) || 0;
+  const date = transaction.date ? new Date(transaction.date) : null;
+  const day = date && !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : '';
+  return [
+    transaction.type || 'expense',
+    amount.toFixed(2),
+    day,
+    normalizeText(labelOf(transaction)).join(' ')
+  ].join('|');
+};
+
+// Score how likely `existing` is the same purchase as `candidate` (0 = no match)
+const matchScore = (candidate, existing, windowDays) => {
+  if (Math.abs(parseFloat(candidate.amount) - existing.amount) > 0.01) return 0;
+  if (candidate.type && existing.type && candidate.type !== existing.type) return 0;
+  if (candidate.currency && existing.currency && candidate.currency !== existing.currency) return 0;
+
+  const candidateDate = candidate.date ? new Date(candidate.date) : new Date();
+  const daysApart = Math.abs(candidateDate - new Date(existing.date)) / DAY_MS;
+  if (daysApart > windowDays) return 0;
+
+  const similarity = textSimilarity(labelOf(candidate), labelOf(existing));
+  if (similarity < SIMILARITY_THRESHOLD) return 0;
+
+  // Closer dates and names give a higher score
+  return Math.round((similarity * 0.7 + (1 - daysApart / (windowDays + 1)) * 0.3) * 100) / 100;
+};
+
+// Find the most likely existing transaction for each candidate.
+// Returns an array aligned with `candidates`: null or { _id, description, merchant, date, amount, currency, score }.
+const findDuplicates = async (userId, candidates, { windowDays = DEFAULT_WINDOW_DAYS, excludeIds = [] } = {}) => {
+  const valid = candidates.filter(candidate => !isNaN(parseFloat(candidate.amount)));
+  if (valid.length === 0) return candidates.map(() => null);
+
+  const dates = valid.map(candidate => (candidate.date ? new Date(candidate.date) : new Date()).getTime())
+    .filter(time => !isNaN(time));
+  const minDate = new Date(Math.min(...dates) - windowDays * DAY_MS);
+  const maxDate = new Date(Math.max(...dates) + windowDays * DAY_MS);
+  const amounts = [...new Set(valid.map(candidate => parseFloat(candidate.amount)))];
+
+  // Uses the {user, date} index; amounts narrow the window to a handful of rows
+  const existing = await Transaction.find({
+    user: userId,
+    date: { $gte: minDate, $lte: maxDate },
+    amount: { $in: amounts },
+    ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } })
+  }).select('description merchant date amount currency type').lean();
+
+  return candidates.map(candidate => {
+    let best = null;
+    existing.forEach(transaction => {
+      const score = matchScore(candidate, transaction, windowDays);
+      if (score > 0 && (!best || score > best.score)) {
+        best = {
+          _id: transaction._id,
+          description: transaction.description,
+          merchant: transaction.merchant,
+          date: transaction.date,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          score
+        };
+      }
+    });
+    return best;
+  });
+};
+
+const findDuplicate = async (userId, candidate, options) => {
+  const [duplicate] = await findDuplicates(userId, [candidate], options);
+  return duplicate;
+};
+
+module.exports = {
+  normalizeText,
+  textSimilarity,
+  fingerprint,
+  findDuplicates,
+  findDuplicate
+};
@@ -0,0 +1,116 @@
+// Row-by-row formatters used to stream transaction exports
+
+const CSV_COLUMNS = ['date', 'type', 'category', 'description', 'merchant', 'amount', 'currency', 'base_amount', 'splits', 'tags', 'notes'];
+
+const csvEscape = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// "food:12.50; household:7.25" for split transactions
+const formatSplits = (splits = []) => splits
+  .map(split => `${split.category}:${split.amount.toFixed(2)}`)
+  .join('; ');
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+const csvRow = (transaction) => [
+  formatDate(transaction.date),
+  transaction.type,
+  transaction.category,
+  transaction.description,
+  transaction.merchant,
+  transaction.amount.toFixed(2),
+  transaction.currency,
+  typeof transaction.baseAmount === 'number' ? transaction.baseAmount.toFixed(2) : '',
+  formatSplits(transaction.splits),
+  (transaction.tags || []).join('; '),
+  transaction.notes
+].map(csvEscape).join(',');
+
+const xmlEscape = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const ofxDate = (date) => formatDate(date).replace(/-/g, '');
+
+const exporters = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `${CSV_COLUMNS.join(',')}\n`,
+    row: (transaction) => `${csvRow(transaction)}\n`,
+    footer: () => ''
+  },
+  // Excel only detects UTF-8 (₹, €) with a byte order mark and expects CRLF line endings
+  excel: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => `\uFEFF${CSV_COLUMNS.join(',')}\r\n`,
+    row: (transaction) => `${csvRow(transaction)}\r\n`,
+    footer: () => ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: () => '[',
+    row: (transaction, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify({
+      id: transaction._id,
+      date: transaction.date,
+      type: transaction.type,
+      category: transaction.category,
+      description: transaction.description,
+      merchant: transaction.merchant,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      baseAmount: transaction.baseAmount,
+      splits: transaction.splits || [],
+      tags: transaction.tags || [],
+      notes: transaction.notes || '',
+      items: transaction.items,
+      breakdown: transaction.breakdown
+    })}`,
+    footer: () => '\n]\n'
+  },
+  // OFX statements have one currency, so amounts are exported in the base
+  // currency with the original currency alongside
+  ofx: {
+    contentType: 'application/x-ofx',
+    extension: 'ofx',
+    header: ({ startDate, endDate, baseCurrency = 'USD' }) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID>',
+      '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+      `<STMTRS><CURDEF>${baseCurrency}</CURDEF>`,
+      `<BANKTRANLIST><DTSTART>${ofxDate(startDate)}</DTSTART><DTEND>${ofxDate(endDate)}</DTEND>`,
+      ''
+    ].join('\n'),
+    row: (transaction) => {
+      const amount = transaction.baseAmount ?? transaction.amount;
+      return [
+        '<STMTTRN>',
+        `<TRNTYPE>${{ income: 'CREDIT', expense: 'DEBIT', transfer: 'XFER' }[transaction.type]}</TRNTYPE>`,
+        `<DTPOSTED>${ofxDate(transaction.date)}</DTPOSTED>`,
+        `<TRNAMT>${(transaction.type === 'income' ? amount : -amount).toFixed(2)}</TRNAMT>`,
+        `<FITID>${transaction._id}</FITID>`,
+        `<NAME>${xmlEscape((transaction.merchant || transaction.description).slice(0, 32))}</NAME>`,
+        `<MEMO>${xmlEscape(transaction.description)}</MEMO>`,
+        transaction.exchangeRate && transaction.exchangeRate !== 1
+          ? `<ORIGCURRENCY><CURRATE>${transaction.exchangeRate}</CURRATE><CURSYM>${transaction.currency}</CURSYM></ORIGCURRENCY>`
+          : null,
+        '</STMTTRN>',
+        ''
+      ].filter(line => line !== null).join('\n');
+    },
+    footer: () => '</BANKTRANLIST>\n</STMTRS></STMTTRNRS></BANKMSGSRSV1>\n</OFX>\n'
+  }
+};
+
+module.exports = {
+  exporters,
+  csvEscape
+};
@@ -0,0 +1,202 @@
+const pdfParse = require('pdf-parse');
+const Receipt = require('../models/Receipt');
+const User = require('../models/User');
+const ReviewItem = require('../models/ReviewItem');
+const ai = require('./ai');
+const duplicateDetector = require('./duplicateDetector');
+const categorizer = require('./categorizer');
+const { getCategories } = require('./categories');
+const { getActiveRules, applyRules } = require('./categoryRules');
+const { readFile } = require('./storage');
+const { recognizeImage } = require('./ocr');
+const { detectLocale } = require('./locale');
+const { reconcileReceipt, scoreFields } = require('./receiptTotals');
+const { readPdfPages, chunkPages, mergeChunkResults, buildPageReport } = require('./pdfStatements');
+const { isBalanceLine, findStatementBalances, reconcileStatement } = require('./statementBalances');
+const { toReceiptJSON } = require('./receipts');
+
+// The work behind receipt and PDF statement uploads, run by the job queue.
+// Each processor reads the upload from storage, reports progress through
+// `report(stage, percent)` and returns what the preview needs.
+
+// Attach the learned categorizer's suggestions to a preview row. A matching rule
+// keeps its category; otherwise a confident suggestion replaces the AI's guess.
+const withSuggestions = (transaction, suggestions) => {
+  const result = { ...transaction, categorySuggestions: suggestions };
+  const [top] = suggestions;
+  if (!transaction.categoryRule && top && top.confidence >= categorizer.MIN_CONFIDENCE) {
+    result.category = top.category;
+    result.categoryConfidence = top.confidence;
+  }
+  return result;
+};
+
+const readUpload = async (job) => {
+  const buffer = await readFile(job.fileKey);
+  if (!buffer) {
+    throw new Error('The uploaded file is no longer available');
+  }
+  return buffer;
+};
+
+// The uploader's OCR languages and locale
+const getReadingSettings = async (userId) => {
+  const user = await User.findById(userId).select('locale ocrLanguages').lean();
+  return user ? { locale: user.locale, languages: user.ocrLanguages } : {};
+};
+
+// Text of a PDF, or of an image through OCR in the user's languages along with
+// how confidently each word was read. OCR is most of the work for an image, so
+// it takes the progress up to `ocrShare` percent.
+const readText = async (job, buffer, report, ocrShare, settings) => {
+  if (job.mimeType === 'application/pdf') {
+    await report('parsing', 5);
+    const data = await pdfParse(buffer);
+    return { text: data.text, ocr: null };
+  }
+
+  await report('ocr', 0);
+  const { text, ...ocr } = await recognizeImage(buffer, {
+    languages: settings.languages,
+    onProgress: (fraction) => report('ocr', fraction * ocrShare)
+  });
+  return { text, ocr };
+};
+
+const processReceipt = async (job, report) => {
+  const buffer = await readUpload(job);
+  const settings = await getReadingSettings(job.user);
+  const { text: extractedText, ocr } = await readText(job, buffer, report, 70, settings);
+  // Amounts and dates are read the way the receipt writes them, e.g. 1.234,56 on a German receipt
+  const locale = detectLocale(extractedText, settings);
+
+  // Extract structured data with the configured AI provider (falls back to the offline extractor)
+  await report('extracting', 75);
+  const { receipt, provider } = await ai.extractReceipt(extractedText, {
+    categories: await getCategories(job.user),
+    locale
+  });
+  // The user's categorization rules, then the learned categorizer, override the guessed category
+  const ruled = applyRules(await getActiveRules(job.user), receipt);
+  const extractedData = withSuggestions(ruled, await categorizer.suggest(job.user, { ...ruled, type: 'expense' }));
+  extractedData.extractedBy = provider;
+  extractedData.ocr = ocr;
+  extractedData.locale = locale;
+
+  // Check that the items, tax and discounts add up to the total, and score how
+  // far each field can be trusted so the preview can point out what to review
+  extractedData.reconciliation = reconcileReceipt(extractedData);
+  const { confidence, items } = scoreFields(extractedData, { ocr, reconciliation: extractedData.reconciliation });
+  extractedData.confidence = confidence;
+  extractedData.items = items;
+
+  // The stored file, which the transaction links once it is saved
+  const storedReceipt = job.receipt ? await Receipt.findById(job.receipt) : null;
+  extractedData.receipt = storedReceipt ? toReceiptJSON(storedReceipt) : null;
+
+  // Check the purchase against existing records using the date printed on the receipt
+  await report('extracting', 95);
+  extractedData.duplicateOf = extractedData.amount
+    ? await duplicateDetector.findDuplicate(job.user, { ...extractedData, type: 'expense' })
+    : null;
+
+  // Use current date for new transactions instead of extracted date, keeping the
+  // printed one to show how the receipt was read
+  extractedData.receiptDate = extractedData.date;
+  extractedData.date = new Date().toISOString();
+
+  // A receipt from a batch upload waits in the review queue, where a batch of
+  // past purchases is entered on the dates they were made
+  if (job.receipt) {
+    await ReviewItem.updateOne(
+      { receipt: job.receipt, status: 'pending' },
+      { data: { ...extractedData, date: extractedData.receiptDate || extractedData.date } }
+    );
+  }
+  return extractedData;
+};
+
+// Keep the first of each set of transactions a chunk returned more than once
+const uniqueTransactions = (transactions) => {
+  const seen = new Set();
+  return transactions.filter(transaction => {
+    const key = duplicateDetector.fingerprint(transaction);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Statements are read page by page and sent to the extractor in chunks, so long
+// ones are not cut short. The result reports what came from each page and
+// whether the transactions add up to the printed opening and closing balances.
+const processPdfTransactions = async (job, report) => {
+  const buffer = await readUpload(job);
+  const settings = await getReadingSettings(job.user);
+  await report('parsing', 5);
+  const pages = await readPdfPages(buffer);
+  const text = pages.map(page => page.text).join('\n\n');
+  const locale = detectLocale(text, settings);
+  const chunks = chunkPages(pages);
+
+  console.log(`PDF has ${pages.length} pages, read in ${chunks.length} chunks`);
+
+  const categories = await getCategories(job.user);
+  const results = [];
+  const providers = new Set();
+  for (const chunk of chunks) {
+    await report('extracting', 10 + (75 * chunk.index) / chunks.length);
+    try {
+      const { transactions, provider } = await ai.extractTransactions(chunk.text, {
+        categories,
+        locale,
+        part: { index: chunk.index, count: chunks.length }
+      });
+      providers.add(provider);
+      results.push({ chunk, transactions: uniqueTransactions(transactions) });
+    } catch (error) {
+      // The other chunks are still worth having; the page report shows the gap
+      console.error(`Chunk ${chunk.index + 1} of ${chunks.length} failed:`, error.message);
+      results.push({ chunk, transactions: [], error: error.message });
+    }
+  }
+  if (results.length > 0 && results.every(result => result.error)) {
+    throw new Error(results[0].error);
+  }
+
+  // Merge the chunks, leaving out balance rows and applying the user's
+  // categorization rules over the guessed categories
+  await report('extracting', 85);
+  const rules = await getActiveRules(job.user);
+  const transactions = mergeChunkResults(results)
+    .filter(transaction => !isBalanceLine(transaction.description))
+    .map((transaction, index) => ({ ...applyRules(rules, transaction), tempId: `ai-${index}` }));
+  const extractedBy = [...providers].join(', ') || ai.getProvider().name;
+  console.log(`${extractedBy} extracted ${transactions.length} transactions from ${chunks.length} chunks`);
+
+  // Flag transactions that already exist from earlier uploads or manual entry
+  const duplicates = await duplicateDetector.findDuplicates(job.user, transactions);
+  const suggestions = await categorizer.suggestMany(job.user, transactions);
+  const previews = transactions.map((transaction, index) => ({
+    ...withSuggestions(transaction, suggestions[index]),
+    duplicateOf: duplicates[index]
+  }));
+
+  return {
+    transactions: previews,
+    extractedBy,
+    locale,
+    pages: buildPageReport(pages, results, transactions),
+    balances: reconcileStatement(findStatementBalances(text, locale), transactions)
+  };
+};
+
+const processors = {
+  receipt: processReceipt,
+  'pdf-transactions': processPdfTransactions
+};
+
+module.exports = {
+  processors,
+  withSuggestions
+};
@@ -0,0 +1,262 @@
+const sharp = require('sharp');
+
+// Clean up a receipt photo for OCR: grayscale, turn sideways photos upright,
+// crop to the paper, straighten small skews, upscale small images and
+// binarize with an adaptive threshold so shadows and creases do not swallow
+// the text. Returns the processed PNG and what was done to it.
+
+// Larger photos are scaled down first; more pixels only slow OCR down
+const MAX_SIDE = 2500;
+// Receipts narrower than this are upscaled, by at most MAX_UPSCALE
+const MIN_WIDTH = 1200;
+const MAX_UPSCALE = 3;
+// Crop and skew are worked out on a small copy. Orientation uses a tiny one,
+// where letters blur together but the gaps between lines remain.
+const ANALYSIS_WIDTH = 500;
+const ORIENTATION_SIZE = 120;
+const MAX_SKEW = 10; // degrees
+const SKEW_STEP = 0.5;
+// Adaptive threshold: a pixel is ink when it is this much darker than the
+// mean of the window around it (Bradley-Roth)
+const THRESHOLD_WINDOW_RATIO = 1 / 16;
+const THRESHOLD_SENSITIVITY = 0.15;
+
+const rawOptions = ({ width, height }) => ({ raw: { width, height, channels: 1 } });
+
+// Single-channel pixels of an image
+const toGray = async (image) => {
+  const { data, info } = await image.removeAlpha().greyscale().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+const shrink = (gray, width) => toGray(
+  sharp(gray.data, rawOptions(gray)).resize({ width: Math.min(width, gray.width) })
+);
+
+const shrinkInside = (gray, size) => toGray(
+  sharp(gray.data, rawOptions(gray)).resize({ width: size, height: size, fit: 'inside' })
+);
+
+// Threshold that best splits the pixels into dark and light (Otsu)
+const otsuThreshold = (data) => {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+  const total = data.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = i;
+    }
+  }
+  return threshold;
+};
+
+// Coordinates of the dark (ink) pixels
+const inkPixels = ({ data, width }) => {
+  const threshold = otsuThreshold(data);
+  const xs = [];
+  const ys = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < threshold) {
+      xs.push(i % width);
+      ys.push(Math.floor(i / width));
+    }
+  }
+  return { xs, ys };
+};
+
+// How sharply ink is split into separate lines along one axis. Rows of text
+// give a profile that alternates between full and empty. Normalized by the
+// mean so profiles of different lengths compare.
+const profileScore = (values, size) => {
+  const bins = new Float64Array(size + 1);
+  values.forEach(value => {
+    bins[Math.min(size, Math.max(0, Math.round(value)))]++;
+  });
+  let score = 0;
+  for (let i = 1; i < bins.length; i++) score += (bins[i] - bins[i - 1]) ** 2;
+  const mean = values.length / bins.length;
+  return score / (bins.length * mean * mean);
+};
+
+// Text lines run across a receipt, so ink lines up in rows. When it lines up
+// better in columns the photo was taken sideways.
+const isSideways = (gray) => {
+  const { xs, ys } = inkPixels(gray);
+  if (xs.length === 0) return false;
+  return profileScore(xs, gray.width) > profileScore(ys, gray.height) * 1.5;
+};
+
+// Angle in degrees that lines the text up best with the rows
+const detectSkew = (gray) => {
+  const { xs, ys } = inkPixels(gray);
+  if (xs.length === 0) return 0;
+
+  let bestAngle = 0;
+  let bestScore = -1;
+  // Rotated rows land between -width and height + width
+  const size = 2 * gray.width + gray.height;
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = ys.map((y, i) => y * cos - xs[i] * sin + gray.width);
+    const score = profileScore(rows, size);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  return bestAngle;
+};
+
+// Box around the paper: the largest connected light region. Null when it
+// fills the photo or is too small to be the receipt.
+const detectPaper = ({ data, width, height }) => {
+  const threshold = otsuThreshold(data);
+  const seen = new Uint8Array(data.length);
+  const stack = new Int32Array(data.length);
+  let best = null;
+
+  for (let start = 0; start < data.length; start++) {
+    if (seen[start] || data[start] < threshold) continue;
+    // Flood fill one region, tracking its size and bounds
+    let size = 0;
+    let top = 0;
+    seen[start] = 1;
+    stack[top++] = start;
+    const box = { left: width, top: height, right: 0, bottom: 0 };
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+      size++;
+      if (x < box.left) box.left = x;
+      if (x > box.right) box.right = x;
+      if (y < box.top) box.top = y;
+      if (y > box.bottom) box.bottom = y;
+      const neighbours = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        y > 0 ? i - width : -1,
+        y < height - 1 ? i + width : -1
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && !seen[next] && data[next] >= threshold) {
+          seen[next] = 1;
+          stack[top++] = next;
+        }
+      }
+    }
+    if (!best || size > best.size) best = { size, ...box };
+  }
+
+  if (!best) return null;
+  const box = {
+    left: best.left,
+    top: best.top,
+    width: best.right - best.left + 1,
+    height: best.bottom - best.top + 1
+  };
+  const share = (box.width * box.height) / (width * height);
+  if (share > 0.9 || share < 0.15) return null;
+  return box;
+};
+
+// Bradley-Roth adaptive threshold using an integral image, so each pixel is
+// compared with its own neighbourhood rather than the whole photo
+const adaptiveThreshold = ({ data, width, height }) => {
+  const integral = new Uint32Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.max(1, Math.round(width * THRESHOLD_WINDOW_RATIO / 2));
+  const output = Buffer.alloc(data.length);
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - half);
+    const bottom = Math.min(height - 1, y + half);
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - half);
+      const right = Math.min(width - 1, x + half);
+      const count = (right - left + 1) * (bottom - top + 1);
+      const sum = integral[(bottom + 1) * (width + 1) + right + 1]
+        - integral[top * (width + 1) + right + 1]
+        - integral[(bottom + 1) * (width + 1) + left]
+        + integral[top * (width + 1) + left];
+      output[y * width + x] = data[y * width + x] * count <= sum * (1 - THRESHOLD_SENSITIVITY) ? 0 : 255;
+    }
+  }
+  return { data: output, width, height };
+};
+
+const preprocessImage = async (buffer) => {
+  const steps = { rotated: 0, cropped: false, skew: 0, scale: 1 };
+
+  // EXIF orientation first, then work in grayscale at a sensible size
+  let gray = await toGray(sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_SIDE, height: MAX_SIDE, fit: 'inside', withoutEnlargement: true }));
+
+  if (isSideways(await shrinkInside(gray, ORIENTATION_SIZE))) {
+    gray = await toGray(sharp(gray.data, rawOptions(gray)).rotate(90));
+    steps.rotated = 90;
+  }
+
+  const small = await shrink(gray, ANALYSIS_WIDTH);
+  const paper = detectPaper(small);
+  if (paper) {
+    const ratio = gray.width / small.width;
+    const left = Math.max(0, Math.floor(paper.left * ratio));
+    const top = Math.max(0, Math.floor(paper.top * ratio));
+    gray = await toGray(sharp(gray.data, rawOptions(gray)).extract({
+      left,
+      top,
+      width: Math.min(gray.width - left, Math.ceil(paper.width * ratio)),
+      height: Math.min(gray.height - top, Math.ceil(paper.height * ratio))
+    }));
+    steps.cropped = true;
+  }
+
+  const skew = detectSkew(await shrink(gray, ANALYSIS_WIDTH));
+  if (skew !== 0) {
+    gray = await toGray(sharp(gray.data, rawOptions(gray)).rotate(-skew, { background: '#ffffff' }));
+    steps.skew = skew;
+  }
+
+  if (gray.width < MIN_WIDTH) {
+    steps.scale = Math.round(Math.min(MAX_UPSCALE, MIN_WIDTH / gray.width) * 100) / 100;
+    gray = await toGray(sharp(gray.data, rawOptions(gray))
+      .resize({ width: Math.round(gray.width * steps.scale), kernel: 'lanczos3' }));
+  }
+
+  const binary = adaptiveThreshold(gray);
+  return {
+    buffer: await sharp(binary.data, rawOptions(binary)).png().toBuffer(),
+    steps
+  };
+};
+
+module.exports = {
+  preprocessImage
+};
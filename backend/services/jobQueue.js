@@ -0,0 +1,159 @@
+const ExtractionJob = require('../models/ExtractionJob');
+const { getStorage } = require('./storage');
+const { processors } = require('./extraction');
+
+const DEFAULT_POLL_MS = 2000;
+
+// A running job refreshes its lock as it reports progress. One that has not
+// for this long belonged to an instance that died, so it is queued again.
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+// Progress is written at most this often, apart from stage changes
+const REPORT_INTERVAL_MS = 500;
+
+let timer = null;
+let draining = false;
+let active = 0;
+
+const getConcurrency = () => parseInt(process.env.JOB_CONCURRENCY) || 1;
+
+// What the client sees of a job
+const toJobJSON = (job) => ({
+  _id: job._id,
+  kind: job.kind,
+  status: job.status,
+  stage: job.stage,
+  progress: job.progress,
+  originalName: job.originalName,
+  result: job.result,
+  error: job.error,
+  attempts: job.attempts,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+// Take the oldest queued job. The status change is atomic, so several
+// instances can share one queue.
+const claimNextJob = () => ExtractionJob.findOneAndUpdate(
+  { status: 'queued' },
+  {
+    $set: { status: 'running', startedAt: new Date(), lockedAt: new Date(), error: null },
+    $inc: { attempts: 1 }
+  },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+const requeueStaleJobs = () => ExtractionJob.updateMany(
+  { status: 'running', lockedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+  { status: 'queued', stage: 'queued', progress: 0, lockedAt: null }
+);
+
+// Progress callback for a processor. Writes are throttled since OCR reports
+// many times a second.
+const createReporter = (job) => {
+  let lastStage = null;
+  let lastWrite = 0;
+  return (stage, progress) => {
+    const now = Date.now();
+    if (stage === lastStage && now - lastWrite < REPORT_INTERVAL_MS) return Promise.resolve();
+    lastStage = stage;
+    lastWrite = now;
+    return ExtractionJob.updateOne(
+      { _id: job._id, status: 'running' },
+      { stage, progress: Math.min(Math.max(Math.round(progress), 0), 99), lockedAt: new Date() }
+    ).catch(error => console.error(`Job ${job._id} progress update failed:`, error.message));
+  };
+};
+
+const runJob = async (job) => {
+  try {
+    const result = await processors[job.kind](job, createReporter(job));
+    await ExtractionJob.updateOne({ _id: job._id }, {
+      status: 'done',
+      stage: 'done',
+      progress: 100,
+      result,
+      finishedAt: new Date(),
+      lockedAt: null
+    });
+    // Statements are not kept once read; receipt files stay for the transaction
+    if (!job.receipt) {
+      await getStorage().remove(job.fileKey);
+    }
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.kind}) failed:`, error.message);
+    await ExtractionJob.updateOne({ _id: job._id }, {
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date(),
+      lockedAt: null
+    });
+  }
+};
+
+// Start queued jobs until the concurrency limit is reached
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    while (active < getConcurrency()) {
+      const job = await claimNextJob();
+      if (!job) break;
+      active++;
+      runJob(job).finally(() => {
+        active--;
+        drain().catch(error => console.error('Job queue error:', error));
+      });
+    }
+  } finally {
+    draining = false;
+  }
+};
+
+// Queue a job and start it right away when a slot is free
+const enqueueJob = async (data) => {
+  const job = await ExtractionJob.create(data);
+  drain().catch(error => console.error('Job queue error:', error));
+  return job;
+};
+
+// Queue a failed job again. The caller checks the upload is still there.
+const retryJob = async (job) => {
+  const retried = await ExtractionJob.findOneAndUpdate(
+    { _id: job._id, status: 'failed' },
+    { status: 'queued', stage: 'queued', progress: 0, error: null, result: null, finishedAt: null },
+    { new: true }
+  );
+  if (retried) drain().catch(error => console.error('Job queue error:', error));
+  return retried;
+};
+
+// Poll for jobs queued by other instances and requeue stale ones
+const startWorker = (intervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_MS) => {
+  if (timer) return;
+
+  const run = () => requeueStaleJobs()
+    .then(() => drain())
+    .catch(error => {
+      console.error('Job queue error:', error);
+    });
+
+  run();
+  timer = setInterval(run, intervalMs);
+  console.log(`Extraction worker started (${getConcurrency()} at a time)`);
+};
+
+const stopWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  toJobJSON,
+  enqueueJob,
+  retryJob,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,124 @@
+const { parseAmount, parseDate } = require('./statementParser');
+
+// How amounts and dates are written on a receipt. The user's locale is the
+// default, but the text itself decides when it clearly uses another format,
+// e.g. "1.234,56" and "19.10.2026" on a receipt from a trip to Germany.
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Where text in an OCR language most likely comes from, tried after the user's
+// own locale when detecting the format of a receipt
+const LANGUAGE_LOCALES = {
+  eng: 'en-US',
+  hin: 'hi-IN',
+  deu: 'de-DE',
+  fra: 'fr-FR',
+  spa: 'es-ES',
+  ita: 'it-IT',
+  nld: 'nl-NL',
+  por: 'pt-BR',
+  pol: 'pl-PL',
+  tur: 'tr-TR'
+};
+
+// Tried last so every decimal separator and date order has a candidate
+const FALLBACK_LOCALES = ['en-US', 'en-GB', 'de-DE'];
+
+// parseDate formats for each date order
+const DATE_FORMATS = {
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY',
+  YMD: 'YYYY-MM-DD'
+};
+
+// 19 October 2026 has a day that cannot be a month, so its parts show the order
+const SAMPLE_DATE = new Date(2026, 9, 19);
+
+// Canonical BCP 47 tag such as "de-DE", or null when the value is not one
+const normalizeLocale = (value) => {
+  if (!value) return null;
+  try {
+    const [locale] = Intl.getCanonicalLocales(String(value).trim());
+    return locale || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// { locale, decimalSeparator: '.' | ',', dateOrder: 'DMY' | 'MDY' | 'YMD' }
+const localeFormat = (value) => {
+  const locale = normalizeLocale(value) || DEFAULT_LOCALE;
+  const decimal = new Intl.NumberFormat(locale).formatToParts(1234.5).find(part => part.type === 'decimal');
+  const order = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(SAMPLE_DATE)
+    .filter(part => ['day', 'month', 'year'].includes(part.type))
+    .map(part => part.type[0].toUpperCase())
+    .join('');
+
+  return {
+    locale,
+    decimalSeparator: decimal && decimal.value === ',' ? ',' : '.',
+    dateOrder: DATE_FORMATS[order] ? order : 'DMY'
+  };
+};
+
+const NUMERIC_DATE_REGEX = /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/g;
+const ISO_DATE_REGEX = /\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b/g;
+
+// Count what the text gives away: amounts with two decimals after each
+// separator, and numeric dates whose day or month is above 12. Dates that
+// start with the year read the same everywhere, so they are no evidence.
+const collectEvidence = (text) => {
+  const evidence = { '.': 0, ',': 0, DMY: 0, MDY: 0 };
+
+  for (const [, first, second] of text.matchAll(NUMERIC_DATE_REGEX)) {
+    if (parseInt(first) > 12 && parseInt(second) <= 12) evidence.DMY++;
+    if (parseInt(second) > 12 && parseInt(first) <= 12) evidence.MDY++;
+  }
+
+  // Dates would otherwise read as amounts, e.g. 19.10.26
+  const withoutDates = text.replace(ISO_DATE_REGEX, ' ').replace(NUMERIC_DATE_REGEX, ' ');
+  evidence['.'] = (withoutDates.match(/\d\.\d{2}(?![\d.,])/g) || []).length;
+  evidence[','] = (withoutDates.match(/\d,\d{2}(?![\d.,])/g) || []).length;
+  return evidence;
+};
+
+const scoreFormat = (format, evidence) => {
+  const otherSeparator = format.decimalSeparator === ',' ? '.' : ',';
+  const otherOrders = ['DMY', 'MDY'].filter(order => order !== format.dateOrder);
+  return evidence[format.decimalSeparator] - evidence[otherSeparator] +
+    (evidence[format.dateOrder] || 0) - otherOrders.reduce((sum, order) => sum + evidence[order], 0);
+};
+
+// Pick the locale whose formats fit the text best. The user's locale wins ties,
+// so text without clear evidence is read the way the user writes.
+// Returns localeFormat(...) plus `detected`, true when the text overrode the user's locale.
+const detectLocale = (text, { locale, languages = [] } = {}) => {
+  const preferred = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const candidates = [...new Set([
+    preferred,
+    ...languages.map(language => LANGUAGE_LOCALES[language]).filter(Boolean),
+    ...FALLBACK_LOCALES
+  ])].map(localeFormat);
+
+  const evidence = collectEvidence(String(text || ''));
+  const best = candidates.reduce((current, candidate) =>
+    (scoreFormat(candidate, evidence) > scoreFormat(current, evidence) ? candidate : current));
+
+  return { ...best, detected: best.locale !== preferred };
+};
+
+const parseLocaleAmount = (value, format) => parseAmount(value, format ? format.decimalSeparator : null);
+
+const parseLocaleDate = (value, format) => parseDate(value, DATE_FORMATS[format ? format.dateOrder : 'YMD']);
+
+module.exports = {
+  DEFAULT_LOCALE,
+  DATE_FORMATS,
+  LANGUAGE_LOCALES,
+  normalizeLocale,
+  localeFormat,
+  detectLocale,
+  parseLocaleAmount,
+  parseLocaleDate
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const Tesseract = require('tesseract.js');
+const { preprocessImage } = require('./imagePreprocessing');
+
+// Language data is read from this folder and never downloaded while reading a
+// receipt. Languages that are not bundled can be added with
+// `npm run ocr:languages -- tam kor`.
+const LANG_PATH = process.env.OCR_LANG_PATH || path.join(__dirname, '..', 'tessdata');
+
+const DEFAULT_LANGUAGES = ['eng'];
+
+// Languages installed with the app as @tesseract.js-data packages. Tesseract
+// reads every language of a job from one folder, so their data is copied into
+// the folder above the first time it is needed.
+const BUNDLED_LANGUAGES = ['eng', 'hin', 'deu', 'fra', 'spa', 'ita', 'nld', 'por', 'pol', 'tur', 'chi_sim', 'jpn'];
+
+const TRAINEDDATA_PATTERN = /^(\w+)\.traineddata(\.gz)?$/;
+
+const listFiles = () => {
+  try {
+    return fs.readdirSync(LANG_PATH);
+  } catch (error) {
+    return [];
+  }
+};
+
+// The bundled LSTM-only data for a language, or null when its package is missing
+const bundledFile = (language) => {
+  if (!BUNDLED_LANGUAGES.includes(language)) return null;
+  try {
+    const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${language}/package.json`));
+    const file = path.join(packageDir, '4.0.0_best_int', `${language}.traineddata.gz`);
+    return fs.existsSync(file) ? file : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Copy a bundled language into the folder. Returns false when it cannot be.
+const installBundled = (language) => {
+  try {
+    fs.mkdirSync(LANG_PATH, { recursive: true });
+    fs.copyFileSync(bundledFile(language), path.join(LANG_PATH, `${language}.traineddata.gz`));
+    return true;
+  } catch (error) {
+    console.error(`Could not install OCR language ${language}:`, error.message);
+    return false;
+  }
+};
+
+// Codes of the installed languages, e.g. ['deu', 'eng', 'hin']
+const listLanguages = () => [...new Set([
+  ...listFiles()
+    .map(file => file.match(TRAINEDDATA_PATTERN))
+    .filter(Boolean)
+    .map(match => match[1]),
+  ...BUNDLED_LANGUAGES.filter(bundledFile)
+])].sort();
+
+// The requested languages that are installed, falling back to English.
+// Bundled languages not yet in the folder are copied there first. Tesseract
+// reads either all gzipped or all plain files, so the plain ones are used
+// unless every language has a gzipped copy.
+const resolveLanguages = (requested = DEFAULT_LANGUAGES) => {
+  const installed = listLanguages();
+  let languages = requested.filter(language => installed.includes(language));
+  if (languages.length === 0) {
+    languages = DEFAULT_LANGUAGES.filter(language => installed.includes(language));
+  }
+
+  const inFolder = new Set(listFiles());
+  languages = languages.filter(language => inFolder.has(`${language}.traineddata.gz`) ||
+    inFolder.has(`${language}.traineddata`) ||
+    installBundled(language));
+
+  const files = new Set(listFiles());
+  const gzip = languages.every(language => files.has(`${language}.traineddata.gz`));
+  if (!gzip) {
+    languages = languages.filter(language => files.has(`${language}.traineddata`));
+  }
+  if (languages.length === 0) {
+    throw new Error(`No OCR language data found in ${LANG_PATH}. Run "npm install" to restore the bundled languages, or "npm run ocr:languages" to install them.`);
+  }
+  return { languages, gzip };
+};
+
+// A processed image that reads at least this well is used without also
+// reading the original
+const GOOD_CONFIDENCE = 85;
+
+const toResult = (data, source) => ({
+  text: data.text,
+  confidence: Math.round(data.confidence),
+  words: (data.words || []).map(word => ({
+    text: word.text,
+    confidence: Math.round(word.confidence)
+  })),
+  source
+});
+
+// OCR a receipt photo. The cleaned-up image is read first. A sideways photo
+// may have been turned the wrong way, so the half turn is tried next, and the
+// original image last. Whichever reads with the highest mean confidence wins.
+// `languages` are Tesseract codes such as ['eng', 'hin'].
+// Returns { text, confidence, words: [{ text, confidence }], source, preprocessing, languages }.
+const recognizeImage = async (buffer, { onProgress = () => {}, languages: requested } = {}) => {
+  const { languages, gzip } = resolveLanguages(requested);
+
+  let processed = null;
+  try {
+    processed = await preprocessImage(buffer);
+  } catch (error) {
+    // Fall back to the original image, e.g. for formats sharp cannot read
+    console.error('Image preprocessing failed:', error.message);
+  }
+
+  const candidates = [];
+  if (processed) {
+    candidates.push({ source: 'processed', image: () => processed.buffer });
+    if (processed.steps.rotated) {
+      candidates.push({ source: 'processed', image: () => sharp(processed.buffer).rotate(180).toBuffer() });
+    }
+  }
+  candidates.push({ source: 'original', image: () => buffer });
+
+  let pass = 0;
+  const worker = await Tesseract.createWorker(languages.join('+'), 1, {
+    langPath: LANG_PATH,
+    gzip,
+    // The data is already on disk, so there is nothing to cache
+    cacheMethod: 'none',
+    logger: (message) => {
+      if (message.status === 'recognizing text') {
+        onProgress(Math.min(1, (pass + message.progress) / candidates.length));
+      }
+    }
+  });
+
+  try {
+    let best = null;
+    for (const candidate of candidates) {
+      const { data } = await worker.recognize(await candidate.image());
+      const result = toResult(data, candidate.source);
+      if (!best || result.confidence > best.confidence) best = result;
+      if (best.confidence >= GOOD_CONFIDENCE) break;
+      pass++;
+    }
+    return { ...best, preprocessing: processed ? processed.steps : null, languages };
+  } finally {
+    await worker.terminate();
+  }
+};
+
+module.exports = {
+  LANG_PATH,
+  DEFAULT_LANGUAGES,
+  listLanguages,
+  recognizeImage
+};
@@ -0,0 +1,171 @@
+const pdfParse = require('pdf-parse');
+
+// Long PDF statements are read a few pages at a time, so no transaction is
+// lost to the extractor's input or output limits. Each chunk repeats the last
+// lines of the one before, so a transaction split over a page break is seen
+// whole, and the repeat is dropped again when the chunks are merged.
+
+const DEFAULT_CHUNK_CHARS = 12000;
+
+// Lines of the previous chunk repeated at the start of the next
+const OVERLAP_LINES = 4;
+
+const getChunkChars = () => parseInt(process.env.PDF_CHUNK_CHARS) || DEFAULT_CHUNK_CHARS;
+
+// pdf-parse's own page rendering: text items in order, a new line whenever
+// the vertical position changes
+const renderPage = async (pageData) => {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  content.items.forEach(item => {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  });
+  return text;
+};
+
+// [{ page, text }] for every page of a PDF. Pages that cannot be read, and
+// scanned pages without a text layer, have empty text.
+const readPdfPages = async (buffer) => {
+  const texts = [];
+  const data = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      texts[pageData.pageIndex] = text;
+      return text;
+    }
+  });
+  return Array.from({ length: data.numpages }, (value, index) => ({ page: index + 1, text: texts[index] || '' }));
+};
+
+// A page's text in parts of at most `size` characters, split between lines
+const splitText = (text, size) => {
+  const parts = [];
+  let current = '';
+  text.split('\n').forEach(line => {
+    for (let start = 0; start < Math.max(line.length, 1); start += size) {
+      const piece = line.slice(start, start + size);
+      if (current && current.length + piece.length + 1 > size) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  });
+  if (current.trim()) parts.push(current);
+  return parts;
+};
+
+// Group pages into chunks of about `size` characters. Returns
+// [{ index, pages, parts: [{ page, text }], overlap, text }], where `text` is
+// what the extractor reads: the overlap followed by the chunk's own parts.
+const chunkPages = (pages, size = getChunkChars()) => {
+  const chunks = [];
+  let current = null;
+
+  pages.forEach(({ page, text }) => {
+    if (!text.trim()) return;
+    splitText(text, size).forEach(part => {
+      const length = current ? current.parts.reduce((sum, other) => sum + other.text.length + 1, 0) : 0;
+      if (current && length + part.length > size) {
+        chunks.push(current);
+        current = null;
+      }
+      if (!current) current = { parts: [] };
+      current.parts.push({ page, text: part });
+    });
+  });
+  if (current) chunks.push(current);
+
+  return chunks.map((chunk, index) => {
+    const own = chunk.parts.map(part => part.text).join('\n');
+    const overlap = index > 0
+      ? chunks[index - 1].parts.map(part => part.text).join('\n').split('\n').slice(-OVERLAP_LINES).join('\n')
+      : '';
+    return {
+      index,
+      pages: [...new Set(chunk.parts.map(part => part.page))],
+      parts: chunk.parts,
+      overlap,
+      text: overlap ? `${overlap}\n${own}` : own
+    };
+  });
+};
+
+// Digits only, so 1234.5, "1,234.50" and "1.234,50" compare equal
+const digitsOf = (value) => String(value).replace(/\D/g, '');
+
+const mentionsAmount = (text, amount) => {
+  const digits = digitsOf(Number(amount).toFixed(2));
+  return text.split('\n').some(line => digitsOf(line).includes(digits));
+};
+
+// Same amount, type and day; descriptions of a line cut at a chunk boundary
+// can differ between the two reads
+const overlapKey = (transaction) => [
+  transaction.type,
+  Number(transaction.amount).toFixed(2),
+  String(transaction.date).slice(0, 10)
+].join('|');
+
+// The page a transaction was read from: the first of the chunk's pages that
+// prints its amount
+const findPage = (chunk, transaction) => {
+  const part = chunk.parts.find(other => mentionsAmount(other.text, transaction.amount));
+  return part ? part.page : chunk.pages[0];
+};
+
+// Combine the transactions read from each chunk, in order, each with the
+// `page` it came from. A transaction in a chunk's overlap that the previous
+// chunk already returned is dropped once; other repeats are kept, since two
+// identical purchases on one day are both on the statement.
+const mergeChunkResults = (results) => {
+  const merged = [];
+  let previous = [];
+
+  results.forEach(({ chunk, transactions }) => {
+    const earlier = previous.map(overlapKey);
+    transactions.forEach(transaction => {
+      const match = chunk.overlap && mentionsAmount(chunk.overlap, transaction.amount)
+        ? earlier.indexOf(overlapKey(transaction))
+        : -1;
+      if (match !== -1) {
+        earlier.splice(match, 1);
+        return;
+      }
+      merged.push({ ...transaction, page: findPage(chunk, transaction) });
+    });
+    previous = transactions;
+  });
+
+  return merged;
+};
+
+// What happened to each page: how much text it had, which chunks read it and
+// how many transactions came from it. A page split over several chunks is
+// read by all of them. Status is 'ok', 'empty' (no text, e.g. a scanned page),
+// 'partial' (some of its chunks could not be read) or 'failed' (none could).
+const buildPageReport = (pages, results, transactions) => pages.map(({ page, text }) => {
+  const reading = results.filter(({ chunk }) => chunk.pages.includes(page));
+  const failed = reading.filter(result => result.error);
+  let status = 'ok';
+  if (!text.trim()) status = 'empty';
+  else if (failed.length > 0) status = failed.length === reading.length ? 'failed' : 'partial';
+
+  return {
+    page,
+    characters: text.length,
+    chunks: reading.map(({ chunk }) => chunk.index),
+    transactions: transactions.filter(transaction => transaction.page === page).length,
+    status,
+    error: failed.length > 0 ? [...new Set(failed.map(result => result.error))].join('; ') : null
+  };
+});
+
+module.exports = {
+  readPdfPages,
+  chunkPages,
+  mergeChunkResults,
+  buildPageReport
+};
@@ -0,0 +1,195 @@
+// Line items, subtotal, tax, discount and tip read from a receipt: cleaning
+// them up for saving, checking that they add up to the total, and scoring how
+// far each extracted field can be trusted.
+
+const MAX_ITEMS = 100;
+
+// Printed totals may differ from the sum of their parts by rounding
+const ROUNDING_TOLERANCE = 0.05;
+
+// Confidence (0-1) assumed for a field the extractor found but did not score
+const DEFAULT_CONFIDENCE = 0.7;
+
+const BREAKDOWN_FIELDS = ['subtotal', 'tax', 'discount', 'tip'];
+const SCORED_FIELDS = ['amount', 'date', 'merchant', ...BREAKDOWN_FIELDS];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isFinite(number) ? number : null;
+};
+
+// Accepts 0-1 or 0-100 (how OCR reports it); null when missing
+const toConfidence = (value) => {
+  const number = toNumber(value);
+  if (number === null || number < 0) return null;
+  return Math.round(Math.min(1, number > 1 ? number / 100 : number) * 100) / 100;
+};
+
+// Fill in whichever of quantity, unit price and line total can be worked out
+// from the other two. Plain strings become items without a price.
+const normalizeItem = (item) => {
+  const raw = typeof item === 'string' ? { description: item } : item;
+  if (!raw || !raw.description) return null;
+
+  let quantity = toNumber(raw.quantity);
+  let unitPrice = toNumber(raw.unitPrice);
+  let amount = toNumber(raw.amount);
+  if (quantity !== null && quantity <= 0) quantity = null;
+  if (amount === null && quantity !== null && unitPrice !== null) amount = roundAmount(quantity * unitPrice);
+  if (unitPrice === null && amount !== null && quantity !== null) unitPrice = roundAmount(amount / quantity);
+  if (quantity === null && amount !== null) {
+    quantity = 1;
+    if (unitPrice === null) unitPrice = amount;
+  }
+
+  return {
+    description: String(raw.description).trim(),
+    quantity,
+    unitPrice,
+    amount,
+    category: raw.category ? String(raw.category).toLowerCase() : undefined
+  };
+};
+
+// Per-field confidence reported by an extractor, e.g. { amount: 0.9, tax: 0.5 }
+const normalizeConfidence = (confidence) => SCORED_FIELDS.reduce((result, field) => {
+  result[field] = toConfidence(confidence && confidence[field]);
+  return result;
+}, {});
+
+const normalizeItems = (items) => (Array.isArray(items) ? items : [])
+  .map(normalizeItem)
+  .filter(Boolean)
+  .slice(0, MAX_ITEMS);
+
+// { subtotal, tax, discount, tip } with discounts stored as a positive amount
+const normalizeBreakdown = (breakdown) => {
+  const source = breakdown || {};
+  return BREAKDOWN_FIELDS.reduce((result, field) => {
+    const value = toNumber(source[field]);
+    result[field] = value === null ? null : Math.abs(roundAmount(value));
+    return result;
+  }, {});
+};
+
+// Add the receipt back up: items make the subtotal, then tax, discount and tip
+// make the total. Prices often include VAT already, so a total that matches
+// without adding the tax also balances. `balanced` is null when there is not
+// enough to check.
+const reconcileReceipt = ({ amount, items = [], subtotal = null, tax = null, discount = null, tip = null }) => {
+  const priced = items.filter(item => item.amount !== null && item.amount !== undefined);
+  const itemsTotal = priced.length > 0 ? roundAmount(priced.reduce((sum, item) => sum + item.amount, 0)) : null;
+  const itemsMatchSubtotal = itemsTotal !== null && subtotal !== null
+    ? Math.abs(itemsTotal - subtotal) <= ROUNDING_TOLERANCE
+    : null;
+  const base = subtotal !== null ? subtotal : itemsTotal;
+
+  if (!amount || base === null) {
+    return { itemsTotal, itemsMatchSubtotal, expectedTotal: null, difference: null, taxIncluded: false, balanced: null };
+  }
+
+  const extras = (tip || 0) - (discount || 0);
+  const withTax = roundAmount(base + (tax || 0) + extras);
+  const withoutTax = roundAmount(base + extras);
+  const taxIncluded = !!tax &&
+    Math.abs(withTax - amount) > ROUNDING_TOLERANCE &&
+    Math.abs(withoutTax - amount) <= ROUNDING_TOLERANCE;
+  const expectedTotal = taxIncluded ? withoutTax : withTax;
+  const difference = roundAmount(amount - expectedTotal);
+
+  return {
+    itemsTotal,
+    itemsMatchSubtotal,
+    expectedTotal,
+    difference,
+    taxIncluded,
+    balanced: Math.abs(difference) <= ROUNDING_TOLERANCE && itemsMatchSubtotal !== false
+  };
+};
+
+// Digits only, so "1.234,56", "1,234.56" and 1234.56 compare equal
+const digitsOf = (value) => String(value).replace(/\D/g, '');
+
+// How well OCR read an amount: the confidence of the best word spelling it,
+// or null when no word does (the extractor worked it out or misread it)
+const amountReadConfidence = (words, amount) => {
+  const digits = digitsOf(Number(amount).toFixed(2));
+  const matches = words.filter(word => digitsOf(word.text) === digits);
+  return matches.length > 0 ? Math.max(...matches.map(word => word.confidence)) / 100 : null;
+};
+
+// Mean confidence of the OCR words that make up a piece of text
+const textReadConfidence = (words, text) => {
+  const parts = String(text).toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = words.filter(word => parts.includes(word.text.toLowerCase()));
+  return matches.length > 0 ? matches.reduce((sum, word) => sum + word.confidence, 0) / matches.length / 100 : null;
+};
+
+const DATE_WORD_PATTERN = /\d{1,4}[-/.]\d{1,2}[-/.]\d{2,4}/;
+
+// Combine the extractor's own confidence in each field with how clearly OCR
+// read it and whether the numbers add up. Returns { confidence, items } where
+// confidence holds a 0-1 score per field (null for fields not on the receipt)
+// and every item carries its own `confidence`.
+const scoreFields = (receipt, { ocr = null, reconciliation = reconcileReceipt(receipt) } = {}) => {
+  const words = (ocr && ocr.words) || [];
+  const reported = receipt.confidence || {};
+  // Numbers that add up vouch for each other; ones that do not are all suspect
+  const agreement = reconciliation.balanced === true ? 0.1 : reconciliation.balanced === false ? -0.25 : 0;
+
+  // With OCR, a number that appears nowhere in the text is likely misread
+  const readFactor = (readConfidence) => {
+    if (!ocr) return 1;
+    return readConfidence === null ? 0.6 : readConfidence;
+  };
+  const clamp = (value) => Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+  const base = (field) => (reported[field] !== null && reported[field] !== undefined ? reported[field] : DEFAULT_CONFIDENCE);
+
+  const confidence = {};
+  SCORED_FIELDS.forEach(field => {
+    const value = receipt[field];
+    if (value === null || value === undefined || value === '') {
+      confidence[field] = null;
+      return;
+    }
+
+    if (field === 'merchant') {
+      confidence[field] = clamp(base(field) * readFactor(textReadConfidence(words, value)));
+    } else if (field === 'date') {
+      const dateWords = words.filter(word => DATE_WORD_PATTERN.test(word.text));
+      const read = dateWords.length > 0 ? Math.max(...dateWords.map(word => word.confidence)) / 100 : null;
+      // Dates with the month in words are not found this way, so they are not penalized
+      confidence[field] = clamp(base(field) * (read === null ? 1 : read));
+    } else {
+      confidence[field] = clamp(base(field) * readFactor(amountReadConfidence(words, value)) + agreement);
+    }
+  });
+
+  const items = (receipt.items || []).map(item => {
+    const reportedItem = item.confidence !== null && item.confidence !== undefined ? item.confidence : DEFAULT_CONFIDENCE;
+    if (item.amount === null || item.amount === undefined) {
+      return { ...item, confidence: clamp(reportedItem * 0.8) };
+    }
+    // A quantity times unit price that does not give the line total is a misread
+    const consistent = item.quantity === null || item.unitPrice === null ||
+      Math.abs(item.quantity * item.unitPrice - item.amount) <= ROUNDING_TOLERANCE;
+    const score = reportedItem * readFactor(amountReadConfidence(words, item.amount)) + agreement;
+    return { ...item, confidence: clamp(consistent ? score : score - 0.3) };
+  });
+
+  return { confidence, items };
+};
+
+module.exports = {
+  BREAKDOWN_FIELDS,
+  toConfidence,
+  normalizeConfidence,
+  normalizeItem,
+  normalizeItems,
+  normalizeBreakdown,
+  reconcileReceipt,
+  scoreFields
+};
@@ -0,0 +1,111 @@
+const path = require('path');
+const sharp = require('sharp');
+const Receipt = require('../models/Receipt');
+const Transaction = require('../models/Transaction');
+const { getStorage, userKey, getSignedUrl } = require('./storage');
+
+const THUMBNAIL_WIDTH = 240;
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+const isImage = (mimeType) => mimeType.startsWith('image/');
+
+// Small JPEG preview for the transaction list. EXIF rotation is applied so phone
+// photos come out upright.
+const createThumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+  .jpeg({ quality: 70 })
+  .toBuffer();
+
+// Store an uploaded file and its thumbnail and record it as a receipt that is
+// not yet linked to a transaction
+const saveReceipt = async (userId, { buffer, originalName, mimeType }) => {
+  const storage = getStorage();
+  const receipt = new Receipt({
+    user: userId,
+    originalName: originalName ? path.basename(originalName) : null,
+    mimeType,
+    size: buffer.length
+  });
+  const extension = EXTENSIONS[mimeType] || path.extname(originalName || '').toLowerCase();
+  receipt.key = userKey(userId, 'receipts', `${receipt._id}${extension}`);
+
+  await storage.put(receipt.key, buffer, { contentType: mimeType });
+  if (isImage(mimeType)) {
+    try {
+      receipt.thumbnailKey = userKey(userId, 'receipts', `${receipt._id}-thumb.jpg`);
+      await storage.put(receipt.thumbnailKey, await createThumbnail(buffer), { contentType: 'image/jpeg' });
+    } catch (error) {
+      // The receipt is still usable without a preview
+      console.error('Error creating receipt thumbnail:', error.message);
+      receipt.thumbnailKey = null;
+    }
+  }
+
+  await receipt.save();
+  return receipt;
+};
+
+// Link an unattached receipt of the user to a transaction. Returns null when
+// the receipt does not exist or already belongs to another transaction.
+const attachReceipt = (userId, receiptId, transactionId) => Receipt.findOneAndUpdate(
+  { _id: receiptId, user: userId, transaction: null },
+  { transaction: transactionId },
+  { new: true }
+);
+
+// Remove the receipt's files and record
+const deleteReceipt = async (receipt) => {
+  const storage = getStorage();
+  await storage.remove(receipt.key);
+  if (receipt.thumbnailKey) await storage.remove(receipt.thumbnailKey);
+  await Receipt.deleteOne({ _id: receipt._id });
+};
+
+// Remove the receipt of a transaction that is being deleted or given a new one
+const deleteTransactionReceipt = async (transaction) => {
+  if (!transaction.receipt) return;
+  const receipt = await Receipt.findOne({ _id: transaction.receipt, user: transaction.user });
+  if (receipt) await deleteReceipt(receipt);
+};
+
+// Replace a transaction's receipt with a newly uploaded one
+const replaceTransactionReceipt = async (transaction, receipt) => {
+  await deleteTransactionReceipt(transaction);
+  receipt.transaction = transaction._id;
+  await receipt.save();
+  await Transaction.updateOne({ _id: transaction._id }, { receipt: receipt._id });
+  return receipt;
+};
+
+// Signed links to the receipt file and its thumbnail
+const getReceiptUrls = async (receipt, { download = false, baseUrl } = {}) => ({
+  url: await getSignedUrl(receipt.key, { filename: receipt.originalName, download, baseUrl }),
+  thumbnailUrl: receipt.thumbnailKey ? await getSignedUrl(receipt.thumbnailKey, { baseUrl }) : null
+});
+
+// What the client needs to show a receipt
+const toReceiptJSON = (receipt) => ({
+  _id: receipt._id,
+  transaction: receipt.transaction,
+  originalName: receipt.originalName,
+  mimeType: receipt.mimeType,
+  size: receipt.size,
+  hasThumbnail: !!receipt.thumbnailKey,
+  createdAt: receipt.createdAt
+});
+
+module.exports = {
+  saveReceipt,
+  attachReceipt,
+  deleteReceipt,
+  deleteTransactionReceipt,
+  replaceTransactionReceipt,
+  getReceiptUrls,
+  toReceiptJSON
+};
@@ -0,0 +1,164 @@
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Transaction = require('../models/Transaction');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+let timer = null;
+let running = false;
+
+// Advance a date by one period, keeping the rule's day of month where possible
+// (e.g. a rule starting on Jan 31 runs on Feb 28, then Mar 31)
+const addPeriod = (date, frequency, interval = 1, anchorDay = date.getDate()) => {
+  const next = new Date(date);
+
+  switch (frequency) {
+    case 'daily':
+      next.setDate(next.getDate() + interval);
+      break;
+    case 'weekly':
+      next.setDate(next.getDate() + 7 * interval);
+      break;
+    case 'monthly':
+    case 'yearly': {
+      const months = frequency === 'monthly' ? interval : 12 * interval;
+      next.setDate(1);
+      next.setMonth(next.getMonth() + months);
+      const daysInMonth = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+      next.setDate(Math.min(anchorDay, daysInMonth));
+      break;
+    }
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+
+  return next;
+};
+
+const getNextOccurrence = (rule, fromDate) =>
+  addPeriod(fromDate, rule.frequency, rule.interval || 1, new Date(rule.startDate).getDate());
+
+const isPastEnd = (rule, date) => rule.endDate && date > new Date(rule.endDate);
+
+// List the next `count` occurrences of a rule without touching the database
+const getUpcomingOccurrences = (rule, count = 3) => {
+  const occurrences = [];
+  if (!rule.active) return occurrences;
+
+  let date = new Date(rule.nextRunDate);
+  let skip = rule.skipNext;
+
+  while (occurrences.length < count && !isPastEnd(rule, date)) {
+    occurrences.push({ date, skipped: skip });
+    skip = false;
+    date = getNextOccurrence(rule, date);
+  }
+
+  return occurrences;
+};
+
+// Create the Transaction for a single occurrence. The upsert on {recurring, date}
+// makes this safe to repeat if the server restarts before nextRunDate is saved.
+const materializeOccurrence = async (rule, date) => {
+  await Transaction.updateOne(
+    { recurring: rule._id, date },
+    {
+      $setOnInsert: {
+        user: rule.user,
+        type: rule.type,
+        amount: rule.amount,
+        category: rule.category,
+        description: rule.description,
+        merchant: rule.merchant,
+        recurring: rule._id,
+        date
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Materialize every occurrence that has fallen due for a single rule
+const processRule = async (rule, now = new Date()) => {
+  let created = 0;
+  let date = new Date(rule.nextRunDate);
+
+  while (date <= now && !isPastEnd(rule, date)) {
+    if (rule.skipNext) {
+      rule.skipNext = false;
+    } else {
+      await materializeOccurrence(rule, date);
+      rule.lastRunDate = date;
+      created++;
+    }
+
+    date = getNextOccurrence(rule, date);
+    rule.nextRunDate = date;
+    await rule.save();
+  }
+
+  if (isPastEnd(rule, date)) {
+    rule.active = false;
+    await rule.save();
+  }
+
+  return created;
+};
+
+// Materialize due occurrences for all active rules
+const processDueRecurring = async (now = new Date()) => {
+  if (running) return 0;
+  running = true;
+
+  try {
+    const dueRules = await RecurringTransaction.find({
+      active: true,
+      nextRunDate: { $lte: now }
+    });
+
+    let created = 0;
+    for (const rule of dueRules) {
+      try {
+        created += await processRule(rule, now);
+      } catch (error) {
+        console.error(`Recurring rule ${rule._id} failed:`, error.message);
+      }
+    }
+
+    if (created > 0) {
+      console.log(`Recurring scheduler created ${created} transactions`);
+    }
+    return created;
+  } finally {
+    running = false;
+  }
+};
+
+// Run once immediately, then on a fixed interval
+const startScheduler = (intervalMs = parseInt(process.env.RECURRING_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const run = () => processDueRecurring().catch(error => {
+    console.error('Recurring scheduler error:', error);
+  });
+
+  run();
+  timer = setInterval(run, intervalMs);
+  console.log(`Recurring scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  addPeriod,
+  getNextOccurrence,
+  getUpcomingOccurrences,
+  processRule,
+  processDueRecurring,
+  startScheduler,
+  stopScheduler
+};
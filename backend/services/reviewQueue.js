@@ -0,0 +1,203 @@
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const multer = require('multer');
+const { BREAKDOWN_FIELDS } = require('./receiptTotals');
+
+// Batch receipt uploads and the review queue they land in. Every receipt in a
+// batch is read by its own job; what was read waits as a ReviewItem until the
+// user saves or discards it.
+
+const MAX_BATCH_FILES = 50;
+const MAX_RECEIPT_SIZE = 5 * 1024 * 1024; // same as a single receipt upload
+const MAX_ZIP_SIZE = 50 * 1024 * 1024;
+
+// Most bytes one batch upload may send, since it is held in memory until read
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
+
+const RECEIPT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf'
+};
+
+// Fields of an extracted receipt the user can change before saving
+const EDITABLE_FIELDS = ['amount', 'date', 'description', 'merchant', 'category', 'currency', 'notes', 'tags', 'items', ...BREAKDOWN_FIELDS];
+
+const isZip = (name) => path.extname(name).toLowerCase() === '.zip';
+
+// Folders and metadata macOS and others add to archives
+const isHiddenEntry = (name) => name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+
+// Most bytes unpacked from the archives in one upload
+const MAX_UNPACKED_SIZE = MAX_BATCH_FILES * MAX_RECEIPT_SIZE;
+
+// Inflate a zip entry, stopping once it passes `limit` bytes. The sizes an
+// archive declares are not trusted, so a crafted entry cannot inflate far past
+// the limit. Returns null when the entry is too large.
+const inflateEntry = (entry, limit) => {
+  if (entry.header.encrypted) throw new Error('Encrypted entry');
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === 0) return compressed.length <= limit ? compressed : null;
+  if (entry.header.method !== 8) throw new Error(`Unsupported compression method ${entry.header.method}`);
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: limit });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return null;
+    throw error;
+  }
+};
+
+// A multer storage engine that keeps batch uploads in memory like
+// multer.memoryStorage(), but stops reading a file once it passes its limit
+// (5MB for a receipt, 50MB for a zip) or the request passes MAX_UPLOAD_SIZE
+const batchUploadStorage = {
+  _handleFile: (req, file, cb) => {
+    const limit = isZip(file.originalname) ? MAX_ZIP_SIZE : MAX_RECEIPT_SIZE;
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const finish = (error, info) => {
+      if (done) return;
+      done = true;
+      file.stream.removeAllListeners('data');
+      file.stream.resume();
+      cb(error, info);
+    };
+
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      req.batchUploadSize = (req.batchUploadSize || 0) + chunk.length;
+      if (size > limit || req.batchUploadSize > MAX_UPLOAD_SIZE) {
+        finish(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', finish);
+    file.stream.on('end', () => finish(null, { buffer: Buffer.concat(chunks), size }));
+  },
+  _removeFile: (req, file, cb) => {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+// The receipts in a batch upload, with zip archives unpacked. Returns
+// { files: [{ originalName, mimeType, buffer }], skipped: [{ name, reason }] }.
+const unpackReceiptFiles = (uploads) => {
+  const files = [];
+  const skipped = [];
+  let unpacked = 0;
+
+  // Why a file is not taken, or null when it can be read
+  const refuse = (name) => {
+    if (!RECEIPT_TYPES[path.extname(name).toLowerCase()]) return 'Only JPEG, PNG and PDF receipts can be read';
+    if (files.length >= MAX_BATCH_FILES) return `Only ${MAX_BATCH_FILES} receipts can be uploaded at once`;
+    return null;
+  };
+  const add = (name, buffer) => {
+    files.push({ originalName: name, mimeType: RECEIPT_TYPES[path.extname(name).toLowerCase()], buffer });
+  };
+
+  uploads.forEach(upload => {
+    if (!isZip(upload.originalname)) {
+      const reason = refuse(upload.originalname) || (upload.size > MAX_RECEIPT_SIZE ? 'Larger than 5MB' : null);
+      if (reason) skipped.push({ name: upload.originalname, reason });
+      else add(upload.originalname, upload.buffer);
+      return;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(upload.buffer).getEntries();
+    } catch (error) {
+      skipped.push({ name: upload.originalname, reason: 'Not a readable zip file' });
+      return;
+    }
+    entries
+      .filter(entry => !entry.isDirectory && !isHiddenEntry(entry.entryName))
+      .forEach(entry => {
+        const name = path.posix.basename(entry.entryName);
+        const reason = refuse(name);
+        if (reason) {
+          skipped.push({ name, reason });
+          return;
+        }
+
+        const remaining = MAX_UNPACKED_SIZE - unpacked;
+        let buffer;
+        try {
+          buffer = inflateEntry(entry, Math.min(MAX_RECEIPT_SIZE, remaining));
+        } catch (error) {
+          skipped.push({ name, reason: 'Could not be unpacked' });
+          return;
+        }
+        if (!buffer) {
+          skipped.push({ name, reason: remaining < MAX_RECEIPT_SIZE ? 'The archive unpacks to too much data' : 'Larger than 5MB' });
+          return;
+        }
+        unpacked += buffer.length;
+        add(name, buffer);
+      });
+  });
+
+  return { files, skipped };
+};
+
+// What the client sees of a review item, with the progress of its job while
+// the receipt is being read. `job` may be a populated job or null.
+const toReviewItemJSON = (item, job = item.job) => ({
+  _id: item._id,
+  batch: item.batch,
+  receipt: item.receipt,
+  originalName: item.originalName,
+  status: item.status,
+  approved: item.approved,
+  data: item.data,
+  transaction: item.transaction,
+  job: job && job.status ? {
+    _id: job._id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    error: job.error
+  } : null,
+  createdAt: item.createdAt
+});
+
+// The extracted data with the user's edits to the editable fields
+const applyReviewEdits = (data, changes = {}) => EDITABLE_FIELDS.reduce((result, field) => {
+  if (changes[field] !== undefined) result[field] = changes[field];
+  return result;
+}, { ...data });
+
+// A reviewed receipt as a transaction for validation. Receipts are expenses,
+// described by their merchant when nothing else was given.
+const toTransactionInput = (data) => ({
+  amount: data.amount,
+  date: data.date,
+  description: data.description || data.merchant,
+  merchant: data.merchant,
+  category: data.category,
+  currency: data.currency,
+  notes: data.notes,
+  tags: data.tags,
+  items: data.items,
+  breakdown: BREAKDOWN_FIELDS.reduce((breakdown, field) => {
+    breakdown[field] = data[field];
+    return breakdown;
+  }, {}),
+  type: 'expense'
+});
+
+module.exports = {
+  MAX_BATCH_FILES,
+  MAX_ZIP_SIZE,
+  batchUploadStorage,
+  unpackReceiptFiles,
+  toReviewItemJSON,
+  applyReviewEdits,
+  toTransactionInput
+};
@@ -0,0 +1,132 @@
+const { findCategory } = require('./categories');
+const { BASE_AMOUNT } = require('./currency');
+
+const MAX_SPLITS = 20;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Split lines may not add up to the total by more than this (rounding)
+const SPLIT_TOLERANCE = 0.01;
+
+// Transactions filed under one of `keys`, directly or through a split line
+const categoryMatch = (keys) => ({
+  $or: [{ category: { $in: keys } }, { 'splits.category': { $in: keys } }]
+});
+
+// Aggregation stages that give every transaction one `line` per split, or a single
+// line for unsplit ones. Line amounts are in the base currency. Category reports
+// group on `line.category` so a split transaction counts towards each of its
+// categories. Pass category keys to keep only lines in those categories.
+const categoryLineStages = (keys = null) => [
+  {
+    $addFields: {
+      line: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          {
+            $map: {
+              input: '$splits',
+              as: 'split',
+              in: {
+                category: '$$split.category',
+                amount: { $multiply: ['$$split.amount', { $ifNull: ['$exchangeRate', 1] }] }
+              }
+            }
+          },
+          [{ category: '$category', amount: BASE_AMOUNT }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$line' },
+  ...(keys ? [{ $match: { 'line.category': { $in: keys } } }] : [])
+];
+
+// Aggregation stages that set `amount` to the base-currency amount of each
+// transaction. With category keys only the split lines in those categories count,
+// so a category-filtered total includes part of a split transaction.
+const baseAmountStages = (keys = null) => (keys
+  ? [
+    ...categoryLineStages(keys),
+    { $group: { _id: '$_id', doc: { $first: '$$ROOT' }, amount: { $sum: '$line.amount' } } },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$doc', { amount: '$amount' }] } } }
+  ]
+  : [{ $addFields: { amount: BASE_AMOUNT } }]);
+
+// Validate split lines for a transaction. Lines need one of the user's categories
+// for the transaction type and a positive amount, and must add up to the total.
+// Returns { splits } (empty when not split) or { error }.
+const parseSplits = (splits, { amount, type, categories }) => {
+  if (!splits || (Array.isArray(splits) && splits.length === 0)) return { splits: [] };
+  if (!Array.isArray(splits)) return { error: 'Splits must be a list' };
+  if (type === 'transfer') return { error: 'Transfers cannot be split' };
+  if (splits.length < 2) return { error: 'A split needs at least two lines' };
+  if (splits.length > MAX_SPLITS) return { error: `A transaction can be split into at most ${MAX_SPLITS} lines` };
+
+  const lines = [];
+  for (const [index, split] of splits.entries()) {
+    const category = findCategory(categories, split.category, type);
+    if (!category) return { error: `Split line ${index + 1} has an unknown category` };
+
+    const lineAmount = parseFloat(split.amount);
+    if (isNaN(lineAmount) || lineAmount <= 0) return { error: `Split line ${index + 1} needs an amount above zero` };
+
+    lines.push({
+      category: category.key,
+      amount: roundAmount(lineAmount),
+      description: split.description ? String(split.description).trim() : ''
+    });
+  }
+
+  const total = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+  if (Math.abs(total - amount) > SPLIT_TOLERANCE) {
+    return { error: `Split lines add up to ${total.toFixed(2)} but the transaction total is ${Number(amount).toFixed(2)}` };
+  }
+  return { splits: lines };
+};
+
+// The parent category of a split transaction is its largest line's
+const primaryCategory = (splits) => splits.reduce((largest, split) => (split.amount > largest.amount ? split : largest)).category;
+
+// Group categorized receipt items into proposed split lines that add up to the
+// total. Tax, discounts and anything else not itemized are shared out in
+// proportion to each line. Nothing is proposed when the items fall in one category.
+const proposeSplits = (items, total) => {
+  if (!total || !Array.isArray(items)) return [];
+
+  const byCategory = new Map();
+  items
+    .filter(item => item && item.category && item.amount > 0)
+    .forEach(item => {
+      const line = byCategory.get(item.category) || { category: item.category, amount: 0, items: [] };
+      line.amount += item.amount;
+      line.items.push(item.description);
+      byCategory.set(item.category, line);
+    });
+  if (byCategory.size < 2) return [];
+
+  const lines = [...byCategory.values()];
+  const itemsTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  // Far off the total usually means the amounts were misread
+  if (itemsTotal < total / 2 || itemsTotal > total * 2) return [];
+
+  const splits = lines.map(line => ({
+    category: line.category,
+    amount: roundAmount((line.amount / itemsTotal) * total),
+    description: line.items.filter(Boolean).slice(0, 3).join(', ')
+  }));
+  // Rounding leftovers go on the last line
+  const rounded = splits.reduce((sum, split) => sum + split.amount, 0);
+  splits[splits.length - 1].amount = roundAmount(splits[splits.length - 1].amount + total - rounded);
+  return splits;
+};
+
+module.exports = {
+  MAX_SPLITS,
+  categoryMatch,
+  categoryLineStages,
+  baseAmountStages,
+  parseSplits,
+  primaryCategory,
+  proposeSplits
+};
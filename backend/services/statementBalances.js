@@ -0,0 +1,102 @@
+const { parseLocaleAmount } = require('./locale');
+
+// Opening and closing balances printed on a statement, and whether the
+// extracted transactions take the one to the other.
+
+// Printed balances may differ from the sum of the transactions by rounding
+const ROUNDING_TOLERANCE = 0.05;
+
+const OPENING_LABEL = /\b(?:opening|beginning|starting|previous)\s+balance\b|\bbalance\s+(?:brought\s+forward|b\/f)\b|\bbrought\s+forward\b|\banfangssaldo\b|\balter\s+kontostand\b|\bsolde\s+(?:initial|pr[ée]c[ée]dent)\b/i;
+const CLOSING_LABEL = /\b(?:closing|ending|final|new)\s+balance\b|\bbalance\s+(?:carried\s+forward|c\/f)\b|\bcarried\s+forward\b|\bendsaldo\b|\bneuer\s+kontostand\b|\bsolde\s+(?:final|nouveau)\b/i;
+
+// Dates are removed first so their digits are not taken for an amount
+const DATE_PATTERN = /\b\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}\b/g;
+
+// A printed amount with cents, with an optional sign, brackets or CR/DR marker
+const AMOUNT_PATTERN = /(\(?)([-−]?)\s*[₹€£¥$]?\s*(\d{1,3}(?:[.,']\d{3})*[.,]\d{2}|\d+[.,]\d{2})\)?\s*(CR|DR)?\b/gi;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Balance lines are statement totals, not transactions
+const isBalanceLine = (text) => OPENING_LABEL.test(text) || CLOSING_LABEL.test(text);
+
+// The last amount on a line. Overdrawn balances are printed with a minus sign,
+// in brackets or marked DR.
+const lastAmount = (line, locale) => {
+  const matches = [...line.replace(DATE_PATTERN, ' ').matchAll(AMOUNT_PATTERN)];
+  if (matches.length === 0) return null;
+  const [, bracket, minus, digits, marker] = matches[matches.length - 1];
+  const amount = parseLocaleAmount(digits.replace(/'/g, ''), locale);
+  if (isNaN(amount)) return null;
+  const negative = !!bracket || !!minus || (marker && marker.toUpperCase() === 'DR');
+  return negative ? -amount : amount;
+};
+
+// The amount on a labelled line, or alone on the line below when the
+// statement prints labels and values on separate rows
+const balanceAfter = (lines, index, locale) => {
+  const amount = lastAmount(lines[index], locale);
+  if (amount !== null) return amount;
+  const next = lines[index + 1];
+  return next && !/[a-z]{3,}/i.test(next) ? lastAmount(next, locale) : null;
+};
+
+// { openingBalance, closingBalance }, each null when not printed. Multi-page
+// statements repeat "brought forward" and "carried forward" on every page, so
+// the first opening and the last closing balance are the statement's.
+const findStatementBalances = (text, locale) => {
+  const lines = String(text || '').split('\n').map(line => line.trim());
+  let openingBalance = null;
+  let closingBalance = null;
+
+  lines.forEach((line, index) => {
+    if (openingBalance === null && OPENING_LABEL.test(line)) {
+      openingBalance = balanceAfter(lines, index, locale);
+    } else if (CLOSING_LABEL.test(line)) {
+      const amount = balanceAfter(lines, index, locale);
+      if (amount !== null) closingBalance = amount;
+    }
+  });
+
+  return { openingBalance, closingBalance };
+};
+
+// Check the transactions against the printed balances. On a bank statement
+// credits raise the balance; on a card statement the balance is what is owed,
+// so purchases raise it. Whichever reading balances is used. `balanced` is
+// null when either balance is missing.
+const reconcileStatement = ({ openingBalance = null, closingBalance = null }, transactions = []) => {
+  const total = (type) => roundAmount(transactions
+    .filter(transaction => transaction.type === type)
+    .reduce((sum, transaction) => sum + (parseFloat(transaction.amount) || 0), 0));
+  const credits = total('income');
+  const debits = total('expense');
+
+  if (openingBalance === null || closingBalance === null) {
+    return { openingBalance, closingBalance, credits, debits, expectedClosing: null, difference: null, creditCard: false, balanced: null };
+  }
+
+  const asAccount = roundAmount(openingBalance + credits - debits);
+  const asCard = roundAmount(openingBalance + debits - credits);
+  const creditCard = Math.abs(asAccount - closingBalance) > ROUNDING_TOLERANCE &&
+    Math.abs(asCard - closingBalance) <= ROUNDING_TOLERANCE;
+  const expectedClosing = creditCard ? asCard : asAccount;
+  const difference = roundAmount(closingBalance - expectedClosing);
+
+  return {
+    openingBalance,
+    closingBalance,
+    credits,
+    debits,
+    expectedClosing,
+    difference,
+    creditCard,
+    balanced: Math.abs(difference) <= ROUNDING_TOLERANCE
+  };
+};
+
+module.exports = {
+  isBalanceLine,
+  findStatementBalances,
+  reconcileStatement
+};
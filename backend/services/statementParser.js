@@ -0,0 +1,279 @@
+// Deterministic parsers for bank statement exports (CSV, OFX and QFX)
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'DD.MM.YYYY'];
+
+// Pick the delimiter that splits the header line into the most columns
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, delimiter) =>
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  , ',');
+};
+
+// Split CSV text into rows of cells, honouring quoted fields and escaped quotes
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+};
+
+// Parse an amount such as "1,234.56", "(45.00)", "-12" or "₹ 500". Without a
+// decimal separator it is guessed; with one, "1.234,56" and "1,234.56" are
+// only read one way.
+const parseAmount = (value, decimalSeparator = null) => {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim();
+  if (!text) return NaN;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text) || /\bDR\b/i.test(text);
+  text = text.replace(/[^0-9.,]/g, '');
+
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (decimalSeparator === '.') {
+    text = text.replace(/,/g, '');
+  } else if (text.includes(',') && text.includes('.')) {
+    // Treat the last separator as the decimal point when both are present
+    text = text.lastIndexOf(',') > text.lastIndexOf('.')
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (text.includes(',')) {
+    text = /,\d{2}$/.test(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+const DECIMAL_SEPARATORS = ['.', ','];
+
+// The decimal separator a column of amounts uses, going by the values that end
+// in a separator and one or two digits ("12,5", "1.234,56"). Returns null when
+// the column does not say, e.g. when every value is whole.
+const detectDecimalSeparator = (values) => {
+  const counts = { '.': 0, ',': 0 };
+  values.forEach(value => {
+    const match = String(value || '').replace(/[^0-9.,]/g, '').match(/\d([.,])\d{1,2}$/);
+    if (match) counts[match[1]]++;
+  });
+  if (counts['.'] === counts[',']) return null;
+  return counts[','] > counts['.'] ? ',' : '.';
+};
+
+// Parse a date string using one of DATE_FORMATS, falling back to Date parsing
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const parts = text.split(/[^0-9]/).filter(Boolean).map(Number);
+
+  let year;
+  let month;
+  let day;
+
+  if (parts.length >= 3) {
+    if (format.startsWith('YYYY')) {
+      [year, month, day] = parts;
+    } else if (format.startsWith('DD')) {
+      [day, month, year] = parts;
+    } else {
+      [month, day, year] = parts;
+    }
+    if (year < 100) year += 2000;
+
+    const date = new Date(year, month - 1, day);
+    if (!isNaN(date.getTime()) && date.getMonth() === month - 1) {
+      return date;
+    }
+  }
+
+  const fallback = new Date(text);
+  return isNaN(fallback.getTime()) ? null : fallback;
+};
+
+// Guess a column mapping from common header names
+const suggestMapping = (headers) => {
+  const find = (...patterns) => {
+    const index = headers.findIndex(header => patterns.some(pattern => pattern.test(header)));
+    return index >= 0 ? headers[index] : null;
+  };
+
+  return {
+    date: find(/^date$/i, /transaction date/i, /posting date/i, /value date/i, /date/i),
+    description: find(/description/i, /narration/i, /particulars/i, /details/i, /payee/i, /memo/i),
+    amount: find(/^amount$/i, /amount/i),
+    debit: find(/debit/i, /withdrawal/i, /^dr$/i),
+    credit: find(/credit/i, /deposit/i, /^cr$/i),
+    type: find(/^type$/i, /dr\s*\/\s*cr/i),
+    category: find(/category/i),
+    dateFormat: 'YYYY-MM-DD',
+    decimalSeparator: null
+  };
+};
+
+// Turn parsed CSV rows into transactions using a column mapping. Amounts use
+// the mapping's decimal separator, else the one the amount columns show, else
+// `defaultDecimalSeparator` (the user's locale).
+const applyCsvMapping = (rows, mapping, { defaultDecimalSeparator = null } = {}) => {
+  const [headers, ...dataRows] = rows;
+  const column = (name) => (mapping[name] ? headers.indexOf(mapping[name]) : -1);
+
+  const columns = {
+    date: column('date'),
+    description: column('description'),
+    amount: column('amount'),
+    debit: column('debit'),
+    credit: column('credit'),
+    type: column('type'),
+    category: column('category')
+  };
+
+  const amountValues = dataRows.flatMap(row => ['amount', 'debit', 'credit']
+    .filter(name => columns[name] >= 0)
+    .map(name => row[columns[name]]));
+  const decimalSeparator = DECIMAL_SEPARATORS.includes(mapping.decimalSeparator)
+    ? mapping.decimalSeparator
+    : detectDecimalSeparator(amountValues) || defaultDecimalSeparator;
+
+  return dataRows.map((row, index) => {
+    const cell = (name) => (columns[name] >= 0 ? row[columns[name]] : undefined);
+
+    let amount;
+    let type;
+
+    if (columns.debit >= 0 || columns.credit >= 0) {
+      const debit = parseAmount(cell('debit'), decimalSeparator);
+      const credit = parseAmount(cell('credit'), decimalSeparator);
+      if (!isNaN(debit) && debit !== 0) {
+        amount = Math.abs(debit);
+        type = 'expense';
+      } else {
+        amount = Math.abs(credit);
+        type = 'income';
+      }
+    } else {
+      const signed = parseAmount(cell('amount'), decimalSeparator);
+      amount = Math.abs(signed);
+      type = signed < 0 ? 'expense' : 'income';
+    }
+
+    const typeValue = cell('type');
+    if (typeValue) {
+      if (/^(dr|debit|expense|withdrawal)/i.test(typeValue)) type = 'expense';
+      if (/^(cr|credit|income|deposit)/i.test(typeValue)) type = 'income';
+    }
+
+    const date = parseDate(cell('date'), mapping.dateFormat);
+
+    return {
+      date: date ? date.toISOString() : null,
+      description: cell('description') || 'Transaction',
+      amount: isNaN(amount) ? null : amount,
+      type,
+      category: cell('category') || 'Other',
+      tempId: `import-${index}`
+    };
+  });
+};
+
+// Read a single OFX tag value from an SGML or XML block
+const readOfxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+// OFX dates look like 20261019 or 20261019120000[-5:EST]
+const parseOfxDate = (value) => {
+  if (!value) return null;
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+};
+
+// Parse OFX/QFX statement text into transactions
+const parseOfx = (text) => {
+  const currency = readOfxTag(text, 'CURDEF');
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+  return blocks.map((block, index) => {
+    const amount = parseAmount(readOfxTag(block, 'TRNAMT'));
+    const trnType = (readOfxTag(block, 'TRNTYPE') || '').toUpperCase();
+    const name = readOfxTag(block, 'NAME');
+    const memo = readOfxTag(block, 'MEMO');
+    const date = parseOfxDate(readOfxTag(block, 'DTPOSTED'));
+
+    let type = amount < 0 ? 'expense' : 'income';
+    if (['DEBIT', 'PAYMENT', 'ATM', 'POS', 'FEE', 'SRVCHG', 'CHECK'].includes(trnType)) type = 'expense';
+    if (['CREDIT', 'DEP', 'DIRECTDEP', 'INT', 'DIV'].includes(trnType)) type = 'income';
+
+    return {
+      date: date ? date.toISOString() : null,
+      description: name || memo || 'Transaction',
+      merchant: name || null,
+      amount: isNaN(amount) ? null : Math.abs(amount),
+      currency: currency ? currency.toUpperCase() : null,
+      type,
+      category: 'Other',
+      externalId: readOfxTag(block, 'FITID'),
+      tempId: `import-${index}`
+    };
+  });
+};
+
+// Identify the statement format from the file name or its contents
+const detectFormat = (filename = '', text = '') => {
+  const ext = filename.toLowerCase().split('.').pop();
+  if (ext === 'ofx' || ext === 'qfx') return ext;
+  if (ext === 'csv' || ext === 'txt') return 'csv';
+  if (/<OFX>/i.test(text) || /OFXHEADER/i.test(text)) return 'ofx';
+  return 'csv';
+};
+
+module.exports = {
+  DATE_FORMATS,
+  DECIMAL_SEPARATORS,
+  detectDelimiter,
+  parseCsv,
+  parseAmount,
+  parseDate,
+  detectDecimalSeparator,
+  suggestMapping,
+  applyCsvMapping,
+  parseOfx,
+  detectFormat
+};
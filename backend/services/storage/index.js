@@ -0,0 +1,85 @@
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+const { verifySignedParams } = require('./signing');
+
+// Where uploaded files such as receipts are kept. Files are addressed by keys
+// like "users/<user>/receipts/<id>.jpg" so the driver can be swapped without
+// touching the records that point at them.
+//
+// STORAGE_DRIVER selects the driver: local (default) | s3. Local files live under
+// STORAGE_DIR, backend/storage by default. The s3 driver works with AWS and with
+// S3-compatible services such as MinIO through S3_ENDPOINT.
+
+// How long signed download links stay valid, in seconds
+const DEFAULT_URL_TTL = 15 * 60;
+
+const createDriver = (name) => {
+  switch (name) {
+    case 'local':
+      return createLocalStorage({
+        root: process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'storage'),
+        publicUrl: process.env.STORAGE_PUBLIC_URL || undefined
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${name}`);
+  }
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createDriver((process.env.STORAGE_DRIVER || 'local').toLowerCase());
+    console.log('Storage driver:', storage.name);
+  }
+  return storage;
+};
+
+// Swap the driver at runtime, e.g. an in-memory driver in tests
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+// Whole file as a Buffer, or null when it does not exist
+const readFile = async (key) => {
+  const stream = await getStorage().get(key);
+  if (!stream) return null;
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Every file of a user lives under their own prefix
+const userPrefix = (userId) => `users/${userId}/`;
+const userKey = (userId, ...parts) => userPrefix(userId) + parts.join('/');
+
+// Link that downloads a file without the auth header, for <img> tags and
+// downloads. `baseUrl` is where the backend is reachable, for the local driver.
+const getSignedUrl = (key, { filename, download = false, baseUrl } = {}) => getStorage().getSignedUrl(key, {
+  expiresIn: parseInt(process.env.STORAGE_URL_TTL) || DEFAULT_URL_TTL,
+  disposition: download ? 'attachment' : 'inline',
+  filename: filename || '',
+  baseUrl
+});
+
+module.exports = {
+  getStorage,
+  setStorage,
+  readFile,
+  userPrefix,
+  userKey,
+  getSignedUrl,
+  verifySignedParams
+};
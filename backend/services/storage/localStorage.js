@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { createSignedParams } = require('./signing');
+
+// Keeps files on the local disk under `root`, one file per key. Signed links
+// point at the backend's /api/files route, on `publicUrl` when set or else the
+// host the request came in on.
+const createLocalStorage = ({ root, publicUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    // Keys come from our own code, but never let one point outside the root
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Every file below a directory, with keys relative to the root
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await walk(entryPath));
+      } else {
+        const stats = await fs.promises.stat(entryPath);
+        files.push({
+          key: path.relative(root, entryPath).split(path.sep).join('/'),
+          size: stats.size,
+          lastModified: stats.mtime
+        });
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    // Readable stream of the file, or null when it does not exist
+    async get(key) {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    // Removing a missing file is not an error
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async list(prefix) {
+      return walk(resolveKey(prefix));
+    },
+
+    async getSignedUrl(key, { expiresIn, disposition, filename, baseUrl }) {
+      resolveKey(key);
+      const params = new URLSearchParams(createSignedParams(key, { expiresIn, disposition, filename }));
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${publicUrl || baseUrl}/api/files/${encodedKey}?${params.toString()}`;
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,98 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+  error.$metadata?.httpStatusCode === 404;
+
+// Keeps files in an S3 bucket. Any S3-compatible service works (MinIO, R2,
+// Spaces) by setting `endpoint`; most of them need path-style addressing.
+// Signed links go straight to the bucket.
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  if (!bucket) {
+    throw new Error('S3 storage needs a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    // Without explicit keys the SDK's default credential chain is used
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    // Readable stream of the object, or null when it does not exist
+    async get(key) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Body;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    // Deleting a missing object succeeds on S3
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list(prefix) {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken
+        }));
+        (page.Contents || []).forEach(object => {
+          files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        });
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+
+    async getSignedUrl(key, { expiresIn, disposition = 'inline', filename }) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: filename
+          ? `${disposition}; filename="${filename.replace(/["\\\r\n]/g, '_')}"`
+          : disposition
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    }
+  };
+};
+
+module.exports = { createS3Storage };
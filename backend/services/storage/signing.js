@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Signed links for files served by the backend itself (the local driver). The
+// signature covers the key, expiry and response headers, so a link cannot be
+// reused for another file or kept working past its expiry.
+
+const getSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, { expires, disposition = 'inline', filename = '' }) => crypto
+  .createHmac('sha256', getSecret())
+  .update([key, expires, disposition, filename].join('\n'))
+  .digest('base64url');
+
+// Query parameters for a link to `key` that is valid for `expiresIn` seconds
+const createSignedParams = (key, { expiresIn, disposition = 'inline', filename = '' }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const params = { expires: String(expires), disposition, filename };
+  return { ...params, signature: sign(key, params) };
+};
+
+// Check a signed link's query parameters. Returns false when the link was
+// tampered with or has expired.
+const verifySignedParams = (key, { expires, disposition = 'inline', filename = '', signature }) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) return false;
+  const expected = Buffer.from(sign(key, { expires, disposition, filename }));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  createSignedParams,
+  verifySignedParams
+};
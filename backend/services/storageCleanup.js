@@ -0,0 +1,104 @@
+const Receipt = require('../models/Receipt');
+const ExtractionJob = require('../models/ExtractionJob');
+const { getStorage } = require('./storage');
+const { deleteReceipt } = require('./receipts');
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Files younger than this are left alone: a receipt is uploaded before the
+// transaction it belongs to is saved, and that can take a while
+const ORPHAN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Keys looked up per query when matching stored files to receipts
+const KEY_BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+// Receipts that were never linked to a transaction, or whose transaction is
+// gone. Receipts still waiting in the review queue are kept.
+const findOrphanedReceipts = (cutoff) => Receipt.aggregate([
+  { $match: { createdAt: { $lt: cutoff } } },
+  { $lookup: { from: 'transactions', localField: 'transaction', foreignField: '_id', as: 'linked' } },
+  { $match: { linked: { $size: 0 } } },
+  { $lookup: { from: 'reviewitems', localField: '_id', foreignField: 'receipt', as: 'reviews' } },
+  { $match: { 'reviews.status': { $ne: 'pending' } } },
+  { $project: { key: 1, thumbnailKey: 1 } }
+]);
+
+// Stored files that no receipt or extraction job points at, e.g. left behind
+// by a failed upload or by a job that has expired
+const findOrphanedFiles = async (cutoff) => {
+  const files = (await getStorage().list('users/')).filter(file => new Date(file.lastModified) < cutoff);
+  const orphaned = [];
+  for (let i = 0; i < files.length; i += KEY_BATCH_SIZE) {
+    const keys = files.slice(i, i + KEY_BATCH_SIZE).map(file => file.key);
+    const [receipts, jobs] = await Promise.all([
+      Receipt.find(
+        { $or: [{ key: { $in: keys } }, { thumbnailKey: { $in: keys } }] },
+        'key thumbnailKey'
+      ).lean(),
+      ExtractionJob.find({ fileKey: { $in: keys } }, 'fileKey').lean()
+    ]);
+    const known = new Set([
+      ...receipts.flatMap(receipt => [receipt.key, receipt.thumbnailKey]),
+      ...jobs.map(job => job.fileKey)
+    ]);
+    orphaned.push(...keys.filter(key => !known.has(key)));
+  }
+  return orphaned;
+};
+
+// Delete orphaned receipts and files older than ORPHAN_AGE_MS
+const cleanupOrphanedFiles = async (now = new Date()) => {
+  if (running) return { receipts: 0, files: 0 };
+  running = true;
+  try {
+    const cutoff = new Date(now.getTime() - ORPHAN_AGE_MS);
+    const storage = getStorage();
+
+    const receipts = await findOrphanedReceipts(cutoff);
+    for (const receipt of receipts) {
+      await deleteReceipt(receipt);
+    }
+
+    const files = await findOrphanedFiles(cutoff);
+    for (const key of files) {
+      await storage.remove(key);
+    }
+
+    if (receipts.length > 0 || files.length > 0) {
+      console.log(`Storage cleanup removed ${receipts.length} orphaned receipts and ${files.length} orphaned files`);
+    }
+    return { receipts: receipts.length, files: files.length };
+  } finally {
+    running = false;
+  }
+};
+
+// Run once immediately, then on a fixed interval
+const startCleanup = (intervalMs = parseInt(process.env.STORAGE_CLEANUP_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const run = () => cleanupOrphanedFiles().catch(error => {
+    console.error('Storage cleanup error:', error);
+  });
+
+  run();
+  timer = setInterval(run, intervalMs);
+  console.log(`Storage cleanup started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+const stopCleanup = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  ORPHAN_AGE_MS,
+  cleanupOrphanedFiles,
+  startCleanup,
+  stopCleanup
+};
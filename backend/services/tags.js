@@ -0,0 +1,48 @@
+const Transaction = require('../models/Transaction');
+const { BASE_AMOUNT } = require('./currency');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Accept a list or a comma-separated string. Tags are trimmed, lowercased and
+// de-duplicated so "Goa Trip" and "goa trip " are the same tag.
+const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const tags = list
+    .map(tag => String(tag || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+};
+
+// Tags in use, most used first, for autocomplete and the filter list
+const getTagCounts = (userId) => Transaction.aggregate([
+  { $match: { user: userId, 'tags.0': { $exists: true } } },
+  { $unwind: '$tags' },
+  { $group: { _id: '$tags', count: { $sum: 1 }, lastUsed: { $max: '$date' } } },
+  { $sort: { count: -1, _id: 1 } }
+]);
+
+// Income and spending per tag in the base currency. A transaction with several
+// tags counts towards each of them, so the rows do not add up to a total.
+const getTagReport = (match) => Transaction.aggregate([
+  { $match: { ...match, 'tags.0': { $exists: true } } },
+  { $unwind: '$tags' },
+  {
+    $group: {
+      _id: '$tags',
+      income: { $sum: { $cond: [{ $eq: ['$type', 'income'] }, BASE_AMOUNT, 0] } },
+      expense: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, BASE_AMOUNT, 0] } },
+      count: { $sum: 1 },
+      firstDate: { $min: '$date' },
+      lastDate: { $max: '$date' }
+    }
+  },
+  { $sort: { expense: -1, _id: 1 } }
+]);
+
+module.exports = {
+  MAX_TAGS,
+  normalizeTags,
+  getTagCounts,
+  getTagReport
+};
@@ -12,8 +12,16 @@ import Dashboard from './components/dashboard/Dashboard';
 import TransactionForm from './components/transactions/TransactionForm';
 import EditTransaction from './components/transactions/EditTransaction';
 import ReceiptUpload from './components/transactions/ReceiptUpload';
+import ReceiptReviewQueue from './components/transactions/ReceiptReviewQueue';
 import PdfTransactionUpload from './components/transactions/PdfTransactionUpload';
 import AIChat from './components/ai/AIChat';
+import TagReport from './components/tags/TagReport';
+import Currencies from './components/currencies/Currencies';
+import Accounts from './components/accounts/Accounts';
+import CategoryRules from './components/rules/CategoryRules';
+import Categories from './components/categories/Categories';
+import StatementImport from './components/transactions/StatementImport';
+import RecurringTransactions from './components/recurring/RecurringTransactions';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { ThemeProvider } from './contexts/ThemeContext';
 
@@ -85,6 +93,16 @@ const App = () => {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/review-receipts"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <ReceiptReviewQueue />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
               <Route
                 path="/upload-pdf-transactions"
                 element={
@@ -105,6 +123,76 @@ const App = () => {
                   </PrivateRoute>
                 }
               />
+              <Route
+                path="/recurring"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <RecurringTransactions />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/import-statement"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <StatementImport />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/categories"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <Categories />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/rules"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <CategoryRules />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/accounts"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <Accounts />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/currencies"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <Currencies />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/tags"
+                element={
+                  <PrivateRoute>
+                    <MainLayout>
+                      <TagReport />
+                    </MainLayout>
+                  </PrivateRoute>
+                }
+              />
               <Route path="/" element={<Navigate to="/dashboard" />} />
             </Routes>
           </AuthProvider>
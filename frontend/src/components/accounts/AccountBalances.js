@@ -0,0 +1,58 @@
+import React from 'react';
+import { Box, Typography, Button, Card, CardActionArea } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { useTheme } from '../../contexts/ThemeContext';
+import { ACCOUNT_TYPE_LABELS } from '../../hooks/useAccounts';
+import { formatMoney } from '../../utils/currency';
+
+// One card per active account with its running balance. Clicking a card
+// selects it, clicking the selected card again clears the selection.
+const AccountBalances = ({ accounts, selected, onSelect }) => {
+  const { theme } = useTheme();
+  const navigate = useNavigate();
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Accounts
+        </Typography>
+        <Button size="small" onClick={() => navigate('/accounts')}>
+          Manage
+        </Button>
+      </Box>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        {accounts.map((account) => (
+          <Card
+            key={account._id}
+            variant="outlined"
+            sx={{
+              minWidth: 180,
+              borderColor: account._id === selected ? theme.palette.primary.main : undefined
+            }}
+          >
+            <CardActionArea
+              sx={{ p: 2 }}
+              onClick={() => onSelect(account._id === selected ? 'all' : account._id)}
+            >
+              <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                {account.name}
+              </Typography>
+              <Typography variant="caption" color="textSecondary">
+                {ACCOUNT_TYPE_LABELS[account.type]}
+              </Typography>
+              <Typography
+                variant="h6"
+                sx={{ fontWeight: 700, mt: 1, color: account.balance < 0 ? 'error.main' : 'text.primary' }}
+              >
+                {formatMoney(account.balance, account.currency)}
+              </Typography>
+            </CardActionArea>
+          </Card>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default AccountBalances;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { FormControl, InputLabel, Select, MenuItem } from '@mui/material';
+
+// Account pickers for a transaction form: one optional account for income and
+// expenses, a required from/to pair for transfers. Archived accounts are only
+// listed when the transaction already uses them.
+const AccountFields = ({ accounts, type, account, toAccount, onChange }) => {
+  const optionsFor = (selected) => accounts.filter(other => !other.archived || other._id === selected);
+
+  const renderSelect = (name, label, value, required) => (
+    <FormControl fullWidth margin="normal" required={required}>
+      <InputLabel>{label}</InputLabel>
+      <Select name={name} value={value || ''} label={label} onChange={onChange}>
+        {!required && (
+          <MenuItem value="">
+            <em>No account</em>
+          </MenuItem>
+        )}
+        {optionsFor(value).map((option) => (
+          <MenuItem key={option._id} value={option._id}>
+            {option.name}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  if (type === 'transfer') {
+    return (
+      <>
+        {renderSelect('account', 'From Account', account, true)}
+        {renderSelect('toAccount', 'To Account', toAccount, true)}
+      </>
+    );
+  }
+
+  if (accounts.length === 0) return null;
+  return renderSelect('account', 'Account', account, false);
+};
+
+export default AccountFields;
@@ -0,0 +1,297 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TableFooter,
+  IconButton,
+  Button,
+  Chip,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Stack,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Archive as ArchiveIcon,
+  Unarchive as UnarchiveIcon
+} from '@mui/icons-material';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAccounts, ACCOUNT_TYPE_LABELS } from '../../hooks/useAccounts';
+import { formatMoney } from '../../utils/currency';
+
+const ACCOUNTS_URL = 'https://typeface-assignment-sryt.onrender.com/api/accounts';
+
+const emptyForm = {
+  name: '',
+  type: 'bank',
+  openingBalance: '0',
+  currency: 'USD'
+};
+
+const Accounts = () => {
+  const { theme } = useTheme();
+  const { baseCurrency } = useAuth();
+  const { accounts, unassigned, total, loading, error: loadError, refresh } = useAccounts();
+  const [error, setError] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  // Send a change to the API and reload balances
+  const sendRequest = async (url, method, body) => {
+    try {
+      setError('');
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        ...(body && { body: JSON.stringify(body) })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to update account');
+        return false;
+      }
+      await refresh();
+      return true;
+    } catch (error) {
+      console.error('Error updating account:', error);
+      setError('An error occurred while updating the account');
+      return false;
+    }
+  };
+
+  const handleOpenDialog = (account = null) => {
+    setEditingAccount(account);
+    setFormData(account
+      ? {
+          name: account.name,
+          type: account.type,
+          openingBalance: account.openingBalance.toString(),
+          currency: account.currency
+        }
+      : { ...emptyForm, currency: baseCurrency });
+    setDialogOpen(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const saved = editingAccount
+      ? await sendRequest(`${ACCOUNTS_URL}/${editingAccount._id}`, 'PUT', formData)
+      : await sendRequest(ACCOUNTS_URL, 'POST', formData);
+    setSaving(false);
+    if (saved) setDialogOpen(false);
+  };
+
+  const headerCellSx = {
+    fontWeight: 600,
+    backgroundColor: theme.palette.mode === 'dark' ? theme.palette.grey[800] : '#fafafa'
+  };
+
+  const balanceSx = (amount) => ({
+    color: amount < 0 ? 'error.main' : 'success.main',
+    fontWeight: 700
+  });
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ width: '100%', height: '100vh', overflow: 'auto' }}>
+      {/* Page Header */}
+      <Box sx={{ p: 4, pb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 700, mb: 1 }}>
+            Accounts
+          </Typography>
+          <Typography variant="body1" color="textSecondary">
+            Bank accounts, cards and wallets with their running balances.
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+          sx={{ fontWeight: 600 }}
+        >
+          Add Account
+        </Button>
+      </Box>
+
+      {(error || loadError) && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="error" onClose={() => setError('')}>
+            {error || loadError}
+          </Alert>
+        </Box>
+      )}
+
+      <Box sx={{ px: 4, pb: 4 }}>
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={headerCellSx}>Name</TableCell>
+                  <TableCell sx={headerCellSx}>Type</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Opening Balance</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Transactions</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Balance</TableCell>
+                  <TableCell align="center" sx={headerCellSx}>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {accounts.length > 0 ? (
+                  accounts.map((account) => (
+                    <TableRow hover key={account._id} sx={account.archived ? { opacity: 0.6 } : undefined}>
+                      <TableCell sx={{ fontWeight: 500 }}>
+                        {account.name}
+                        {account.archived && <Chip label="Archived" size="small" sx={{ ml: 1 }} />}
+                      </TableCell>
+                      <TableCell>{ACCOUNT_TYPE_LABELS[account.type]}</TableCell>
+                      <TableCell align="right">{formatMoney(account.openingBalance, account.currency)}</TableCell>
+                      <TableCell align="right">{account.transactionCount}</TableCell>
+                      <TableCell align="right">
+                        <Box component="span" sx={balanceSx(account.balance)}>
+                          {formatMoney(account.balance, account.currency)}
+                        </Box>
+                      </TableCell>
+                      <TableCell align="center">
+                        <IconButton size="small" onClick={() => handleOpenDialog(account)} sx={{ color: theme.palette.primary.main }}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <Tooltip title={account.archived ? 'Unarchive' : 'Archive'}>
+                          <IconButton
+                            size="small"
+                            onClick={() => sendRequest(`${ACCOUNTS_URL}/${account._id}`, 'PUT', { archived: !account.archived })}
+                          >
+                            {account.archived ? <UnarchiveIcon fontSize="small" /> : <ArchiveIcon fontSize="small" />}
+                          </IconButton>
+                        </Tooltip>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          onClick={() => sendRequest(`${ACCOUNTS_URL}/${account._id}`, 'DELETE')}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center" sx={{ py: 4 }}>
+                      <Typography variant="body1" color="textSecondary">
+                        No accounts yet. Add your bank account, credit card or cash wallet to track balances.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {unassigned !== 0 && (
+                  <TableRow>
+                    <TableCell colSpan={4}>
+                      <Typography variant="body2" color="textSecondary">
+                        Transactions without an account
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">
+                      <Box component="span" sx={balanceSx(unassigned)}>
+                        {formatMoney(unassigned, baseCurrency)}
+                      </Box>
+                    </TableCell>
+                    <TableCell />
+                  </TableRow>
+                )}
+              </TableBody>
+              <TableFooter>
+                <TableRow>
+                  <TableCell colSpan={4} sx={{ fontWeight: 700 }}>Total ({baseCurrency})</TableCell>
+                  <TableCell align="right">
+                    <Box component="span" sx={balanceSx(total)}>
+                      {formatMoney(total, baseCurrency)}
+                    </Box>
+                  </TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableFooter>
+            </Table>
+          </TableContainer>
+        </Paper>
+      </Box>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editingAccount ? 'Edit Account' : 'Add Account'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={3} sx={{ mt: 1 }}>
+            <TextField label="Name" name="name" value={formData.name} onChange={handleChange} fullWidth />
+
+            <TextField select label="Type" name="type" value={formData.type} onChange={handleChange} fullWidth>
+              {Object.entries(ACCOUNT_TYPE_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              label="Opening Balance"
+              name="openingBalance"
+              type="number"
+              value={formData.openingBalance}
+              onChange={handleChange}
+              helperText="Use a negative amount for money owed on a credit card"
+              inputProps={{ step: "0.01" }}
+              fullWidth
+            />
+
+            <TextField
+              label="Currency"
+              name="currency"
+              value={formData.currency}
+              onChange={(e) => setFormData(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+              inputProps={{ maxLength: 3 }}
+              fullWidth
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !formData.name.trim()}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Accounts;
@@ -11,17 +11,33 @@ import {
   Divider,
   useTheme,
   Avatar,
-  Chip
+  Chip,
+  Button,
+  ListItemButton,
+  ListItemText,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import { useTheme as useCustomTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
 import {
   Send as SendIcon,
   SmartToy as BotIcon,
   Person as PersonIcon,
   AttachMoney,
   TrendingUp,
-  Assessment
+  Assessment,
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Stop as StopIcon
 } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { Link as RouterLink } from 'react-router-dom';
 
 const suggestedQuestions = [
   {
@@ -38,13 +54,42 @@ const suggestedQuestions = [
   }
 ];
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) for each message
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+
+    frames.forEach((frame) => {
+      const event = frame.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    });
+  }
+};
+
 const AIChat = () => {
   const theme = useTheme();
   const { theme: customTheme } = useCustomTheme();
+  const { baseCurrency } = useAuth();
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [conversationId, setConversationId] = useState(null);
+  const [renameTarget, setRenameTarget] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -54,46 +99,167 @@ const AIChat = () => {
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    fetchConversations();
+  }, []);
+
+  const fetchConversations = async () => {
+    try {
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/ai/conversations', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setConversations(data);
+      }
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+    }
+  };
+
+  const handleSelectConversation = async (id) => {
+    if (loading || id === conversationId) return;
+
+    try {
+      const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/ai/conversations/${id}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setConversationId(data._id);
+        setMessages(data.messages.map(message => ({
+          text: message.content,
+          sender: message.role === 'user' ? 'user' : 'ai',
+          citations: message.citations
+        })));
+      }
+    } catch (error) {
+      console.error('Error loading conversation:', error);
+    }
+  };
+
+  const handleNewConversation = () => {
+    setConversationId(null);
+    setMessages([]);
+    setInput('');
+  };
+
+  const handleRenameConversation = async () => {
+    if (!renameTarget?.title.trim()) return;
+
+    try {
+      const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/ai/conversations/${renameTarget._id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ title: renameTarget.title })
+      });
+      if (response.ok) {
+        setRenameTarget(null);
+        fetchConversations();
+      }
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+    }
+  };
+
+  const handleDeleteConversation = async (id) => {
+    if (!window.confirm('Delete this conversation?')) return;
+
+    try {
+      const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/ai/conversations/${id}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (response.ok) {
+        if (id === conversationId) {
+          handleNewConversation();
+        }
+        fetchConversations();
+      }
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+    }
+  };
+
+  // Replace the reply bubble that is currently being streamed
+  const updateReply = (update) => {
+    setMessages(prev => prev.map((message, index) => (
+      index === prev.length - 1 && message.sender === 'ai' ? { ...message, ...update(message) } : message
+    )));
+  };
+
   const handleSend = async (text = input) => {
     if (!text.trim()) return;
 
     const userMessage = text.trim();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setInput('');
-    setMessages(prev => [...prev, { text: userMessage, sender: 'user' }]);
+    setMessages(prev => [
+      ...prev,
+      { text: userMessage, sender: 'user' },
+      { text: '', sender: 'ai', streaming: true }
+    ]);
     setLoading(true);
 
     try {
-      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/ai/chat', {
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/ai/chat/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
-        body: JSON.stringify({ message: userMessage })
+        body: JSON.stringify({ message: userMessage, conversationId }),
+        signal: controller.signal
       });
 
-      const data = await response.json();
+      if (!response.ok) {
+        throw new Error('Chat request failed');
+      }
 
-      if (response.ok) {
-        setMessages(prev => [...prev, { text: data.response, sender: 'ai' }]);
+      await readEventStream(response, (event, data) => {
+        if (event === 'start') {
+          setConversationId(data.conversationId);
+        } else if (event === 'token') {
+          updateReply(message => ({ text: message.text + data.text }));
+        } else if (event === 'done') {
+          updateReply(() => ({ streaming: false, citations: data.citations }));
+        } else if (event === 'error') {
+          throw new Error(data.message);
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateReply(message => ({ streaming: false, stopped: !!message.text, text: message.text || 'Response stopped.' }));
       } else {
-        setMessages(prev => [...prev, { 
+        updateReply(() => ({
           text: 'Sorry, I encountered an error. Please try again.',
-          sender: 'ai',
+          streaming: false,
           error: true
-        }]);
+        }));
       }
-    } catch (error) {
-      setMessages(prev => [...prev, { 
-        text: 'Sorry, I encountered an error. Please try again.',
-        sender: 'ai',
-        error: true
-      }]);
     } finally {
+      abortControllerRef.current = null;
       setLoading(false);
+      fetchConversations();
     }
   };
 
+  // Closing the request makes the server abort the model call
+  const handleStop = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -137,153 +303,265 @@ const AIChat = () => {
         <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>
           {message.text}
         </Typography>
+        {message.citations?.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1.5 }}>
+            {message.citations.map((citation) => (
+              <Chip
+                key={citation.transaction}
+                component={RouterLink}
+                to={`/edit-transaction/${citation.transaction}`}
+                clickable
+                size="small"
+                variant="outlined"
+                color={citation.type === 'income' ? 'success' : 'default'}
+                label={`${citation.description} · ${formatMoney(citation.amount, citation.currency || baseCurrency)} · ${format(new Date(citation.date), 'MMM dd, yyyy')}`}
+              />
+            ))}
+          </Box>
+        )}
+        {message.stopped && (
+          <Typography variant="caption" sx={{ display: 'block', mt: 1, opacity: 0.7 }}>
+            Stopped
+          </Typography>
+        )}
       </Paper>
     </Box>
   );
 
   return (
-    <Box sx={{ 
-      height: 'calc(100vh - 64px)', 
-      display: 'flex', 
-      flexDirection: 'column',
-      overflow: 'hidden',
-      position: 'relative'
-    }}>
-      {/* Header */}
-      <Box sx={{ 
-        p: 2, 
-        backgroundColor: 'primary.main', 
-        color: 'white',
-        display: 'flex',
-        alignItems: 'center',
-        gap: 1,
+    <Box sx={{ height: 'calc(100vh - 64px)', display: 'flex', overflow: 'hidden' }}>
+      {/* Conversation history */}
+      <Box sx={{
+        width: 260,
         flexShrink: 0,
-        minHeight: 64
+        display: { xs: 'none', md: 'flex' },
+        flexDirection: 'column',
+        borderRight: `1px solid ${customTheme.palette.divider}`,
+        backgroundColor: customTheme.palette.background.paper
       }}>
-        <BotIcon />
-        <Typography variant="h6">
-          Financial Assistant
-        </Typography>
+        <Box sx={{ p: 2, minHeight: 64, display: 'flex', alignItems: 'center' }}>
+          <Button
+            fullWidth
+            variant="outlined"
+            startIcon={<AddIcon />}
+            onClick={handleNewConversation}
+            disabled={loading}
+          >
+            New Chat
+          </Button>
+        </Box>
+        <Divider />
+        <List sx={{ flexGrow: 1, overflow: 'auto', py: 0 }}>
+          {conversations.length === 0 && (
+            <Typography variant="body2" sx={{ p: 2, color: customTheme.palette.text.secondary }}>
+              No conversations yet
+            </Typography>
+          )}
+          {conversations.map((conversation) => (
+            <ListItem
+              key={conversation._id}
+              disablePadding
+              secondaryAction={
+                <Box>
+                  <Tooltip title="Rename">
+                    <IconButton
+                      size="small"
+                      onClick={() => setRenameTarget({ _id: conversation._id, title: conversation.title })}
+                    >
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton size="small" onClick={() => handleDeleteConversation(conversation._id)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              }
+            >
+              <ListItemButton
+                selected={conversation._id === conversationId}
+                onClick={() => handleSelectConversation(conversation._id)}
+                sx={{ pr: 10 }}
+              >
+                <ListItemText
+                  primary={conversation.title}
+                  secondary={format(new Date(conversation.updatedAt), 'MMM dd, HH:mm')}
+                  primaryTypographyProps={{ noWrap: true, variant: 'body2' }}
+                  secondaryTypographyProps={{ variant: 'caption' }}
+                />
+              </ListItemButton>
+            </ListItem>
+          ))}
+        </List>
       </Box>
-      
-      {/* Messages Area */}
+
       <Box sx={{ 
-        flexGrow: 1, 
-        overflow: 'auto', 
-        p: 2, 
-        backgroundColor: customTheme.palette.background.default,
-        display: 'flex',
+        flexGrow: 1,
+        minWidth: 0,
+        display: 'flex', 
         flexDirection: 'column',
-        minHeight: 0
+        overflow: 'hidden',
+        position: 'relative'
       }}>
-        <Box sx={{ maxWidth: 800, mx: 'auto', width: '100%', height: '100%' }}>
-          {messages.length === 0 && (
-            <Box sx={{ 
-              display: 'flex', 
-              flexDirection: 'column', 
-              justifyContent: 'center', 
-              alignItems: 'center',
-              height: '100%',
-              textAlign: 'center',
-              py: 4
-            }}>
-              <Typography variant="h4" gutterBottom sx={{ mb: 2, color: customTheme.palette.text.primary }}>
-                👋 Welcome to Your Financial Assistant
-              </Typography>
-              <Typography variant="body1" sx={{ mb: 4, maxWidth: 600, color: customTheme.palette.text.secondary }}>
-                I can help you analyze your finances, provide budgeting advice, and answer your money-related questions.
-              </Typography>
-              <Box sx={{ mb: 4 }}>
-                <Typography variant="subtitle1" gutterBottom sx={{ mb: 2, color: customTheme.palette.text.primary }}>
-                  Try asking:
+        {/* Header */}
+        <Box sx={{ 
+          p: 2, 
+          backgroundColor: 'primary.main', 
+          color: 'white',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 1,
+          flexShrink: 0,
+          minHeight: 64
+        }}>
+          <BotIcon />
+          <Typography variant="h6">
+            Financial Assistant
+          </Typography>
+        </Box>
+      
+        {/* Messages Area */}
+        <Box sx={{ 
+          flexGrow: 1, 
+          overflow: 'auto', 
+          p: 2, 
+          backgroundColor: customTheme.palette.background.default,
+          display: 'flex',
+          flexDirection: 'column',
+          minHeight: 0
+        }}>
+          <Box sx={{ maxWidth: 800, mx: 'auto', width: '100%', height: '100%' }}>
+            {messages.length === 0 && (
+              <Box sx={{ 
+                display: 'flex', 
+                flexDirection: 'column', 
+                justifyContent: 'center', 
+                alignItems: 'center',
+                height: '100%',
+                textAlign: 'center',
+                py: 4
+              }}>
+                <Typography variant="h4" gutterBottom sx={{ mb: 2, color: customTheme.palette.text.primary }}>
+                  👋 Welcome to Your Financial Assistant
                 </Typography>
-                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'center' }}>
-                  {suggestedQuestions.map((question, index) => (
-                    <Chip
-                      key={index}
-                      label={question.text}
-                      icon={question.icon}
-                      onClick={() => handleSend(question.text)}
-                      sx={{ 
-                        mb: 1,
-                        '&:hover': {
-                          backgroundColor: 'primary.light',
-                          color: 'primary.contrastText'
-                        }
-                      }}
-                    />
-                  ))}
+                <Typography variant="body1" sx={{ mb: 4, maxWidth: 600, color: customTheme.palette.text.secondary }}>
+                  I can help you analyze your finances, provide budgeting advice, and answer your money-related questions.
+                </Typography>
+                <Box sx={{ mb: 4 }}>
+                  <Typography variant="subtitle1" gutterBottom sx={{ mb: 2, color: customTheme.palette.text.primary }}>
+                    Try asking:
+                  </Typography>
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'center' }}>
+                    {suggestedQuestions.map((question, index) => (
+                      <Chip
+                        key={index}
+                        label={question.text}
+                        icon={question.icon}
+                        onClick={() => handleSend(question.text)}
+                        sx={{ 
+                          mb: 1,
+                          '&:hover': {
+                            backgroundColor: 'primary.light',
+                            color: 'primary.contrastText'
+                          }
+                        }}
+                      />
+                    ))}
+                  </Box>
                 </Box>
               </Box>
-            </Box>
-          )}
+            )}
           
-          {messages.map((message, index) => (
-            <MessageBubble key={index} message={message} sender={message.sender} />
-          ))}
+            {messages.filter(message => message.text).map((message, index) => (
+              <MessageBubble key={index} message={message} sender={message.sender} />
+            ))}
           
-          {loading && (
-            <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
-              <CircularProgress size={24} />
-            </Box>
-          )}
-          <div ref={messagesEndRef} />
+            {loading && !messages[messages.length - 1]?.text && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', my: 2 }}>
+                <CircularProgress size={24} />
+              </Box>
+            )}
+            <div ref={messagesEndRef} />
+          </Box>
         </Box>
-      </Box>
       
-      {/* Input Area */}
-      <Box sx={{ 
-        p: 2, 
-        backgroundColor: customTheme.palette.background.paper,
-        flexShrink: 0,
-        borderTop: `1px solid ${customTheme.palette.divider}`,
-        minHeight: 80
-      }}>
+        {/* Input Area */}
         <Box sx={{ 
-          display: 'flex', 
-          gap: 1,
-          maxWidth: 800,
-          mx: 'auto'
+          p: 2, 
+          backgroundColor: customTheme.palette.background.paper,
+          flexShrink: 0,
+          borderTop: `1px solid ${customTheme.palette.divider}`,
+          minHeight: 80
         }}>
-          <TextField
-            fullWidth
-            variant="outlined"
-            placeholder="Ask me anything about your finances..."
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyPress={handleKeyPress}
-            disabled={loading}
-            multiline
-            maxRows={3}
-            sx={{
-              '& .MuiOutlinedInput-root': {
+          <Box sx={{ 
+            display: 'flex', 
+            gap: 1,
+            maxWidth: 800,
+            mx: 'auto'
+          }}>
+            <TextField
+              fullWidth
+              variant="outlined"
+              placeholder="Ask me anything about your finances..."
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyPress={handleKeyPress}
+              disabled={loading}
+              multiline
+              maxRows={3}
+              sx={{
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: 3,
+                }
+              }}
+            />
+            <IconButton 
+              color="primary" 
+              onClick={() => (loading ? handleStop() : handleSend())}
+              disabled={!loading && !input.trim()}
+              sx={{
+                bgcolor: loading ? 'error.main' : 'primary.main',
+                color: 'white',
+                '&:hover': {
+                  bgcolor: loading ? 'error.dark' : 'primary.dark',
+                },
+                '&.Mui-disabled': {
+                  bgcolor: 'action.disabledBackground',
+                  color: 'action.disabled',
+                },
+                width: 56,
+                height: 56,
                 borderRadius: 3,
-              }
-            }}
-          />
-          <IconButton 
-            color="primary" 
-            onClick={() => handleSend()}
-            disabled={loading || !input.trim()}
-            sx={{
-              bgcolor: 'primary.main',
-              color: 'white',
-              '&:hover': {
-                bgcolor: 'primary.dark',
-              },
-              '&.Mui-disabled': {
-                bgcolor: 'action.disabledBackground',
-                color: 'action.disabled',
-              },
-              width: 56,
-              height: 56,
-              borderRadius: 3,
-            }}
-          >
-            <SendIcon />
-          </IconButton>
+              }}
+            >
+              {loading ? <StopIcon /> : <SendIcon />}
+            </IconButton>
+          </Box>
         </Box>
       </Box>
+
+      <Dialog open={Boolean(renameTarget)} onClose={() => setRenameTarget(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Rename Conversation</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Title"
+            value={renameTarget?.title || ''}
+            onChange={(e) => setRenameTarget({ ...renameTarget, title: e.target.value })}
+            onKeyPress={(e) => e.key === 'Enter' && handleRenameConversation()}
+            inputProps={{ maxLength: 60 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRenameTarget(null)}>Cancel</Button>
+          <Button onClick={handleRenameConversation} variant="contained" disabled={!renameTarget?.title.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  LinearProgress,
+  IconButton,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Stack,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon
+} from '@mui/icons-material';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useCategories } from '../../hooks/useCategories';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+
+const BudgetPanel = ({ refreshTrigger }) => {
+  const { theme } = useTheme();
+  const { getOptions, getLabel } = useCategories();
+  const { baseCurrency } = useAuth();
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingBudget, setEditingBudget] = useState(null);
+  const [formData, setFormData] = useState({ category: '', amount: '' });
+
+  useEffect(() => {
+    fetchBudgetStatus();
+  }, [refreshTrigger]);
+
+  const fetchBudgetStatus = async () => {
+    try {
+      setError('');
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/budgets/status', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setBudgets(data.budgets);
+      } else {
+        setError(data.message || 'Failed to fetch budgets');
+      }
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+      setError('An error occurred while fetching budgets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenDialog = (budget = null) => {
+    setEditingBudget(budget);
+    setFormData(budget
+      ? { category: budget.category, amount: budget.limit.toString() }
+      : { category: '', amount: '' });
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setError('');
+      const url = editingBudget
+        ? `https://typeface-assignment-sryt.onrender.com/api/budgets/${editingBudget._id}`
+        : 'https://typeface-assignment-sryt.onrender.com/api/budgets';
+
+      const response = await fetch(url, {
+        method: editingBudget ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(formData)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setDialogOpen(false);
+        fetchBudgetStatus();
+      } else {
+        setError(data.message || 'Failed to save budget');
+      }
+    } catch (error) {
+      console.error('Error saving budget:', error);
+      setError('An error occurred while saving the budget');
+    }
+  };
+
+  const handleDelete = async (budgetId) => {
+    try {
+      setError('');
+      const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/budgets/${budgetId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.ok) {
+        fetchBudgetStatus();
+      } else {
+        const data = await response.json();
+        setError(data.message || 'Failed to delete budget');
+      }
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      setError('An error occurred while deleting the budget');
+    }
+  };
+
+  const getProgressColor = (percentUsed) => {
+    if (percentUsed >= 100) return 'error';
+    if (percentUsed >= 80) return 'warning';
+    return 'success';
+  };
+
+  return (
+    <Box sx={{ p: 3, height: 400, flex: 1.5, display: 'flex', flexDirection: 'column' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Monthly Budgets
+        </Typography>
+        <IconButton size="small" color="primary" onClick={() => handleOpenDialog()}>
+          <AddIcon />
+        </IconButton>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+      <Box sx={{ flexGrow: 1, overflow: 'auto' }}>
+        {loading ? (
+          <Box display="flex" justifyContent="center" my={3}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : budgets.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+              No budgets set yet. Add a monthly limit for a category to track your spending.
+            </Typography>
+            <Button variant="outlined" size="small" startIcon={<AddIcon />} onClick={() => handleOpenDialog()}>
+              Add Budget
+            </Button>
+          </Box>
+        ) : (
+          <Stack spacing={2.5}>
+            {budgets.map((budget) => (
+              <Box key={budget._id}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                    {getLabel(budget.category, 'expense')}
+                  </Typography>
+                  <Box>
+                    <IconButton size="small" onClick={() => handleOpenDialog(budget)}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" color="error" onClick={() => handleDelete(budget._id)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                </Box>
+                <LinearProgress
+                  variant="determinate"
+                  value={Math.min(budget.percentUsed, 100)}
+                  color={getProgressColor(budget.percentUsed)}
+                  sx={{ height: 8, borderRadius: 4, my: 0.5 }}
+                />
+                <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography variant="caption" color="textSecondary">
+                    {formatMoney(budget.spent, baseCurrency)} of {formatMoney(budget.limit, baseCurrency)} ({budget.percentUsed}%)
+                  </Typography>
+                  <Typography
+                    variant="caption"
+                    sx={{
+                      fontWeight: 600,
+                      color: budget.overspent ? theme.palette.error.main : theme.palette.success.main
+                    }}
+                  >
+                    {budget.overspent
+                      ? `${formatMoney(Math.abs(budget.remaining), baseCurrency)} over`
+                      : `${formatMoney(budget.remaining, baseCurrency)} left`}
+                  </Typography>
+                </Box>
+              </Box>
+            ))}
+          </Stack>
+        )}
+      </Box>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editingBudget ? 'Edit Budget' : 'Add Budget'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={3} sx={{ mt: 1 }}>
+            <TextField
+              select
+              label="Category"
+              value={formData.category}
+              onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+              fullWidth
+            >
+              {getOptions('expense').map((category) => (
+                <MenuItem key={category._id} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                  {category.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Monthly Limit"
+              type="number"
+              value={formData.amount}
+              onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+              inputProps={{ min: "0", step: "0.01" }}
+              fullWidth
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={!formData.category || formData.amount === ''}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default BudgetPanel;
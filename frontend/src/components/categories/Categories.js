@@ -0,0 +1,374 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  IconButton,
+  Tooltip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Stack,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  MergeType as MergeIcon
+} from '@mui/icons-material';
+import { useCategories } from '../../hooks/useCategories';
+import CategoryIcon, { CATEGORY_ICONS } from './CategoryIcon';
+
+const CATEGORIES_URL = 'https://typeface-assignment-sryt.onrender.com/api/categories';
+
+const emptyForm = {
+  name: '',
+  type: 'expense',
+  parent: '',
+  icon: 'Category',
+  color: '#9e9e9e'
+};
+
+const Categories = () => {
+  const { categories, loading, error: loadError, refresh, getOptions } = useCategories();
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [mergeSource, setMergeSource] = useState(null);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Send a change to the API and reload the shared category list
+  const sendRequest = async (url, method, body, successMessage) => {
+    setSaving(true);
+    try {
+      setError('');
+      setSuccess('');
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        ...(body && { body: JSON.stringify(body) })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to update categories');
+        return false;
+      }
+
+      const moved = data.updatedTransactions;
+      setSuccess(moved ? `${successMessage} (${moved} transaction${moved === 1 ? '' : 's'} updated)` : successMessage);
+      await refresh();
+      return true;
+    } catch (error) {
+      console.error('Error updating categories:', error);
+      setError('An error occurred while updating categories');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleOpenDialog = (category = null, type = 'expense') => {
+    setEditingCategory(category);
+    setFormData(category
+      ? {
+          name: category.name,
+          type: category.type,
+          parent: category.parent || '',
+          icon: category.icon,
+          color: category.color
+        }
+      : { ...emptyForm, type });
+    setDialogOpen(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Parents are per type
+      ...(name === 'type' && { parent: '' })
+    }));
+  };
+
+  const handleSave = async () => {
+    const body = { ...formData, parent: formData.parent || null };
+    const saved = editingCategory
+      ? await sendRequest(`${CATEGORIES_URL}/${editingCategory._id}`, 'PUT', body, 'Category updated')
+      : await sendRequest(CATEGORIES_URL, 'POST', body, 'Category added');
+    if (saved) setDialogOpen(false);
+  };
+
+  const handleMerge = async () => {
+    const merged = await sendRequest(
+      `${CATEGORIES_URL}/${mergeSource._id}/merge`,
+      'POST',
+      { targetId: mergeTarget },
+      `Merged ${mergeSource.name}`
+    );
+    if (merged) setMergeSource(null);
+  };
+
+  const handleDelete = async () => {
+    const deleted = await sendRequest(
+      `${CATEGORIES_URL}/${deleteTarget._id}`,
+      'DELETE',
+      null,
+      `Deleted ${deleteTarget.name}`
+    );
+    if (deleted) setDeleteTarget(null);
+  };
+
+  // Top-level categories of the form's type that the edited category could move under
+  const parentOptions = categories.filter(category =>
+    category.type === formData.type &&
+    !category.parent &&
+    category._id !== editingCategory?._id
+  );
+  const hasChildren = editingCategory && categories.some(category => category.parent === editingCategory._id);
+
+  const renderCategoryList = (type, title) => (
+    <Paper sx={{ p: 3, height: '100%' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>{title}</Typography>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => handleOpenDialog(null, type)}>
+          Add
+        </Button>
+      </Box>
+      <List dense>
+        {getOptions(type).map((category) => (
+          <ListItem
+            key={category._id}
+            sx={{ pl: category.depth * 4 }}
+            secondaryAction={
+              <>
+                <Tooltip title="Edit">
+                  <IconButton size="small" onClick={() => handleOpenDialog(category)}>
+                    <EditIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                {category.key !== 'other' && (
+                  <>
+                    <Tooltip title="Merge into another category">
+                      <IconButton size="small" onClick={() => { setMergeSource(category); setMergeTarget(''); }}>
+                        <MergeIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => setDeleteTarget(category)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </>
+                )}
+              </>
+            }
+          >
+            <ListItemAvatar>
+              <Avatar sx={{ bgcolor: category.color, width: 32, height: 32 }}>
+                <CategoryIcon name={category.icon} fontSize="small" />
+              </Avatar>
+            </ListItemAvatar>
+            <ListItemText
+              primary={category.name}
+              secondary={`${category.transactionCount || 0} transaction${category.transactionCount === 1 ? '' : 's'}`}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Paper>
+  );
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ width: '100%', height: '100vh', overflow: 'auto' }}>
+      {/* Page Header */}
+      <Box sx={{ p: 4, pb: 2 }}>
+        <Typography variant="h4" sx={{ fontWeight: 700, mb: 1 }}>
+          Categories
+        </Typography>
+        <Typography variant="body1" color="textSecondary">
+          Organise your transactions with your own categories and subcategories.
+        </Typography>
+      </Box>
+
+      {(error || loadError) && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="error" onClose={() => setError('')}>
+            {error || loadError}
+          </Alert>
+        </Box>
+      )}
+      {success && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="success" onClose={() => setSuccess('')}>
+            {success}
+          </Alert>
+        </Box>
+      )}
+
+      <Box sx={{ px: 4, pb: 4 }}>
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={6}>
+            {renderCategoryList('expense', 'Expense Categories')}
+          </Grid>
+          <Grid item xs={12} md={6}>
+            {renderCategoryList('income', 'Income Categories')}
+          </Grid>
+        </Grid>
+      </Box>
+
+      {/* Add / Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editingCategory ? 'Edit Category' : 'Add Category'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={3} sx={{ mt: 1 }}>
+            <TextField
+              label="Name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              helperText={editingCategory ? 'Renaming updates every transaction in this category' : ''}
+              fullWidth
+            />
+
+            <TextField
+              select
+              label="Type"
+              name="type"
+              value={formData.type}
+              onChange={handleChange}
+              disabled={!!editingCategory}
+              fullWidth
+            >
+              <MenuItem value="expense">Expense</MenuItem>
+              <MenuItem value="income">Income</MenuItem>
+            </TextField>
+
+            <TextField
+              select
+              label="Parent Category"
+              name="parent"
+              value={formData.parent}
+              onChange={handleChange}
+              disabled={hasChildren}
+              helperText={hasChildren ? 'Categories with subcategories stay at the top level' : ''}
+              fullWidth
+            >
+              <MenuItem value="">None (top level)</MenuItem>
+              {parentOptions.map((category) => (
+                <MenuItem key={category._id} value={category._id}>
+                  {category.name}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <TextField select label="Icon" name="icon" value={formData.icon} onChange={handleChange} fullWidth>
+              {Object.keys(CATEGORY_ICONS).map((icon) => (
+                <MenuItem key={icon} value={icon}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <CategoryIcon name={icon} fontSize="small" />
+                    {icon.replace(/([a-z])([A-Z])/g, '$1 $2')}
+                  </Box>
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              label="Colour"
+              name="color"
+              type="color"
+              value={formData.color}
+              onChange={handleChange}
+              fullWidth
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !formData.name.trim()}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Merge Dialog */}
+      <Dialog open={!!mergeSource} onClose={() => setMergeSource(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Merge {mergeSource?.name}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            All transactions, budgets and recurring transactions in {mergeSource?.name} will move to the
+            selected category, and {mergeSource?.name} will be removed.
+          </DialogContentText>
+          <TextField
+            select
+            label="Merge into"
+            value={mergeTarget}
+            onChange={(e) => setMergeTarget(e.target.value)}
+            fullWidth
+          >
+            {mergeSource && getOptions(mergeSource.type)
+              .filter(category => category._id !== mergeSource._id)
+              .map((category) => (
+                <MenuItem key={category._id} value={category._id} sx={{ pl: 2 + category.depth * 2 }}>
+                  {category.name}
+                </MenuItem>
+              ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMergeSource(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleMerge} disabled={saving || !mergeTarget}>
+            Merge
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={!!deleteTarget} onClose={() => setDeleteTarget(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete {deleteTarget?.name}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Its transactions will move to Other and any subcategories will become top-level categories.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteTarget(null)}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleDelete} disabled={saving}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Categories;
@@ -0,0 +1,66 @@
+import React from 'react';
+import {
+  Restaurant,
+  LocalGroceryStore,
+  LocalCafe,
+  DirectionsCar,
+  Flight,
+  Home,
+  Bolt,
+  PhoneAndroid,
+  Movie,
+  SportsEsports,
+  LocalHospital,
+  FitnessCenter,
+  ShoppingBag,
+  Checkroom,
+  School,
+  ChildCare,
+  Pets,
+  Work,
+  Laptop,
+  CardGiftcard,
+  TrendingUp,
+  Savings,
+  Business,
+  Star,
+  Payments,
+  Category
+} from '@mui/icons-material';
+
+// Icons a category can use. The backend stores the name.
+export const CATEGORY_ICONS = {
+  Restaurant,
+  LocalGroceryStore,
+  LocalCafe,
+  DirectionsCar,
+  Flight,
+  Home,
+  Bolt,
+  PhoneAndroid,
+  Movie,
+  SportsEsports,
+  LocalHospital,
+  FitnessCenter,
+  ShoppingBag,
+  Checkroom,
+  School,
+  ChildCare,
+  Pets,
+  Work,
+  Laptop,
+  CardGiftcard,
+  TrendingUp,
+  Savings,
+  Business,
+  Star,
+  Payments,
+  Category
+};
+
+const CategoryIcon = ({ name, ...props }) => {
+  const Icon = CATEGORY_ICONS[name] || Category;
+  return <Icon {...props} />;
+};
+
+export default CategoryIcon;
@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Button,
+  Chip,
+  TextField,
+  MenuItem,
+  Stack,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  UploadFile as UploadIcon
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { COMMON_CURRENCIES } from '../../utils/currency';
+
+const CURRENCIES_URL = 'https://typeface-assignment-sryt.onrender.com/api/currencies';
+
+const emptyRate = () => ({
+  date: new Date().toISOString().split('T')[0],
+  from: '',
+  to: '',
+  rate: ''
+});
+
+const Currencies = () => {
+  const { theme } = useTheme();
+  const { baseCurrency, updateUser } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [rates, setRates] = useState([]);
+  const [currencies, setCurrencies] = useState([]);
+  const [unconvertedCount, setUnconvertedCount] = useState(0);
+  const [selectedBase, setSelectedBase] = useState(baseCurrency);
+  const [rateForm, setRateForm] = useState(emptyRate);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCurrencies();
+  }, []);
+
+  const fetchCurrencies = async () => {
+    try {
+      const response = await fetch(CURRENCIES_URL, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRates(data.rates);
+        setCurrencies(data.currencies);
+        setUnconvertedCount(data.unconvertedCount);
+        setSelectedBase(data.baseCurrency);
+        setRateForm(prev => ({ ...prev, to: prev.to || data.baseCurrency }));
+      } else {
+        setError(data.message || 'Failed to fetch currencies');
+      }
+    } catch (error) {
+      console.error('Error fetching currencies:', error);
+      setError('An error occurred while fetching currencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Send a change to the API, show the outcome and reload the rates
+  const sendRequest = async (url, options, describe) => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          ...options.headers,
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to update exchange rates');
+        return null;
+      }
+      setSuccess(describe(data));
+      await fetchCurrencies();
+      return data;
+    } catch (error) {
+      console.error('Error updating exchange rates:', error);
+      setError('An error occurred while updating exchange rates');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const convertedMessage = (data) => (data.updated > 0 ? ` ${data.updated} transactions were converted again.` : '');
+
+  const handleSaveBase = async () => {
+    const data = await sendRequest(`${CURRENCIES_URL}/base`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ baseCurrency: selectedBase })
+    }, (result) => `Base currency set to ${result.baseCurrency}.${convertedMessage(result)}`);
+    if (data) updateUser({ baseCurrency: data.baseCurrency });
+  };
+
+  const handleAddRate = async () => {
+    const data = await sendRequest(`${CURRENCIES_URL}/rates`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(rateForm)
+    }, (result) => `Rate saved.${convertedMessage(result)}`);
+    if (data) setRateForm(prev => ({ ...emptyRate(), to: prev.to }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    await sendRequest(`${CURRENCIES_URL}/rates/import`, { method: 'POST', body: formData }, (result) => {
+      const skipped = result.errors.length > 0
+        ? ` Skipped ${result.errors.map(row => `row ${row.row} (${row.reason})`).join(', ')}.`
+        : '';
+      return `Imported ${result.imported} rates.${skipped}${convertedMessage(result)}`;
+    });
+  };
+
+  const handleDeleteRate = (rate) => sendRequest(`${CURRENCIES_URL}/rates/${rate._id}`, { method: 'DELETE' },
+    (result) => `Rate deleted.${convertedMessage(result)}`);
+
+  const handleRateChange = (e) => {
+    const { name, value } = e.target;
+    setRateForm(prev => ({ ...prev, [name]: name === 'rate' ? value : value.toUpperCase() }));
+  };
+
+  const headerCellSx = {
+    fontWeight: 600,
+    backgroundColor: theme.palette.mode === 'dark' ? theme.palette.grey[800] : '#fafafa'
+  };
+
+  const baseOptions = [...new Set([...COMMON_CURRENCIES, ...currencies, selectedBase])].sort();
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ width: '100%', height: '100vh', overflow: 'auto' }}>
+      {/* Page Header */}
+      <Box sx={{ p: 4, pb: 2 }}>
+        <Typography variant="h4" sx={{ fontWeight: 700, mb: 1 }}>
+          Currencies
+        </Typography>
+        <Typography variant="body1" color="textSecondary">
+          Totals, charts and budgets are converted to your base currency using the rate on each transaction's date.
+        </Typography>
+      </Box>
+
+      {(error || success) && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity={error ? 'error' : 'success'} onClose={() => { setError(''); setSuccess(''); }}>
+            {error || success}
+          </Alert>
+        </Box>
+      )}
+
+      {unconvertedCount > 0 && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="warning">
+            {unconvertedCount} transaction{unconvertedCount !== 1 ? 's have' : ' has'} no exchange rate to {baseCurrency} and
+            {unconvertedCount !== 1 ? ' are' : ' is'} counted at the original amount. Add a rate for{' '}
+            {currencies.filter(currency => currency !== baseCurrency).join(', ')}.
+          </Alert>
+        </Box>
+      )}
+
+      <Box sx={{ px: 4, mb: 4 }}>
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" sx={{ fontWeight: 600, mb: 2 }}>
+            Base Currency
+          </Typography>
+          <Stack direction="row" spacing={2} alignItems="center">
+            <TextField
+              select
+              size="small"
+              label="Base currency"
+              value={selectedBase}
+              onChange={(e) => setSelectedBase(e.target.value)}
+              sx={{ minWidth: 160 }}
+            >
+              {baseOptions.map((currency) => (
+                <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="contained"
+              onClick={handleSaveBase}
+              disabled={saving || selectedBase === baseCurrency}
+            >
+              Save
+            </Button>
+          </Stack>
+        </Paper>
+      </Box>
+
+      <Box sx={{ px: 4, mb: 4 }}>
+        <Paper sx={{ p: 3 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6" sx={{ fontWeight: 600 }}>
+              Add Exchange Rate
+            </Typography>
+            <Button variant="outlined" component="label" startIcon={<UploadIcon />} disabled={saving}>
+              Import CSV/JSON
+              <input type="file" hidden accept=".csv,.json,.txt" onChange={handleImport} />
+            </Button>
+          </Box>
+          <Stack direction="row" spacing={2} alignItems="center">
+            <TextField
+              size="small"
+              type="date"
+              label="Date"
+              name="date"
+              value={rateForm.date}
+              onChange={(e) => setRateForm(prev => ({ ...prev, date: e.target.value }))}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              size="small"
+              label="1 unit of"
+              name="from"
+              placeholder="EUR"
+              value={rateForm.from}
+              onChange={handleRateChange}
+              inputProps={{ maxLength: 3 }}
+              sx={{ width: 120 }}
+            />
+            <TextField
+              size="small"
+              label="Rate"
+              name="rate"
+              type="number"
+              value={rateForm.rate}
+              onChange={handleRateChange}
+              inputProps={{ min: "0", step: "any" }}
+              sx={{ width: 140 }}
+            />
+            <TextField
+              size="small"
+              label="In"
+              name="to"
+              value={rateForm.to}
+              onChange={handleRateChange}
+              inputProps={{ maxLength: 3 }}
+              sx={{ width: 120 }}
+            />
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleAddRate}
+              disabled={saving || !rateForm.from || !rateForm.to || !rateForm.rate}
+            >
+              Add
+            </Button>
+          </Stack>
+          <Typography variant="caption" color="textSecondary" sx={{ display: 'block', mt: 1 }}>
+            Files need date, from, to and rate columns (or fields in JSON), e.g. 2026-01-31,EUR,USD,1.08
+          </Typography>
+        </Paper>
+      </Box>
+
+      <Box sx={{ px: 4, pb: 4 }}>
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={headerCellSx}>Date</TableCell>
+                  <TableCell sx={headerCellSx}>Rate</TableCell>
+                  <TableCell sx={headerCellSx}>Source</TableCell>
+                  <TableCell align="center" sx={headerCellSx}>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rates.length > 0 ? (
+                  rates.map((rate) => (
+                    <TableRow hover key={rate._id}>
+                      <TableCell>{format(new Date(rate.date), 'MMM dd, yyyy')}</TableCell>
+                      <TableCell sx={{ fontWeight: 500 }}>
+                        1 {rate.from} = {rate.rate} {rate.to}
+                      </TableCell>
+                      <TableCell>
+                        <Chip label={rate.source} size="small" sx={{ textTransform: 'capitalize' }} />
+                      </TableCell>
+                      <TableCell align="center">
+                        <IconButton size="small" color="error" onClick={() => handleDeleteRate(rate)} disabled={saving}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={4} align="center" sx={{ py: 4 }}>
+                      <Typography variant="body1" color="textSecondary">
+                        No exchange rates yet. Add one above or import a file.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      </Box>
+    </Box>
+  );
+};
+
+export default Currencies;
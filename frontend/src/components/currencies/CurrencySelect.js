@@ -0,0 +1,19 @@
+import React from 'react';
+import { TextField, MenuItem } from '@mui/material';
+import { COMMON_CURRENCIES } from '../../utils/currency';
+
+// Currency picker for amounts. The current value is always listed, even when it
+// is not one of the common currencies.
+const CurrencySelect = ({ value, onChange, name = 'currency', label = 'Currency', ...props }) => {
+  const options = COMMON_CURRENCIES.includes(value) || !value ? COMMON_CURRENCIES : [value, ...COMMON_CURRENCIES];
+
+  return (
+    <TextField select name={name} label={label} value={value || ''} onChange={onChange} {...props}>
+      {options.map((currency) => (
+        <MenuItem key={currency} value={currency}>{currency}</MenuItem>
+      ))}
+    </TextField>
+  );
+};
+
+export default CurrencySelect;
@@ -29,12 +29,20 @@ import {
 } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import TransactionList from '../transactions/TransactionList';
+import BudgetPanel from '../budgets/BudgetPanel';
+import AccountBalances from '../accounts/AccountBalances';
+import ExportButton from '../transactions/ExportButton';
 import { useTheme } from '../../contexts/ThemeContext';
-
-const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#FF99CC', '#99CCFF'];
+import { useCategories } from '../../hooks/useCategories';
+import { useAccounts } from '../../hooks/useAccounts';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
 
 const Dashboard = () => {
   const { theme } = useTheme();
+  const { baseCurrency } = useAuth();
+  const { getLabel, getColor, expandCategory } = useCategories();
+  const { accounts, activeAccounts, total: accountsTotal, refresh: refreshAccounts } = useAccounts();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [transactions, setTransactions] = useState([]);
@@ -45,6 +53,8 @@ const Dashboard = () => {
     endDate: null,
     type: 'all',
     category: 'all',
+    account: 'all',
+    tags: [],
     search: ''
   });
   const [summary, setSummary] = useState({
@@ -52,6 +62,8 @@ const Dashboard = () => {
     totalExpenses: 0,
     balance: 0
   });
+  const [categoryData, setCategoryData] = useState([]);
+  const [monthlyData, setMonthlyData] = useState([]);
 
   useEffect(() => {
     fetchTransactions();
@@ -62,20 +74,21 @@ const Dashboard = () => {
     applyFilters();
   }, [transactions, filters]);
 
-  // Recalculate summary when filtered transactions change
+  // Reload server-side totals and chart data when filters change
   useEffect(() => {
-    calculateSummary(transactions);
-  }, [filteredTransactions]);
+    fetchAnalytics();
+  }, [filters]);
 
   // Refresh transactions when component comes into focus (e.g., after uploading receipt)
   useEffect(() => {
     const handleFocus = () => {
       fetchTransactions();
+      fetchAnalytics();
     };
 
     window.addEventListener('focus', handleFocus);
     return () => window.removeEventListener('focus', handleFocus);
-  }, []);
+  }, [filters]);
 
   const applyFilters = () => {
     let filtered = [...transactions];
@@ -99,10 +112,26 @@ const Dashboard = () => {
       );
     }
 
-    // Filter by category
+    // Filter by category, including its subcategories and split lines in it
     if (filters.category !== 'all') {
+      const categoryKeys = expandCategory(filters.category, filters.type !== 'all' ? filters.type : undefined);
       filtered = filtered.filter(transaction => 
-        transaction.category.toLowerCase() === filters.category.toLowerCase()
+        categoryKeys.includes(transaction.category.toLowerCase()) ||
+        (transaction.splits || []).some(split => categoryKeys.includes(split.category))
+      );
+    }
+
+    // Filter by account, including transfers into it
+    if (filters.account && filters.account !== 'all') {
+      filtered = filtered.filter(transaction =>
+        transaction.account === filters.account || transaction.toAccount === filters.account
+      );
+    }
+
+    // Filter by tags; a transaction needs every selected tag
+    if (filters.tags?.length > 0) {
+      filtered = filtered.filter(transaction =>
+        filters.tags.every(tag => (transaction.tags || []).includes(tag))
       );
     }
 
@@ -117,6 +146,19 @@ const Dashboard = () => {
     setFilteredTransactions(filtered);
   };
 
+  // Build the query string shared by the summary and analytics endpoints
+  const buildFilterParams = () => {
+    const params = new URLSearchParams();
+    if (filters.startDate) params.append('startDate', new Date(filters.startDate).toISOString());
+    if (filters.endDate) params.append('endDate', new Date(filters.endDate).toISOString());
+    if (filters.type !== 'all') params.append('type', filters.type);
+    if (filters.category !== 'all') params.append('category', filters.category);
+    if (filters.account && filters.account !== 'all') params.append('account', filters.account);
+    if (filters.tags?.length > 0) params.append('tags', filters.tags.join(','));
+    if (filters.search.trim()) params.append('search', filters.search.trim());
+    return params.toString();
+  };
+
   const handleFilterChange = (newFilters) => {
     setFilters(newFilters);
   };
@@ -134,7 +176,7 @@ const Dashboard = () => {
       if (response.ok) {
         console.log(`Fetched ${data.transactions.length} transactions from backend`);
         setTransactions(data.transactions);
-        calculateSummary(data.transactions);
+        refreshAccounts();
       } else {
         setError(data.message || 'Failed to fetch transactions');
       }
@@ -146,6 +188,44 @@ const Dashboard = () => {
     }
   };
 
+  const fetchAnalytics = async () => {
+    try {
+      const query = buildFilterParams();
+      const headers = {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      };
+
+      const [summaryResponse, analyticsResponse] = await Promise.all([
+        fetch(`https://typeface-assignment-sryt.onrender.com/api/transactions/summary?${query}`, { headers }),
+        fetch(`https://typeface-assignment-sryt.onrender.com/api/transactions/analytics?${query}`, { headers })
+      ]);
+      const summaryData = await summaryResponse.json();
+      const analyticsData = await analyticsResponse.json();
+
+      if (summaryResponse.ok) {
+        setSummary(summaryData);
+      } else {
+        setError(summaryData.message || 'Failed to fetch summary');
+      }
+
+      if (analyticsResponse.ok) {
+        setCategoryData(analyticsData.categories.map(({ category, total }) => ({ key: category, value: total })));
+        setMonthlyData(analyticsData.monthly
+          .slice(-6) // Last 6 months
+          .map(({ month, income, expense }) => ({
+            month: new Date(month + '-01').toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+            income,
+            expense
+          })));
+      } else {
+        setError(analyticsData.message || 'Failed to fetch analytics');
+      }
+    } catch (error) {
+      console.error('Error fetching analytics:', error);
+      setError('An error occurred while fetching analytics');
+    }
+  };
+
   const handleDeleteTransaction = async (transactionId) => {
     try {
       setError('');
@@ -159,8 +239,9 @@ const Dashboard = () => {
       const data = await response.json();
 
       if (response.ok) {
-        // Refresh the transactions list
+        // Refresh the transactions list and totals
         fetchTransactions();
+        fetchAnalytics();
       } else {
         setError(data.message || 'Failed to delete transaction');
       }
@@ -170,77 +251,40 @@ const Dashboard = () => {
     }
   };
 
-  const handleEditTransaction = (transaction) => {
-    // Navigate to edit page with transaction data
-    navigate(`/edit-transaction/${transaction._id}`, { 
-      state: { transaction } 
-    });
-  };
+  // Add and remove tags on the selected transactions. Returns an error message on failure.
+  const handleAssignTags = async (transactionIds, add, remove) => {
+    try {
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/tags/assign', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ transactionIds, add, remove })
+      });
+      const data = await response.json();
 
-  const calculateSummary = (transactions) => {
-    const transactionsToUse = filters.startDate || filters.endDate || filters.type !== 'all' || filters.category !== 'all' || filters.search.trim() 
-      ? filteredTransactions 
-      : transactions;
-    
-    const income = transactionsToUse
-      .filter(t => t.type === 'income')
-      .reduce((sum, t) => sum + t.amount, 0);
-    
-    const expenses = transactionsToUse
-      .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + t.amount, 0);
-    
-    setSummary({
-      totalIncome: income,
-      totalExpenses: expenses,
-      balance: income - expenses
-    });
+      if (!response.ok) {
+        return data.message || 'Failed to update tags';
+      }
+      fetchTransactions();
+      fetchAnalytics();
+      return null;
+    } catch (error) {
+      console.error('Error updating tags:', error);
+      return 'An error occurred while updating tags';
+    }
   };
 
-  const getCategoryData = () => {
-    const transactionsToUse = filters.startDate || filters.endDate || filters.type !== 'all' || filters.category !== 'all' || filters.search.trim() 
-      ? filteredTransactions 
-      : transactions;
-    
-    const categoryMap = {};
-    transactionsToUse
-      .filter(t => t.type === 'expense')
-      .forEach(transaction => {
-        const category = transaction.category;
-        categoryMap[category] = (categoryMap[category] || 0) + transaction.amount;
-      });
-
-    return Object.entries(categoryMap).map(([name, value]) => ({ name, value }));
+  const handleAccountSelect = (account) => {
+    setFilters(prev => ({ ...prev, account }));
   };
 
-  const getMonthlyData = () => {
-    const transactionsToUse = filters.startDate || filters.endDate || filters.type !== 'all' || filters.category !== 'all' || filters.search.trim() 
-      ? filteredTransactions 
-      : transactions;
-    
-    const monthlyMap = {};
-    transactionsToUse.forEach(transaction => {
-      const date = new Date(transaction.date);
-      const monthYear = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      
-      if (!monthlyMap[monthYear]) {
-        monthlyMap[monthYear] = { income: 0, expense: 0 };
-      }
-      
-      if (transaction.type === 'income') {
-        monthlyMap[monthYear].income += transaction.amount;
-      } else {
-        monthlyMap[monthYear].expense += transaction.amount;
-      }
+  const handleEditTransaction = (transaction) => {
+    // Navigate to edit page with transaction data
+    navigate(`/edit-transaction/${transaction._id}`, { 
+      state: { transaction } 
     });
-
-    return Object.entries(monthlyMap)
-      .sort(([a], [b]) => a.localeCompare(b))
-      .slice(-6) // Last 6 months
-      .map(([month, data]) => ({
-        month: new Date(month + '-01').toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
-        ...data
-      }));
   };
 
   const SummaryCard = ({ title, amount, icon, color, bgColor }) => (
@@ -288,11 +332,19 @@ const Dashboard = () => {
         </Typography>
       </Box>
       <Typography variant="h5" sx={{ fontWeight: 700, color: color, mb: 0 }}>
-        ${amount.toFixed(2)}
+        {formatMoney(amount, baseCurrency)}
       </Typography>
     </Box>
   );
 
+  // The category breakdown covers expenses unless a type filter is applied
+  const chartType = filters.type !== 'all' ? filters.type : 'expense';
+  const categoryChartData = categoryData.map(({ key, value }) => ({
+    name: getLabel(key, chartType),
+    value,
+    color: getColor(key, chartType)
+  }));
+
   if (loading) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
@@ -322,6 +374,18 @@ const Dashboard = () => {
         </Box>
       )}
 
+      {summary.unconvertedCount > 0 && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert
+            severity="warning"
+            action={<Button color="inherit" size="small" onClick={() => navigate('/currencies')}>Add rates</Button>}
+          >
+            {summary.unconvertedCount} transaction{summary.unconvertedCount !== 1 ? 's have' : ' has'} no exchange
+            rate to {baseCurrency} and {summary.unconvertedCount !== 1 ? 'are' : 'is'} counted at the original amount.
+          </Alert>
+        </Box>
+      )}
+
       {/* Quick Actions */}
       <Box sx={{ px: 4, mb: 4 }}>
         <Stack direction="row" spacing={2}>
@@ -353,6 +417,18 @@ const Dashboard = () => {
           >
             Upload Receipt
           </Button>
+          <ExportButton
+            filters={filters}
+            onError={setError}
+            variant="outlined"
+            size="medium"
+            sx={{ 
+              px: 4, 
+              py: 1.5,
+              fontWeight: 600,
+              fontSize: '0.9rem'
+            }}
+          />
         </Stack>
       </Box>
 
@@ -375,7 +451,7 @@ const Dashboard = () => {
           />
           <SummaryCard
             title="Current Balance"
-            amount={summary.balance}
+            amount={accounts.length > 0 ? accountsTotal : summary.balance}
             icon={<AccountBalance sx={{ color: theme.palette.primary.main, fontSize: 20 }} />}
             color={theme.palette.primary.main}
             bgColor={theme.palette.mode === 'dark' ? '#1b1b2e' : '#f8f9ff'}
@@ -383,6 +459,17 @@ const Dashboard = () => {
         </Box>
       </Box>
 
+      {/* Account Balances */}
+      {activeAccounts.length > 0 && (
+        <Box sx={{ px: 4, mb: 6 }}>
+          <AccountBalances
+            accounts={activeAccounts}
+            selected={filters.account}
+            onSelect={handleAccountSelect}
+          />
+        </Box>
+      )}
+
       {/* Charts Section */}
       <Box sx={{ px: 4, mb: 6 }}>
         <Box sx={{ display: 'flex', gap: 2, width: '100%' }}>
@@ -393,7 +480,7 @@ const Dashboard = () => {
             <Box sx={{ height: 320 }}>
               <ResponsiveContainer width="100%" height="100%">
                 <BarChart
-                  data={getMonthlyData()}
+                  data={monthlyData}
                   margin={{ top: 10, right: 20, left: 10, bottom: 5 }}
                 >
                   <CartesianGrid strokeDasharray="3 3" stroke={theme.palette.mode === 'dark' ? '#333' : '#f8f9fa'} />
@@ -449,7 +536,7 @@ const Dashboard = () => {
               <ResponsiveContainer width="100%" height="100%">
                 <PieChart>
                   <Pie
-                    data={getCategoryData()}
+                    data={categoryChartData}
                     cx="50%"
                     cy="50%"
                     labelLine={true}
@@ -461,8 +548,8 @@ const Dashboard = () => {
                     labelLine={{ stroke: theme.palette.text.secondary, strokeWidth: 1 }}
                     labelStyle={{ fontSize: '13px', fontWeight: '500', fill: theme.palette.text.primary }}
                   >
-                    {getCategoryData().map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                    {categoryChartData.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.color} />
                     ))}
                   </Pie>
                   <Tooltip 
@@ -479,6 +566,8 @@ const Dashboard = () => {
               </ResponsiveContainer>
             </Box>
           </Box>
+
+          <BudgetPanel refreshTrigger={transactions} />
         </Box>
       </Box>
 
@@ -494,6 +583,7 @@ const Dashboard = () => {
             refreshTrigger={filteredTransactions} 
             onEdit={handleEditTransaction}
             onDelete={handleDeleteTransaction}
+            onAssignTags={handleAssignTags}
             filters={filters}
             onFilterChange={handleFilterChange}
           />
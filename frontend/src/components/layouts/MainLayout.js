@@ -26,6 +26,14 @@ import {
   Receipt as ReceiptIcon,
   PictureAsPdf as PdfIcon,
   Chat as ChatIcon,
+  LocalOffer as TagIcon,
+  CurrencyExchange as CurrencyIcon,
+  AccountBalanceWallet as AccountIcon,
+  AutoFixHigh as RuleIcon,
+  Category as CategoryIcon,
+  UploadFile as UploadFileIcon,
+  FactCheck as ReviewIcon,
+  Repeat as RepeatIcon,
   Logout as LogoutIcon,
   Person as PersonIcon,
   Brightness4 as DarkModeIcon,
@@ -59,7 +67,15 @@ const MainLayout = ({ children }) => {
     { text: 'Dashboard', icon: <DashboardIcon />, path: '/dashboard' },
     { text: 'Add Transaction', icon: <AddIcon />, path: '/add-transaction' },
     { text: 'Upload Receipt', icon: <ReceiptIcon />, path: '/upload-receipt' },
+    { text: 'Review Receipts', icon: <ReviewIcon />, path: '/review-receipts' },
     { text: 'Upload PDF History', icon: <PdfIcon />, path: '/upload-pdf-transactions' },
+    { text: 'Recurring', icon: <RepeatIcon />, path: '/recurring' },
+    { text: 'Import Statement', icon: <UploadFileIcon />, path: '/import-statement' },
+    { text: 'Categories', icon: <CategoryIcon />, path: '/categories' },
+    { text: 'Rules', icon: <RuleIcon />, path: '/rules' },
+    { text: 'Accounts', icon: <AccountIcon />, path: '/accounts' },
+    { text: 'Currencies', icon: <CurrencyIcon />, path: '/currencies' },
+    { text: 'Tags', icon: <TagIcon />, path: '/tags' },
     { text: 'AI Assistant', icon: <ChatIcon />, path: '/ai-chat' }
   ];
 
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Alert,
+  Autocomplete,
+  Box,
+  Button,
+  Chip,
+  MenuItem,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { COMMON_LOCALES, localeName, ocrLanguageName } from '../../utils/locale';
+
+const OCR_SETTINGS_URL = 'https://typeface-assignment-sryt.onrender.com/api/ocr/settings';
+
+// Most languages one receipt is read in, as the API allows
+const MAX_OCR_LANGUAGES = 3;
+
+const sameLanguages = (a, b) => a.length === b.length && a.every(language => b.includes(language));
+
+// The languages receipts are read in and the locale their amounts and dates
+// default to. Only languages installed on the server can be picked.
+const OcrSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [available, setAvailable] = useState([]);
+  const [saved, setSaved] = useState({ ocrLanguages: user?.ocrLanguages || ['eng'], locale: user?.locale || 'en-US' });
+  const [languages, setLanguages] = useState(saved.ocrLanguages);
+  const [locale, setLocale] = useState(saved.locale);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await fetch(OCR_SETTINGS_URL, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          }
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+          setAvailable(data.availableLanguages);
+          setSaved({ ocrLanguages: data.ocrLanguages, locale: data.locale });
+          setLanguages(data.ocrLanguages);
+          setLocale(data.locale);
+        } else {
+          setError(data.message || 'Failed to fetch OCR settings');
+        }
+      } catch (error) {
+        console.error('Error fetching OCR settings:', error);
+        setError('An error occurred while fetching OCR settings');
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await fetch(OCR_SETTINGS_URL, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ ocrLanguages: languages, locale })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setSaved({ ocrLanguages: data.ocrLanguages, locale: data.locale });
+        updateUser({ ocrLanguages: data.ocrLanguages, locale: data.locale });
+      } else {
+        setError(data.message || 'Failed to save OCR settings');
+      }
+    } catch (error) {
+      console.error('Error saving OCR settings:', error);
+      setError('An error occurred while saving OCR settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const localeOptions = COMMON_LOCALES.includes(locale) ? COMMON_LOCALES : [locale, ...COMMON_LOCALES];
+  const changed = locale !== saved.locale || !sameLanguages(languages, saved.ocrLanguages);
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+        <Autocomplete
+          multiple
+          size="small"
+          options={available}
+          value={languages}
+          onChange={(event, value) => setLanguages(value.slice(0, MAX_OCR_LANGUAGES))}
+          getOptionLabel={ocrLanguageName}
+          filterSelectedOptions
+          disableClearable
+          renderTags={(values, getTagProps) => values.map((language, index) => (
+            <Chip size="small" label={ocrLanguageName(language)} {...getTagProps({ index })} />
+          ))}
+          renderInput={(params) => <TextField {...params} label="Receipt languages" />}
+          sx={{ flex: 2, minWidth: 220 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Locale"
+          value={locale}
+          onChange={(e) => setLocale(e.target.value)}
+          sx={{ flex: 1, minWidth: 180 }}
+        >
+          {localeOptions.map((option) => (
+            <MenuItem key={option} value={option}>{localeName(option)}</MenuItem>
+          ))}
+        </TextField>
+        <Button
+          variant="outlined"
+          onClick={handleSave}
+          disabled={saving || !changed || languages.length === 0}
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </Stack>
+      <Typography variant="caption" color="textSecondary">
+        Amounts and dates are read in your locale unless the receipt clearly uses another format.
+      </Typography>
+    </Box>
+  );
+};
+
+export default OcrSettings;
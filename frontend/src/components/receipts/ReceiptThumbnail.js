@@ -0,0 +1,25 @@
+import React from 'react';
+import { Avatar, Tooltip } from '@mui/material';
+import { ReceiptLong as ReceiptIcon } from '@mui/icons-material';
+import { useReceipt } from '../../hooks/useReceipt';
+
+// Small preview of a transaction's receipt. PDFs have no thumbnail and show an icon.
+const ReceiptThumbnail = ({ receiptId, onClick }) => {
+  const { receipt } = useReceipt(receiptId);
+
+  return (
+    <Tooltip title="View receipt">
+      <Avatar
+        variant="rounded"
+        src={receipt?.thumbnailUrl || undefined}
+        alt="Receipt"
+        onClick={onClick}
+        sx={{ width: 36, height: 36, cursor: onClick ? 'pointer' : 'default', bgcolor: 'action.selected' }}
+      >
+        <ReceiptIcon fontSize="small" color="action" />
+      </Avatar>
+    </Tooltip>
+  );
+};
+
+export default ReceiptThumbnail;
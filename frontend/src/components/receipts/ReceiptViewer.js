@@ -0,0 +1,166 @@
+import React, { useState, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  AttachFile as AttachIcon,
+  Delete as DeleteIcon,
+  Download as DownloadIcon,
+  SwapHoriz as ReplaceIcon
+} from '@mui/icons-material';
+import { useReceipt, fetchReceiptUrls, RECEIPTS_URL } from '../../hooks/useReceipt';
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,application/pdf';
+
+// Inline view of a transaction's receipt with download, replace and remove.
+// onChange gets the new receipt id, or null once the receipt is removed.
+const ReceiptViewer = ({ transactionId, receiptId, onChange }) => {
+  const { receipt, loading, error: fileError } = useReceipt(receiptId);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const formData = new FormData();
+      formData.append('transactionId', transactionId);
+      formData.append('receipt', file);
+      const response = await fetch(RECEIPTS_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: formData
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        onChange(data._id);
+      } else {
+        setError(data.message || 'Failed to upload receipt');
+      }
+    } catch (error) {
+      console.error('Error uploading receipt:', error);
+      setError('An error occurred while uploading the receipt');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // A fresh link, since the one being shown may have expired
+  const handleDownload = async () => {
+    try {
+      const { url } = await fetchReceiptUrls(receiptId, { download: true });
+      window.location.assign(url);
+    } catch (error) {
+      console.error('Error downloading receipt:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove the receipt from this transaction?')) return;
+
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${RECEIPTS_URL}/${receiptId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        onChange(null);
+      } else {
+        setError(data.message || 'Failed to remove receipt');
+      }
+    } catch (error) {
+      console.error('Error removing receipt:', error);
+      setError('An error occurred while removing the receipt');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isPdf = receipt?.mimeType === 'application/pdf';
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>Receipt</Typography>
+      {error && <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError('')}>{error}</Alert>}
+      <input
+        ref={fileInput}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        hidden
+        onChange={handleFileSelected}
+      />
+
+      {!receiptId ? (
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={busy ? <CircularProgress size={16} /> : <AttachIcon />}
+          onClick={() => fileInput.current.click()}
+          disabled={busy}
+        >
+          Attach receipt
+        </Button>
+      ) : (
+        <Paper variant="outlined" sx={{ p: 1 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: 120 }}>
+            {loading && <CircularProgress size={32} />}
+            {fileError && (
+              <Typography variant="body2" color="textSecondary">{fileError}</Typography>
+            )}
+            {receipt && (isPdf ? (
+              <Box
+                component="iframe"
+                src={receipt.url}
+                title="Receipt"
+                sx={{ width: '100%', height: 480, border: 0 }}
+              />
+            ) : (
+              <Box
+                component="img"
+                src={receipt.url}
+                alt="Receipt"
+                sx={{ maxWidth: '100%', maxHeight: 480, objectFit: 'contain' }}
+              />
+            ))}
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+            <Typography variant="caption" color="textSecondary" noWrap sx={{ flex: 1 }}>
+              {receipt?.originalName}
+            </Typography>
+            <Button size="small" startIcon={<DownloadIcon />} onClick={handleDownload} disabled={busy}>
+              Download
+            </Button>
+            <Button size="small" startIcon={<ReplaceIcon />} onClick={() => fileInput.current.click()} disabled={busy}>
+              Replace
+            </Button>
+            <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleRemove} disabled={busy}>
+              Remove
+            </Button>
+          </Box>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default ReceiptViewer;
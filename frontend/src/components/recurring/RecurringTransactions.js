@@ -0,0 +1,431 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Button,
+  Chip,
+  Switch,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Stack,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  SkipNext as SkipNextIcon
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useCategories } from '../../hooks/useCategories';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+
+const frequencyLabels = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  yearly: 'Yearly'
+};
+
+const emptyForm = {
+  type: 'expense',
+  amount: '',
+  category: '',
+  description: '',
+  frequency: 'monthly',
+  startDate: new Date(),
+  endDate: null
+};
+
+const RecurringTransactions = () => {
+  const { theme } = useTheme();
+  const { getOptions, getLabel } = useCategories();
+  const { baseCurrency } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      setError('');
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/recurring', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRules(data);
+      } else {
+        setError(data.message || 'Failed to fetch recurring transactions');
+      }
+    } catch (error) {
+      console.error('Error fetching recurring transactions:', error);
+      setError('An error occurred while fetching recurring transactions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Replace a single rule in the list with the server's updated copy
+  const updateRule = async (ruleId, url, method, body) => {
+    try {
+      setError('');
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRules(prev => prev.map(rule => (rule._id === ruleId ? data : rule)));
+      } else {
+        setError(data.message || 'Failed to update recurring transaction');
+      }
+    } catch (error) {
+      console.error('Error updating recurring transaction:', error);
+      setError('An error occurred while updating the recurring transaction');
+    }
+  };
+
+  const handleToggleActive = (rule) => {
+    updateRule(
+      rule._id,
+      `https://typeface-assignment-sryt.onrender.com/api/recurring/${rule._id}`,
+      'PUT',
+      { active: !rule.active }
+    );
+  };
+
+  const handleToggleSkip = (rule) => {
+    updateRule(
+      rule._id,
+      `https://typeface-assignment-sryt.onrender.com/api/recurring/${rule._id}/skip-next`,
+      'POST',
+      { skipNext: !rule.skipNext }
+    );
+  };
+
+  const handleDelete = async (ruleId) => {
+    try {
+      setError('');
+      const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/recurring/${ruleId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.ok) {
+        setRules(prev => prev.filter(rule => rule._id !== ruleId));
+      } else {
+        const data = await response.json();
+        setError(data.message || 'Failed to delete recurring transaction');
+      }
+    } catch (error) {
+      console.error('Error deleting recurring transaction:', error);
+      setError('An error occurred while deleting the recurring transaction');
+    }
+  };
+
+  const handleOpenDialog = (rule = null) => {
+    setEditingRule(rule);
+    setFormData(rule
+      ? {
+          type: rule.type,
+          amount: rule.amount.toString(),
+          category: rule.category,
+          description: rule.description,
+          frequency: rule.frequency,
+          startDate: new Date(rule.startDate),
+          endDate: rule.endDate ? new Date(rule.endDate) : null
+        }
+      : emptyForm);
+    setDialogOpen(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Reset category when type changes
+      ...(name === 'type' && { category: '' })
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      setError('');
+      const url = editingRule
+        ? `https://typeface-assignment-sryt.onrender.com/api/recurring/${editingRule._id}`
+        : 'https://typeface-assignment-sryt.onrender.com/api/recurring';
+
+      const response = await fetch(url, {
+        method: editingRule ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify(formData)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setDialogOpen(false);
+        fetchRules();
+      } else {
+        setError(data.message || 'Failed to save recurring transaction');
+      }
+    } catch (error) {
+      console.error('Error saving recurring transaction:', error);
+      setError('An error occurred while saving the recurring transaction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const headerCellSx = {
+    fontWeight: 600,
+    backgroundColor: theme.palette.mode === 'dark' ? theme.palette.grey[800] : '#fafafa'
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ width: '100%', height: '100vh', overflow: 'auto' }}>
+      {/* Page Header */}
+      <Box sx={{ p: 4, pb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 700, mb: 1 }}>
+            Recurring Transactions
+          </Typography>
+          <Typography variant="body1" color="textSecondary">
+            Rent, salary and subscriptions are added automatically when they fall due.
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => handleOpenDialog()}
+          sx={{ fontWeight: 600 }}
+        >
+          Add Recurring
+        </Button>
+      </Box>
+
+      {error && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="error" onClose={() => setError('')}>
+            {error}
+          </Alert>
+        </Box>
+      )}
+
+      <Box sx={{ px: 4, pb: 4 }}>
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={headerCellSx}>Description</TableCell>
+                  <TableCell sx={headerCellSx}>Category</TableCell>
+                  <TableCell sx={headerCellSx}>Frequency</TableCell>
+                  <TableCell sx={headerCellSx}>Upcoming</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Amount</TableCell>
+                  <TableCell align="center" sx={headerCellSx}>Active</TableCell>
+                  <TableCell align="center" sx={headerCellSx}>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rules.length > 0 ? (
+                  rules.map((rule) => (
+                    <TableRow hover key={rule._id}>
+                      <TableCell sx={{ fontWeight: 500 }}>{rule.description}</TableCell>
+                      <TableCell>
+                        <Chip label={getLabel(rule.category, rule.type)} size="small" />
+                      </TableCell>
+                      <TableCell>
+                        {frequencyLabels[rule.frequency]}
+                        {rule.endDate && (
+                          <Typography variant="caption" display="block" color="textSecondary">
+                            until {format(new Date(rule.endDate), 'MMM dd, yyyy')}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {rule.upcoming.length > 0 ? (
+                          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                            {rule.upcoming.map((occurrence) => (
+                              <Chip
+                                key={occurrence.date}
+                                label={format(new Date(occurrence.date), 'MMM dd, yyyy')}
+                                size="small"
+                                variant="outlined"
+                                sx={occurrence.skipped ? { textDecoration: 'line-through', opacity: 0.6 } : undefined}
+                              />
+                            ))}
+                          </Box>
+                        ) : (
+                          <Typography variant="body2" color="textSecondary">
+                            {rule.active ? 'Finished' : 'Paused'}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        <Box
+                          component="span"
+                          sx={{
+                            color: rule.type === 'income' ? 'success.main' : 'error.main',
+                            fontWeight: 700
+                          }}
+                        >
+                          {formatMoney(rule.amount, baseCurrency)}
+                        </Box>
+                      </TableCell>
+                      <TableCell align="center">
+                        <Switch checked={rule.active} onChange={() => handleToggleActive(rule)} size="small" />
+                      </TableCell>
+                      <TableCell align="center">
+                        <Tooltip title={rule.skipNext ? 'Undo skip' : 'Skip next occurrence'}>
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleToggleSkip(rule)}
+                              disabled={!rule.active}
+                              color={rule.skipNext ? 'warning' : 'default'}
+                            >
+                              <SkipNextIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <IconButton size="small" onClick={() => handleOpenDialog(rule)} sx={{ color: theme.palette.primary.main }}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton size="small" color="error" onClick={() => handleDelete(rule._id)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={7} align="center" sx={{ py: 4 }}>
+                      <Typography variant="body1" color="textSecondary">
+                        No recurring transactions yet. Add rent, salary or a subscription to get started!
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      </Box>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editingRule ? 'Edit Recurring Transaction' : 'Add Recurring Transaction'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={3} sx={{ mt: 1 }}>
+            <TextField select label="Type" name="type" value={formData.type} onChange={handleChange} fullWidth>
+              <MenuItem value="income">Income</MenuItem>
+              <MenuItem value="expense">Expense</MenuItem>
+            </TextField>
+
+            <TextField
+              label="Amount"
+              name="amount"
+              type="number"
+              value={formData.amount}
+              onChange={handleChange}
+              inputProps={{ min: "0", step: "0.01" }}
+              fullWidth
+            />
+
+            <TextField select label="Category" name="category" value={formData.category} onChange={handleChange} fullWidth>
+              {getOptions(formData.type).map((category) => (
+                <MenuItem key={category._id} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                  {category.name}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              label="Description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              fullWidth
+            />
+
+            <TextField select label="Frequency" name="frequency" value={formData.frequency} onChange={handleChange} fullWidth>
+              {Object.entries(frequencyLabels).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+
+            <DatePicker
+              label="Start Date"
+              value={formData.startDate}
+              onChange={(date) => setFormData(prev => ({ ...prev, startDate: date }))}
+            />
+            <DatePicker
+              label="End Date (optional)"
+              value={formData.endDate}
+              onChange={(date) => setFormData(prev => ({ ...prev, endDate: date }))}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !formData.amount || !formData.category || !formData.description}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default RecurringTransactions;
@@ -0,0 +1,463 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Button,
+  Chip,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Stack,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  ArrowUpward as ArrowUpIcon,
+  ArrowDownward as ArrowDownIcon,
+  PlaylistAddCheck as ApplyIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useCategories } from '../../hooks/useCategories';
+
+const RULES_URL = 'https://typeface-assignment-sryt.onrender.com/api/category-rules';
+
+const fieldLabels = {
+  description: 'Description',
+  merchant: 'Merchant',
+  amount: 'Amount'
+};
+
+// Operators offered for each field; must match the backend's FIELD_OPERATORS
+const operatorsByField = {
+  description: ['contains', 'equals', 'startsWith'],
+  merchant: ['contains', 'equals', 'startsWith'],
+  amount: ['equals', 'gt', 'gte', 'lt', 'lte']
+};
+
+const operatorLabels = {
+  contains: 'contains',
+  equals: 'is',
+  startsWith: 'starts with',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤'
+};
+
+const emptyCondition = { field: 'description', operator: 'contains', value: '' };
+
+const emptyForm = {
+  name: '',
+  type: 'expense',
+  category: '',
+  conditions: [emptyCondition]
+};
+
+const describeCondition = ({ field, operator, value }) =>
+  `${fieldLabels[field]} ${operatorLabels[operator]} ${field === 'amount' ? `$${value}` : `"${value}"`}`;
+
+const CategoryRules = () => {
+  const { theme } = useTheme();
+  const { getOptions, getLabel, getColor } = useCategories();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [applyOpen, setApplyOpen] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  // Shared request helper; returns the parsed body or null after showing the error
+  const request = async (url, method = 'GET', body) => {
+    try {
+      setError('');
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        ...(body && { body: JSON.stringify(body) })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Request failed');
+        return null;
+      }
+      return data;
+    } catch (error) {
+      console.error('Error calling rules API:', error);
+      setError('An error occurred while talking to the server');
+      return null;
+    }
+  };
+
+  const fetchRules = async () => {
+    try {
+      setError('');
+      const response = await fetch(RULES_URL, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRules(data);
+      } else {
+        setError(data.message || 'Failed to fetch rules');
+      }
+    } catch (error) {
+      console.error('Error fetching rules:', error);
+      setError('An error occurred while fetching rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenDialog = (rule = null) => {
+    setEditingRule(rule);
+    setFormData(rule
+      ? {
+          name: rule.name,
+          type: rule.type,
+          category: rule.category,
+          conditions: rule.conditions.map(condition => ({ ...condition }))
+        }
+      : emptyForm);
+    setDialogOpen(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Categories are per type
+      ...(name === 'type' && { category: '' })
+    }));
+  };
+
+  const handleConditionChange = (index, name, value) => {
+    setFormData(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => {
+        if (i !== index) return condition;
+        const updated = { ...condition, [name]: value };
+        // Keep the operator valid when switching between text and amount fields
+        if (name === 'field' && !operatorsByField[value].includes(updated.operator)) {
+          updated.operator = operatorsByField[value][0];
+        }
+        return updated;
+      })
+    }));
+  };
+
+  const handleAddCondition = () => {
+    setFormData(prev => ({ ...prev, conditions: [...prev.conditions, { ...emptyCondition }] }));
+  };
+
+  const handleRemoveCondition = (index) => {
+    setFormData(prev => ({ ...prev, conditions: prev.conditions.filter((condition, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const data = editingRule
+      ? await request(`${RULES_URL}/${editingRule._id}`, 'PUT', formData)
+      : await request(RULES_URL, 'POST', formData);
+    setSaving(false);
+
+    if (data) {
+      setDialogOpen(false);
+      fetchRules();
+    }
+  };
+
+  const handleToggleActive = async (rule) => {
+    const data = await request(`${RULES_URL}/${rule._id}`, 'PUT', { active: !rule.active });
+    if (data) setRules(prev => prev.map(other => (other._id === rule._id ? data : other)));
+  };
+
+  const handleDelete = async (ruleId) => {
+    const data = await request(`${RULES_URL}/${ruleId}`, 'DELETE');
+    if (data) setRules(prev => prev.filter(rule => rule._id !== ruleId));
+  };
+
+  // Swap a rule with its neighbour; earlier rules win when several match
+  const handleMove = async (index, direction) => {
+    const ids = rules.map(rule => rule._id);
+    const target = index + direction;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    const data = await request(`${RULES_URL}/reorder`, 'PUT', { ids });
+    if (data) setRules(data);
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    const data = await request(`${RULES_URL}/apply`, 'POST');
+    setApplying(false);
+    setApplyOpen(false);
+
+    if (data) {
+      setSuccess(`Rules matched ${data.matched} transaction${data.matched === 1 ? '' : 's'} and re-categorized ${data.updated}.`);
+    }
+  };
+
+  const canSave = formData.name.trim() &&
+    formData.category &&
+    formData.conditions.length > 0 &&
+    formData.conditions.every(condition => String(condition.value).trim());
+
+  const headerCellSx = {
+    fontWeight: 600,
+    backgroundColor: theme.palette.mode === 'dark' ? theme.palette.grey[800] : '#fafafa'
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ width: '100%', height: '100vh', overflow: 'auto' }}>
+      {/* Page Header */}
+      <Box sx={{ p: 4, pb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <Box>
+          <Typography variant="h4" sx={{ fontWeight: 700, mb: 1 }}>
+            Categorization Rules
+          </Typography>
+          <Typography variant="body1" color="textSecondary">
+            Rules set the category of new and imported transactions. The first matching rule wins.
+          </Typography>
+        </Box>
+        <Stack direction="row" spacing={1}>
+          <Button
+            variant="outlined"
+            startIcon={<ApplyIcon />}
+            onClick={() => setApplyOpen(true)}
+            disabled={rules.length === 0}
+          >
+            Re-apply to History
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog()}
+            sx={{ fontWeight: 600 }}
+          >
+            Add Rule
+          </Button>
+        </Stack>
+      </Box>
+
+      {error && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="error" onClose={() => setError('')}>
+            {error}
+          </Alert>
+        </Box>
+      )}
+      {success && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="success" onClose={() => setSuccess('')}>
+            {success}
+          </Alert>
+        </Box>
+      )}
+
+      <Box sx={{ px: 4, pb: 4 }}>
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={headerCellSx}>Order</TableCell>
+                  <TableCell sx={headerCellSx}>Name</TableCell>
+                  <TableCell sx={headerCellSx}>When</TableCell>
+                  <TableCell sx={headerCellSx}>Category</TableCell>
+                  <TableCell align="center" sx={headerCellSx}>Active</TableCell>
+                  <TableCell align="center" sx={headerCellSx}>Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rules.length > 0 ? (
+                  rules.map((rule, index) => (
+                    <TableRow hover key={rule._id}>
+                      <TableCell>
+                        <IconButton size="small" onClick={() => handleMove(index, -1)} disabled={index === 0}>
+                          <ArrowUpIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton size="small" onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1}>
+                          <ArrowDownIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                      <TableCell sx={{ fontWeight: 500 }}>{rule.name}</TableCell>
+                      <TableCell>
+                        <Typography variant="body2">
+                          {rule.type === 'income' ? 'Income' : 'Expense'} where {rule.conditions.map(describeCondition).join(' and ')}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          label={getLabel(rule.category, rule.type)}
+                          size="small"
+                          sx={{ backgroundColor: getColor(rule.category, rule.type), color: 'common.white' }}
+                        />
+                      </TableCell>
+                      <TableCell align="center">
+                        <Switch checked={rule.active} onChange={() => handleToggleActive(rule)} size="small" />
+                      </TableCell>
+                      <TableCell align="center">
+                        <IconButton size="small" onClick={() => handleOpenDialog(rule)} sx={{ color: theme.palette.primary.main }}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton size="small" color="error" onClick={() => handleDelete(rule._id)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center" sx={{ py: 4 }}>
+                      <Typography variant="body1" color="textSecondary">
+                        No rules yet. Add one like "description contains SWIGGY → Food" to stop fixing categories by hand.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      </Box>
+
+      {/* Add / Edit Dialog */}
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingRule ? 'Edit Rule' : 'Add Rule'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={3} sx={{ mt: 1 }}>
+            <TextField label="Name" name="name" value={formData.name} onChange={handleChange} fullWidth />
+
+            <TextField select label="Applies to" name="type" value={formData.type} onChange={handleChange} fullWidth>
+              <MenuItem value="expense">Expenses</MenuItem>
+              <MenuItem value="income">Income</MenuItem>
+            </TextField>
+
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1.5 }}>Conditions (all must match)</Typography>
+              <Stack spacing={1.5}>
+                {formData.conditions.map((condition, index) => (
+                  <Stack key={index} direction="row" spacing={1} alignItems="center">
+                    <TextField
+                      select
+                      size="small"
+                      value={condition.field}
+                      onChange={(e) => handleConditionChange(index, 'field', e.target.value)}
+                      sx={{ minWidth: 130 }}
+                    >
+                      {Object.keys(fieldLabels).map((field) => (
+                        <MenuItem key={field} value={field}>{fieldLabels[field]}</MenuItem>
+                      ))}
+                    </TextField>
+                    <TextField
+                      select
+                      size="small"
+                      value={condition.operator}
+                      onChange={(e) => handleConditionChange(index, 'operator', e.target.value)}
+                      sx={{ minWidth: 120 }}
+                    >
+                      {operatorsByField[condition.field].map((operator) => (
+                        <MenuItem key={operator} value={operator}>{operatorLabels[operator]}</MenuItem>
+                      ))}
+                    </TextField>
+                    <TextField
+                      size="small"
+                      value={condition.value}
+                      type={condition.field === 'amount' ? 'number' : 'text'}
+                      onChange={(e) => handleConditionChange(index, 'value', e.target.value)}
+                      placeholder={condition.field === 'amount' ? '0.00' : 'e.g. SWIGGY'}
+                      fullWidth
+                    />
+                    <IconButton
+                      size="small"
+                      onClick={() => handleRemoveCondition(index)}
+                      disabled={formData.conditions.length === 1}
+                    >
+                      <CloseIcon fontSize="small" />
+                    </IconButton>
+                  </Stack>
+                ))}
+              </Stack>
+              <Button size="small" startIcon={<AddIcon />} onClick={handleAddCondition} sx={{ mt: 1 }}>
+                Add Condition
+              </Button>
+            </Box>
+
+            <TextField select label="Set category to" name="category" value={formData.category} onChange={handleChange} fullWidth>
+              {getOptions(formData.type).map((category) => (
+                <MenuItem key={category._id} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                  {category.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !canSave}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Re-apply Confirmation Dialog */}
+      <Dialog open={applyOpen} onClose={() => setApplyOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Re-apply rules to history?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Every existing transaction that matches an active rule will be moved to that rule's category,
+            including ones you categorized by hand.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setApplyOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleApply} disabled={applying}>
+            {applying ? <CircularProgress size={20} /> : 'Apply'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CategoryRules;
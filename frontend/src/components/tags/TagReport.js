@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Stack,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { LocalOffer as TagIcon } from '@mui/icons-material';
+import { format } from 'date-fns';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+
+const TAG_REPORT_URL = 'https://typeface-assignment-sryt.onrender.com/api/tags/report';
+
+const ALL_DATES = { startDate: '', endDate: '' };
+
+// Spending and income per tag, e.g. the cost of a trip or what is still to be reimbursed
+const TagReport = () => {
+  const { theme } = useTheme();
+  const { baseCurrency } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [rows, setRows] = useState([]);
+  const [range, setRange] = useState(ALL_DATES);
+
+  useEffect(() => {
+    fetchReport(ALL_DATES);
+  }, []);
+
+  const fetchReport = async (dates) => {
+    try {
+      setError('');
+      const params = new URLSearchParams();
+      if (dates.startDate) params.append('startDate', new Date(dates.startDate).toISOString());
+      // Include the whole end day
+      if (dates.endDate) params.append('endDate', new Date(`${dates.endDate}T23:59:59.999`).toISOString());
+
+      const response = await fetch(`${TAG_REPORT_URL}?${params.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setRows(data.tags);
+      } else {
+        setError(data.message || 'Failed to fetch tag report');
+      }
+    } catch (error) {
+      console.error('Error fetching tag report:', error);
+      setError('An error occurred while fetching the tag report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRangeChange = (e) => {
+    setRange(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleClear = () => {
+    setRange(ALL_DATES);
+    fetchReport(ALL_DATES);
+  };
+
+  const headerCellSx = {
+    fontWeight: 600,
+    backgroundColor: theme.palette.mode === 'dark' ? theme.palette.grey[800] : '#fafafa'
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="60vh">
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ width: '100%', height: '100vh', overflow: 'auto' }}>
+      {/* Page Header */}
+      <Box sx={{ p: 4, pb: 2 }}>
+        <Typography variant="h4" sx={{ fontWeight: 700, mb: 1 }}>
+          Tags
+        </Typography>
+        <Typography variant="body1" color="textSecondary">
+          Spending and income per tag in {baseCurrency}. A transaction with several tags counts towards each of them.
+        </Typography>
+      </Box>
+
+      {error && (
+        <Box sx={{ px: 4, mb: 2 }}>
+          <Alert severity="error" onClose={() => setError('')}>
+            {error}
+          </Alert>
+        </Box>
+      )}
+
+      <Box sx={{ px: 4, mb: 3 }}>
+        <Stack direction="row" spacing={2} alignItems="center">
+          <TextField
+            size="small"
+            type="date"
+            label="From"
+            name="startDate"
+            value={range.startDate}
+            onChange={handleRangeChange}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="To"
+            name="endDate"
+            value={range.endDate}
+            onChange={handleRangeChange}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button variant="contained" onClick={() => fetchReport(range)}>
+            Apply
+          </Button>
+          <Button onClick={handleClear} disabled={!range.startDate && !range.endDate}>
+            Clear
+          </Button>
+        </Stack>
+      </Box>
+
+      <Box sx={{ px: 4, pb: 4 }}>
+        <Paper>
+          <TableContainer>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={headerCellSx}>Tag</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Transactions</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Spent</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Income</TableCell>
+                  <TableCell align="right" sx={headerCellSx}>Net</TableCell>
+                  <TableCell sx={headerCellSx}>Period</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.length > 0 ? (
+                  rows.map((row) => (
+                    <TableRow hover key={row.tag}>
+                      <TableCell>
+                        <Chip label={row.tag} size="small" variant="outlined" icon={<TagIcon />} />
+                      </TableCell>
+                      <TableCell align="right">{row.count}</TableCell>
+                      <TableCell align="right" sx={{ color: 'error.main', fontWeight: 600 }}>
+                        {formatMoney(row.expense, baseCurrency)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ color: 'success.main', fontWeight: 600 }}>
+                        {formatMoney(row.income, baseCurrency)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 600 }}>
+                        {formatMoney(row.net, baseCurrency)}
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color="textSecondary">
+                          {format(new Date(row.firstDate), 'MMM dd, yyyy')} – {format(new Date(row.lastDate), 'MMM dd, yyyy')}
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center" sx={{ py: 4 }}>
+                      <Typography variant="body1" color="textSecondary">
+                        No tagged transactions yet. Add tags when entering a transaction or select several on the dashboard and tag them together.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      </Box>
+    </Box>
+  );
+};
+
+export default TagReport;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Autocomplete, Chip, TextField } from '@mui/material';
+
+// Tags are compared lowercase, like the API stores them
+const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Tag input with autocomplete from the user's existing tags (`options`, see
+// useTags). New tags can be typed and confirmed with Enter unless `allowNew` is false.
+const TagsField = ({ value, onChange, options = [], label = 'Tags', placeholder = 'Add a tag', allowNew = true, ...props }) => {
+  const handleChange = (event, tags) => {
+    onChange([...new Set(tags.map(normalizeTag).filter(Boolean))]);
+  };
+
+  return (
+    <Autocomplete
+      multiple
+      freeSolo={allowNew}
+      options={options}
+      value={value || []}
+      onChange={handleChange}
+      filterSelectedOptions
+      renderTags={(tags, getTagProps) => tags.map((tag, index) => (
+        <Chip size="small" label={tag} {...getTagProps({ index })} />
+      ))}
+      renderInput={(params) => (
+        <TextField {...params} label={label} placeholder={placeholder} {...props} />
+      )}
+    />
+  );
+};
+
+export default TagsField;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { Box, Chip, Typography } from '@mui/material';
+import { AutoAwesome as SuggestIcon } from '@mui/icons-material';
+import { useCategories } from '../../hooks/useCategories';
+
+// Hide guesses the categorizer is not at least somewhat sure about
+const MIN_VISIBLE_CONFIDENCE = 0.2;
+
+// Categories suggested from the user's own history, with confidence.
+// Clicking one picks it.
+const CategorySuggestions = ({ suggestions, type = 'expense', selected, onSelect }) => {
+  const { getLabel } = useCategories();
+  const visible = (suggestions || []).filter(suggestion => suggestion.confidence >= MIN_VISIBLE_CONFIDENCE);
+
+  if (visible.length === 0) return null;
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+      <Typography variant="caption" color="textSecondary">
+        Suggested:
+      </Typography>
+      {visible.map((suggestion) => (
+        <Chip
+          key={suggestion.category}
+          icon={<SuggestIcon />}
+          label={`${getLabel(suggestion.category, type)} · ${Math.round(suggestion.confidence * 100)}%`}
+          size="small"
+          color={suggestion.category === selected ? 'primary' : 'default'}
+          variant={suggestion.category === selected ? 'filled' : 'outlined'}
+          onClick={onSelect ? () => onSelect(suggestion.category) : undefined}
+        />
+      ))}
+    </Box>
+  );
+};
+
+// Tooltip text explaining where a preview row's category came from
+export const getCategorySource = (transaction) => {
+  if (transaction.categoryRule) return `Set by rule "${transaction.categoryRule}"`;
+  if (transaction.categoryConfidence) {
+    return `Learned from your history (${Math.round(transaction.categoryConfidence * 100)}% confident)`;
+  }
+  return '';
+};
+
+export default CategorySuggestions;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { Alert, Link } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { format } from 'date-fns';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+
+// Warning shown when a new transaction matches one that is already saved
+const DuplicateWarning = ({ duplicateOf, sx }) => {
+  const { baseCurrency } = useAuth();
+  if (!duplicateOf) return null;
+
+  return (
+    <Alert severity="warning" sx={sx}>
+      This looks like a duplicate of "{duplicateOf.description}" ({formatMoney(duplicateOf.amount, duplicateOf.currency || baseCurrency)} on{' '}
+      {format(new Date(duplicateOf.date), 'MMM dd, yyyy')}).{' '}
+      <Link component={RouterLink} to={`/edit-transaction/${duplicateOf._id}`}>
+        View existing transaction
+      </Link>
+    </Alert>
+  );
+};
+
+export default DuplicateWarning;
@@ -16,31 +16,21 @@ import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { useNavigate, useParams, useLocation } from 'react-router-dom';
-
-const incomeCategories = [
-  'Salary',
-  'Freelance',
-  'Gift',
-  'Investment',
-  'Business',
-  'Bonus',
-  'Commission',
-  'Other'
-];
-
-const expenseCategories = [
-  'Food',
-  'Transportation',
-  'Housing',
-  'Utilities',
-  'Entertainment',
-  'Healthcare',
-  'Shopping',
-  'Education',
-  'Other'
-];
+import AccountFields from '../accounts/AccountFields';
+import TagsField from '../tags/TagsField';
+import { useTags } from '../../hooks/useTags';
+import SplitFields, { splitsBalance } from './SplitFields';
+import CurrencySelect from '../currencies/CurrencySelect';
+import ReceiptViewer from '../receipts/ReceiptViewer';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCategories } from '../../hooks/useCategories';
+import { useAccounts } from '../../hooks/useAccounts';
 
 const EditTransaction = () => {
+  const { getOptions } = useCategories();
+  const { accounts } = useAccounts();
+  const { tagNames } = useTags();
+  const { baseCurrency } = useAuth();
   const navigate = useNavigate();
   const { id } = useParams();
   const location = useLocation();
@@ -48,11 +38,19 @@ const EditTransaction = () => {
   const [fetching, setFetching] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  // Receipt changes are saved right away, not with the form
+  const [receiptId, setReceiptId] = useState(null);
   const [formData, setFormData] = useState({
     type: 'expense',
     amount: '',
+    currency: baseCurrency,
     category: '',
+    splits: [],
+    account: '',
+    toAccount: '',
     description: '',
+    tags: [],
+    notes: '',
     date: new Date()
   });
 
@@ -62,7 +60,6 @@ const EditTransaction = () => {
 
   const fetchTransaction = async () => {
     try {
-      setLoading(true);
       const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/transactions/${id}`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`
@@ -75,10 +72,17 @@ const EditTransaction = () => {
         setFormData({
           type: data.type,
           amount: data.amount.toString(),
+          currency: data.currency || baseCurrency,
           category: data.category,
+          splits: (data.splits || []).map(split => ({ ...split, amount: split.amount.toString() })),
+          account: data.account || '',
+          toAccount: data.toAccount || '',
           description: data.description,
+          tags: data.tags || [],
+          notes: data.notes || '',
           date: new Date(data.date).toISOString().split('T')[0]
         });
+        setReceiptId(data.receipt || null);
       } else {
         setError(data.message || 'Failed to fetch transaction');
       }
@@ -86,7 +90,7 @@ const EditTransaction = () => {
       console.error('Error fetching transaction:', error);
       setError('An error occurred while fetching the transaction');
     } finally {
-      setLoading(false);
+      setFetching(false);
     }
   };
 
@@ -102,7 +106,8 @@ const EditTransaction = () => {
       setFormData(prev => ({
         ...prev,
         [name]: value,
-        category: '' // Reset category when type changes
+        category: '', // Reset category when type changes
+        splits: []
       }));
     }
   };
@@ -114,16 +119,16 @@ const EditTransaction = () => {
     });
   };
 
-  // Get the appropriate categories based on transaction type
-  const getCategories = () => {
-    return formData.type === 'income' ? incomeCategories : expenseCategories;
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
     setError('');
 
+    if (!splitsBalance(formData.splits, formData.amount)) {
+      setError('Split lines must add up to the transaction amount');
+      return;
+    }
+    setLoading(true);
+
     try {
       const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/transactions/${id}`, {
         method: 'PUT',
@@ -188,36 +193,67 @@ const EditTransaction = () => {
               >
                 <MenuItem value="income">Income</MenuItem>
                 <MenuItem value="expense">Expense</MenuItem>
+                <MenuItem value="transfer">Transfer</MenuItem>
               </Select>
             </FormControl>
 
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              label="Amount"
-              name="amount"
-              type="number"
-              value={formData.amount}
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                label="Amount"
+                name="amount"
+                type="number"
+                value={formData.amount}
+                onChange={handleChange}
+                inputProps={{ min: "0", step: "0.01" }}
+              />
+              <CurrencySelect
+                margin="normal"
+                value={formData.currency}
+                onChange={handleChange}
+                sx={{ minWidth: 110 }}
+              />
+            </Box>
+
+            <AccountFields
+              accounts={accounts}
+              type={formData.type}
+              account={formData.account}
+              toAccount={formData.toAccount}
               onChange={handleChange}
-              inputProps={{ min: "0", step: "0.01" }}
             />
 
-            <FormControl fullWidth margin="normal">
-              <InputLabel>Category</InputLabel>
-              <Select
-                name="category"
-                value={formData.category}
-                onChange={handleChange}
-                required
-              >
-                {getCategories().map((category) => (
-                  <MenuItem key={category} value={category.toLowerCase()}>
-                    {category}
-                  </MenuItem>
-                ))}
-              </Select>
-            </FormControl>
+            {/* A split transaction takes its category from the lines */}
+            {formData.type !== 'transfer' && formData.splits.length === 0 && (
+              <FormControl fullWidth margin="normal">
+                <InputLabel>Category</InputLabel>
+                <Select
+                  name="category"
+                  value={formData.category}
+                  onChange={handleChange}
+                  required
+                >
+                  {getOptions(formData.type).map((category) => (
+                    <MenuItem key={category._id} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                      {category.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+
+            {formData.type !== 'transfer' && (
+              <SplitFields
+                type={formData.type}
+                amount={formData.amount}
+                currency={formData.currency}
+                category={formData.category}
+                splits={formData.splits}
+                onChange={(splits) => setFormData(prev => ({ ...prev, splits }))}
+              />
+            )}
 
             <TextField
               margin="normal"
@@ -229,6 +265,24 @@ const EditTransaction = () => {
               onChange={handleChange}
             />
 
+            <TagsField
+              value={formData.tags}
+              options={tagNames}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              margin="normal"
+            />
+
+            <TextField
+              margin="normal"
+              fullWidth
+              multiline
+              minRows={2}
+              label="Notes"
+              name="notes"
+              value={formData.notes}
+              onChange={handleChange}
+            />
+
             <LocalizationProvider dateAdapter={AdapterDateFns}>
               <DatePicker
                 label="Date"
@@ -240,6 +294,8 @@ const EditTransaction = () => {
               />
             </LocalizationProvider>
 
+            <ReceiptViewer transactionId={id} receiptId={receiptId} onChange={setReceiptId} />
+
             <Box sx={{ mt: 4, display: 'flex', gap: 2 }}>
               <Button
                 type="button"
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Menu,
+  MenuItem,
+  ListItemText,
+  CircularProgress
+} from '@mui/material';
+import { FileDownload as FileDownloadIcon } from '@mui/icons-material';
+
+const exportFormats = [
+  { value: 'csv', label: 'CSV', description: 'Plain comma-separated values' },
+  { value: 'excel', label: 'Excel CSV', description: 'Opens correctly in Excel' },
+  { value: 'json', label: 'JSON', description: 'For scripts and backups' },
+  { value: 'ofx', label: 'OFX', description: 'For accounting software' }
+];
+
+// Download the filtered transactions in the chosen format
+const ExportButton = ({ filters, onError, ...buttonProps }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setAnchorEl(null);
+    setExporting(true);
+
+    try {
+      const params = new URLSearchParams({ format });
+      if (filters?.startDate) params.append('startDate', new Date(filters.startDate).toISOString());
+      if (filters?.endDate) params.append('endDate', new Date(filters.endDate).toISOString());
+      if (filters?.type && filters.type !== 'all') params.append('type', filters.type);
+      if (filters?.category && filters.category !== 'all') params.append('category', filters.category);
+      if (filters?.account && filters.account !== 'all') params.append('account', filters.account);
+      if (filters?.tags?.length > 0) params.append('tags', filters.tags.join(','));
+      if (filters?.search?.trim()) params.append('search', filters.search.trim());
+
+      const response = await fetch(`https://typeface-assignment-sryt.onrender.com/api/transactions/export?${params.toString()}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to export transactions');
+      }
+
+      // Use the filename chosen by the server
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || `transactions.${format}`;
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      if (onError) {
+        onError(error.message || 'An error occurred while exporting transactions');
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        startIcon={exporting ? <CircularProgress size={16} /> : <FileDownloadIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={exporting}
+        {...buttonProps}
+      >
+        Export
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        {exportFormats.map((format) => (
+          <MenuItem key={format.value} onClick={() => handleExport(format.value)}>
+            <ListItemText primary={format.label} secondary={format.description} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default ExportButton;
@@ -0,0 +1,58 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  LinearProgress,
+  Typography,
+  Alert
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+
+const STAGE_LABELS = {
+  queued: 'Waiting to start...',
+  ocr: 'Reading text from the image (OCR)...',
+  parsing: 'Parsing the PDF...',
+  extracting: 'Extracting details with AI...'
+};
+
+// Stage and progress of a background extraction job, with a retry once it fails
+const JobProgress = ({ job, onRetry }) => {
+  if (!job) return null;
+
+  if (job.status === 'failed') {
+    return (
+      <Alert
+        severity="error"
+        sx={{ my: 3 }}
+        action={
+          <Button color="inherit" size="small" startIcon={<RefreshIcon />} onClick={onRetry}>
+            Retry
+          </Button>
+        }
+      >
+        Processing {job.originalName || 'the file'} failed{job.error ? `: ${job.error}` : ''}
+      </Alert>
+    );
+  }
+
+  if (job.status === 'done') return null;
+
+  return (
+    <Box my={3}>
+      <Box display="flex" justifyContent="space-between" mb={1}>
+        <Typography variant="body1">
+          {STAGE_LABELS[job.stage] || 'Processing...'}
+        </Typography>
+        <Typography variant="body2" color="textSecondary">
+          {job.progress}%
+        </Typography>
+      </Box>
+      <LinearProgress
+        variant={job.status === 'queued' ? 'indeterminate' : 'determinate'}
+        value={job.progress}
+      />
+    </Box>
+  );
+};
+
+export default JobProgress;
@@ -0,0 +1,487 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  MenuItem,
+  Paper,
+  Stack,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  CloudUpload as CloudUploadIcon,
+  CheckCircle as CheckCircleIcon,
+  Delete as DeleteIcon,
+  Save as SaveIcon
+} from '@mui/icons-material';
+import { useDropzone } from 'react-dropzone';
+import DuplicateWarning from './DuplicateWarning';
+import JobProgress from './JobProgress';
+import ReceiptThumbnail from '../receipts/ReceiptThumbnail';
+import { useCategories } from '../../hooks/useCategories';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+
+const TRANSACTIONS_URL = 'https://typeface-assignment-sryt.onrender.com/api/transactions';
+const JOBS_URL = 'https://typeface-assignment-sryt.onrender.com/api/jobs';
+
+// How often the queue is refreshed while receipts are still being read
+const POLL_INTERVAL_MS = 3000;
+
+// Same limits as the upload route
+const MAX_BATCH_FILES = 50;
+const MAX_UPLOAD_MB = 100;
+
+const isReading = (item) => item.job && (item.job.status === 'queued' || item.job.status === 'running');
+
+// The editable fields of an extracted receipt
+const toForm = (data) => ({
+  merchant: data.merchant || '',
+  description: data.description || data.merchant || '',
+  amount: data.amount ?? '',
+  // The calendar date as stored, without shifting it to the browser's time zone
+  date: data.date ? String(data.date).slice(0, 10) : '',
+  category: data.category || ''
+});
+
+const sameForm = (a, b) => Object.keys(a).every(field => String(a[field]) === String(b[field]));
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`
+});
+
+// One receipt in the queue: its progress while it is read, then the extracted
+// transaction to edit and confirm, or discard
+const ReviewItemCard = ({ item, invalidReason, onChange, onDiscard, onError }) => {
+  const { getOptions } = useCategories();
+  const { baseCurrency } = useAuth();
+  const saved = item.data ? toForm(item.data) : null;
+  const [form, setForm] = useState(saved);
+  const [busy, setBusy] = useState(false);
+
+  // Pick up the extracted data once the receipt has been read
+  const hasData = !!item.data;
+  useEffect(() => {
+    if (hasData && !form) setForm(toForm(item.data));
+  }, [hasData, form, item.data]);
+
+  const dirty = !!form && !!saved && !sameForm(form, saved);
+
+  const handleFieldChange = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const update = async (body) => {
+    setBusy(true);
+    try {
+      const response = await fetch(`${TRANSACTIONS_URL}/review/${item._id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        onChange(data);
+      } else {
+        onError(data.message || 'Failed to update receipt');
+      }
+    } catch (err) {
+      console.error('Error updating review item:', err);
+      onError('An error occurred while updating the receipt');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = () => update({
+    approved: true,
+    data: {
+      ...form,
+      amount: parseFloat(form.amount),
+      date: form.date || null
+    }
+  });
+
+  const handleRetry = async () => {
+    try {
+      const response = await fetch(`${JOBS_URL}/${item.job._id}/retry`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        onChange({ ...item, job: { ...item.job, ...data } });
+      } else {
+        onError(data.message || 'Failed to retry');
+      }
+    } catch (err) {
+      console.error('Error retrying job:', err);
+      onError('An error occurred while retrying');
+    }
+  };
+
+  const reconciliation = item.data?.reconciliation;
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, borderColor: item.approved && !dirty ? 'success.main' : undefined }}>
+      <Box display="flex" alignItems="center" gap={2} mb={form ? 2 : 0}>
+        <ReceiptThumbnail receiptId={item.receipt} />
+        <Typography variant="subtitle1" sx={{ flexGrow: 1, wordBreak: 'break-all' }}>
+          {item.originalName || 'Receipt'}
+        </Typography>
+        {item.approved && !dirty && (
+          <Chip icon={<CheckCircleIcon />} label="Approved" color="success" size="small" />
+        )}
+        <Button
+          size="small"
+          color="error"
+          startIcon={<DeleteIcon />}
+          onClick={() => onDiscard(item)}
+          disabled={busy}
+        >
+          Discard
+        </Button>
+      </Box>
+
+      {item.job && item.job.status !== 'done' && <JobProgress job={item.job} onRetry={handleRetry} />}
+
+      {!item.data && !item.job && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          What was read from this receipt is no longer available. Discard it and upload it again.
+        </Alert>
+      )}
+
+      {form && (
+        <>
+          {invalidReason && <Alert severity="error" sx={{ mb: 2 }}>Not saved: {invalidReason}</Alert>}
+          <DuplicateWarning duplicateOf={item.data.duplicateOf} sx={{ mb: 2 }} />
+          {reconciliation?.balanced === false && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              The items, tax and discounts add up to {formatMoney(reconciliation.expectedTotal, item.data.currency || baseCurrency)}, not the total read. Check the amount against the receipt.
+            </Alert>
+          )}
+
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={2}>
+            <TextField
+              size="small"
+              label="Merchant"
+              value={form.merchant}
+              onChange={handleFieldChange('merchant')}
+              sx={{ flex: 2 }}
+            />
+            <TextField
+              size="small"
+              label="Description"
+              value={form.description}
+              onChange={handleFieldChange('description')}
+              sx={{ flex: 2 }}
+            />
+            <TextField
+              size="small"
+              label={`Amount (${item.data.currency || baseCurrency})`}
+              type="number"
+              value={form.amount}
+              onChange={handleFieldChange('amount')}
+              inputProps={{ min: 0, step: '0.01' }}
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              size="small"
+              label="Date"
+              type="date"
+              value={form.date}
+              onChange={handleFieldChange('date')}
+              InputLabelProps={{ shrink: true }}
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              select
+              size="small"
+              label="Category"
+              value={form.category}
+              onChange={handleFieldChange('category')}
+              sx={{ flex: 1, minWidth: 160 }}
+            >
+              {getOptions('expense').map((option) => (
+                <MenuItem key={option._id} value={option.key} sx={{ pl: 2 + option.depth * 2 }}>
+                  {option.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+
+          <Box display="flex" justifyContent="space-between" alignItems="center" mt={2}>
+            <Typography variant="caption" color="textSecondary">
+              {(item.data.items || []).length} item{(item.data.items || []).length !== 1 ? 's' : ''}
+              {item.data.tax ? ` · tax ${formatMoney(item.data.tax, item.data.currency || baseCurrency)}` : ''}
+              {item.data.extractedBy ? ` · read by ${item.data.extractedBy}` : ''}
+            </Typography>
+            {item.approved && !dirty ? (
+              <Button size="small" onClick={() => update({ approved: false })} disabled={busy}>
+                Undo
+              </Button>
+            ) : (
+              <Button
+                size="small"
+                variant="contained"
+                color="success"
+                startIcon={<CheckCircleIcon />}
+                onClick={handleConfirm}
+                disabled={busy || !(parseFloat(form.amount) > 0) || !form.description.trim()}
+              >
+                {item.approved ? 'Confirm Changes' : 'Confirm'}
+              </Button>
+            )}
+          </Box>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+// Upload a batch of receipts (or zips of them), then go through what was read
+// from each one and save the approved receipts together
+const ReceiptReviewQueue = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [skipped, setSkipped] = useState([]);
+  const [invalidReasons, setInvalidReasons] = useState({});
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      const response = await fetch(`${TRANSACTIONS_URL}/review`, { headers: authHeaders() });
+      const data = await response.json();
+
+      if (response.ok) {
+        setItems(data);
+      } else {
+        setError(data.message || 'Failed to fetch the review queue');
+      }
+    } catch (err) {
+      console.error('Error fetching review queue:', err);
+      setError('An error occurred while fetching the review queue');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  // Follow the receipts still being read
+  const reading = items.some(isReading);
+  useEffect(() => {
+    if (!reading) return undefined;
+    const timer = setInterval(fetchQueue, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [reading, fetchQueue]);
+
+  const onDrop = useCallback(async (acceptedFiles) => {
+    if (acceptedFiles.length === 0) return;
+    if (acceptedFiles.length > MAX_BATCH_FILES) {
+      setError(`Upload at most ${MAX_BATCH_FILES} files at once, or put them in a zip`);
+      return;
+    }
+    if (acceptedFiles.reduce((sum, file) => sum + file.size, 0) > MAX_UPLOAD_MB * 1024 * 1024) {
+      setError(`Upload at most ${MAX_UPLOAD_MB}MB at once`);
+      return;
+    }
+
+    setUploading(true);
+    setError('');
+    setSuccess('');
+    setSkipped([]);
+
+    const formData = new FormData();
+    acceptedFiles.forEach(file => formData.append('receipts', file));
+    try {
+      const response = await fetch(`${TRANSACTIONS_URL}/upload-receipts`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: formData
+      });
+      const data = await response.json();
+
+      setSkipped(data.skipped || []);
+      if (response.ok) {
+        setItems(prev => [...prev, ...data.items]);
+      } else {
+        setError(data.message || 'Failed to upload receipts');
+      }
+    } catch (err) {
+      console.error('Error uploading receipts:', err);
+      setError('An error occurred while uploading the receipts');
+    } finally {
+      setUploading(false);
+    }
+  }, []);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'image/*': ['.jpeg', '.jpg', '.png'],
+      'application/pdf': ['.pdf'],
+      'application/zip': ['.zip']
+    },
+    multiple: true,
+    disabled: uploading
+  });
+
+  const handleItemChange = (updated) => {
+    setItems(prev => prev.map(item => (item._id === updated._id ? updated : item)));
+  };
+
+  const handleDiscard = async (item) => {
+    try {
+      const response = await fetch(`${TRANSACTIONS_URL}/review/${item._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setItems(prev => prev.filter(other => other._id !== item._id));
+      } else {
+        setError(data.message || 'Failed to discard receipt');
+      }
+    } catch (err) {
+      console.error('Error discarding receipt:', err);
+      setError('An error occurred while discarding the receipt');
+    }
+  };
+
+  const handleSaveApproved = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      const response = await fetch(`${TRANSACTIONS_URL}/review/save`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+
+      const reasons = {};
+      (data.invalidItems || []).forEach(invalid => {
+        reasons[invalid._id] = invalid.reason;
+      });
+      setInvalidReasons(reasons);
+
+      if (response.ok) {
+        setSuccess(`Saved ${data.savedCount} transaction${data.savedCount !== 1 ? 's' : ''}${data.invalidCount > 0 ? `; ${data.invalidCount} could not be saved` : ''}`);
+        fetchQueue();
+      } else {
+        setError(data.message || 'Failed to save approved receipts');
+      }
+    } catch (err) {
+      console.error('Error saving approved receipts:', err);
+      setError('An error occurred while saving the approved receipts');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const approvedCount = items.filter(item => item.approved).length;
+
+  return (
+    <Stack spacing={3}>
+      <Paper sx={{ p: 3, borderRadius: 2 }}>
+        <Typography variant="h6" gutterBottom>
+          Upload Receipts
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+        {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+        {skipped.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setSkipped([])}>
+            Skipped {skipped.length} file{skipped.length !== 1 ? 's' : ''}:{' '}
+            {skipped.map(file => `${file.name} (${file.reason})`).join(', ')}
+          </Alert>
+        )}
+
+        <Box
+          {...getRootProps()}
+          sx={{
+            border: '2px dashed',
+            borderColor: isDragActive ? 'primary.main' : 'grey.300',
+            borderRadius: 2,
+            p: 3,
+            textAlign: 'center',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            backgroundColor: isDragActive ? 'action.hover' : 'background.paper',
+            '&:hover': {
+              borderColor: 'primary.main',
+              backgroundColor: 'action.hover'
+            }
+          }}
+        >
+          <input {...getInputProps()} />
+          <CloudUploadIcon sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+          {uploading ? (
+            <Typography variant="body1">Uploading...</Typography>
+          ) : isDragActive ? (
+            <Typography variant="body1">Drop the files here</Typography>
+          ) : (
+            <>
+              <Typography variant="body1" gutterBottom>
+                Drag and drop receipts here, or click to select several
+              </Typography>
+              <Typography variant="body2" color="textSecondary">
+                Supported formats: JPEG, PNG, PDF (up to 5MB each), or a ZIP of them (up to 50MB);
+                at most {MAX_BATCH_FILES} receipts and {MAX_UPLOAD_MB}MB at once
+              </Typography>
+            </>
+          )}
+        </Box>
+      </Paper>
+
+      <Paper sx={{ p: 3, borderRadius: 2 }}>
+        <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+          <Typography variant="h6">
+            Review Queue{items.length > 0 ? ` (${items.length})` : ''}
+          </Typography>
+          <Button
+            variant="contained"
+            startIcon={<SaveIcon />}
+            onClick={handleSaveApproved}
+            disabled={saving || approvedCount === 0}
+          >
+            {saving ? 'Saving...' : `Save Approved (${approvedCount})`}
+          </Button>
+        </Box>
+
+        {!loading && items.length === 0 && (
+          <Typography variant="body2" color="textSecondary">
+            No receipts waiting for review. Uploaded receipts appear here once they have been read.
+          </Typography>
+        )}
+
+        <Stack spacing={2}>
+          {items.map(item => (
+            <ReviewItemCard
+              key={item._id}
+              item={item}
+              invalidReason={invalidReasons[item._id]}
+              onChange={handleItemChange}
+              onDiscard={handleDiscard}
+              onError={setError}
+            />
+          ))}
+        </Stack>
+      </Paper>
+    </Stack>
+  );
+};
+
+export default ReceiptReviewQueue;
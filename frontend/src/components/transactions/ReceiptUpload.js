@@ -1,10 +1,9 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import {
   Box,
   Button,
   Paper,
   Typography,
-  CircularProgress,
   Alert,
   List,
   ListItem,
@@ -17,7 +16,8 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
-  Chip
+  Chip,
+  Tooltip
 } from '@mui/material';
 import {
   CloudUpload as CloudUploadIcon,
@@ -30,19 +30,76 @@ import {
 import { useDropzone } from 'react-dropzone';
 import { useNavigate } from 'react-router-dom';
 import { format } from 'date-fns';
+import DuplicateWarning from './DuplicateWarning';
+import CategorySuggestions, { getCategorySource } from './CategorySuggestions';
+import SplitFields, { splitsBalance } from './SplitFields';
+import JobProgress from './JobProgress';
+import OcrSettings from '../receipts/OcrSettings';
+import { useExtractionJob } from '../../hooks/useExtractionJob';
+import { useCategories } from '../../hooks/useCategories';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+import { describeFormat, localeName } from '../../utils/locale';
+
+const UPLOAD_URL = 'https://typeface-assignment-sryt.onrender.com/api/transactions/upload-receipt';
+
+// OCR confidence (0-100) below which the photo is flagged as hard to read
+const LOW_OCR_CONFIDENCE = 70;
+
+// Extracted fields and items scored below this (0-1) are highlighted for review
+const LOW_FIELD_CONFIDENCE = 0.6;
+
+const BREAKDOWN_LABELS = { subtotal: 'Subtotal', tax: 'Tax', discount: 'Discount', tip: 'Tip' };
+
+// Numbers OCR was unsure of, which are worth checking against the photo
+const uncertainNumbers = (ocr) => [...new Set((ocr?.words || [])
+  .filter(word => word.confidence < LOW_OCR_CONFIDENCE && /\d/.test(word.text))
+  .map(word => word.text))].slice(0, 8);
+
+const needsReview = (confidence) => confidence !== null && confidence !== undefined && confidence < LOW_FIELD_CONFIDENCE;
+
+const reviewSx = (confidence) => (needsReview(confidence)
+  ? { backgroundColor: 'warning.light', color: 'warning.contrastText', borderRadius: 1, mx: -1, px: 1 }
+  : {});
+
+// One labelled value of the extraction, highlighted when it was read with low confidence
+const FieldRow = ({ label, confidence, children }) => (
+  <Tooltip title={needsReview(confidence) ? `Check this value (${Math.round(confidence * 100)}% confidence)` : ''}>
+    <Box display="flex" justifyContent="space-between" alignItems="center" sx={reviewSx(confidence)}>
+      <Typography variant="body1" fontWeight="bold">{label}:</Typography>
+      {children}
+    </Box>
+  </Tooltip>
+);
 
 const ReceiptUpload = ({ onTransactionsExtracted }) => {
   const theme = useTheme();
   const navigate = useNavigate();
-  const [loading, setLoading] = useState(false);
+  const { getLabel, getColor } = useCategories();
+  const { baseCurrency } = useAuth();
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [extractedData, setExtractedData] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [previewOpen, setPreviewOpen] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [duplicateOf, setDuplicateOf] = useState(null);
+  // The receipt is read in the background; the job reports its stage until done
+  const { job, error: jobError, running, upload, retry, reset } = useExtractionJob(UPLOAD_URL, 'receipt');
+  const handledJob = useRef(null);
 
-  const onDrop = useCallback(async (acceptedFiles) => {
+  useEffect(() => {
+    if (job?.status !== 'done' || handledJob.current === job._id) return;
+    handledJob.current = job._id;
+    setSuccess('Receipt processed successfully!');
+    setExtractedData(job.result);
+    setDuplicateOf(job.result.duplicateOf || null);
+    if (onTransactionsExtracted) {
+      onTransactionsExtracted(job.result);
+    }
+  }, [job, onTransactionsExtracted]);
+
+  const onDrop = useCallback((acceptedFiles) => {
     const file = acceptedFiles[0];
     if (!file) return;
 
@@ -57,40 +114,12 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
       setPreviewUrl(URL.createObjectURL(file));
     }
 
-    setLoading(true);
     setError('');
     setSuccess('');
     setExtractedData(null);
-
-    const formData = new FormData();
-    formData.append('receipt', file);
-
-    try {
-      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/transactions/upload-receipt', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: formData
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        setSuccess('Receipt processed successfully!');
-        setExtractedData(data);
-        if (onTransactionsExtracted) {
-          onTransactionsExtracted(data);
-        }
-      } else {
-        setError(data.message || 'Failed to process receipt');
-      }
-    } catch (err) {
-      setError('An error occurred while processing the receipt');
-    } finally {
-      setLoading(false);
-    }
-  }, [onTransactionsExtracted]);
+    setDuplicateOf(null);
+    upload(file);
+  }, [upload]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -98,11 +127,14 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
       'image/*': ['.jpeg', '.jpg', '.png'],
       'application/pdf': ['.pdf']
     },
-    multiple: false
+    multiple: false,
+    disabled: running
   });
 
   const handleClear = () => {
+    reset();
     setExtractedData(null);
+    setDuplicateOf(null);
     setPreviewUrl(null);
     setError('');
     setSuccess('');
@@ -116,17 +148,33 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
       setError('No valid transaction data to save');
       return;
     }
+    if (!splitsBalance(extractedData.splits || [], extractedData.amount)) {
+      setError('Split lines must add up to the receipt total');
+      return;
+    }
 
     setSaving(true);
     try {
       const transactionPayload = {
         type: 'expense',
         amount: parseFloat(extractedData.amount),
+        currency: extractedData.currency || baseCurrency,
         category: extractedData.category || 'Other',
         description: extractedData.description || extractedData.merchant || 'Receipt transaction',
         date: extractedData.date || new Date().toISOString(),
         merchant: extractedData.merchant,
-        items: extractedData.items || []
+        items: extractedData.items || [],
+        breakdown: {
+          subtotal: extractedData.subtotal,
+          tax: extractedData.tax,
+          discount: extractedData.discount,
+          tip: extractedData.tip
+        },
+        splits: extractedData.splits || [],
+        // The uploaded file is kept and linked to the new transaction
+        receipt: extractedData.receipt?._id,
+        // The duplicate warning has been shown, so saving again confirms it
+        allowDuplicate: !!duplicateOf
       };
 
       const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/transactions', {
@@ -148,7 +196,11 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
           window.location.reload(); // Force refresh to show new transaction at top
         }, 1500);
       } else {
-        setError(data.message || 'Failed to save transaction');
+        if (response.status === 409 && data.duplicateOf) {
+          setDuplicateOf(data.duplicateOf);
+        } else {
+          setError(data.message || 'Failed to save transaction');
+        }
       }
     } catch (err) {
       setError('An error occurred while saving the transaction');
@@ -157,21 +209,6 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
     }
   };
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      'Food': 'success',
-      'Transportation': 'info',
-      'Housing': 'warning',
-      'Utilities': 'secondary',
-      'Entertainment': 'primary',
-      'Healthcare': 'error',
-      'Shopping': 'default',
-      'Education': 'info',
-      'Other': 'default'
-    };
-    return colors[category] || 'default';
-  };
-
   return (
     <Stack spacing={3}>
       <Paper sx={{ p: 3, borderRadius: 2 }}>
@@ -179,7 +216,9 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
           Upload Receipt
         </Typography>
 
-        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <OcrSettings />
+
+        {(error || jobError) && <Alert severity="error" sx={{ mb: 2 }}>{error || jobError}</Alert>}
         {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
 
         <Box
@@ -215,16 +254,16 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
           )}
         </Box>
 
-        {loading && (
-          <Box display="flex" justifyContent="center" alignItems="center" my={3}>
-            <CircularProgress />
-            <Typography variant="body1" sx={{ ml: 2 }}>
-              Processing receipt with AI...
-            </Typography>
-          </Box>
-        )}
+        <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+          Have a stack of receipts?{' '}
+          <Button size="small" onClick={() => navigate('/review-receipts')}>
+            Upload them together
+          </Button>
+        </Typography>
 
-        {previewUrl && !loading && (
+        <JobProgress job={job} onRetry={retry} />
+
+        {previewUrl && !running && (
           <Box mt={3} textAlign="center">
             <Paper
               sx={{
@@ -258,26 +297,57 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
           </Box>
         )}
 
-        {extractedData && !loading && (
+        {extractedData && !running && (
           <Paper sx={{ p: 3, mt: 3, backgroundColor: 'success.light', color: 'success.contrastText' }}>
             <Box display="flex" alignItems="center" mb={2}>
               <CheckCircleIcon sx={{ mr: 1 }} />
               <Typography variant="h6">AI Extraction Results</Typography>
             </Box>
             
+            <DuplicateWarning duplicateOf={duplicateOf} sx={{ mb: 2 }} />
+
+            {extractedData.ocr && (extractedData.ocr.confidence < LOW_OCR_CONFIDENCE || uncertainNumbers(extractedData.ocr).length > 0) && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Some of the text was hard to read ({extractedData.ocr.confidence}% OCR confidence). Check the amounts against the photo.
+                {uncertainNumbers(extractedData.ocr).length > 0 && ` Unsure of: ${uncertainNumbers(extractedData.ocr).join(', ')}`}
+              </Alert>
+            )}
+
+            {extractedData.reconciliation?.balanced === false && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                The items and charges add up to {formatMoney(extractedData.reconciliation.expectedTotal, extractedData.currency || baseCurrency)} but
+                the total reads {formatMoney(parseFloat(extractedData.amount) || 0, extractedData.currency || baseCurrency)}. Check the highlighted values against the receipt.
+              </Alert>
+            )}
+
             <Stack spacing={2}>
-              <Box display="flex" justifyContent="space-between" alignItems="center">
-                <Typography variant="body1" fontWeight="bold">Amount:</Typography>
+              <FieldRow label="Amount" confidence={extractedData.confidence?.amount}>
                 <Typography variant="h6" color="success.main">
-                  ${extractedData.amount ? parseFloat(extractedData.amount).toFixed(2) : '0.00'}
+                  {formatMoney(parseFloat(extractedData.amount) || 0, extractedData.currency || baseCurrency)}
+                </Typography>
+              </FieldRow>
+
+              {Object.entries(BREAKDOWN_LABELS)
+                .filter(([field]) => extractedData[field] !== null && extractedData[field] !== undefined)
+                .map(([field, label]) => (
+                  <FieldRow key={field} label={label} confidence={extractedData.confidence?.[field]}>
+                    <Typography variant="body1">
+                      {field === 'discount' ? '-' : ''}{formatMoney(extractedData[field], extractedData.currency || baseCurrency)}
+                    </Typography>
+                  </FieldRow>
+                ))}
+
+              {extractedData.reconciliation?.balanced && (
+                <Typography variant="caption">
+                  Items{extractedData.tax ? ', tax' : ''}{extractedData.discount ? ' and discounts' : ''} add up to the total
+                  {extractedData.reconciliation.taxIncluded ? ' (tax is included in the prices)' : ''}
                 </Typography>
-              </Box>
+              )}
 
               {extractedData.merchant && (
-                <Box display="flex" justifyContent="space-between" alignItems="center">
-                  <Typography variant="body1" fontWeight="bold">Merchant:</Typography>
+                <FieldRow label="Merchant" confidence={extractedData.confidence?.merchant}>
                   <Typography variant="body1">{extractedData.merchant}</Typography>
-                </Box>
+                </FieldRow>
               )}
 
               {extractedData.date && (
@@ -289,17 +359,58 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
                 </Box>
               )}
 
-              {extractedData.category && (
+              {extractedData.receiptDate && (
+                <FieldRow label="Date on receipt" confidence={extractedData.confidence?.date}>
+                  <Typography variant="body1">
+                    {format(new Date(extractedData.receiptDate), 'MMM dd, yyyy')}
+                  </Typography>
+                </FieldRow>
+              )}
+
+              {/* How amounts and dates were read, so a misread 1.234,56 or 03/04 is easy to spot */}
+              {extractedData.locale && (
                 <Box display="flex" justifyContent="space-between" alignItems="center">
-                  <Typography variant="body1" fontWeight="bold">Category:</Typography>
-                  <Chip 
-                    label={extractedData.category} 
-                    color={getCategoryColor(extractedData.category)}
-                    size="small"
-                  />
+                  <Typography variant="body1" fontWeight="bold">Locale:</Typography>
+                  <Tooltip title={extractedData.locale.detected ? 'Detected from the receipt text' : 'Your locale setting'}>
+                    <Typography variant="body1">
+                      {localeName(extractedData.locale.locale)} ({describeFormat(extractedData.locale)})
+                    </Typography>
+                  </Tooltip>
                 </Box>
               )}
 
+              {extractedData.category && (
+                <Box>
+                  <Box display="flex" justifyContent="space-between" alignItems="center">
+                    <Typography variant="body1" fontWeight="bold">Category:</Typography>
+                    <Tooltip title={getCategorySource(extractedData)}>
+                      <Chip 
+                        label={getLabel(extractedData.category, 'expense')} 
+                        size="small"
+                        sx={{ backgroundColor: getColor(extractedData.category, 'expense'), color: 'common.white' }}
+                      />
+                    </Tooltip>
+                  </Box>
+                  {!extractedData.categoryRule && (
+                    <CategorySuggestions
+                      suggestions={extractedData.categorySuggestions}
+                      selected={extractedData.category}
+                      onSelect={(category) => setExtractedData(prev => ({ ...prev, category }))}
+                    />
+                  )}
+                </Box>
+              )}
+
+              {/* Items in several categories come back as a proposed split */}
+              <SplitFields
+                type="expense"
+                amount={extractedData.amount}
+                currency={extractedData.currency || baseCurrency}
+                category={extractedData.category}
+                splits={extractedData.splits || []}
+                onChange={(splits) => setExtractedData(prev => ({ ...prev, splits }))}
+              />
+
               {extractedData.description && (
                 <Box display="flex" justifyContent="space-between" alignItems="center">
                   <Typography variant="body1" fontWeight="bold">Description:</Typography>
@@ -314,8 +425,22 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
                   <Typography variant="body1" fontWeight="bold" mb={1}>Items:</Typography>
                   <List dense>
                     {extractedData.items.map((item, index) => (
-                      <ListItem key={index} sx={{ py: 0.5 }}>
-                        <ListItemText primary={item} />
+                      <ListItem key={index} sx={{ py: 0.5, ...reviewSx(item.confidence) }}>
+                        <ListItemText
+                          primary={item.description || item}
+                          secondary={[
+                            item.quantity > 1 && item.unitPrice > 0
+                              ? `${item.quantity} × ${formatMoney(item.unitPrice, extractedData.currency || baseCurrency)}`
+                              : null,
+                            item.category && getLabel(item.category, 'expense'),
+                            needsReview(item.confidence) ? 'check this line' : null
+                          ].filter(Boolean).join(' · ')}
+                        />
+                        {item.amount > 0 && (
+                          <Typography variant="body2">
+                            {formatMoney(item.amount, extractedData.currency || baseCurrency)}
+                          </Typography>
+                        )}
                       </ListItem>
                     ))}
                   </List>
@@ -331,7 +456,7 @@ const ReceiptUpload = ({ onTransactionsExtracted }) => {
                 disabled={saving || !extractedData.amount}
                 sx={{ flex: 1 }}
               >
-                {saving ? 'Saving...' : 'Save Transaction'}
+                {saving ? 'Saving...' : duplicateOf ? 'Save Anyway' : 'Save Transaction'}
               </Button>
               <Button
                 variant="outlined"
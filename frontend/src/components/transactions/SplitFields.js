@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  IconButton,
+  Typography
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  CallSplit as SplitIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+import { useCategories } from '../../hooks/useCategories';
+import { formatMoney } from '../../utils/currency';
+
+const emptyLine = () => ({ category: '', amount: '', description: '' });
+
+// Split lines for a transaction form. Each line has its own category and amount,
+// and the lines must add up to the transaction amount before it can be saved.
+const SplitFields = ({ type, amount, currency, category, splits, onChange }) => {
+  const { getOptions } = useCategories();
+  const total = parseFloat(amount) || 0;
+  const assigned = splits.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+  const remaining = Math.round((total - assigned) * 100) / 100;
+
+  const updateLine = (index, name, value) => {
+    onChange(splits.map((line, i) => (i === index ? { ...line, [name]: value } : line)));
+  };
+
+  if (splits.length === 0) {
+    return (
+      <Button
+        size="small"
+        startIcon={<SplitIcon />}
+        // Start from the chosen category for the whole amount plus an empty line
+        onClick={() => onChange([{ ...emptyLine(), category, amount: amount || '' }, emptyLine()])}
+        sx={{ mt: 1 }}
+      >
+        Split across categories
+      </Button>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="subtitle2">Split</Typography>
+        <Button size="small" onClick={() => onChange([])}>
+          Remove split
+        </Button>
+      </Box>
+      {splits.map((line, index) => (
+        <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Category"
+            value={line.category}
+            onChange={(e) => updateLine(index, 'category', e.target.value)}
+            required
+            sx={{ flex: 2 }}
+          >
+            {getOptions(type).map((option) => (
+              <MenuItem key={option._id} value={option.key} sx={{ pl: 2 + option.depth * 2 }}>
+                {option.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label="Amount"
+            type="number"
+            value={line.amount}
+            onChange={(e) => updateLine(index, 'amount', e.target.value)}
+            inputProps={{ min: "0", step: "0.01" }}
+            required
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            size="small"
+            label="Note"
+            value={line.description}
+            onChange={(e) => updateLine(index, 'description', e.target.value)}
+            sx={{ flex: 2 }}
+          />
+          <IconButton
+            size="small"
+            onClick={() => onChange(splits.filter((other, i) => i !== index))}
+            disabled={splits.length <= 2}
+          >
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1 }}>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => onChange([...splits, emptyLine()])}>
+          Add line
+        </Button>
+        <Typography variant="caption" color={remaining === 0 ? 'textSecondary' : 'error'}>
+          {remaining === 0
+            ? 'Lines add up to the total'
+            : `${formatMoney(Math.abs(remaining), currency)} ${remaining > 0 ? 'left to assign' : 'over the total'}`}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+// Lines that add up to the amount, or true when the transaction is not split
+export const splitsBalance = (splits, amount) => splits.length === 0 || Math.abs(
+  splits.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0) - (parseFloat(amount) || 0)
+) < 0.005;
+
+export default SplitFields;
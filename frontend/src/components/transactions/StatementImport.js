@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  CircularProgress,
+  Alert,
+  Stack,
+  TextField,
+  MenuItem,
+  Autocomplete,
+  Checkbox,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { useDropzone } from 'react-dropzone';
+import TransactionPreview from './TransactionPreview';
+
+const mappingFields = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description', required: true },
+  { key: 'amount', label: 'Amount (signed)' },
+  { key: 'debit', label: 'Debit / Withdrawal' },
+  { key: 'credit', label: 'Credit / Deposit' },
+  { key: 'type', label: 'Type (Dr/Cr)' },
+  { key: 'category', label: 'Category' }
+];
+
+const StatementImport = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [file, setFile] = useState(null);
+  const [bank, setBank] = useState('');
+  const [savedMappings, setSavedMappings] = useState([]);
+  const [mappingStep, setMappingStep] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [saveMapping, setSaveMapping] = useState(true);
+  const [importedTransactions, setImportedTransactions] = useState([]);
+
+  useEffect(() => {
+    fetchSavedMappings();
+  }, []);
+
+  const fetchSavedMappings = async () => {
+    try {
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/transactions/import/mappings', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSavedMappings(data);
+      }
+    } catch (err) {
+      console.error('Error fetching import mappings:', err);
+    }
+  };
+
+  const uploadStatement = async (statementFile, columnMapping = null) => {
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    setImportedTransactions([]);
+
+    const formData = new FormData();
+    formData.append('statement', statementFile);
+    if (bank.trim()) formData.append('bank', bank.trim());
+    if (columnMapping) {
+      formData.append('mapping', JSON.stringify(columnMapping));
+      formData.append('saveMapping', saveMapping && bank.trim() ? 'true' : 'false');
+    }
+
+    try {
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/transactions/import', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: formData
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to import statement');
+      } else if (data.needsMapping) {
+        // CSV without a saved mapping: ask which columns hold which fields
+        setMappingStep(data);
+        setMapping(data.suggestedMapping);
+      } else {
+        setMappingStep(null);
+        setImportedTransactions(data.transactions);
+        const skipped = data.invalidTransactions.length > 0
+          ? ` (${data.invalidTransactions.length} invalid rows skipped)`
+          : '';
+        setSuccess(`Successfully imported ${data.transactions.length} transactions from ${data.format.toUpperCase()}${skipped}!`);
+        if (columnMapping && saveMapping && bank.trim()) {
+          fetchSavedMappings();
+        }
+      }
+    } catch (err) {
+      setError('An error occurred while importing the statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onDrop = (acceptedFiles) => {
+    const statementFile = acceptedFiles[0];
+    if (!statementFile) return;
+
+    setFile(statementFile);
+    setMappingStep(null);
+    uploadStatement(statementFile);
+  };
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'text/csv': ['.csv'],
+      'application/x-ofx': ['.ofx', '.qfx']
+    },
+    multiple: false
+  });
+
+  const handleMappingChange = (field) => (event) => {
+    setMapping({
+      ...mapping,
+      [field]: event.target.value || null
+    });
+  };
+
+  const mappingComplete = mapping.date && mapping.description && (mapping.amount || mapping.debit || mapping.credit);
+
+  const handleClear = () => {
+    setFile(null);
+    setMappingStep(null);
+    setImportedTransactions([]);
+    setError('');
+    setSuccess('');
+  };
+
+  return (
+    <Stack spacing={3}>
+      <Paper sx={{ p: 3, borderRadius: 2 }}>
+        <Typography variant="h6" gutterBottom>
+          Import Bank Statement
+        </Typography>
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 3 }}>
+          Import a CSV, OFX or QFX export from your bank. Files are parsed directly, without AI.
+          Choose a saved bank to reuse its column mapping.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+
+        <Autocomplete
+          freeSolo
+          options={savedMappings.map(saved => saved.bank)}
+          value={bank}
+          onInputChange={(event, value) => setBank(value)}
+          renderInput={(params) => (
+            <TextField {...params} label="Bank (optional)" placeholder="e.g. HDFC Savings" sx={{ mb: 3 }} />
+          )}
+        />
+
+        <Box
+          {...getRootProps()}
+          sx={{
+            border: '2px dashed',
+            borderColor: isDragActive ? 'primary.main' : 'grey.300',
+            borderRadius: 2,
+            p: 3,
+            textAlign: 'center',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            backgroundColor: isDragActive ? 'action.hover' : 'background.paper',
+            '&:hover': {
+              borderColor: 'primary.main',
+              backgroundColor: 'action.hover'
+            }
+          }}
+        >
+          <input {...getInputProps()} />
+          <UploadFileIcon sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+          {isDragActive ? (
+            <Typography variant="body1">Drop the statement here</Typography>
+          ) : (
+            <>
+              <Typography variant="body1" gutterBottom>
+                Drag and drop a statement here, or click to select
+              </Typography>
+              <Typography variant="body2" color="textSecondary">
+                Supported formats: CSV, OFX, QFX
+              </Typography>
+            </>
+          )}
+        </Box>
+
+        {loading && (
+          <Box display="flex" justifyContent="center" alignItems="center" my={3}>
+            <CircularProgress />
+            <Typography variant="body1" sx={{ ml: 2 }}>
+              Reading statement...
+            </Typography>
+          </Box>
+        )}
+
+        {mappingStep && !loading && (
+          <Paper sx={{ p: 3, mt: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Map Columns
+            </Typography>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 3 }}>
+              Tell us which columns of {file?.name} hold each field. Use either a signed amount column or debit/credit columns.
+            </Typography>
+
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2 }}>
+              {mappingFields.map(({ key, label, required }) => (
+                <TextField
+                  key={key}
+                  select
+                  label={label}
+                  required={required}
+                  value={mapping[key] || ''}
+                  onChange={handleMappingChange(key)}
+                  size="small"
+                >
+                  <MenuItem value="">None</MenuItem>
+                  {mappingStep.headers.map((header) => (
+                    <MenuItem key={header} value={header}>{header}</MenuItem>
+                  ))}
+                </TextField>
+              ))}
+              <TextField
+                select
+                label="Date Format"
+                value={mapping.dateFormat || 'YYYY-MM-DD'}
+                onChange={handleMappingChange('dateFormat')}
+                size="small"
+              >
+                {mappingStep.dateFormats.map((dateFormat) => (
+                  <MenuItem key={dateFormat} value={dateFormat}>{dateFormat}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                label="Decimal Separator"
+                value={mapping.decimalSeparator || ''}
+                onChange={handleMappingChange('decimalSeparator')}
+                size="small"
+              >
+                <MenuItem value="">Detect from the amounts</MenuItem>
+                <MenuItem value=".">Point (1,234.56)</MenuItem>
+                <MenuItem value=",">Comma (1.234,56)</MenuItem>
+              </TextField>
+            </Box>
+
+            <TableContainer sx={{ mt: 3 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    {mappingStep.headers.map((header) => (
+                      <TableCell key={header} sx={{ fontWeight: 600 }}>{header}</TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {mappingStep.sampleRows.map((row, rowIndex) => (
+                    <TableRow key={rowIndex}>
+                      {row.map((cell, cellIndex) => (
+                        <TableCell key={cellIndex}>{cell}</TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <FormControlLabel
+              sx={{ mt: 2 }}
+              control={
+                <Checkbox
+                  checked={saveMapping}
+                  onChange={(e) => setSaveMapping(e.target.checked)}
+                  disabled={!bank.trim()}
+                />
+              }
+              label={bank.trim() ? `Remember this mapping for ${bank.trim()}` : 'Enter a bank name to remember this mapping'}
+            />
+
+            <Box display="flex" gap={2} mt={2}>
+              <Button
+                variant="contained"
+                onClick={() => uploadStatement(file, mapping)}
+                disabled={!mappingComplete}
+                sx={{ flex: 1 }}
+              >
+                Preview Transactions
+              </Button>
+              <Button variant="outlined" onClick={handleClear}>
+                Cancel
+              </Button>
+            </Box>
+          </Paper>
+        )}
+
+        {importedTransactions.length > 0 && !loading && (
+          <TransactionPreview
+            transactions={importedTransactions}
+            title="Imported Transactions"
+            onError={setError}
+            onSuccess={setSuccess}
+            onClear={handleClear}
+          />
+        )}
+      </Paper>
+    </Stack>
+  );
+};
+
+export default StatementImport;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+
+const STATUS_CHIPS = {
+  ok: { label: 'Read', color: 'success' },
+  empty: { label: 'No text', color: 'default' },
+  partial: { label: 'Partly read', color: 'warning' },
+  failed: { label: 'Failed', color: 'error' }
+};
+
+// Whether a statement's transactions add up to its printed balances, and what
+// was read from each page
+const StatementReport = ({ balances, pages = [], currency }) => {
+  const { baseCurrency } = useAuth();
+  const [showPages, setShowPages] = useState(false);
+  const money = (amount) => formatMoney(amount, currency || baseCurrency);
+  const problemPages = pages.filter(page => page.status !== 'ok' || page.transactions === 0);
+
+  return (
+    <Box mt={3}>
+      {balances?.balanced === true && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          The transactions add up: opening balance {money(balances.openingBalance)}, {money(balances.credits)} in and{' '}
+          {money(balances.debits)} out {balances.creditCard ? '(as a card statement) ' : ''}gives the closing balance of{' '}
+          {money(balances.closingBalance)}.
+        </Alert>
+      )}
+      {balances?.balanced === false && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          The transactions do not add up to the statement's balances: from an opening balance of{' '}
+          {money(balances.openingBalance)} they give {money(balances.expectedClosing)}, but the closing balance is{' '}
+          {money(balances.closingBalance)} (off by {money(balances.difference)}). Some transactions may be missing or misread; check the pages below.
+        </Alert>
+      )}
+      {balances && balances.balanced === null && (
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
+          No opening and closing balance was found on the statement, so the totals could not be checked.
+        </Typography>
+      )}
+
+      {pages.length > 0 && (
+        <>
+          <Box display="flex" alignItems="center" gap={1}>
+            <Typography variant="body2">
+              Read {pages.length} page{pages.length !== 1 ? 's' : ''}
+              {problemPages.length > 0 ? `; ${problemPages.length} with no transactions or not read` : ''}
+            </Typography>
+            <Button size="small" onClick={() => setShowPages(!showPages)}>
+              {showPages ? 'Hide pages' : 'Show pages'}
+            </Button>
+          </Box>
+
+          {showPages && (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Page</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Transactions</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {pages.map(page => (
+                    <TableRow key={page.page}>
+                      <TableCell>{page.page}</TableCell>
+                      <TableCell>
+                        <Chip size="small" {...(STATUS_CHIPS[page.status] || STATUS_CHIPS.ok)} />
+                      </TableCell>
+                      <TableCell align="right">{page.transactions}</TableCell>
+                      <TableCell>
+                        <Typography variant="caption" color="textSecondary">
+                          {page.status === 'empty' && 'No text layer; scanned pages are not read'}
+                          {page.status === 'failed' && (page.error || 'Could not be read')}
+                          {page.status === 'partial' && `Part of this page could not be read${page.error ? `: ${page.error}` : ''}`}
+                          {page.status === 'ok' && `${page.characters} characters`}
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default StatementReport;
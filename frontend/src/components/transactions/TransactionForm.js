@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Box,
   Button,
@@ -14,75 +14,118 @@ import {
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
-
-const incomeCategories = [
-  'Salary',
-  'Freelance',
-  'Gift',
-  'Investment',
-  'Business',
-  'Bonus',
-  'Commission',
-  'Other'
-];
-
-const expenseCategories = [
-  'Food',
-  'Transportation',
-  'Housing',
-  'Utilities',
-  'Entertainment',
-  'Healthcare',
-  'Shopping',
-  'Education',
-  'Other'
-];
+import DuplicateWarning from './DuplicateWarning';
+import CategorySuggestions from './CategorySuggestions';
+import SplitFields, { splitsBalance } from './SplitFields';
+import AccountFields from '../accounts/AccountFields';
+import TagsField from '../tags/TagsField';
+import { useTags } from '../../hooks/useTags';
+import CurrencySelect from '../currencies/CurrencySelect';
+import { useAuth } from '../../contexts/AuthContext';
+import { useCategories } from '../../hooks/useCategories';
+import { useAccounts } from '../../hooks/useAccounts';
 
 const TransactionForm = ({ onTransactionAdded }) => {
+  const { getOptions } = useCategories();
+  const { accounts } = useAccounts();
+  const { tagNames } = useTags();
+  const { baseCurrency } = useAuth();
   const [formData, setFormData] = useState({
     type: 'expense',
     amount: '',
+    currency: baseCurrency,
     category: '',
+    splits: [],
+    account: '',
+    toAccount: '',
     description: '',
+    tags: [],
+    notes: '',
     date: new Date()
   });
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [duplicateOf, setDuplicateOf] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+
+  // Ask the learned categorizer once the user pauses typing
+  useEffect(() => {
+    if (formData.type === 'transfer' || formData.description.trim().length < 3) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/transactions/suggest-category', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          },
+          body: JSON.stringify({
+            description: formData.description,
+            amount: formData.amount,
+            type: formData.type
+          })
+        });
+        const data = await response.json();
+        if (response.ok) setSuggestions(data.suggestions);
+      } catch (error) {
+        console.error('Error fetching category suggestions:', error);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [formData.description, formData.amount, formData.type]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
+    setDuplicateOf(null);
     setFormData({
       ...formData,
       [name]: value
     });
     
+    // Amounts on an account are usually in its currency
+    if (name === 'account') {
+      const account = accounts.find(other => other._id === value);
+      setFormData(prev => ({
+        ...prev,
+        account: value,
+        currency: account ? account.currency : prev.currency
+      }));
+    }
+
     // Reset category when type changes
     if (name === 'type') {
       setFormData(prev => ({
         ...prev,
         [name]: value,
-        category: '' // Reset category when type changes
+        category: '', // Reset category when type changes
+        splits: []
       }));
     }
   };
 
   const handleDateChange = (date) => {
+    setDuplicateOf(null);
     setFormData({
       ...formData,
       date
     });
   };
 
-  // Get the appropriate categories based on transaction type
-  const getCategories = () => {
-    return formData.type === 'income' ? incomeCategories : expenseCategories;
-  };
-
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
 
+    if (!splitsBalance(formData.splits, formData.amount)) {
+      setError('Split lines must add up to the transaction amount');
+      return;
+    }
+
     try {
       const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/transactions', {
         method: 'POST',
@@ -90,23 +133,34 @@ const TransactionForm = ({ onTransactionAdded }) => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
-        body: JSON.stringify(formData),
+        // Submitting again after the duplicate warning confirms the entry
+        body: JSON.stringify({ ...formData, allowDuplicate: !!duplicateOf }),
       });
 
       const data = await response.json();
 
       if (response.ok) {
         setSuccess('Transaction added successfully!');
-        setFormData({
+        setDuplicateOf(null);
+        // Keep the account so several entries for it can be added in a row
+        setFormData(prev => ({
           type: 'expense',
           amount: '',
+          currency: prev.currency,
           category: '',
+          splits: [],
+          account: prev.account,
+          toAccount: '',
           description: '',
+          tags: [],
+          notes: '',
           date: new Date()
-        });
+        }));
         if (onTransactionAdded) {
           onTransactionAdded(data);
         }
+      } else if (response.status === 409 && data.duplicateOf) {
+        setDuplicateOf(data.duplicateOf);
       } else {
         setError(data.message || 'Failed to add transaction');
       }
@@ -123,6 +177,7 @@ const TransactionForm = ({ onTransactionAdded }) => {
       
       {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
       {success && <Alert severity="success" sx={{ mb: 2 }}>{success}</Alert>}
+      <DuplicateWarning duplicateOf={duplicateOf} sx={{ mb: 2 }} />
 
       <Box component="form" onSubmit={handleSubmit}>
         <FormControl fullWidth margin="normal">
@@ -135,36 +190,73 @@ const TransactionForm = ({ onTransactionAdded }) => {
           >
             <MenuItem value="income">Income</MenuItem>
             <MenuItem value="expense">Expense</MenuItem>
+            <MenuItem value="transfer">Transfer</MenuItem>
           </Select>
         </FormControl>
 
-        <TextField
-          margin="normal"
-          required
-          fullWidth
-          label="Amount"
-          name="amount"
-          type="number"
-          value={formData.amount}
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <TextField
+            margin="normal"
+            required
+            fullWidth
+            label="Amount"
+            name="amount"
+            type="number"
+            value={formData.amount}
+            onChange={handleChange}
+            inputProps={{ min: "0", step: "0.01" }}
+          />
+          <CurrencySelect
+            margin="normal"
+            value={formData.currency}
+            onChange={handleChange}
+            sx={{ minWidth: 110 }}
+          />
+        </Box>
+
+        <AccountFields
+          accounts={accounts}
+          type={formData.type}
+          account={formData.account}
+          toAccount={formData.toAccount}
           onChange={handleChange}
-          inputProps={{ min: "0", step: "0.01" }}
         />
 
-        <FormControl fullWidth margin="normal">
-          <InputLabel>Category</InputLabel>
-          <Select
-            name="category"
-            value={formData.category}
-            onChange={handleChange}
-            required
-          >
-            {getCategories().map((category) => (
-              <MenuItem key={category} value={category.toLowerCase()}>
-                {category}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+        {/* A split transaction takes its category from the lines */}
+        {formData.type !== 'transfer' && formData.splits.length === 0 && (
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Category</InputLabel>
+            <Select
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+              required
+            >
+              {getOptions(formData.type).map((category) => (
+                <MenuItem key={category._id} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                  {category.name}
+                </MenuItem>
+              ))}
+            </Select>
+            <CategorySuggestions
+              suggestions={suggestions}
+              type={formData.type}
+              selected={formData.category}
+              onSelect={(category) => setFormData(prev => ({ ...prev, category }))}
+            />
+          </FormControl>
+        )}
+
+        {formData.type !== 'transfer' && (
+          <SplitFields
+            type={formData.type}
+            amount={formData.amount}
+            currency={formData.currency}
+            category={formData.category}
+            splits={formData.splits}
+            onChange={(splits) => setFormData(prev => ({ ...prev, splits }))}
+          />
+        )}
 
         <TextField
           margin="normal"
@@ -176,6 +268,24 @@ const TransactionForm = ({ onTransactionAdded }) => {
           onChange={handleChange}
         />
 
+        <TagsField
+          value={formData.tags}
+          options={tagNames}
+          onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+          margin="normal"
+        />
+
+        <TextField
+          margin="normal"
+          fullWidth
+          multiline
+          minRows={2}
+          label="Notes"
+          name="notes"
+          value={formData.notes}
+          onChange={handleChange}
+        />
+
         <LocalizationProvider dateAdapter={AdapterDateFns}>
           <DatePicker
             label="Date"
@@ -193,7 +303,7 @@ const TransactionForm = ({ onTransactionAdded }) => {
           variant="contained"
           sx={{ mt: 3 }}
         >
-          Add Transaction
+          {duplicateOf ? 'Add Anyway' : 'Add Transaction'}
         </Button>
       </Box>
     </Paper>
@@ -18,7 +18,9 @@ import {
   Dialog,
   DialogTitle,
   DialogContent,
-  DialogActions
+  DialogActions,
+  Checkbox,
+  Alert
 } from '@mui/material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -27,25 +29,26 @@ import {
   Delete as DeleteIcon,
   Edit as EditIcon,
   FilterList as FilterIcon,
-  Search as SearchIcon
+  Search as SearchIcon,
+  LocalOffer as TagIcon
 } from '@mui/icons-material';
 import { format } from 'date-fns';
 import { useTheme } from '../../contexts/ThemeContext';
+import ExportButton from './ExportButton';
+import TagsField from '../tags/TagsField';
+import ReceiptThumbnail from '../receipts/ReceiptThumbnail';
+import { useCategories } from '../../hooks/useCategories';
+import { useAccounts } from '../../hooks/useAccounts';
+import { useTags } from '../../hooks/useTags';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
 
-const categories = [
-  'Food',
-  'Transportation',
-  'Housing',
-  'Utilities',
-  'Entertainment',
-  'Healthcare',
-  'Shopping',
-  'Education',
-  'Other'
-];
-
-const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterChange }) => {
+const TransactionList = ({ onEdit, onDelete, onAssignTags, refreshTrigger, filters, onFilterChange }) => {
   const { theme } = useTheme();
+  const { getOptions, getLabel, getColor } = useCategories();
+  const { accounts, getName } = useAccounts();
+  const { tagNames, refresh: refreshTags } = useTags();
+  const { baseCurrency } = useAuth();
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(() => {
     const saved = localStorage.getItem('transactionListRowsPerPage');
@@ -57,10 +60,18 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
     endDate: null,
     type: 'all',
     category: 'all',
+    account: 'all',
+    tags: [],
     search: ''
   });
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [selectedTransaction, setSelectedTransaction] = useState(null);
+  // Transactions checked for bulk tagging
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [tagDialogOpen, setTagDialogOpen] = useState(false);
+  const [tagChanges, setTagChanges] = useState({ add: [], remove: [] });
+  const [tagError, setTagError] = useState('');
+  const [tagging, setTagging] = useState(false);
 
   // Sync local filters with parent filters
   useEffect(() => {
@@ -69,9 +80,11 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
     }
   }, [filters]);
 
-  // Reset page to 0 when data changes
+  // Reset page to 0 when data changes, and drop selected rows that are gone
   useEffect(() => {
     setPage(0);
+    const visibleIds = new Set((refreshTrigger || []).map(transaction => transaction._id));
+    setSelectedIds(prev => prev.filter(id => visibleIds.has(id)));
   }, [refreshTrigger]);
 
   // Ensure page doesn't exceed available data
@@ -122,6 +135,8 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
       endDate: null,
       type: 'all',
       category: 'all',
+      account: 'all',
+      tags: [],
       search: ''
     };
     setLocalFilters(clearedFilters);
@@ -144,10 +159,52 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
     setSelectedTransaction(null);
   };
 
+  const toggleSelected = (transactionId) => {
+    setSelectedIds(prev => (prev.includes(transactionId)
+      ? prev.filter(id => id !== transactionId)
+      : [...prev, transactionId]));
+  };
+
+  // The header checkbox selects every transaction matching the filters, not just this page
+  const allSelected = Array.isArray(refreshTrigger) && refreshTrigger.length > 0 &&
+    selectedIds.length === refreshTrigger.length;
+  const toggleAllSelected = () => {
+    setSelectedIds(allSelected ? [] : refreshTrigger.map(transaction => transaction._id));
+  };
+
+  const openTagDialog = () => {
+    setTagChanges({ add: [], remove: [] });
+    setTagError('');
+    setTagDialogOpen(true);
+  };
+
+  const handleAssignTags = async () => {
+    setTagging(true);
+    setTagError('');
+    const error = await onAssignTags(selectedIds, tagChanges.add, tagChanges.remove);
+    setTagging(false);
+    if (error) {
+      setTagError(error);
+      return;
+    }
+    setTagDialogOpen(false);
+    setSelectedIds([]);
+    refreshTags();
+  };
+
   const getStatusColor = (type) => {
+    if (type === 'transfer') return 'info';
     return type === 'income' ? 'success' : 'error';
   };
 
+  // "Checking" for a regular transaction, "Checking → Savings" for a transfer
+  const getAccountLabel = (transaction) => {
+    if (transaction.type === 'transfer') {
+      return `${getName(transaction.account)} → ${getName(transaction.toAccount)}`;
+    }
+    return transaction.account ? getName(transaction.account) : '';
+  };
+
   const FilterDialog = () => (
     <Dialog open={filterOpen} onClose={() => setFilterOpen(false)} maxWidth="xs" fullWidth>
       <DialogTitle sx={{ pb: 1 }}>Filter Transactions</DialogTitle>
@@ -178,8 +235,26 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
             <MenuItem value="all">All</MenuItem>
             <MenuItem value="income">Income</MenuItem>
             <MenuItem value="expense">Expense</MenuItem>
+            <MenuItem value="transfer">Transfer</MenuItem>
           </TextField>
 
+          {accounts.length > 0 && (
+            <TextField
+              select
+              label="Account"
+              value={localFilters.account || 'all'}
+              onChange={handleFilterChange('account')}
+              fullWidth
+            >
+              <MenuItem value="all">All Accounts</MenuItem>
+              {accounts.map((account) => (
+                <MenuItem key={account._id} value={account._id}>
+                  {account.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
           <TextField
             select
             label="Category"
@@ -188,13 +263,22 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
             fullWidth
           >
             <MenuItem value="all">All Categories</MenuItem>
-            {categories.map((category) => (
-              <MenuItem key={category} value={category.toLowerCase()}>
-                {category}
+            {getOptions(localFilters.type === 'all' ? undefined : localFilters.type).map((category) => (
+              <MenuItem key={category._id} value={category.key} sx={{ pl: 2 + category.depth * 2 }}>
+                {category.name}
               </MenuItem>
             ))}
           </TextField>
 
+          <TagsField
+            label="Tags"
+            placeholder="Any tag"
+            allowNew={false}
+            options={tagNames}
+            value={localFilters.tags}
+            onChange={(tags) => setLocalFilters(prev => ({ ...prev, tags }))}
+          />
+
           <TextField
             label="Search"
             value={localFilters.search}
@@ -224,20 +308,49 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
     <>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
         <Typography variant="h6" sx={{ fontWeight: 600 }}>Transaction History</Typography>
-        <Button
-          startIcon={<FilterIcon />}
-          onClick={() => setFilterOpen(true)}
-          variant="outlined"
-          size="small"
-        >
-          Filter
-        </Button>
+        <Stack direction="row" spacing={1}>
+          <ExportButton filters={filters || localFilters} variant="outlined" size="small" />
+          <Button
+            startIcon={<FilterIcon />}
+            onClick={() => setFilterOpen(true)}
+            variant="outlined"
+            size="small"
+          >
+            Filter
+          </Button>
+        </Stack>
       </Box>
       
+      {onAssignTags && selectedIds.length > 0 && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Typography variant="body2" sx={{ fontWeight: 600 }}>
+            {selectedIds.length} selected
+          </Typography>
+          <Button size="small" variant="contained" startIcon={<TagIcon />} onClick={openTagDialog}>
+            Tag
+          </Button>
+          <Button size="small" onClick={() => setSelectedIds([])}>
+            Clear selection
+          </Button>
+        </Box>
+      )}
+
       <TableContainer sx={{ maxHeight: 500 }}>
         <Table stickyHeader>
           <TableHead>
             <TableRow>
+              {onAssignTags && (
+                <TableCell padding="checkbox" sx={{
+                  backgroundColor: theme.palette.mode === 'dark' ? theme.palette.grey[800] : '#fafafa'
+                }}>
+                  <Checkbox
+                    size="small"
+                    checked={allSelected}
+                    indeterminate={selectedIds.length > 0 && !allSelected}
+                    onChange={toggleAllSelected}
+                  />
+                </TableCell>
+              )}
               <TableCell sx={{ 
                 fontWeight: 600, 
                 backgroundColor: theme.palette.mode === 'dark' ? theme.palette.grey[800] : '#fafafa' 
@@ -281,22 +394,63 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
               refreshTrigger
                 .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
                 .map((transaction) => (
-                <TableRow hover key={transaction._id}>
+                <TableRow hover key={transaction._id} selected={selectedIds.includes(transaction._id)}>
+                  {onAssignTags && (
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        size="small"
+                        checked={selectedIds.includes(transaction._id)}
+                        onChange={() => toggleSelected(transaction._id)}
+                      />
+                    </TableCell>
+                  )}
                   <TableCell>
                     {format(new Date(transaction.date), 'MMM dd, yyyy')}
                   </TableCell>
-                  <TableCell sx={{ fontWeight: 500 }}>{transaction.description}</TableCell>
+                  <TableCell sx={{ fontWeight: 500 }}>
+                    <Box sx={{ display: 'flex', gap: 1.5, alignItems: 'flex-start' }}>
+                      {transaction.receipt && (
+                        <ReceiptThumbnail receiptId={transaction.receipt} onClick={() => onEdit(transaction)} />
+                      )}
+                      <Box>
+                        {getAccountLabel(transaction) && (
+                          <Typography variant="caption" color="textSecondary" display="block">
+                            {getAccountLabel(transaction)}
+                          </Typography>
+                        )}
+                        {transaction.notes && (
+                          <Typography variant="caption" color="textSecondary" display="block" noWrap sx={{ maxWidth: 280 }}>
+                            {transaction.notes}
+                          </Typography>
+                        )}
+                        {transaction.tags?.length > 0 && (
+                          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+                            {transaction.tags.map((tag) => (
+                              <Chip key={tag} label={tag} size="small" variant="outlined" icon={<TagIcon />} />
+                            ))}
+                          </Box>
+                        )}
+                      </Box>
+                    </Box>
+                  </TableCell>
                   <TableCell>
-                    <Chip 
-                      label={transaction.category} 
-                      size="small"
-                      sx={{ 
-                        textTransform: 'capitalize',
-                        fontWeight: 500,
-                        backgroundColor: theme.palette.primary.light,
-                        color: theme.palette.primary.contrastText
-                      }}
-                    />
+                    {/* Split transactions show one chip per line */}
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {(transaction.splits?.length > 0 ? transaction.splits : [transaction]).map((line, index) => (
+                        <Chip
+                          key={index}
+                          label={transaction.splits?.length > 0
+                            ? `${getLabel(line.category, transaction.type)} ${formatMoney(line.amount, transaction.currency || baseCurrency)}`
+                            : getLabel(line.category, transaction.type)}
+                          size="small"
+                          sx={{
+                            fontWeight: 500,
+                            backgroundColor: getColor(line.category, transaction.type),
+                            color: theme.palette.common.white
+                          }}
+                        />
+                      ))}
+                    </Box>
                   </TableCell>
                   <TableCell>
                     <Chip
@@ -313,13 +467,23 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
                     <Box
                       component="span"
                       sx={{
-                        color: transaction.type === 'income' ? 'success.main' : 'error.main',
+                        color: transaction.type === 'transfer'
+                          ? 'text.primary'
+                          : transaction.type === 'income' ? 'success.main' : 'error.main',
                         fontWeight: 700,
                         fontSize: '1rem'
                       }}
                     >
-                      ${transaction.amount.toFixed(2)}
+                      {formatMoney(transaction.amount, transaction.currency || baseCurrency)}
                     </Box>
+                    {/* Keep the original amount visible alongside the converted one */}
+                    {transaction.currency && transaction.currency !== baseCurrency && (
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        {transaction.baseAmount !== null
+                          ? `≈ ${formatMoney(transaction.baseAmount, baseCurrency)}`
+                          : 'No exchange rate'}
+                      </Typography>
+                    )}
                   </TableCell>
                   <TableCell align="center">
                     <IconButton
@@ -354,7 +518,7 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
               ))
             ) : (
               <TableRow>
-                <TableCell colSpan={6} align="center" sx={{ py: 4 }}>
+                <TableCell colSpan={onAssignTags ? 7 : 6} align="center" sx={{ py: 4 }}>
                   <Typography variant="body1" color="textSecondary">
                     {Array.isArray(refreshTrigger) && refreshTrigger.length > 0 
                       ? 'No transactions on this page.' 
@@ -387,6 +551,41 @@ const TransactionList = ({ onEdit, onDelete, refreshTrigger, filters, onFilterCh
 
       <FilterDialog />
 
+      <Dialog open={tagDialogOpen} onClose={() => setTagDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ pb: 1 }}>
+          Tag {selectedIds.length} transaction{selectedIds.length !== 1 ? 's' : ''}
+        </DialogTitle>
+        <DialogContent>
+          <Stack spacing={3} sx={{ mt: 1 }}>
+            {tagError && <Alert severity="error">{tagError}</Alert>}
+            <TagsField
+              label="Add tags"
+              options={tagNames}
+              value={tagChanges.add}
+              onChange={(add) => setTagChanges(prev => ({ ...prev, add }))}
+            />
+            <TagsField
+              label="Remove tags"
+              placeholder="Tag to remove"
+              allowNew={false}
+              options={tagNames}
+              value={tagChanges.remove}
+              onChange={(remove) => setTagChanges(prev => ({ ...prev, remove }))}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setTagDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleAssignTags}
+            disabled={tagging || (tagChanges.add.length === 0 && tagChanges.remove.length === 0)}
+          >
+            Apply
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <Dialog
         open={deleteDialogOpen}
         onClose={() => setDeleteDialogOpen(false)}
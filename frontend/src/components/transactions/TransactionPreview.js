@@ -0,0 +1,289 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Paper,
+  Typography,
+  Chip,
+  Link,
+  TextField,
+  MenuItem,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import {
+  CheckCircle as CheckCircleIcon,
+  ContentCopy as DuplicateIcon,
+  Save as SaveIcon
+} from '@mui/icons-material';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
+import { format } from 'date-fns';
+import { useCategories } from '../../hooks/useCategories';
+import { useAccounts } from '../../hooks/useAccounts';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatMoney } from '../../utils/currency';
+import { getCategorySource } from './CategorySuggestions';
+
+const getTransactionId = (transaction, index) => transaction._id || transaction.tempId || `temp-${index}`;
+
+const getTypeColor = (type) => {
+  return type === 'income' ? 'success' : 'error';
+};
+
+// Preview of extracted/imported transactions with selection and bulk save
+const TransactionPreview = ({ transactions, title = 'Extracted Transactions', onError, onSuccess, onClear }) => {
+  const navigate = useNavigate();
+  const { getLabel, getColor } = useCategories();
+  const { activeAccounts } = useAccounts();
+  const { baseCurrency } = useAuth();
+  const [selectedTransactions, setSelectedTransactions] = useState([]);
+  const [account, setAccount] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Select everything except likely duplicates by default
+  useEffect(() => {
+    setSelectedTransactions(transactions
+      .map((t, index) => (t.duplicateOf ? null : getTransactionId(t, index)))
+      .filter(Boolean));
+  }, [transactions]);
+
+  const duplicateCount = transactions.filter(t => t.duplicateOf).length;
+
+  const allSelected = transactions.length > 0 &&
+    transactions.map(getTransactionId).every(id => selectedTransactions.includes(id));
+
+  const handleSaveTransactions = async () => {
+    if (selectedTransactions.length === 0) {
+      onError('Please select at least one transaction to save');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // Flagged rows the user still selected are saved on purpose
+      const transactionsToSave = transactions
+        .filter((t, index) => selectedTransactions.includes(getTransactionId(t, index)))
+        .map(t => (t.duplicateOf ? { ...t, allowDuplicate: true } : t));
+
+      const response = await fetch('https://typeface-assignment-sryt.onrender.com/api/transactions/bulk-create', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ transactions: transactionsToSave, account: account || null })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        const skipped = [
+          data.invalidCount > 0 && `${data.invalidCount} invalid`,
+          data.duplicateCount > 0 && `${data.duplicateCount} duplicate`
+        ].filter(Boolean).join(', ');
+        const message = skipped
+          ? `Successfully saved ${data.savedCount} transactions! (${skipped} transactions skipped)`
+          : `Successfully saved ${data.savedCount} transactions!`;
+
+        onSuccess(message);
+        setTimeout(() => {
+          navigate('/dashboard', { replace: true });
+          window.location.reload();
+        }, 1500);
+      } else {
+        if (data.invalidTransactions && data.invalidTransactions.length > 0) {
+          const invalidDetails = data.invalidTransactions.map(inv =>
+            `Transaction ${inv.index + 1}: ${inv.reason}`
+          ).join(', ');
+          onError(`Failed to save transactions: ${data.message}. Invalid transactions: ${invalidDetails}`);
+        } else {
+          onError(data.message || 'Failed to save transactions');
+        }
+      }
+    } catch (err) {
+      onError('An error occurred while saving the transactions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSelectAll = () => {
+    // If all are selected, deselect all; otherwise select all
+    setSelectedTransactions(allSelected ? [] : transactions.map(getTransactionId));
+  };
+
+  const handleSelectTransaction = (transactionId) => {
+    setSelectedTransactions(prev =>
+      prev.includes(transactionId)
+        ? prev.filter(id => id !== transactionId)
+        : [...prev, transactionId]
+    );
+  };
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Box display="flex" alignItems="center">
+          <CheckCircleIcon sx={{ color: 'success.main', mr: 1 }} />
+          <Typography variant="h6">{title}</Typography>
+          {duplicateCount > 0 && (
+            <Chip
+              icon={<DuplicateIcon />}
+              label={`${duplicateCount} possible duplicate${duplicateCount !== 1 ? 's' : ''} not selected`}
+              color="warning"
+              size="small"
+              sx={{ ml: 2 }}
+            />
+          )}
+        </Box>
+        <Box display="flex" alignItems="center" gap={2}>
+          {activeAccounts.length > 0 && (
+            <TextField
+              select
+              size="small"
+              label="Save to account"
+              value={account}
+              onChange={(e) => setAccount(e.target.value)}
+              sx={{ minWidth: 200 }}
+            >
+              <MenuItem value="">
+                <em>No account</em>
+              </MenuItem>
+              {activeAccounts.map((option) => (
+                <MenuItem key={option._id} value={option._id}>
+                  {option.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          <Button
+            variant="outlined"
+            size="small"
+            onClick={handleSelectAll}
+          >
+            {allSelected ? 'Deselect All' : 'Select All'}
+          </Button>
+        </Box>
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={handleSelectAll}
+                />
+              </TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell>Description</TableCell>
+              <TableCell>Category</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell align="right">Amount</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {transactions.map((transaction, index) => {
+              const tempId = getTransactionId(transaction, index);
+              const isSelected = selectedTransactions.includes(tempId);
+
+              return (
+                <TableRow
+                  key={tempId}
+                  hover
+                  selected={isSelected}
+                  onClick={() => handleSelectTransaction(tempId)}
+                  sx={{ cursor: 'pointer' }}
+                >
+                  <TableCell padding="checkbox">
+                    <input
+                      type="checkbox"
+                      checked={isSelected}
+                      onChange={() => handleSelectTransaction(tempId)}
+                      onClick={(e) => e.stopPropagation()}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    {transaction.date ? format(new Date(transaction.date), 'MMM dd, yyyy') : 'N/A'}
+                  </TableCell>
+                  <TableCell>
+                    {transaction.description}
+                    {transaction.duplicateOf && (
+                      <Tooltip
+                        title={`Matches "${transaction.duplicateOf.description}" on ${format(new Date(transaction.duplicateOf.date), 'MMM dd, yyyy')}`}
+                      >
+                        <Link
+                          component={RouterLink}
+                          to={`/edit-transaction/${transaction.duplicateOf._id}`}
+                          onClick={(e) => e.stopPropagation()}
+                          sx={{ display: 'block', fontSize: '0.75rem', color: 'warning.main' }}
+                        >
+                          Possible duplicate of an existing transaction
+                        </Link>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Tooltip title={getCategorySource(transaction)}>
+                      <Chip
+                        label={getLabel(transaction.category, transaction.type)}
+                        size="small"
+                        sx={{ backgroundColor: getColor(transaction.category, transaction.type), color: 'common.white' }}
+                      />
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={transaction.type}
+                      color={getTypeColor(transaction.type)}
+                      size="small"
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Typography
+                      variant="body2"
+                      sx={{
+                        color: transaction.type === 'income' ? 'success.main' : 'error.main',
+                        fontWeight: 600
+                      }}
+                    >
+                      {formatMoney(parseFloat(transaction.amount) || 0, transaction.currency || baseCurrency)}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box display="flex" gap={2} mt={3}>
+        <Button
+          variant="contained"
+          startIcon={<SaveIcon />}
+          onClick={handleSaveTransactions}
+          disabled={saving || selectedTransactions.length === 0}
+          sx={{ flex: 1 }}
+        >
+          {saving ? 'Saving...' : `Save ${selectedTransactions.length} Transaction${selectedTransactions.length !== 1 ? 's' : ''}`}
+        </Button>
+        <Button
+          variant="outlined"
+          onClick={onClear}
+          disabled={saving}
+        >
+          Clear
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default TransactionPreview;
@@ -77,12 +77,22 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
   };
 
+  // Merge changed profile fields (e.g. the base currency) into the stored user
+  const updateUser = (changes) => {
+    const nextUser = { ...user, ...changes };
+    localStorage.setItem('user', JSON.stringify(nextUser));
+    setUser(nextUser);
+  };
+
   const value = {
     user,
     loading,
     login,
     register,
     logout,
+    updateUser,
+    // Totals, charts and budgets are reported in this currency
+    baseCurrency: user?.baseCurrency || 'USD',
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const ACCOUNTS_URL = 'https://typeface-assignment-sryt.onrender.com/api/accounts';
+
+export const ACCOUNT_TYPE_LABELS = {
+  bank: 'Bank Account',
+  credit_card: 'Credit Card',
+  cash: 'Cash',
+  wallet: 'Wallet',
+  savings: 'Savings'
+};
+
+// Accounts with balances. Balances change with every transaction, so unlike
+// categories they are fetched fresh whenever a component mounts.
+export const useAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [unassigned, setUnassigned] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setError('');
+      const response = await fetch(ACCOUNTS_URL, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setAccounts(data.accounts);
+        setUnassigned(data.unassigned);
+        setTotal(data.total);
+      } else {
+        setError(data.message || 'Failed to fetch accounts');
+      }
+    } catch (error) {
+      console.error('Error fetching accounts:', error);
+      setError('An error occurred while fetching accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const getName = useCallback((accountId) => {
+    const account = accounts.find(other => other._id === accountId);
+    return account ? account.name : '';
+  }, [accounts]);
+
+  // Accounts that can be picked for new transactions
+  const activeAccounts = accounts.filter(account => !account.archived);
+
+  return { accounts, activeAccounts, unassigned, total, loading, error, refresh, getName };
+};
+
+export default useAccounts;
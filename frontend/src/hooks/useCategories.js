@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const CATEGORIES_URL = 'https://typeface-assignment-sryt.onrender.com/api/categories';
+const FALLBACK_COLOR = '#9e9e9e';
+
+// Categories are shared by many components on the same page, so they are
+// fetched once per login and every mounted hook is told about updates.
+let cache = { token: null, categories: null };
+const listeners = new Set();
+
+const loadCategories = async () => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(CATEGORIES_URL, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to fetch categories');
+  }
+
+  cache = { token, categories: data };
+  listeners.forEach(listener => listener(data));
+  return data;
+};
+
+const isCached = () => cache.categories && cache.token === localStorage.getItem('token');
+
+const toTitle = (key) => (key || '').replace(/\b\w/g, letter => letter.toUpperCase());
+
+export const useCategories = () => {
+  const [categories, setCategories] = useState(() => (isCached() ? cache.categories : []));
+  const [loading, setLoading] = useState(!isCached());
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setError('');
+      await loadCategories();
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    listeners.add(setCategories);
+    if (!isCached()) refresh();
+    return () => listeners.delete(setCategories);
+  }, [refresh]);
+
+  const find = useCallback((key, type) => categories.find(category =>
+    category.key === (key || '').toLowerCase() && (!type || category.type === type)
+  ), [categories]);
+
+  // Options for a select: parents followed by their subcategories (depth 1).
+  // Without a type, categories with the same key in both types are listed once.
+  const getOptions = useCallback((type) => {
+    const ofType = categories.filter(category => !type || category.type === type);
+    const options = [];
+    ofType
+      .filter(category => !category.parent)
+      .forEach(parent => {
+        options.push({ ...parent, depth: 0 });
+        ofType
+          .filter(category => category.parent === parent._id)
+          .forEach(child => options.push({ ...child, depth: 1 }));
+      });
+    return options.filter((option, index) =>
+      options.findIndex(other => other.key === option.key) === index
+    );
+  }, [categories]);
+
+  const getLabel = useCallback((key, type) => {
+    const category = find(key, type);
+    return category ? category.name : toTitle(key);
+  }, [find]);
+
+  const getColor = useCallback((key, type) => {
+    const category = find(key, type);
+    return category ? category.color : FALLBACK_COLOR;
+  }, [find]);
+
+  // A category key plus its subcategories' keys, matching the server's filters
+  const expandCategory = useCallback((key, type) => {
+    const parentIds = categories
+      .filter(category => category.key === key && (!type || category.type === type))
+      .map(category => category._id);
+    const childKeys = categories
+      .filter(category => parentIds.includes(category.parent))
+      .map(category => category.key);
+    return [...new Set([key, ...childKeys])];
+  }, [categories]);
+
+  return { categories, loading, error, refresh, getOptions, getLabel, getColor, expandCategory };
+};
+
+export default useCategories;
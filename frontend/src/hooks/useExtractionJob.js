@@ -0,0 +1,153 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const JOBS_URL = 'https://typeface-assignment-sryt.onrender.com/api/jobs';
+
+// Wait before reconnecting when the progress stream drops before the job ends
+const RECONNECT_DELAY_MS = 2000;
+
+const isFinished = (job) => job && (job.status === 'done' || job.status === 'failed');
+
+// The JSON payload of one server-sent event, or null for comments
+const parseEvent = (event) => {
+  const data = event.split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .join('');
+  return data ? JSON.parse(data) : null;
+};
+
+// Upload a file for background extraction and follow the job's progress.
+// EventSource cannot send the auth header, so the server-sent events are read
+// from a fetch stream instead.
+export const useExtractionJob = (uploadUrl, fieldName) => {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+  const controllerRef = useRef(null);
+
+  const stop = () => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+  };
+
+  const follow = useCallback(async (jobId) => {
+    stop();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    let latest = null;
+    while (!controller.signal.aborted && !isFinished(latest)) {
+      try {
+        const response = await fetch(`${JOBS_URL}/${jobId}/events`, {
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          },
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          setError(data.message || 'Lost track of the upload');
+          return;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          const events = buffer.split('\n\n');
+          buffer = events.pop();
+          for (const event of events) {
+            const current = parseEvent(event);
+            if (current) {
+              latest = current;
+              setJob(current);
+            }
+          }
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Error following job progress:', err);
+      }
+      if (!isFinished(latest)) {
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+      }
+    }
+  }, []);
+
+  const upload = useCallback(async (file) => {
+    stop();
+    setJob(null);
+    setError('');
+
+    const formData = new FormData();
+    formData.append(fieldName, file);
+    try {
+      const response = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: formData
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setJob(data);
+        follow(data._id);
+      } else {
+        setError(data.message || 'Failed to upload file');
+      }
+    } catch (err) {
+      console.error('Error uploading file:', err);
+      setError('An error occurred while uploading the file');
+    }
+  }, [uploadUrl, fieldName, follow]);
+
+  const retry = useCallback(async () => {
+    if (!job) return;
+    setError('');
+    try {
+      const response = await fetch(`${JOBS_URL}/${job._id}/retry`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setJob(data);
+        follow(data._id);
+      } else {
+        setError(data.message || 'Failed to retry');
+      }
+    } catch (err) {
+      console.error('Error retrying job:', err);
+      setError('An error occurred while retrying');
+    }
+  }, [job, follow]);
+
+  const reset = useCallback(() => {
+    stop();
+    setJob(null);
+    setError('');
+  }, []);
+
+  // Stop following when the page is left
+  useEffect(() => stop, []);
+
+  return {
+    job,
+    error,
+    running: !!job && !isFinished(job),
+    upload,
+    retry,
+    reset
+  };
+};
+
+export default useExtractionJob;
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+
+export const RECEIPTS_URL = 'https://typeface-assignment-sryt.onrender.com/api/receipts';
+
+// A receipt's details with short-lived signed links to its file and thumbnail.
+// The links work without the auth header, so <img> and <iframe> can load them.
+export const fetchReceiptUrls = async (receiptId, { download = false } = {}) => {
+  const response = await fetch(`${RECEIPTS_URL}/${receiptId}/url${download ? '?download=1' : ''}`, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to load receipt');
+  }
+  return data;
+};
+
+export const useReceipt = (receiptId) => {
+  const [receipt, setReceipt] = useState(null);
+  const [loading, setLoading] = useState(!!receiptId);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setReceipt(null);
+    setError('');
+    if (!receiptId) {
+      setLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setLoading(true);
+        const data = await fetchReceiptUrls(receiptId);
+        if (!cancelled) setReceipt(data);
+      } catch (error) {
+        if (!cancelled) setError(error.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [receiptId]);
+
+  return { receipt, loading, error };
+};
+
+export default useReceipt;
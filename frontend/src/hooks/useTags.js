@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const TAGS_URL = 'https://typeface-assignment-sryt.onrender.com/api/tags';
+
+// Tags in use, most used first. Fetched fresh on mount so tags added by other
+// pages show up in autocomplete.
+export const useTags = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setError('');
+      const response = await fetch(TAGS_URL, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setTags(data);
+      } else {
+        setError(data.message || 'Failed to fetch tags');
+      }
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      setError('An error occurred while fetching tags');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { tags, tagNames: tags.map(row => row.tag), loading, error, refresh };
+};
+
+export default useTags;
@@ -0,0 +1,14 @@
+// Shared money formatting. Amounts from the API are in the transaction's own
+// currency, or in the user's base currency for totals.
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', INR: '₹', JPY: '¥' };
+
+export const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'AUD', 'CAD', 'SGD', 'AED', 'CHF', 'CNY'];
+
+// "$1,234.50" for currencies with a well-known symbol, "SGD 1,234.50" otherwise
+export const formatMoney = (amount, currency = 'USD') => {
+  const formatted = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const sign = amount < 0 ? '-' : '';
+  const symbol = CURRENCY_SYMBOLS[currency];
+  return symbol ? `${sign}${symbol}${formatted}` : `${sign}${currency} ${formatted}`;
+};
@@ -0,0 +1,42 @@
+// Locales and OCR languages for reading receipts
+
+export const COMMON_LOCALES = ['en-US', 'en-GB', 'en-IN', 'hi-IN', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'pt-BR'];
+
+// Names for the usual Tesseract codes; anything else is shown as its code
+const OCR_LANGUAGE_NAMES = {
+  eng: 'English',
+  hin: 'Hindi',
+  deu: 'German',
+  fra: 'French',
+  spa: 'Spanish',
+  ita: 'Italian',
+  nld: 'Dutch',
+  por: 'Portuguese',
+  pol: 'Polish',
+  tur: 'Turkish',
+  chi_sim: 'Chinese (Simplified)',
+  jpn: 'Japanese'
+};
+
+export const ocrLanguageName = (code) => OCR_LANGUAGE_NAMES[code] || code;
+
+const displayNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames(['en'], { type: 'language' })
+  : null;
+
+// "German (Germany)" for "de-DE"
+export const localeName = (locale) => {
+  try {
+    return (displayNames && displayNames.of(locale)) || locale;
+  } catch (error) {
+    return locale;
+  }
+};
+
+const DATE_PATTERNS = { DMY: 'DD/MM/YYYY', MDY: 'MM/DD/YYYY', YMD: 'YYYY-MM-DD' };
+
+// "1.234,56 · DD/MM/YYYY" for a locale format from the API
+export const describeFormat = ({ decimalSeparator, dateOrder }) => {
+  const amount = decimalSeparator === ',' ? '1.234,56' : '1,234.56';
+  return `${amount} · ${DATE_PATTERNS[dateOrder] || dateOrder}`;
+};